@@ -5,6 +5,7 @@
 // - Main module logic and exports
 
 import assert from "node:assert/strict";
+import crypto from "node:crypto";
 
 const BASE_URL = (process.env.E2E_BASE_URL || "http://localhost:5001").replace(/\/$/, "");
 
@@ -40,6 +41,39 @@ async function api(path, { method = "GET", token, body } = {}) {
   return { status: res.status, data };
 }
 
+// The server only checks envelope shape and the integrity hash, so random
+// bytes stand in for real ciphertext and RSA-wrapped keys here.
+function buildGroupEnvelope({ senderId, memberIds, keyVersion = 1 }) {
+  const randomB64 = (size) => crypto.randomBytes(size).toString("base64");
+  const ciphertextB64 = randomB64(32);
+  const ivB64 = randomB64(12);
+  const aadB64 = randomB64(24);
+  const clientTs = Date.now();
+  const clientMsgId = crypto.randomUUID();
+  const memberKeys = memberIds.map((userId) => ({
+    userId: String(userId),
+    wrappedKeyB64: randomB64(48),
+    keyVersion
+  }));
+  const serializedMemberKeys = memberKeys
+    .map((entry) => `${entry.userId}:${entry.wrappedKeyB64}`)
+    .sort()
+    .join(",");
+  const raw = [ciphertextB64, ivB64, "", "", aadB64, String(clientTs), clientMsgId, String(senderId), "", serializedMemberKeys].join("|");
+
+  return {
+    encrypted: true,
+    content: ciphertextB64,
+    ciphertextB64,
+    iv: ivB64,
+    memberKeys,
+    aadB64,
+    clientTs,
+    clientMsgId,
+    integrityHash: crypto.createHash("sha256").update(raw).digest("base64")
+  };
+}
+
 function expectStatus(actual, expected, label, payload) {
   assert.equal(
     actual,
@@ -78,6 +112,23 @@ async function run() {
       body: { username: alice.username, password: alice.password }
     });
     expectStatus(loginAlice.status, 200, "Login Alice", loginAlice.data);
+    assert.ok(loginAlice.data?.refreshToken, "Refresh token missing after login");
+
+    const refreshed = await api("/api/auth/refresh", {
+      method: "POST",
+      body: { refreshToken: loginAlice.data.refreshToken }
+    });
+    expectStatus(refreshed.status, 200, "Refresh session", refreshed.data);
+    assert.notEqual(refreshed.data?.refreshToken, loginAlice.data.refreshToken, "Refresh token was not rotated");
+
+    const sessions = await api("/api/users/me/sessions", { token: aliceToken });
+    expectStatus(sessions.status, 200, "List sessions", sessions.data);
+    assert.equal(sessions.data?.sessions?.length, 2, "Alice should have register and login sessions");
+
+    const logout = await api("/api/auth/logout", { method: "POST", token: refreshed.data.token });
+    expectStatus(logout.status, 200, "Logout", logout.data);
+    const afterLogout = await api("/api/users/me", { token: refreshed.data.token });
+    expectStatus(afterLogout.status, 401, "Access after logout", afterLogout.data);
 
     const registerBob = await api("/api/auth/register", {
       method: "POST",
@@ -86,6 +137,21 @@ async function run() {
     expectStatus(registerBob.status, 200, "Register Bob", registerBob.data);
     bobToken = registerBob.data?.token;
     assert.ok(bobToken, "Bob token missing after register");
+    assert.equal(registerBob.data?.recoveryCodes?.length, 10, "Bob should receive 10 recovery codes");
+
+    const recoverBob = await api("/api/auth/recover", {
+      method: "POST",
+      body: {
+        username: bob.username,
+        recoveryCode: registerBob.data.recoveryCodes[0],
+        newPassword: `${bob.password}-reset`
+      }
+    });
+    expectStatus(recoverBob.status, 200, "Recover Bob", recoverBob.data);
+    assert.equal(recoverBob.data?.recoveryCodesRemaining, 9, "Recovery code was not consumed");
+    const staleBob = await api("/api/users/me", { token: bobToken });
+    expectStatus(staleBob.status, 401, "Bob register session after recovery", staleBob.data);
+    bobToken = recoverBob.data.token;
 
     const usersForAlice = await api("/api/users", { token: aliceToken });
     expectStatus(usersForAlice.status, 200, "List users", usersForAlice.data);
@@ -130,11 +196,24 @@ async function run() {
     groupChatId = createGroup.data?.chat?._id;
     assert.ok(groupChatId, "Group chat id missing");
 
-    const sendMessage = await api(`/api/messages/${groupChatId}`, {
+    const plaintextMessage = await api(`/api/messages/${groupChatId}`, {
       method: "POST",
       token: aliceToken,
       body: { type: "text", content: "hello from e2e" }
     });
+    expectStatus(plaintextMessage.status, 400, "Reject plaintext group message", plaintextMessage.data);
+
+    const sendMessage = await api(`/api/messages/${groupChatId}`, {
+      method: "POST",
+      token: aliceToken,
+      body: {
+        type: "text",
+        ...buildGroupEnvelope({
+          senderId: registerAlice.data?.user?.id,
+          memberIds: createGroup.data?.chat?.members?.map((member) => member?._id || member) || []
+        })
+      }
+    });
     expectStatus(sendMessage.status, 200, "Send message", sendMessage.data);
     messageId = sendMessage.data?.message?._id;
     assert.ok(messageId, "Message id missing after sending message");
@@ -151,6 +230,33 @@ async function run() {
     expectStatus(read.status, 200, "Read message", read.data);
     assert.equal(typeof read.data?.updated, "number", "Read response must include numeric updated count");
 
+    const randomSpkiB64 = () => crypto.randomBytes(294).toString("base64");
+    for (const label of ["Upload first key", "Rotate key"]) {
+      const uploadKey = await api("/api/users/me/e2ee-key", {
+        method: "PATCH",
+        token: aliceToken,
+        body: { e2eePublicKeySpkiB64: randomSpkiB64() }
+      });
+      expectStatus(uploadKey.status, 200, label, uploadKey.data);
+    }
+    const keyHistory = await api("/api/users/me/e2ee-keys", { token: aliceToken });
+    expectStatus(keyHistory.status, 200, "Key history", keyHistory.data);
+    assert.equal(keyHistory.data?.current?.version, 2, "Rotation must bump the key version");
+    assert.equal(keyHistory.data?.history?.length, 1, "Rotation must retire the previous key");
+
+    const staleKeyMessage = await api(`/api/messages/${groupChatId}`, {
+      method: "POST",
+      token: aliceToken,
+      body: {
+        type: "text",
+        ...buildGroupEnvelope({
+          senderId: registerAlice.data?.user?.id,
+          memberIds: createGroup.data?.chat?.members?.map((member) => member?._id || member) || []
+        })
+      }
+    });
+    expectStatus(staleKeyMessage.status, 409, "Reject message wrapped for a retired key", staleKeyMessage.data);
+
     console.log("E2E suite passed");
   } finally {
     if (aliceToken) {
@@ -5,21 +5,21 @@
 // - Main module logic and exports
 
 import "express-async-errors";
-import path from "path";
 import express from "express";
 import cors from "cors";
 import morgan from "morgan";
 import helmet from "helmet";
 import rateLimit from "express-rate-limit";
-import { fileURLToPath } from "url";
 
 import authRoutes from "./routes/auth.js";
 import userRoutes from "./routes/users.js";
 import requestRoutes from "./routes/requests.js";
 import chatRoutes from "./routes/chats.js";
 import messageRoutes from "./routes/messages.js";
-import uploadRoutes from "./routes/upload.js";
+import uploadRoutes, { servePublicUpload } from "./routes/upload.js";
 import emojiRoutes from "./routes/emojis.js";
+import callRoutes from "./routes/calls.js";
+import linkPreviewRoutes from "./routes/linkPreview.js";
 
 const DEFAULT_DEV_ORIGINS = [
   "http://localhost:3000",
@@ -120,9 +120,6 @@ export function createCorsOrigin(configuredOrigin) {
 
 export function createApp({ corsOrigin } = {}) {
   const app = express();
-  const __filename = fileURLToPath(import.meta.url);
-  const __dirname = path.dirname(__filename);
-
   const safeCorsOrigin = corsOrigin || createCorsOrigin(process.env.CLIENT_ORIGIN || "");
   const authLimitMax = Math.max(5, Number.parseInt(process.env.AUTH_RATE_LIMIT_MAX || "40", 10) || 40);
   const apiLimitPerMinute = Math.max(
@@ -144,6 +141,14 @@ export function createApp({ corsOrigin } = {}) {
     legacyHeaders: false
   });
 
+  // Each preview makes outbound requests, so these get a tighter budget.
+  const linkPreviewLimiter = rateLimit({
+    windowMs: 60 * 1000,
+    max: 30,
+    standardHeaders: true,
+    legacyHeaders: false
+  });
+
   app.use(
     helmet({
       crossOriginResourcePolicy: false
@@ -160,7 +165,7 @@ export function createApp({ corsOrigin } = {}) {
   app.use(requestSanitizer);
   app.use(apiLimiter);
 
-  app.use("/uploads", express.static(path.join(__dirname, "..", "uploads")));
+  app.get("/uploads/:fileKey", servePublicUpload);
 
   app.get("/", (req, res) => {
     res.json({ status: "ok" });
@@ -173,6 +178,8 @@ export function createApp({ corsOrigin } = {}) {
   app.use("/api/messages", messageRoutes);
   app.use("/api/upload", uploadRoutes);
   app.use("/api/emojis", emojiRoutes);
+  app.use("/api/calls", callRoutes);
+  app.use("/api/link-preview", linkPreviewLimiter, linkPreviewRoutes);
 
   app.use((err, req, res, next) => {
     if (!err) return next();
@@ -183,6 +190,9 @@ export function createApp({ corsOrigin } = {}) {
     if (err?.name === "ValidationError") {
       return res.status(400).json({ message: err.message || "Validation failed" });
     }
+    if (err?.type === "entity.too.large") {
+      return res.status(413).json({ message: "Request body too large" });
+    }
     if (err?.code === "LIMIT_FILE_SIZE") {
       return res.status(400).json({ message: "Uploaded file exceeds allowed size limit" });
     }
@@ -8,6 +8,7 @@ import http from "http";
 import dotenv from "dotenv";
 import mongoose from "mongoose";
 import { createApp, createCorsOrigin } from "./app.js";
+import { startUploadSweeper } from "./services/uploads.js";
 import { initSocket } from "./socket/index.js";
 
 dotenv.config();
@@ -34,6 +35,7 @@ mongoose
   .then(() => {
     console.log("MongoDB connected");
     initSocket(server, { origin: corsOrigin });
+    startUploadSweeper();
 
     server.on("error", (err) => {
       if (err && err.code === "EADDRINUSE") {
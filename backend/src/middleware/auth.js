@@ -5,8 +5,9 @@
 // - Main module logic and exports
 
 import jwt from "jsonwebtoken";
+import { isSessionActive } from "../services/sessions.js";
 
-export function authRequired(req, res, next) {
+export async function authRequired(req, res, next) {
   const header = req.headers.authorization || "";
   const token = header.startsWith("Bearer ") ? header.slice(7) : null;
 
@@ -14,12 +15,19 @@ export function authRequired(req, res, next) {
     return res.status(401).json({ message: "Missing token" });
   }
 
+  let payload;
   try {
-    const payload = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = payload;
-    return next();
+    payload = jwt.verify(token, process.env.JWT_SECRET);
   } catch (err) {
     return res.status(401).json({ message: "Invalid token" });
   }
-}
 
+  // Access tokens are short-lived, but logout and per-device revoke must take
+  // effect immediately, so every request checks its session is still live.
+  if (!payload?.sid || !(await isSessionActive(payload.sid, payload.id))) {
+    return res.status(401).json({ message: "Session revoked" });
+  }
+
+  req.user = payload;
+  return next();
+}
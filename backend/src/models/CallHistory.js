@@ -10,12 +10,17 @@ const CallHistorySchema = new mongoose.Schema(
   {
     caller: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
     receiver: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    chatId: { type: mongoose.Schema.Types.ObjectId, ref: "Chat", default: null },
     type: { type: String, enum: ["voice", "video"], required: true },
     status: { type: String, enum: ["missed", "rejected", "completed"], required: true },
+    // Seconds between accept and hang-up; 0 for calls that never connected.
     duration: { type: Number, default: 0 }
   },
   { timestamps: { createdAt: true, updatedAt: false } }
 );
 
+CallHistorySchema.index({ caller: 1, createdAt: -1 });
+CallHistorySchema.index({ receiver: 1, createdAt: -1 });
+
 export default mongoose.model("CallHistory", CallHistorySchema);
 
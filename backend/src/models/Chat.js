@@ -11,6 +11,14 @@ const ChatSchema = new mongoose.Schema(
     type: { type: String, enum: ["direct", "group"], required: true },
     members: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
     createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    // Group owner and admins; members without an entry are plain members.
+    memberRoles: [
+      {
+        _id: false,
+        userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+        role: { type: String, enum: ["owner", "admin"], required: true }
+      }
+    ],
     name: { type: String, default: "" },
     motive: { type: String, default: "" },
     avatarUrl: { type: String, default: "" },
@@ -0,0 +1,37 @@
+// Section Map
+// - Imports and dependencies
+// - Constants/configuration
+// - Helper functions/state handling
+// - Main module logic and exports
+
+import mongoose from "mongoose";
+
+const ChatInviteSchema = new mongoose.Schema(
+  {
+    chatId: { type: mongoose.Schema.Types.ObjectId, ref: "Chat", required: true, index: true },
+    // Admins can copy a link again later, so the token is stored as is;
+    // revoking the invite is how a leaked link is shut off.
+    token: { type: String, required: true, unique: true },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    expiresAt: { type: Date, default: null },
+    maxUses: { type: Number, default: null },
+    useCount: { type: Number, default: 0 },
+    // Approval mode: joining only files a request that an admin answers.
+    requiresApproval: { type: Boolean, default: false },
+    requests: [
+      {
+        _id: false,
+        userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+        requestedAt: { type: Date, default: Date.now }
+      }
+    ],
+    revokedAt: { type: Date, default: null }
+  },
+  { timestamps: true }
+);
+
+// Expired invites are kept for a week so an old link can still say it expired
+// instead of looking unknown.
+ChatInviteSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+export default mongoose.model("ChatInvite", ChatInviteSchema);
@@ -11,13 +11,26 @@ const MessageSchema = new mongoose.Schema(
     chatId: { type: mongoose.Schema.Types.ObjectId, ref: "Chat", required: true },
     senderId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
     receiverId: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
-    type: { type: String, enum: ["text", "image", "file"], required: true },
+    type: { type: String, enum: ["text", "image", "file", "audio", "video", "system"], required: true },
     content: { type: String, default: "" },
     encrypted: { type: Boolean, default: false },
     iv: { type: String, default: "" },
     ciphertextB64: { type: String, default: "" },
     wrappedKeyB64: { type: String, default: "" },
     senderWrappedKeyB64: { type: String, default: "" },
+    // e2eeKeyVersion of the public keys the direct-message AES key was wrapped
+    // for, so clients know which private key opens it after a rotation.
+    receiverKeyVersion: { type: Number, default: null },
+    senderKeyVersion: { type: Number, default: null },
+    // Group messages: the message AES key wrapped once per member.
+    memberKeys: [
+      {
+        _id: false,
+        userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+        wrappedKeyB64: { type: String, required: true },
+        keyVersion: { type: Number, default: null }
+      }
+    ],
     aadB64: { type: String, default: "" },
     clientTs: { type: Number, default: 0 },
     clientMsgId: { type: String, default: "" },
@@ -28,11 +41,82 @@ const MessageSchema = new mongoose.Schema(
     mimeType: { type: String, default: "" },
     size: { type: Number, default: 0 },
     fileSize: { type: Number, default: 0 },
+    // Voice notes and videos: length as measured by the sender. playedBy
+    // lists the recipients who have played a voice note.
+    durationMs: { type: Number, default: 0 },
+    playedBy: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+    // Videos: frame size, so the player can reserve space before decrypting.
+    width: { type: Number, default: 0 },
+    height: { type: Number, default: 0 },
+    // Image and video messages: a client-built thumbnail (the poster frame for
+    // videos) and tiny placeholder, both encrypted with the message key under
+    // their own IVs.
+    thumbnail: {
+      type: {
+        _id: false,
+        fileKey: { type: String, default: "" },
+        iv: { type: String, default: "" },
+        placeholderB64: { type: String, default: "" },
+        placeholderIv: { type: String, default: "" }
+      },
+      default: null
+    },
+    // Text messages: the sender's preview of the first link (title,
+    // description, inline image), encrypted with the message key.
+    linkPreview: {
+      type: {
+        _id: false,
+        ciphertextB64: { type: String, default: "" },
+        iv: { type: String, default: "" }
+      },
+      default: null
+    },
+    // System messages: a chat event written by the server. senderId is the
+    // member who caused it, targetIds the members it happened to, and content
+    // a plain-text fallback. The remaining fields depend on the kind.
+    systemEvent: {
+      type: {
+        _id: false,
+        kind: {
+          type: String,
+          enum: [
+            "members-added",
+            "member-left",
+            "member-joined",
+            "member-removed",
+            "role-changed",
+            "ownership-transferred",
+            "profile-updated",
+            "vanish-changed",
+            "message-pinned",
+            "message-unpinned"
+          ],
+          required: true
+        },
+        targetIds: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+        // profile-updated: which of "name", "motive" and "avatar" changed,
+        // and the new name.
+        fields: [{ type: String }],
+        name: { type: String, default: "" },
+        // vanish-changed
+        enabled: { type: Boolean, default: null },
+        // message-pinned
+        messageId: { type: mongoose.Schema.Types.ObjectId, ref: "Message", default: null },
+        // role-changed: the target's new role.
+        role: { type: String, default: "" }
+      },
+      default: null
+    },
     readBy: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
     deliveredTo: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
     disappearsAfterReadAll: { type: Boolean, default: false },
     deletedFor: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
     replyTo: { type: mongoose.Schema.Types.ObjectId, ref: "Message", default: null },
+    // Thread replies point at their root and stay out of the main timeline.
+    // Roots keep a reply count and last-reply time for the bubble summary.
+    threadRootId: { type: mongoose.Schema.Types.ObjectId, ref: "Message", default: null },
+    threadReplyCount: { type: Number, default: 0 },
+    threadLastReplyAt: { type: Date, default: null },
     reactions: [
       {
         user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
@@ -50,9 +134,14 @@ MessageSchema.index(
   { senderId: 1, clientMsgId: 1 },
   { unique: true, partialFilterExpression: { clientMsgId: { $exists: true, $ne: "" } } }
 );
-MessageSchema.index({ chatId: 1, createdAt: 1 });
+MessageSchema.index({ chatId: 1, createdAt: 1, _id: 1 });
 MessageSchema.index({ chatId: 1, senderId: 1, createdAt: -1 });
 MessageSchema.index({ chatId: 1, readBy: 1 });
+MessageSchema.index({ threadRootId: 1, createdAt: 1, _id: 1 });
+MessageSchema.index({ fileKey: 1 }, { partialFilterExpression: { fileKey: { $gt: "" } } });
+// Message text is end-to-end encrypted; attachment names are the only words
+// the server can search.
+MessageSchema.index({ fileName: "text" });
 
 export default mongoose.model("Message", MessageSchema);
 
@@ -0,0 +1,35 @@
+// Section Map
+// - Imports and dependencies
+// - Constants/configuration
+// - Helper functions/state handling
+// - Main module logic and exports
+
+import mongoose from "mongoose";
+
+const PreKeySchema = new mongoose.Schema(
+  {
+    keyId: { type: Number, required: true },
+    publicKeyB64: { type: String, required: true }
+  },
+  { _id: false }
+);
+
+// Public half of a user's X3DH prekeys (P-256, raw point encoding). Private
+// keys never leave the browser that published the bundle.
+const PreKeyBundleSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, unique: true },
+    identityKeyB64: { type: String, required: true },
+    signingKeyB64: { type: String, required: true },
+    signedPreKey: {
+      keyId: { type: Number, required: true },
+      publicKeyB64: { type: String, required: true },
+      signatureB64: { type: String, required: true }
+    },
+    // Each one is handed out to a single initiator and then removed.
+    oneTimePreKeys: { type: [PreKeySchema], default: [] }
+  },
+  { timestamps: true }
+);
+
+export default mongoose.model("PreKeyBundle", PreKeyBundleSchema);
@@ -0,0 +1,29 @@
+// Section Map
+// - Imports and dependencies
+// - Constants/configuration
+// - Helper functions/state handling
+// - Main module logic and exports
+
+import mongoose from "mongoose";
+
+const SessionSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    // sha256 of the current refresh token secret; rotated on every refresh.
+    refreshTokenHash: { type: String, required: true },
+    previousRefreshTokenHash: { type: String, default: "" },
+    rotatedAt: { type: Date, default: null },
+    userAgent: { type: String, default: "" },
+    ip: { type: String, default: "" },
+    lastUsedAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true },
+    revokedAt: { type: Date, default: null }
+  },
+  { timestamps: true }
+);
+
+// Expired sessions are removed by MongoDB; revoked ones linger until expiry so
+// a replayed refresh token can still be recognised as reuse.
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model("Session", SessionSchema);
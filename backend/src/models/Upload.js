@@ -0,0 +1,27 @@
+// Section Map
+// - Imports and dependencies
+// - Constants/configuration
+// - Helper functions/state handling
+// - Main module logic and exports
+
+import mongoose from "mongoose";
+
+// One stored file under uploads/. An upload belongs to its owner until a
+// message attaches it to a chat; after that, chat membership decides access.
+const UploadSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true, unique: true },
+    ownerId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    chatId: { type: mongoose.Schema.Types.ObjectId, ref: "Chat", default: null },
+    uploadType: { type: String, enum: ["image", "file"], default: "file" },
+    mimeType: { type: String, default: "" },
+    size: { type: Number, default: 0 },
+    // Set while the upload is unattached; the sweeper deletes it afterwards.
+    expiresAt: { type: Date, default: null }
+  },
+  { timestamps: true }
+);
+
+UploadSchema.index({ expiresAt: 1 }, { partialFilterExpression: { expiresAt: { $type: "date" } } });
+
+export default mongoose.model("Upload", UploadSchema);
@@ -0,0 +1,35 @@
+// Section Map
+// - Imports and dependencies
+// - Constants/configuration
+// - Helper functions/state handling
+// - Main module logic and exports
+
+import mongoose from "mongoose";
+
+// An unfinished chunked upload. Each chunk is stored as partial/<id>-<offset>
+// until receivedBytes reaches size; completing it joins the chunks, verifies
+// sha256 and turns the result into an Upload under `key`.
+const UploadSessionSchema = new mongoose.Schema(
+  {
+    ownerId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    key: { type: String, required: true, unique: true },
+    fileName: { type: String, default: "" },
+    uploadType: { type: String, enum: ["image", "file"], default: "file" },
+    mimeType: { type: String, default: "" },
+    size: { type: Number, required: true },
+    sha256: { type: String, required: true },
+    receivedBytes: { type: Number, default: 0 },
+    chunkOffsets: { type: [Number], default: [] },
+    // "completing" while one request assembles the file; "completed" sessions
+    // are kept until they expire so a retried /complete returns the upload.
+    status: { type: String, enum: ["uploading", "completing", "completed"], default: "uploading" },
+    claimedAt: { type: Date, default: null },
+    // Pushed forward by every chunk; the sweeper removes stalled sessions.
+    expiresAt: { type: Date, required: true }
+  },
+  { timestamps: true }
+);
+
+UploadSessionSchema.index({ expiresAt: 1 });
+
+export default mongoose.model("UploadSession", UploadSessionSchema);
@@ -6,16 +6,64 @@
 
 import mongoose from "mongoose";
 
+// Passphrase-encrypted copy of the RSA identity. The server only stores it;
+// the KDF and AES-GCM decryption happen in the browser.
+const KeyBackupSchema = new mongoose.Schema(
+  {
+    version: { type: Number, required: true },
+    kdf: { type: String, required: true },
+    kdfHash: { type: String, required: true },
+    iterations: { type: Number, required: true },
+    saltB64: { type: String, required: true },
+    ivB64: { type: String, required: true },
+    ciphertextB64: { type: String, required: true },
+    publicSpkiB64: { type: String, required: true },
+    updatedAt: { type: Date, default: Date.now }
+  },
+  { _id: false }
+);
+
 const UserSchema = new mongoose.Schema(
   {
     name: { type: String, required: true, trim: true },
     username: { type: String, required: true, unique: true, trim: true },
     passwordHash: { type: String, required: true },
+    passwordChangedAt: { type: Date, default: null },
+    // sha256 hashes of one-time recovery codes; plaintext is only shown once.
+    recoveryCodes: [
+      {
+        _id: false,
+        codeHash: { type: String, required: true },
+        usedAt: { type: Date, default: null }
+      }
+    ],
     publicKeyJwk: { type: Object, default: null }, // legacy field
     e2eePublicKeySpkiB64: { type: String, default: "" },
     e2eeKeyVersion: { type: Number, default: 1 },
+    // Public keys this account used before its current one, newest last.
+    e2eeKeyHistory: [
+      {
+        _id: false,
+        version: { type: Number, required: true },
+        publicSpkiB64: { type: String, required: true },
+        retiredAt: { type: Date, default: Date.now }
+      }
+    ],
+    e2eeKeyBackup: { type: KeyBackupSchema, default: null },
     about: { type: String, default: "" },
     avatarUrl: { type: String, default: "" },
+    twoFactorEnabled: { type: Boolean, default: false },
+    // Base32 TOTP secrets; only loaded explicitly with select("+field").
+    twoFactorSecret: { type: String, default: "", select: false },
+    twoFactorPendingSecret: { type: String, default: "", select: false },
+    twoFactorLastUsedStep: { type: Number, default: null },
+    twoFactorBackupCodes: [
+      {
+        _id: false,
+        codeHash: { type: String, required: true },
+        usedAt: { type: Date, default: null }
+      }
+    ],
     isAdmin: { type: Boolean, default: false },
     emojiRecent: [{ type: String }]
   },
@@ -6,19 +6,45 @@
 
 import express from "express";
 import bcrypt from "bcryptjs";
-import jwt from "jsonwebtoken";
 import User from "../models/User.js";
+import { authRequired } from "../middleware/auth.js";
+import { consumeOneTimeCode, countUnusedCodes, generateOneTimeCodes } from "../services/oneTimeCodes.js";
+import { PASSWORD_HASH_ROUNDS, validateNewPassword } from "../services/passwordPolicy.js";
+import {
+  createSession,
+  revokeSession,
+  revokeUserSessions,
+  rotateSession,
+  signAccessToken
+} from "../services/sessions.js";
+import {
+  createTwoFactorChallenge,
+  readTwoFactorChallenge,
+  verifyTwoFactorCode
+} from "../services/twoFactor.js";
 
 const router = express.Router();
 const USERNAME_REGEX = /^[a-zA-Z0-9_]{3,32}$/;
 const NAME_MAX_LENGTH = 80;
-const PASSWORD_MIN_LENGTH = 8;
-const PASSWORD_MAX_LENGTH = 128;
 
 function escapeRegex(value) {
   return String(value || "").replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
 }
 
+function toAuthUser(user) {
+  return {
+    id: user._id,
+    name: user.name,
+    username: user.username,
+    publicKeyJwk: user.publicKeyJwk || null,
+    e2eePublicKeySpkiB64: user.e2eePublicKeySpkiB64 || "",
+    e2eeKeyVersion: user.e2eeKeyVersion || 1,
+    about: user.about || "",
+    avatarUrl: user.avatarUrl || "",
+    isAdmin: Boolean(user.isAdmin)
+  };
+}
+
 async function findUserByUsername(username) {
   const cleanUsername = typeof username === "string" ? username.trim() : "";
   if (!cleanUsername) return null;
@@ -49,10 +75,9 @@ router.post("/register", async (req, res) => {
         message: "Username must be 3-32 characters and can contain letters, numbers, and underscore only"
       });
     }
-    if (password.length < PASSWORD_MIN_LENGTH || password.length > PASSWORD_MAX_LENGTH) {
-      return res.status(400).json({
-        message: `Password must be ${PASSWORD_MIN_LENGTH}-${PASSWORD_MAX_LENGTH} characters long`
-      });
+    const passwordError = validateNewPassword(password);
+    if (passwordError) {
+      return res.status(400).json({ message: passwordError });
     }
 
     const existing = await User.findOne({ username: cleanUsername });
@@ -65,30 +90,22 @@ router.post("/register", async (req, res) => {
       return res.status(409).json({ message: "Username already taken" });
     }
 
-    const passwordHash = await bcrypt.hash(password, 10);
+    const passwordHash = await bcrypt.hash(password, PASSWORD_HASH_ROUNDS);
+    const recovery = generateOneTimeCodes();
     const user = await User.create({
       name: cleanName,
       username: cleanUsername,
-      passwordHash
+      passwordHash,
+      recoveryCodes: recovery.entries
     });
 
-    const token = jwt.sign({ id: user._id, username: user.username }, process.env.JWT_SECRET, {
-      expiresIn: "7d"
-    });
+    const { token, refreshToken } = await createSession(user, req);
 
     return res.json({
       token,
-      user: {
-        id: user._id,
-        name: user.name,
-        username: user.username,
-        publicKeyJwk: user.publicKeyJwk || null,
-        e2eePublicKeySpkiB64: user.e2eePublicKeySpkiB64 || "",
-        e2eeKeyVersion: user.e2eeKeyVersion || 1,
-        about: user.about || "",
-        avatarUrl: user.avatarUrl || "",
-        isAdmin: Boolean(user.isAdmin)
-      }
+      refreshToken,
+      recoveryCodes: recovery.codes,
+      user: toAuthUser(user)
     });
   } catch (err) {
     if (err?.code === 11000 || err?.keyPattern?.username) {
@@ -123,23 +140,16 @@ router.post("/login", async (req, res) => {
       return res.status(401).json({ message: "Invalid credentials" });
     }
 
-    const token = jwt.sign({ id: user._id, username: user.username }, process.env.JWT_SECRET, {
-      expiresIn: "7d"
-    });
+    if (user.twoFactorEnabled) {
+      return res.json({ twoFactorRequired: true, challengeToken: createTwoFactorChallenge(user) });
+    }
+
+    const { token, refreshToken } = await createSession(user, req);
 
     return res.json({
       token,
-      user: {
-        id: user._id,
-        name: user.name,
-        username: user.username,
-        publicKeyJwk: user.publicKeyJwk || null,
-        e2eePublicKeySpkiB64: user.e2eePublicKeySpkiB64 || "",
-        e2eeKeyVersion: user.e2eeKeyVersion || 1,
-        about: user.about || "",
-        avatarUrl: user.avatarUrl || "",
-        isAdmin: Boolean(user.isAdmin)
-      }
+      refreshToken,
+      user: toAuthUser(user)
     });
   } catch (err) {
     console.error("Login error:", err);
@@ -147,5 +157,126 @@ router.post("/login", async (req, res) => {
   }
 });
 
+// Second login step for accounts with TOTP enabled. The challenge token proves
+// the password was checked within the last few minutes.
+router.post("/login/2fa", async (req, res) => {
+  if (!process.env.JWT_SECRET) {
+    return res.status(500).json({ message: "Server misconfigured: JWT_SECRET missing" });
+  }
+  const { challengeToken, code } = req.body || {};
+  if (!challengeToken || !code || typeof code !== "string") {
+    return res.status(400).json({ message: "challengeToken and code are required" });
+  }
+
+  const userId = readTwoFactorChallenge(challengeToken);
+  if (!userId) {
+    return res.status(401).json({ message: "Sign-in challenge expired. Log in again." });
+  }
+
+  const user = await User.findById(userId).select("+twoFactorSecret");
+  if (!user || !user.twoFactorEnabled) {
+    return res.status(401).json({ message: "Sign-in challenge expired. Log in again." });
+  }
+
+  const verified = await verifyTwoFactorCode(user, code);
+  if (!verified) {
+    return res.status(401).json({ message: "Invalid authentication code" });
+  }
+
+  const { token, refreshToken } = await createSession(user, req);
+  return res.json({
+    token,
+    refreshToken,
+    user: toAuthUser(user)
+  });
+});
+
+// Resets a forgotten password with one of the one-time recovery codes issued at
+// registration. Every existing session is signed out; accounts with 2FA still
+// have to pass the /login/2fa step.
+router.post("/recover", async (req, res) => {
+  if (!process.env.JWT_SECRET) {
+    return res.status(500).json({ message: "Server misconfigured: JWT_SECRET missing" });
+  }
+  const { username, recoveryCode, newPassword } = req.body || {};
+  const cleanUsername = typeof username === "string" ? username.trim() : "";
+  if (!cleanUsername || !recoveryCode || typeof recoveryCode !== "string" || !newPassword) {
+    return res.status(400).json({ message: "Username, recovery code, and new password are required" });
+  }
+  if (!USERNAME_REGEX.test(cleanUsername)) {
+    return res.status(400).json({ message: "Invalid username format" });
+  }
+  const passwordError = validateNewPassword(newPassword);
+  if (passwordError) {
+    return res.status(400).json({ message: passwordError });
+  }
+
+  const user = await findUserByUsername(cleanUsername);
+  const consumed = user
+    ? await consumeOneTimeCode({ userId: user._id, field: "recoveryCodes", code: recoveryCode })
+    : false;
+  if (!consumed) {
+    return res.status(401).json({ message: "Invalid username or recovery code" });
+  }
+
+  user.passwordHash = await bcrypt.hash(newPassword, PASSWORD_HASH_ROUNDS);
+  user.passwordChangedAt = new Date();
+  await user.save();
+  await revokeUserSessions(user._id);
+
+  const refreshed = await User.findById(user._id).select("recoveryCodes");
+  const recoveryCodesRemaining = countUnusedCodes(refreshed?.recoveryCodes);
+
+  // A recovery code replaces the password, not the second factor.
+  if (user.twoFactorEnabled) {
+    return res.json({
+      twoFactorRequired: true,
+      challengeToken: createTwoFactorChallenge(user),
+      recoveryCodesRemaining
+    });
+  }
+
+  const { token, refreshToken } = await createSession(user, req);
+
+  return res.json({
+    token,
+    refreshToken,
+    recoveryCodesRemaining,
+    user: toAuthUser(user)
+  });
+});
+
+router.post("/refresh", async (req, res) => {
+  if (!process.env.JWT_SECRET) {
+    return res.status(500).json({ message: "Server misconfigured: JWT_SECRET missing" });
+  }
+  const { refreshToken } = req.body || {};
+  if (!refreshToken || typeof refreshToken !== "string") {
+    return res.status(400).json({ message: "refreshToken is required" });
+  }
+
+  const rotated = await rotateSession(refreshToken, req);
+  if (rotated.error) {
+    return res.status(rotated.status).json({ message: rotated.error });
+  }
+
+  const { session, refreshToken: nextRefreshToken } = rotated.value;
+  const user = await User.findById(session.userId).select("_id username");
+  if (!user) {
+    await revokeSession(session._id, session.userId);
+    return res.status(401).json({ message: "User not found" });
+  }
+
+  return res.json({
+    token: signAccessToken(user, session._id),
+    refreshToken: nextRefreshToken
+  });
+});
+
+router.post("/logout", authRequired, async (req, res) => {
+  await revokeSession(req.user.sid, req.user.id);
+  return res.json({ success: true });
+});
+
 export default router;
 
@@ -0,0 +1,89 @@
+// Section Map
+// - Imports and dependencies
+// - Constants/configuration
+// - Helper functions/state handling
+// - Main module logic and exports
+
+import express from "express";
+import mongoose from "mongoose";
+import CallHistory from "../models/CallHistory.js";
+import { authRequired } from "../middleware/auth.js";
+
+const router = express.Router();
+const CALL_PARTY_SELECT = "_id name username avatarUrl";
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const CALL_STATUSES = ["missed", "rejected", "completed"];
+const CALL_TYPES = ["voice", "video"];
+const CALL_DIRECTIONS = ["incoming", "outgoing"];
+
+function isValidId(value) {
+  return mongoose.Types.ObjectId.isValid(String(value || ""));
+}
+
+function parsePositiveInt(value, fallback) {
+  const parsed = Number.parseInt(String(value ?? ""), 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+router.get("/", authRequired, async (req, res) => {
+  const status = String(req.query.status || "").trim();
+  const type = String(req.query.type || "").trim();
+  const direction = String(req.query.direction || "").trim();
+  const withUserId = String(req.query.withUserId || "").trim();
+
+  if (status && !CALL_STATUSES.includes(status)) {
+    return res.status(400).json({ message: "Invalid call status filter" });
+  }
+  if (type && !CALL_TYPES.includes(type)) {
+    return res.status(400).json({ message: "Invalid call type filter" });
+  }
+  if (direction && !CALL_DIRECTIONS.includes(direction)) {
+    return res.status(400).json({ message: "Invalid call direction filter" });
+  }
+  if (withUserId && !isValidId(withUserId)) {
+    return res.status(400).json({ message: "Invalid user id" });
+  }
+
+  const page = parsePositiveInt(req.query.page, 1);
+  const limit = Math.min(MAX_PAGE_SIZE, parsePositiveInt(req.query.limit, DEFAULT_PAGE_SIZE));
+  const me = req.user.id;
+
+  const query = {};
+  if (direction === "incoming") {
+    query.receiver = me;
+    if (withUserId) query.caller = withUserId;
+  } else if (direction === "outgoing") {
+    query.caller = me;
+    if (withUserId) query.receiver = withUserId;
+  } else if (withUserId) {
+    query.$or = [
+      { caller: me, receiver: withUserId },
+      { caller: withUserId, receiver: me }
+    ];
+  } else {
+    query.$or = [{ caller: me }, { receiver: me }];
+  }
+  if (status) query.status = status;
+  if (type) query.type = type;
+
+  const [calls, total] = await Promise.all([
+    CallHistory.find(query)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate("caller", CALL_PARTY_SELECT)
+      .populate("receiver", CALL_PARTY_SELECT),
+    CallHistory.countDocuments(query)
+  ]);
+
+  return res.json({
+    calls,
+    page,
+    limit,
+    total,
+    hasMore: page * limit < total
+  });
+});
+
+export default router;
@@ -8,10 +8,29 @@ import express from "express";
 import mongoose from "mongoose";
 import bcrypt from "bcryptjs";
 import Chat from "../models/Chat.js";
+import ChatInvite from "../models/ChatInvite.js";
 import Message from "../models/Message.js";
+import User from "../models/User.js";
 import { authRequired } from "../middleware/auth.js";
 import { verifyLockPassword } from "../middleware/verifyLockPassword.js";
 import { getIO } from "../socket/index.js";
+import { rekeyGroupChat } from "../services/groupEncryption.js";
+import {
+  getGroupRole,
+  hasGroupRole,
+  planGroupDeparture,
+  removeGroupRole,
+  setGroupRole
+} from "../services/groupRoles.js";
+import { postSystemMessage } from "../services/systemMessages.js";
+import {
+  MAX_ACTIVE_INVITES_PER_CHAT,
+  createInviteToken,
+  describeUnavailableInvite,
+  getInviteUnavailableReason,
+  isInviteToken,
+  parseInviteOptions
+} from "../services/chatInvites.js";
 
 const router = express.Router();
 const CHAT_MEMBER_SELECT = "_id name username publicKeyJwk e2eePublicKeySpkiB64 e2eeKeyVersion about avatarUrl";
@@ -68,7 +87,10 @@ async function enrichChatsWithUnread(chats, userObjectId) {
               chatId: { $in: chatIds },
               senderId: { $ne: userObjectId },
               readBy: { $ne: userObjectId },
-              deletedFor: { $ne: userObjectId }
+              deletedFor: { $ne: userObjectId },
+              type: { $ne: "system" },
+              // Thread replies are surfaced on their root, not in the badge.
+              threadRootId: null
             }
           },
           {
@@ -90,6 +112,123 @@ async function enrichChatsWithUnread(chats, userObjectId) {
   }));
 }
 
+// Re-reads the chat with populated members and broadcasts it to the room.
+async function broadcastChatUpdate(chatId) {
+  const populated = await populateChatById(chatId);
+  const payloadChat = populated?.toObject ? populated.toObject() : populated;
+  try {
+    const io = getIO();
+    io.to(String(chatId)).emit("chat:updated", { chat: payloadChat });
+  } catch (err) {
+    console.error("Socket emit failed (chat:updated):", err.message || err);
+  }
+  return payloadChat;
+}
+
+async function findGroupForMember(chatId, userId, notGroupError) {
+  const chat = await Chat.findById(chatId);
+  if (!chat || !chatHasMember(chat, userId)) {
+    return { status: 404, error: "Chat not found" };
+  }
+  if (chat.type !== "group") {
+    return { status: 400, error: notGroupError };
+  }
+  return { value: chat };
+}
+
+// Live sockets join or leave the chat room as membership changes, so room
+// broadcasts reach exactly the current members.
+async function attachMemberSockets(io, chatId, memberIds) {
+  const added = new Set(memberIds.map(String));
+  const sockets = await io.fetchSockets();
+  for (const socket of sockets) {
+    if (added.has(String(socket.userId))) {
+      socket.join(String(chatId));
+    }
+  }
+}
+
+async function detachMemberSockets(io, chatId, memberId) {
+  const socketsInRoom = await io.in(String(chatId)).fetchSockets();
+  for (const socket of socketsInRoom) {
+    if (String(socket.userId) === String(memberId)) {
+      socket.emit("chat:removed", { chatId: String(chatId) });
+      socket.leave(String(chatId));
+    }
+  }
+}
+
+// Adds members who were checked by the caller, moves their live sockets into
+// the room and tells everyone. Returns the broadcast chat.
+async function addMembersToGroup(chat, memberIds) {
+  chat.members.push(...memberIds);
+  await chat.save();
+
+  try {
+    await attachMemberSockets(getIO(), chat._id, memberIds);
+  } catch (err) {
+    console.error("Socket join failed (chat members added):", err.message || err);
+  }
+  rekeyGroupChat(chat);
+  return broadcastChatUpdate(chat._id);
+}
+
+const INVITE_REQUESTER_SELECT = "_id name username avatarUrl";
+
+async function serializeInvites(chatId) {
+  const invites = await ChatInvite.find({ chatId, revokedAt: null })
+    .sort({ createdAt: -1 })
+    .populate("requests.userId", INVITE_REQUESTER_SELECT);
+  return invites.map((invite) => ({
+    _id: invite._id,
+    token: invite.token,
+    createdBy: invite.createdBy,
+    createdAt: invite.createdAt,
+    expiresAt: invite.expiresAt,
+    maxUses: invite.maxUses,
+    useCount: invite.useCount,
+    requiresApproval: invite.requiresApproval,
+    unavailableReason: getInviteUnavailableReason(invite),
+    requests: invite.requests
+      .filter((request) => request.userId)
+      .map((request) => ({ user: request.userId, requestedAt: request.requestedAt }))
+  }));
+}
+
+// Admin invite lists refresh on this; it carries no invite data because every
+// member is in the room.
+function emitInvitesChanged(chatId) {
+  try {
+    const io = getIO();
+    io.to(String(chatId)).emit("chat:invites-updated", { chatId: String(chatId) });
+  } catch (err) {
+    console.error("Socket emit failed (chat:invites-updated):", err.message || err);
+  }
+}
+
+async function findInviteByToken(token) {
+  if (!isInviteToken(token)) return { status: 404, error: "Invite not found" };
+  const invite = await ChatInvite.findOne({ token });
+  const chat = invite ? await Chat.findById(invite.chatId) : null;
+  if (!invite || !chat || chat.type !== "group") {
+    return { status: 404, error: "Invite not found" };
+  }
+  return { value: { invite, chat } };
+}
+
+// Counts one use against the invite unless another join took the last one.
+async function claimInviteUse(invite) {
+  return ChatInvite.findOneAndUpdate(
+    {
+      _id: invite._id,
+      revokedAt: null,
+      $or: [{ maxUses: null }, { $expr: { $lt: ["$useCount", "$maxUses"] } }]
+    },
+    { $inc: { useCount: 1 } },
+    { new: true }
+  );
+}
+
 async function findMemberChat(chatId, userId, includeLockHash = false) {
   const query = Chat.findOne({ _id: chatId, members: userId });
   if (includeLockHash) {
@@ -171,13 +310,76 @@ router.post("/group", authRequired, async (req, res) => {
     motive: normalizeGroupMotive(motive),
     avatarUrl: avatarValidation.value || "",
     members: unique,
-    createdBy: req.user.id
+    createdBy: req.user.id,
+    memberRoles: [{ userId: req.user.id, role: "owner" }]
   });
 
   const populated = await populateChatById(chat._id);
   return res.json({ chat: populated });
 });
 
+router.get("/invites/:token", authRequired, async (req, res) => {
+  const found = await findInviteByToken(req.params.token);
+  if (found.error) {
+    return res.status(found.status).json({ message: found.error });
+  }
+  const { invite, chat } = found.value;
+  const reason = getInviteUnavailableReason(invite);
+  if (reason) {
+    return res.status(410).json({ message: describeUnavailableInvite(reason) });
+  }
+
+  const isMember = chatHasMember(chat, req.user.id);
+  const isPending = invite.requests.some((request) => String(request.userId) === String(req.user.id));
+  return res.json({
+    chat: {
+      _id: chat._id,
+      name: chat.name,
+      motive: chat.motive,
+      avatarUrl: chat.avatarUrl,
+      memberCount: chat.members.length
+    },
+    invite: { requiresApproval: invite.requiresApproval, expiresAt: invite.expiresAt },
+    status: isMember ? "member" : isPending ? "pending" : "open"
+  });
+});
+
+router.post("/invites/:token/join", authRequired, async (req, res) => {
+  const found = await findInviteByToken(req.params.token);
+  if (found.error) {
+    return res.status(found.status).json({ message: found.error });
+  }
+  const { invite, chat } = found.value;
+  if (chatHasMember(chat, req.user.id)) {
+    return res.json({ status: "member", chatId: String(chat._id) });
+  }
+  const reason = getInviteUnavailableReason(invite);
+  if (reason) {
+    return res.status(410).json({ message: describeUnavailableInvite(reason) });
+  }
+
+  if (invite.requiresApproval) {
+    const isPending = invite.requests.some((request) => String(request.userId) === String(req.user.id));
+    if (!isPending) {
+      await ChatInvite.updateOne(
+        { _id: invite._id, "requests.userId": { $ne: req.user.id } },
+        { $push: { requests: { userId: req.user.id, requestedAt: new Date() } } }
+      );
+      emitInvitesChanged(chat._id);
+    }
+    return res.json({ status: "pending", chatId: String(chat._id) });
+  }
+
+  if (!(await claimInviteUse(invite))) {
+    return res.status(410).json({ message: describeUnavailableInvite("used-up") });
+  }
+  const payloadChat = await addMembersToGroup(chat, [String(req.user.id)]);
+  await postSystemMessage(chat._id, req.user.id, { kind: "member-joined" });
+  emitInvitesChanged(chat._id);
+
+  return res.json({ status: "joined", chat: payloadChat });
+});
+
 router.patch("/:chatId/group-profile", authRequired, async (req, res) => {
   if (!isValidId(req.params.chatId)) {
     return res.status(400).json({ message: "Invalid chat id" });
@@ -191,11 +393,12 @@ router.patch("/:chatId/group-profile", authRequired, async (req, res) => {
   if (chat.type !== "group") {
     return res.status(400).json({ message: "Only group chats can be updated" });
   }
-  if (String(chat.createdBy) !== String(req.user.id)) {
-    return res.status(403).json({ message: "Only group admin can edit group profile" });
+  if (!hasGroupRole(chat, req.user.id, "admin")) {
+    return res.status(403).json({ message: "Only group admins can edit group profile" });
   }
 
   let hasChanges = false;
+  const changedFields = [];
 
   if (name !== undefined) {
     if (typeof name !== "string") {
@@ -205,6 +408,7 @@ router.patch("/:chatId/group-profile", authRequired, async (req, res) => {
     if (!normalized) {
       return res.status(400).json({ message: "Group name cannot be empty" });
     }
+    if (normalized !== chat.name) changedFields.push("name");
     chat.name = normalized;
     hasChanges = true;
   }
@@ -213,7 +417,9 @@ router.patch("/:chatId/group-profile", authRequired, async (req, res) => {
     if (typeof motive !== "string") {
       return res.status(400).json({ message: "motive must be a string" });
     }
-    chat.motive = normalizeGroupMotive(motive);
+    const normalized = normalizeGroupMotive(motive);
+    if (normalized !== chat.motive) changedFields.push("motive");
+    chat.motive = normalized;
     hasChanges = true;
   }
 
@@ -222,7 +428,9 @@ router.patch("/:chatId/group-profile", authRequired, async (req, res) => {
     if (avatarValidation.error) {
       return res.status(400).json({ message: avatarValidation.error });
     }
-    chat.avatarUrl = avatarValidation.value || "";
+    const normalized = avatarValidation.value || "";
+    if (normalized !== chat.avatarUrl) changedFields.push("avatar");
+    chat.avatarUrl = normalized;
     hasChanges = true;
   }
 
@@ -231,17 +439,191 @@ router.patch("/:chatId/group-profile", authRequired, async (req, res) => {
   }
 
   await chat.save();
-  const populated = await populateChatById(chat._id);
-  const payloadChat = populated?.toObject ? populated.toObject() : populated;
+  const payloadChat = await broadcastChatUpdate(chat._id);
+  if (changedFields.length > 0) {
+    await postSystemMessage(chat._id, req.user.id, {
+      kind: "profile-updated",
+      fields: changedFields,
+      name: changedFields.includes("name") ? chat.name : ""
+    });
+  }
+  return res.json({ chat: payloadChat });
+});
+
+router.patch("/:chatId/members/:memberId/role", authRequired, async (req, res) => {
+  const { chatId, memberId } = req.params;
+  if (!isValidId(chatId) || !isValidId(memberId)) {
+    return res.status(400).json({ message: "Invalid chat or member id" });
+  }
+  const role = req.body?.role;
+  if (role !== "admin" && role !== "member") {
+    return res.status(400).json({ message: "role must be admin or member" });
+  }
+
+  const found = await findGroupForMember(chatId, req.user.id, "Only group chats have member roles");
+  if (found.error) {
+    return res.status(found.status).json({ message: found.error });
+  }
+  const chat = found.value;
+  if (!hasGroupRole(chat, req.user.id, "admin")) {
+    return res.status(403).json({ message: "Only group admins can change roles" });
+  }
+  const currentRole = getGroupRole(chat, memberId);
+  if (!currentRole) {
+    return res.status(404).json({ message: "Member not found in this group" });
+  }
+  if (currentRole === "owner") {
+    return res.status(400).json({ message: "Transfer ownership to change the owner's role" });
+  }
+  if (currentRole === "admin" && role === "member" && !hasGroupRole(chat, req.user.id, "owner")) {
+    return res.status(403).json({ message: "Only the group owner can demote admins" });
+  }
+  if (currentRole === role) {
+    return res.status(400).json({ message: `Member is already ${role === "admin" ? "an admin" : "a member"}` });
+  }
+
+  setGroupRole(chat, memberId, role);
+  await chat.save();
+
+  const payloadChat = await broadcastChatUpdate(chat._id);
+  await postSystemMessage(chat._id, req.user.id, { kind: "role-changed", targetIds: [memberId], role });
+  return res.json({ chat: payloadChat });
+});
+
+router.post("/:chatId/owner", authRequired, async (req, res) => {
+  const { chatId } = req.params;
+  const memberId = String(req.body?.memberId || "");
+  if (!isValidId(chatId) || !isValidId(memberId)) {
+    return res.status(400).json({ message: "Invalid chat or member id" });
+  }
+
+  const found = await findGroupForMember(chatId, req.user.id, "Only group chats have an owner");
+  if (found.error) {
+    return res.status(found.status).json({ message: found.error });
+  }
+  const chat = found.value;
+  if (!hasGroupRole(chat, req.user.id, "owner")) {
+    return res.status(403).json({ message: "Only the group owner can transfer ownership" });
+  }
+  if (memberId === String(req.user.id)) {
+    return res.status(400).json({ message: "You already own this group" });
+  }
+  if (!chatHasMember(chat, memberId)) {
+    return res.status(404).json({ message: "Member not found in this group" });
+  }
+
+  // The previous owner stays on as an admin.
+  setGroupRole(chat, memberId, "owner");
+  setGroupRole(chat, req.user.id, "admin");
+  await chat.save();
+
+  const payloadChat = await broadcastChatUpdate(chat._id);
+  await postSystemMessage(chat._id, req.user.id, { kind: "ownership-transferred", targetIds: [memberId] });
+  return res.json({ chat: payloadChat });
+});
+
+router.post("/:chatId/members", authRequired, async (req, res) => {
+  const { chatId } = req.params;
+  if (!isValidId(chatId)) {
+    return res.status(400).json({ message: "Invalid chat id" });
+  }
+  const { memberIds } = req.body || {};
+  if (!Array.isArray(memberIds) || memberIds.length === 0) {
+    return res.status(400).json({ message: "memberIds are required" });
+  }
+  const cleanMemberIds = Array.from(
+    new Set(memberIds.filter((id) => typeof id === "string" && id.trim()).map((id) => id.trim()))
+  );
+  if (cleanMemberIds.length === 0 || cleanMemberIds.some((id) => !isValidId(id))) {
+    return res.status(400).json({ message: "Invalid member id" });
+  }
+
+  const found = await findGroupForMember(chatId, req.user.id, "Only group chats support adding members");
+  if (found.error) {
+    return res.status(found.status).json({ message: found.error });
+  }
+  const chat = found.value;
+  if (!hasGroupRole(chat, req.user.id, "admin")) {
+    return res.status(403).json({ message: "Only group admins can add members" });
+  }
+
+  const newMemberIds = cleanMemberIds.filter((id) => !chatHasMember(chat, id));
+  if (newMemberIds.length === 0) {
+    return res.status(400).json({ message: "Those users are already in this group" });
+  }
+  const newMembers = await User.find({ _id: { $in: newMemberIds } }).select("_id");
+  if (newMembers.length !== newMemberIds.length) {
+    return res.status(404).json({ message: "User not found" });
+  }
+
+  const payloadChat = await addMembersToGroup(chat, newMemberIds);
+
+  await postSystemMessage(chat._id, req.user.id, { kind: "members-added", targetIds: newMemberIds });
+
+  return res.json({ chat: payloadChat, addedMemberIds: newMemberIds });
+});
+
+router.post("/:chatId/leave", authRequired, async (req, res) => {
+  const { chatId } = req.params;
+  if (!isValidId(chatId)) {
+    return res.status(400).json({ message: "Invalid chat id" });
+  }
+
+  const found = await findGroupForMember(chatId, req.user.id, "Only group chats can be left");
+  if (found.error) {
+    return res.status(found.status).json({ message: found.error });
+  }
+  const departure = planGroupDeparture(found.value, req.user.id);
+
+  // Members are pulled atomically so concurrent leaves and joins are not
+  // lost. A handoff also pins the successor's membership, since it rewrites
+  // memberRoles from the copy read above.
+  const filter = { _id: found.value._id, members: req.user.id };
+  const update = { $pull: { members: req.user.id } };
+  if (departure.successorId) {
+    filter.members = { $all: [req.user.id, departure.successorId] };
+    update.$set = { createdBy: departure.createdBy, memberRoles: departure.memberRoles };
+  } else {
+    update.$pull.memberRoles = { userId: req.user.id };
+  }
+  const chat = await Chat.findOneAndUpdate(filter, update, { new: true });
+  if (!chat) {
+    return res.status(409).json({ message: "The group changed while leaving; try again" });
+  }
+
+  // The last member out takes the group and its history with them.
+  if (chat.members.length === 0) {
+    const removed = await Chat.deleteOne({ _id: chat._id, members: { $size: 0 } });
+    if (removed.deletedCount > 0) {
+      await Message.deleteMany({ chatId: chat._id });
+    }
+  }
 
   try {
     const io = getIO();
-    io.to(String(chat._id)).emit("chat:updated", { chat: payloadChat });
+    io.to(String(chat._id)).emit("chat:member-removed", {
+      chatId: String(chat._id),
+      memberId: String(req.user.id),
+      removedBy: req.user.id
+    });
+    await detachMemberSockets(io, chat._id, req.user.id);
   } catch (err) {
-    console.error("Socket emit failed (chat:updated):", err.message || err);
+    console.error("Socket emit failed (chat:member-removed):", err.message || err);
   }
 
-  return res.json({ chat: payloadChat });
+  if (chat.members.length > 0) {
+    rekeyGroupChat(chat);
+    await broadcastChatUpdate(chat._id);
+    if (departure.successorId) {
+      await postSystemMessage(chat._id, req.user.id, {
+        kind: "ownership-transferred",
+        targetIds: [departure.successorId]
+      });
+    }
+    await postSystemMessage(chat._id, req.user.id, { kind: "member-left" });
+  }
+
+  return res.json({ chatId: String(chat._id), left: true });
 });
 
 router.delete("/:chatId/members/:memberId", authRequired, async (req, res) => {
@@ -257,23 +639,28 @@ router.delete("/:chatId/members/:memberId", authRequired, async (req, res) => {
   if (chat.type !== "group") {
     return res.status(400).json({ message: "Only group chats support member removal" });
   }
-  if (String(chat.createdBy) !== String(req.user.id)) {
-    return res.status(403).json({ message: "Only group admin can remove members" });
+  if (!hasGroupRole(chat, req.user.id, "admin")) {
+    return res.status(403).json({ message: "Only group admins can remove members" });
   }
   if (String(memberId) === String(req.user.id)) {
     return res.status(400).json({ message: "Group admin cannot remove self" });
   }
-  if (!chatHasMember(chat, memberId)) {
+  const memberRole = getGroupRole(chat, memberId);
+  if (!memberRole) {
     return res.status(404).json({ message: "Member not found in this group" });
   }
+  if (memberRole === "owner") {
+    return res.status(403).json({ message: "The group owner cannot be removed" });
+  }
+  if (memberRole === "admin" && !hasGroupRole(chat, req.user.id, "owner")) {
+    return res.status(403).json({ message: "Only the group owner can remove admins" });
+  }
 
   chat.members = chat.members.filter((id) => String(id) !== String(memberId));
-
-  if (String(chat.createdBy) === String(memberId) && chat.members.length > 0) {
-    chat.createdBy = chat.members[0];
-  }
+  removeGroupRole(chat, memberId);
 
   await chat.save();
+  rekeyGroupChat(chat);
 
   const populated = await populateChatById(chat._id);
   const payloadChat = populated?.toObject ? populated.toObject() : populated;
@@ -288,20 +675,133 @@ router.delete("/:chatId/members/:memberId", authRequired, async (req, res) => {
     });
     io.to(String(chat._id)).emit("chat:updated", { chat: payloadChat });
 
-    const socketsInRoom = await io.in(String(chat._id)).fetchSockets();
-    for (const socket of socketsInRoom) {
-      if (String(socket.userId) === String(memberId)) {
-        socket.emit("chat:removed", { chatId: String(chat._id) });
-        socket.leave(String(chat._id));
-      }
-    }
+    await detachMemberSockets(io, chat._id, memberId);
   } catch (err) {
     console.error("Socket emit failed (chat:member-removed/chat:updated):", err.message || err);
   }
+  await postSystemMessage(chat._id, req.user.id, { kind: "member-removed", targetIds: [memberId] });
 
   return res.json({ chat: payloadChat, removedMemberId: String(memberId) });
 });
 
+router.get("/:chatId/invites", authRequired, async (req, res) => {
+  if (!isValidId(req.params.chatId)) {
+    return res.status(400).json({ message: "Invalid chat id" });
+  }
+  const found = await findGroupForMember(req.params.chatId, req.user.id, "Only group chats have invite links");
+  if (found.error) {
+    return res.status(found.status).json({ message: found.error });
+  }
+  if (!hasGroupRole(found.value, req.user.id, "admin")) {
+    return res.status(403).json({ message: "Only group admins can manage invite links" });
+  }
+  return res.json({ invites: await serializeInvites(found.value._id) });
+});
+
+router.post("/:chatId/invites", authRequired, async (req, res) => {
+  if (!isValidId(req.params.chatId)) {
+    return res.status(400).json({ message: "Invalid chat id" });
+  }
+  const options = parseInviteOptions(req.body);
+  if (options.error) {
+    return res.status(400).json({ message: options.error });
+  }
+
+  const found = await findGroupForMember(req.params.chatId, req.user.id, "Only group chats have invite links");
+  if (found.error) {
+    return res.status(found.status).json({ message: found.error });
+  }
+  const chat = found.value;
+  if (!hasGroupRole(chat, req.user.id, "admin")) {
+    return res.status(403).json({ message: "Only group admins can manage invite links" });
+  }
+  const activeCount = await ChatInvite.countDocuments({ chatId: chat._id, revokedAt: null });
+  if (activeCount >= MAX_ACTIVE_INVITES_PER_CHAT) {
+    return res.status(400).json({
+      message: `A group can have at most ${MAX_ACTIVE_INVITES_PER_CHAT} invite links. Revoke one first.`
+    });
+  }
+
+  const invite = await ChatInvite.create({
+    chatId: chat._id,
+    token: createInviteToken(),
+    createdBy: req.user.id,
+    ...options.value
+  });
+  emitInvitesChanged(chat._id);
+
+  const invites = await serializeInvites(chat._id);
+  return res.json({ invite: invites.find((entry) => String(entry._id) === String(invite._id)), invites });
+});
+
+router.delete("/:chatId/invites/:inviteId", authRequired, async (req, res) => {
+  const { chatId, inviteId } = req.params;
+  if (!isValidId(chatId) || !isValidId(inviteId)) {
+    return res.status(400).json({ message: "Invalid chat or invite id" });
+  }
+  const found = await findGroupForMember(chatId, req.user.id, "Only group chats have invite links");
+  if (found.error) {
+    return res.status(found.status).json({ message: found.error });
+  }
+  if (!hasGroupRole(found.value, req.user.id, "admin")) {
+    return res.status(403).json({ message: "Only group admins can manage invite links" });
+  }
+
+  const revoked = await ChatInvite.findOneAndUpdate(
+    { _id: inviteId, chatId, revokedAt: null },
+    { $set: { revokedAt: new Date(), requests: [] } }
+  );
+  if (!revoked) {
+    return res.status(404).json({ message: "Invite not found" });
+  }
+  emitInvitesChanged(chatId);
+
+  return res.json({ invites: await serializeInvites(chatId) });
+});
+
+router.post("/:chatId/invites/:inviteId/requests/:userId", authRequired, async (req, res) => {
+  const { chatId, inviteId, userId } = req.params;
+  if (!isValidId(chatId) || !isValidId(inviteId) || !isValidId(userId)) {
+    return res.status(400).json({ message: "Invalid chat, invite or user id" });
+  }
+  const { approve } = req.body || {};
+  if (typeof approve !== "boolean") {
+    return res.status(400).json({ message: "approve must be boolean" });
+  }
+
+  const found = await findGroupForMember(chatId, req.user.id, "Only group chats have invite links");
+  if (found.error) {
+    return res.status(found.status).json({ message: found.error });
+  }
+  const chat = found.value;
+  if (!hasGroupRole(chat, req.user.id, "admin")) {
+    return res.status(403).json({ message: "Only group admins can answer join requests" });
+  }
+  const invite = await ChatInvite.findOne({ _id: inviteId, chatId });
+  if (!invite || !invite.requests.some((request) => String(request.userId) === String(userId))) {
+    return res.status(404).json({ message: "Join request not found" });
+  }
+
+  if (approve && !chatHasMember(chat, userId)) {
+    const reason = getInviteUnavailableReason(invite);
+    if (reason) {
+      return res.status(410).json({ message: describeUnavailableInvite(reason) });
+    }
+    if (!(await claimInviteUse(invite))) {
+      return res.status(410).json({ message: describeUnavailableInvite("used-up") });
+    }
+  }
+  await ChatInvite.updateOne({ _id: invite._id }, { $pull: { requests: { userId } } });
+
+  if (approve && !chatHasMember(chat, userId)) {
+    await addMembersToGroup(chat, [String(userId)]);
+    await postSystemMessage(chat._id, userId, { kind: "member-joined" });
+  }
+  emitInvitesChanged(chat._id);
+
+  return res.json({ invites: await serializeInvites(chat._id) });
+});
+
 router.patch("/:chatId/vanish", authRequired, async (req, res) => {
   if (!isValidId(req.params.chatId)) {
     return res.status(400).json({ message: "Invalid chat id" });
@@ -315,7 +815,11 @@ router.patch("/:chatId/vanish", authRequired, async (req, res) => {
   if (!chat) {
     return res.status(404).json({ message: "Chat not found" });
   }
+  if (chat.type === "group" && !hasGroupRole(chat, req.user.id, "admin")) {
+    return res.status(403).json({ message: "Only group admins can change vanish mode" });
+  }
 
+  const changed = chat.vanishMode !== enabled;
   chat.vanishMode = enabled;
   await chat.save();
 
@@ -329,6 +833,9 @@ router.patch("/:chatId/vanish", authRequired, async (req, res) => {
   } catch (err) {
     console.error("Socket emit failed (chat:vanish):", err.message || err);
   }
+  if (changed) {
+    await postSystemMessage(chat._id, req.user.id, { kind: "vanish-changed", enabled });
+  }
 
   return res.json({ chat: { _id: chat._id, vanishMode: chat.vanishMode } });
 });
@@ -342,8 +849,12 @@ router.patch("/:chatId/pin", authRequired, async (req, res) => {
   if (!chat) {
     return res.status(404).json({ message: "Chat not found" });
   }
+  if (chat.type === "group" && !hasGroupRole(chat, req.user.id, "admin")) {
+    return res.status(403).json({ message: "Only group admins can pin messages" });
+  }
 
   if (!messageId) {
+    const hadPin = Boolean(chat.pinnedMessageId);
     chat.pinnedMessageId = null;
     await chat.save();
     try {
@@ -355,15 +866,19 @@ router.patch("/:chatId/pin", authRequired, async (req, res) => {
     } catch (err) {
       console.error("Socket emit failed (chat:pin):", err.message || err);
     }
+    if (hadPin) {
+      await postSystemMessage(chat._id, req.user.id, { kind: "message-unpinned" });
+    }
     return res.json({ chat: { _id: chat._id, pinnedMessageId: null } });
   }
 
-  const message = await Message.findOne({ _id: messageId, chatId: chat._id })
+  const message = await Message.findOne({ _id: messageId, chatId: chat._id, type: { $ne: "system" } })
     .select("_id senderId type content fileName createdAt");
   if (!message) {
     return res.status(404).json({ message: "Message not found in chat" });
   }
 
+  const alreadyPinned = String(chat.pinnedMessageId || "") === String(message._id);
   chat.pinnedMessageId = message._id;
   await chat.save();
 
@@ -376,6 +891,9 @@ router.patch("/:chatId/pin", authRequired, async (req, res) => {
   } catch (err) {
     console.error("Socket emit failed (chat:pin):", err.message || err);
   }
+  if (!alreadyPinned) {
+    await postSystemMessage(chat._id, req.user.id, { kind: "message-pinned", messageId: message._id });
+  }
 
   return res.json({
     chat: {
@@ -393,6 +911,9 @@ router.post("/:chatId/lock", authRequired, async (req, res) => {
   if (!chat) {
     return res.status(404).json({ message: "Chat not found" });
   }
+  if (chat.type === "group" && !hasGroupRole(chat, req.user.id, "admin")) {
+    return res.status(403).json({ message: "Only group admins can lock this chat" });
+  }
   const passwordDigest = String(req.body?.passwordDigest || "").trim();
   if (!passwordDigest) {
     return res.status(400).json({ message: "passwordDigest is required" });
@@ -428,6 +949,9 @@ router.post("/:chatId/unlock", authRequired, async (req, res, next) => {
   if (!chat) {
     return res.status(404).json({ message: "Chat not found" });
   }
+  if (chat.type === "group" && !hasGroupRole(chat, req.user.id, "admin")) {
+    return res.status(403).json({ message: "Only group admins can unlock this chat" });
+  }
   req.chat = chat;
   return next();
 }, verifyLockPassword, async (req, res) => {
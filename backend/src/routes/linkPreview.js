@@ -0,0 +1,29 @@
+// Section Map
+// - Imports and dependencies
+// - Constants/configuration
+// - Helper functions/state handling
+// - Main module logic and exports
+
+import express from "express";
+import { authRequired } from "../middleware/auth.js";
+import { getLinkPreview } from "../services/linkPreview.js";
+
+const router = express.Router();
+
+// Open Graph preview for a link the caller is about to send. The sender's
+// client embeds the result in the encrypted message, so recipients never
+// contact the linked site and the server never learns which chat it was for.
+router.get("/", authRequired, async (req, res) => {
+  const url = String(req.query.url || "").trim();
+  if (!url) {
+    return res.status(400).json({ message: "url is required" });
+  }
+  const result = await getLinkPreview(url);
+  if (result.error) {
+    return res.status(result.status).json({ message: result.error });
+  }
+  res.setHeader("Cache-Control", "private, max-age=3600");
+  return res.json(result.value);
+});
+
+export default router;
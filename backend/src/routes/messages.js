@@ -11,17 +11,46 @@ import Chat from "../models/Chat.js";
 import Message from "../models/Message.js";
 import { authRequired } from "../middleware/auth.js";
 import { getIO } from "../socket/index.js";
+import { checkRecipientKeyVersions, parseKeyVersion } from "../services/e2eeKeys.js";
+import { serializeMemberKeys, validateGroupMemberKeys } from "../services/groupEncryption.js";
+import { attachUploads } from "../services/uploads.js";
 
 const router = express.Router();
 const MAX_CLOCK_SKEW_MS = 10 * 60 * 1000;
 const MAX_REACTION_EMOJI_LENGTH = 16;
 const MAX_EDIT_WINDOW_MS = 15 * 60 * 1000;
 const MAX_TEXT_MESSAGE_LENGTH = 8000;
+const DEFAULT_HISTORY_PAGE_SIZE = 50;
+const MAX_HISTORY_PAGE_SIZE = 200;
+const THUMBNAIL_FILE_KEY_PATTERN = /^[a-z0-9-]+\.[a-z0-9]{1,10}$/i;
+const BASE64_PATTERN = /^[A-Za-z0-9+/]+={0,2}$/;
+const MAX_THUMBNAIL_IV_LENGTH = 32;
+const MAX_THUMBNAIL_PLACEHOLDER_LENGTH = 8192;
+// Room for a 150 KB inline image once JSON-encoded, encrypted and base64'd.
+const MAX_LINK_PREVIEW_LENGTH = 300 * 1024;
+const MAX_VOICE_NOTE_MS = 30 * 60 * 1000;
+const MAX_VIDEO_MS = 6 * 60 * 60 * 1000;
+const MAX_VIDEO_DIMENSION = 8192;
+const MESSAGE_TYPES = ["text", "image", "file", "audio", "video"];
+const MAX_SEARCH_QUERY_LENGTH = 200;
 
 function isValidId(value) {
   return mongoose.Types.ObjectId.isValid(String(value || ""));
 }
 
+function parseHistoryLimit(rawLimit) {
+  if (rawLimit === undefined || rawLimit === "") return DEFAULT_HISTORY_PAGE_SIZE;
+  const parsed = Number.parseInt(String(rawLimit), 10);
+  if (!Number.isFinite(parsed) || parsed < 1 || parsed > MAX_HISTORY_PAGE_SIZE) return 0;
+  return parsed;
+}
+
+function parseDateFilter(rawValue) {
+  if (rawValue === undefined || rawValue === "") return { value: null };
+  const date = new Date(String(rawValue));
+  return Number.isNaN(date.getTime()) ? { error: true } : { value: date };
+}
+
 function computeIntegrityHash({
   ciphertextB64,
   ivB64,
@@ -31,9 +60,10 @@ function computeIntegrityHash({
   clientTs,
   clientMsgId,
   senderId,
-  receiverId
+  receiverId,
+  memberKeys
 }) {
-  const raw = [
+  const parts = [
     ciphertextB64 || "",
     ivB64 || "",
     wrappedKeyB64 || "",
@@ -43,10 +73,61 @@ function computeIntegrityHash({
     clientMsgId || "",
     String(senderId || ""),
     String(receiverId || "")
-  ].join("|");
+  ];
+  if (Array.isArray(memberKeys) && memberKeys.length > 0) {
+    parts.push(serializeMemberKeys(memberKeys));
+  }
+  const raw = parts.join("|");
   return crypto.createHash("sha256").update(raw).digest("base64");
 }
 
+function isBase64Within(value, maxLength) {
+  return typeof value === "string" && value.length > 0 && value.length <= maxLength && BASE64_PATTERN.test(value);
+}
+
+function isVideoDimension(value) {
+  return Number.isInteger(value) && value >= 1 && value <= MAX_VIDEO_DIMENSION;
+}
+
+// Returns { value } (null when absent) or { error }.
+function normalizeThumbnail(type, thumbnail) {
+  if (thumbnail === undefined || thumbnail === null) return { value: null };
+  if (type !== "image" && type !== "video") {
+    return { error: "Only image messages and videos can carry a thumbnail" };
+  }
+  const fileKey = String(thumbnail?.fileKey || "").trim();
+  if (
+    !THUMBNAIL_FILE_KEY_PATTERN.test(fileKey) ||
+    !isBase64Within(thumbnail.iv, MAX_THUMBNAIL_IV_LENGTH) ||
+    !isBase64Within(thumbnail.placeholderB64, MAX_THUMBNAIL_PLACEHOLDER_LENGTH) ||
+    !isBase64Within(thumbnail.placeholderIv, MAX_THUMBNAIL_IV_LENGTH)
+  ) {
+    return { error: "Invalid thumbnail" };
+  }
+  return {
+    value: {
+      fileKey,
+      iv: thumbnail.iv,
+      placeholderB64: thumbnail.placeholderB64,
+      placeholderIv: thumbnail.placeholderIv
+    }
+  };
+}
+
+function normalizeLinkPreview(type, linkPreview) {
+  if (linkPreview === undefined || linkPreview === null) return { value: null };
+  if (type !== "text") {
+    return { error: "Only text messages can carry a link preview" };
+  }
+  if (
+    !isBase64Within(linkPreview?.ciphertextB64, MAX_LINK_PREVIEW_LENGTH) ||
+    !isBase64Within(linkPreview?.iv, MAX_THUMBNAIL_IV_LENGTH)
+  ) {
+    return { error: "Invalid link preview" };
+  }
+  return { value: { ciphertextB64: linkPreview.ciphertextB64, iv: linkPreview.iv } };
+}
+
 function emitToChat(chatId, eventName, payload) {
   try {
     const io = getIO();
@@ -56,16 +137,47 @@ function emitToChat(chatId, eventName, payload) {
   }
 }
 
+// Recipients whose key versions must be current: every member for groups,
+// the sender/receiver pair for direct chats.
+function listKeyRecipients({ isGroup, memberKeys, senderId, receiverId, senderKeyVersion, receiverKeyVersion }) {
+  if (isGroup) {
+    return memberKeys.map((entry) => ({ userId: entry.userId, keyVersion: entry.keyVersion }));
+  }
+  return [
+    { userId: senderId, keyVersion: senderKeyVersion },
+    { userId: receiverId, keyVersion: receiverKeyVersion }
+  ];
+}
+
+// Recounts a thread's replies onto its root and tells the chat. Counting
+// instead of incrementing keeps the summary right after deletes and purges.
+async function refreshThreadSummary(chatId, rootId) {
+  const [replyCount, lastReply] = await Promise.all([
+    Message.countDocuments({ threadRootId: rootId }),
+    Message.findOne({ threadRootId: rootId }).sort({ createdAt: -1 }).select("createdAt")
+  ]);
+  const lastReplyAt = lastReply?.createdAt || null;
+  await Message.updateOne(
+    { _id: rootId },
+    { $set: { threadReplyCount: replyCount, threadLastReplyAt: lastReplyAt } }
+  );
+  emitToChat(chatId, "thread:updated", {
+    chatId: String(chatId),
+    rootId: String(rootId),
+    replyCount,
+    lastReplyAt
+  });
+}
+
 async function purgeDisappearedMessages(chat) {
   const candidates = await Message.find({
     chatId: chat._id,
     disappearsAfterReadAll: true
-  }).select("_id readBy");
+  }).select("_id readBy threadRootId");
 
   const neededReads = chat.members.length;
-  const messageIds = candidates
-    .filter((m) => (m.readBy || []).length >= neededReads)
-    .map((m) => String(m._id));
+  const purged = candidates.filter((m) => (m.readBy || []).length >= neededReads);
+  const messageIds = purged.map((m) => String(m._id));
 
   if (messageIds.length === 0) return;
 
@@ -84,48 +196,189 @@ async function purgeDisappearedMessages(chat) {
     chatId: String(chat._id),
     messageIds
   });
+
+  const threadRootIds = new Set(purged.filter((m) => m.threadRootId).map((m) => String(m.threadRootId)));
+  for (const rootId of threadRootIds) {
+    if (!messageIds.includes(rootId)) {
+      await refreshThreadSummary(chat._id, rootId);
+    }
+  }
 }
 
+// Searches the messages the server can read into: attachment names (`q`,
+// through the text index) plus chat, sender, type and date filters. Message
+// text is end-to-end encrypted and is searched in the browser instead.
+router.get("/search", authRequired, async (req, res) => {
+  const q = String(req.query.q || "").trim();
+  const chatId = String(req.query.chatId || "").trim();
+  const senderId = String(req.query.senderId || "").trim();
+  const type = String(req.query.type || "").trim();
+  if (q.length > MAX_SEARCH_QUERY_LENGTH) {
+    return res.status(400).json({ message: "Search query is too long" });
+  }
+  if ((chatId && !isValidId(chatId)) || (senderId && !isValidId(senderId))) {
+    return res.status(400).json({ message: "Invalid chat or sender id" });
+  }
+  if (type && !MESSAGE_TYPES.includes(type)) {
+    return res.status(400).json({ message: "Invalid type" });
+  }
+  const from = parseDateFilter(req.query.from);
+  const to = parseDateFilter(req.query.to);
+  if (from.error || to.error) {
+    return res.status(400).json({ message: "Invalid date filter" });
+  }
+  if (!q && !chatId && !senderId && !type && !from.value && !to.value) {
+    return res.status(400).json({ message: "Add a search term or filter" });
+  }
+  const limit = parseHistoryLimit(req.query.limit);
+  if (!limit) {
+    return res.status(400).json({ message: `limit must be between 1 and ${MAX_HISTORY_PAGE_SIZE}` });
+  }
+
+  const chats = await Chat.find({
+    members: req.user.id,
+    ...(chatId ? { _id: chatId } : {})
+  }).select("_id");
+  if (chatId && chats.length === 0) {
+    return res.status(404).json({ message: "Chat not found" });
+  }
+
+  const filter = {
+    chatId: { $in: chats.map((chat) => chat._id) },
+    deletedFor: { $ne: req.user.id }
+  };
+  if (q) filter.$text = { $search: q };
+  if (senderId) filter.senderId = senderId;
+  filter.type = type || { $ne: "system" };
+  if (from.value || to.value) {
+    filter.createdAt = {
+      ...(from.value ? { $gte: from.value } : {}),
+      ...(to.value ? { $lte: to.value } : {})
+    };
+  }
+
+  const page = await Message.find(filter)
+    .sort({ createdAt: -1 })
+    .limit(limit + 1);
+
+  return res.json({
+    messages: page.slice(0, limit),
+    hasMore: page.length > limit
+  });
+});
+
 router.get("/:chatId", authRequired, async (req, res) => {
   if (!isValidId(req.params.chatId)) {
     return res.status(400).json({ message: "Invalid chat id" });
   }
+  const before = String(req.query.before || "").trim();
+  const after = String(req.query.after || "").trim();
+  if (before && after) {
+    return res.status(400).json({ message: "Use either before or after, not both" });
+  }
+  if ((before && !isValidId(before)) || (after && !isValidId(after))) {
+    return res.status(400).json({ message: "Invalid message cursor" });
+  }
+  const limit = parseHistoryLimit(req.query.limit);
+  if (!limit) {
+    return res.status(400).json({ message: `limit must be between 1 and ${MAX_HISTORY_PAGE_SIZE}` });
+  }
+
   const chat = await Chat.findById(req.params.chatId);
   if (!chat || !chat.members.some((m) => String(m) === req.user.id)) {
     return res.status(404).json({ message: "Chat not found" });
   }
 
   await purgeDisappearedMessages(chat);
-  const messages = await Message.find({
+
+  // Thread replies are read in the thread panel, not the main timeline.
+  const visibleFilter = {
     chatId: chat._id,
+    threadRootId: null,
     deletedFor: { $ne: req.user.id }
-  }).sort({ createdAt: 1 });
+  };
 
-  const deliveryResult = await Message.updateMany(
-    {
-      chatId: chat._id,
-      senderId: { $ne: req.user.id },
-      deliveredTo: { $ne: req.user.id }
-    },
-    { $addToSet: { deliveredTo: req.user.id } }
-  );
+  let cursorMessage = null;
+  if (before || after) {
+    cursorMessage = await Message.findOne({ _id: before || after, chatId: chat._id }).select("_id createdAt");
+    if (!cursorMessage) {
+      return res.status(400).json({ message: "Invalid message cursor" });
+    }
+  }
 
-  if ((deliveryResult.modifiedCount || 0) > 0) {
-    const deliveredMessages = messages
-      .filter((m) => String(m.senderId) !== String(req.user.id))
-      .filter((m) => !(m.deliveredTo || []).some((id) => String(id) === String(req.user.id)))
-      .map((m) => String(m._id));
+  // Pages are ordered by { createdAt, _id } so messages sharing a millisecond
+  // keep a fixed order and the cursor's _id clause splits them cleanly.
+  let page;
+  if (after) {
+    page = await Message.find({
+      ...visibleFilter,
+      $or: [
+        { createdAt: { $gt: cursorMessage.createdAt } },
+        { createdAt: cursorMessage.createdAt, _id: { $gt: cursorMessage._id } }
+      ]
+    })
+      .sort({ createdAt: 1, _id: 1 })
+      .limit(limit + 1);
+  } else {
+    const query = cursorMessage
+      ? {
+          ...visibleFilter,
+          $or: [
+            { createdAt: { $lt: cursorMessage.createdAt } },
+            { createdAt: cursorMessage.createdAt, _id: { $lt: cursorMessage._id } }
+          ]
+        }
+      : visibleFilter;
+    page = await Message.find(query)
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(limit + 1);
+  }
 
-    if (deliveredMessages.length > 0) {
-      emitToChat(chat._id, "message:delivered", {
-        chatId: String(chat._id),
-        messageIds: deliveredMessages,
-        userId: req.user.id
-      });
-    }
+  const hasMore = page.length > limit;
+  const messages = page.slice(0, limit);
+  if (!after) {
+    messages.reverse();
   }
 
-  return res.json({ messages });
+  let firstUnreadMessageId = "";
+  if (!before && !after) {
+    const firstUnread = await Message.findOne({
+      ...visibleFilter,
+      senderId: { $ne: req.user.id },
+      readBy: { $ne: req.user.id },
+      type: { $ne: "system" }
+    })
+      .sort({ createdAt: 1 })
+      .select("_id");
+    firstUnreadMessageId = firstUnread ? String(firstUnread._id) : "";
+  }
+
+  const undelivered = await Message.find({
+    chatId: chat._id,
+    senderId: { $ne: req.user.id },
+    deliveredTo: { $ne: req.user.id }
+  }).select("_id");
+
+  if (undelivered.length > 0) {
+    const deliveredMessages = undelivered.map((m) => String(m._id));
+    await Message.updateMany(
+      { _id: { $in: deliveredMessages } },
+      { $addToSet: { deliveredTo: req.user.id } }
+    );
+
+    emitToChat(chat._id, "message:delivered", {
+      chatId: String(chat._id),
+      messageIds: deliveredMessages,
+      userId: req.user.id
+    });
+  }
+
+  return res.json({
+    messages,
+    hasMore,
+    direction: after ? "after" : "before",
+    firstUnreadMessageId
+  });
 });
 
 router.post("/:chatId", authRequired, async (req, res) => {
@@ -151,10 +404,19 @@ router.post("/:chatId", authRequired, async (req, res) => {
       ciphertextB64,
       wrappedKeyB64,
       senderWrappedKeyB64,
+      senderKeyVersion,
+      receiverKeyVersion,
+      memberKeys,
       aadB64,
       clientTs,
       clientMsgId,
-      integrityHash
+      integrityHash,
+      thumbnail,
+      durationMs,
+      width,
+      height,
+      linkPreview,
+      threadRootId
     } = req.body || {};
 
     const chat = await Chat.findById(req.params.chatId);
@@ -162,41 +424,79 @@ router.post("/:chatId", authRequired, async (req, res) => {
       return res.status(404).json({ message: "Chat not found" });
     }
 
-    if (!type || !["text", "image", "file"].includes(type)) {
+    if (!type || !MESSAGE_TYPES.includes(type)) {
       return res.status(400).json({ message: "Invalid type" });
     }
+    if (type === "audio") {
+      if (!String(mimeType || "").toLowerCase().startsWith("audio/")) {
+        return res.status(400).json({ message: "Voice notes must have an audio MIME type" });
+      }
+      if (!Number.isInteger(durationMs) || durationMs < 1 || durationMs > MAX_VOICE_NOTE_MS) {
+        return res.status(400).json({ message: "Invalid voice note duration" });
+      }
+    }
+    // Some containers report no duration until fully read, so 0 is allowed.
+    if (type === "video") {
+      if (!String(mimeType || "").toLowerCase().startsWith("video/")) {
+        return res.status(400).json({ message: "Videos must have a video MIME type" });
+      }
+      if (!Number.isInteger(durationMs) || durationMs < 0 || durationMs > MAX_VIDEO_MS) {
+        return res.status(400).json({ message: "Invalid video duration" });
+      }
+      if (!isVideoDimension(width) || !isVideoDimension(height)) {
+        return res.status(400).json({ message: "Invalid video dimensions" });
+      }
+    }
     if (type === "text" && String(content || "").length > MAX_TEXT_MESSAGE_LENGTH) {
       return res.status(400).json({ message: "Message is too long" });
     }
     if (type !== "text" && !String(fileKey || "").trim()) {
       return res.status(400).json({ message: "fileKey is required for file/image messages" });
     }
-    if (chat.type === "direct" && !Boolean(encrypted)) {
-      return res.status(400).json({ message: "Direct messages must be encrypted" });
+    if (!Boolean(encrypted)) {
+      return res.status(400).json({
+        message: chat.type === "group" ? "Group messages must be encrypted" : "Direct messages must be encrypted"
+      });
+    }
+    const thumbnailResult = normalizeThumbnail(type, thumbnail);
+    if (thumbnailResult.error) {
+      return res.status(400).json({ message: thumbnailResult.error });
+    }
+    const linkPreviewResult = normalizeLinkPreview(type, linkPreview);
+    if (linkPreviewResult.error) {
+      return res.status(400).json({ message: linkPreviewResult.error });
     }
 
     const senderId = String(req.user.id);
+    const isGroup = chat.type === "group";
     const directReceiverId =
       chat.type === "direct" ? String(chat.members.find((m) => String(m) !== senderId) || "") : "";
 
-    const isEncryptedDirect = chat.type === "direct" && Boolean(encrypted);
     const requiresInlineCipher = type === "text";
     const ivValue = ivB64 || iv || "";
-    const cipherValue = ciphertextB64 || (Boolean(encrypted) ? content || "" : "");
-
-    if (isEncryptedDirect) {
-      if (
-        (!requiresInlineCipher && !fileKey) ||
-        (requiresInlineCipher && !cipherValue) ||
-        !wrappedKeyB64 ||
-        !senderWrappedKeyB64 ||
-        !aadB64 ||
-        !clientTs ||
-        !clientMsgId
-      ) {
-        return res.status(400).json({ message: "Missing encrypted payload fields" });
+    const cipherValue = ciphertextB64 || content || "";
+
+    let normalizedMemberKeys = [];
+    if (isGroup) {
+      const memberKeysResult = validateGroupMemberKeys(chat, memberKeys);
+      if (memberKeysResult.error) {
+        return res.status(memberKeysResult.status).json({ message: memberKeysResult.error });
       }
+      normalizedMemberKeys = memberKeysResult.value;
+    }
+
+    if (
+      (!requiresInlineCipher && !fileKey) ||
+      (requiresInlineCipher && !cipherValue) ||
+      (!isGroup && (!wrappedKeyB64 || !senderWrappedKeyB64)) ||
+      !aadB64 ||
+      !clientTs ||
+      !clientMsgId
+    ) {
+      return res.status(400).json({ message: "Missing encrypted payload fields" });
+    }
 
+    if (!isGroup) {
       if (!directReceiverId) {
         return res.status(400).json({ message: "Direct receiver missing" });
       }
@@ -204,30 +504,45 @@ router.post("/:chatId", authRequired, async (req, res) => {
       if (receiverId && String(receiverId) !== directReceiverId) {
         return res.status(400).json({ message: "receiverId mismatch for direct chat" });
       }
+    }
 
-      const ts = Number(clientTs);
-      if (!Number.isFinite(ts) || Math.abs(Date.now() - ts) > MAX_CLOCK_SKEW_MS) {
-        return res.status(400).json({ message: "Invalid message timestamp" });
-      }
-
-      const expectedHash = computeIntegrityHash({
-        ciphertextB64: requiresInlineCipher ? cipherValue : "",
-        ivB64: ivValue,
-        wrappedKeyB64,
-        senderWrappedKeyB64,
-        aadB64,
-        clientTs: ts,
-        clientMsgId,
+    const keyVersionsResult = await checkRecipientKeyVersions(
+      listKeyRecipients({
+        isGroup,
+        memberKeys: normalizedMemberKeys,
         senderId,
-        receiverId: directReceiverId
-      });
+        receiverId: directReceiverId,
+        senderKeyVersion,
+        receiverKeyVersion
+      })
+    );
+    if (keyVersionsResult.error) {
+      return res.status(keyVersionsResult.status).json({ message: keyVersionsResult.error });
+    }
 
-      if (requiresInlineCipher && !integrityHash) {
-        return res.status(400).json({ message: "Integrity hash is required" });
-      }
-      if (integrityHash && integrityHash !== expectedHash) {
-        return res.status(400).json({ message: "Integrity validation failed" });
-      }
+    const ts = Number(clientTs);
+    if (!Number.isFinite(ts) || Math.abs(Date.now() - ts) > MAX_CLOCK_SKEW_MS) {
+      return res.status(400).json({ message: "Invalid message timestamp" });
+    }
+
+    const expectedHash = computeIntegrityHash({
+      ciphertextB64: requiresInlineCipher ? cipherValue : "",
+      ivB64: ivValue,
+      wrappedKeyB64: isGroup ? "" : wrappedKeyB64,
+      senderWrappedKeyB64: isGroup ? "" : senderWrappedKeyB64,
+      aadB64,
+      clientTs: ts,
+      clientMsgId,
+      senderId,
+      receiverId: directReceiverId,
+      memberKeys: normalizedMemberKeys
+    });
+
+    if (requiresInlineCipher && !integrityHash) {
+      return res.status(400).json({ message: "Integrity hash is required" });
+    }
+    if (integrityHash && integrityHash !== expectedHash) {
+      return res.status(400).json({ message: "Integrity validation failed" });
     }
 
     let replyToId = null;
@@ -239,6 +554,35 @@ router.post("/:chatId", authRequired, async (req, res) => {
       replyToId = parent._id;
     }
 
+    // Threads are one level deep: the root must be a main-timeline message.
+    let threadRootObjectId = null;
+    if (threadRootId) {
+      const root = isValidId(threadRootId)
+        ? await Message.findOne({
+            _id: threadRootId,
+            chatId: chat._id,
+            type: { $ne: "system" },
+            threadRootId: null,
+            deletedFor: { $ne: req.user.id }
+          }).select("_id")
+        : null;
+      if (!root) {
+        return res.status(400).json({ message: "Invalid thread root" });
+      }
+      threadRootObjectId = root._id;
+    }
+
+    if (type !== "text") {
+      const fileKeys = [String(fileKey).trim()];
+      if (thumbnailResult.value) {
+        fileKeys.push(thumbnailResult.value.fileKey);
+      }
+      const attachResult = await attachUploads({ fileKeys, ownerId: senderId, chatId: chat._id });
+      if (attachResult.error) {
+        return res.status(attachResult.status).json({ message: attachResult.error });
+      }
+    }
+
     const normalizedSize = Number.isFinite(Number(fileSize))
       ? Number(fileSize)
       : Number.isFinite(Number(size))
@@ -253,17 +597,15 @@ router.post("/:chatId", authRequired, async (req, res) => {
       senderId: req.user.id,
       receiverId: directReceiverId || null,
       type,
-      content:
-        Boolean(encrypted) && type === "text"
-          ? cipherValue
-          : type === "text"
-          ? content || ""
-          : normalizedFileUrl,
-      encrypted: Boolean(encrypted),
+      content: type === "text" ? cipherValue : normalizedFileUrl,
+      encrypted: true,
       iv: ivValue,
       ciphertextB64: type === "text" ? cipherValue || "" : "",
-      wrappedKeyB64: wrappedKeyB64 || "",
-      senderWrappedKeyB64: senderWrappedKeyB64 || "",
+      wrappedKeyB64: isGroup ? "" : wrappedKeyB64 || "",
+      senderWrappedKeyB64: isGroup ? "" : senderWrappedKeyB64 || "",
+      receiverKeyVersion: isGroup ? null : parseKeyVersion(receiverKeyVersion),
+      senderKeyVersion: isGroup ? null : parseKeyVersion(senderKeyVersion),
+      memberKeys: normalizedMemberKeys,
       aadB64: aadB64 || "",
       clientTs: Number(clientTs) || 0,
       clientMsgId: clientMsgId || "",
@@ -274,16 +616,25 @@ router.post("/:chatId", authRequired, async (req, res) => {
       mimeType: mimeType || "",
       size: normalizedSize,
       fileSize: normalizedSize,
+      thumbnail: thumbnailResult.value,
+      linkPreview: linkPreviewResult.value,
+      durationMs: type === "audio" || type === "video" ? durationMs : 0,
+      width: type === "video" ? width : 0,
+      height: type === "video" ? height : 0,
       readBy: [req.user.id],
       deliveredTo: [req.user.id],
       disappearsAfterReadAll: Boolean(chat.vanishMode),
-      replyTo: replyToId
+      replyTo: replyToId,
+      threadRootId: threadRootObjectId
     });
 
     chat.lastMessageAt = new Date();
     await chat.save();
 
     emitToChat(chat._id, "message:new", message);
+    if (threadRootObjectId) {
+      await refreshThreadSummary(chat._id, threadRootObjectId);
+    }
 
     return res.json({ message });
   } catch (err) {
@@ -325,6 +676,93 @@ router.post("/:chatId/read", authRequired, async (req, res) => {
   return res.json({ updated: result.modifiedCount || 0 });
 });
 
+// A thread: its root message and the replies to it, oldest first. Pass a
+// reply id as `after` to page forward.
+router.get("/:messageId/thread", authRequired, async (req, res) => {
+  if (!isValidId(req.params.messageId)) {
+    return res.status(400).json({ message: "Invalid message id" });
+  }
+  const after = String(req.query.after || "").trim();
+  if (after && !isValidId(after)) {
+    return res.status(400).json({ message: "Invalid message cursor" });
+  }
+  const limit = parseHistoryLimit(req.query.limit);
+  if (!limit) {
+    return res.status(400).json({ message: `limit must be between 1 and ${MAX_HISTORY_PAGE_SIZE}` });
+  }
+
+  const root = await Message.findById(req.params.messageId);
+  if (!root || root.threadRootId || (root.deletedFor || []).some((id) => String(id) === req.user.id)) {
+    return res.status(404).json({ message: "Thread not found" });
+  }
+  const chat = await Chat.findById(root.chatId);
+  if (!chat || !chat.members.some((m) => String(m) === req.user.id)) {
+    return res.status(404).json({ message: "Chat not found" });
+  }
+
+  const threadFilter = { threadRootId: root._id, deletedFor: { $ne: req.user.id } };
+  let cursorFilter = {};
+  if (after) {
+    const cursorMessage = await Message.findOne({ _id: after, threadRootId: root._id }).select("_id createdAt");
+    if (!cursorMessage) {
+      return res.status(400).json({ message: "Invalid message cursor" });
+    }
+    cursorFilter = {
+      $or: [
+        { createdAt: { $gt: cursorMessage.createdAt } },
+        { createdAt: cursorMessage.createdAt, _id: { $gt: cursorMessage._id } }
+      ]
+    };
+  }
+
+  const page = await Message.find({ ...threadFilter, ...cursorFilter })
+    .sort({ createdAt: 1, _id: 1 })
+    .limit(limit + 1);
+
+  return res.json({
+    root,
+    replies: page.slice(0, limit),
+    hasMore: page.length > limit
+  });
+});
+
+// Marks a voice note as played by the current user. The sender's own plays are
+// not tracked.
+router.post("/:messageId/played", authRequired, async (req, res) => {
+  if (!isValidId(req.params.messageId)) {
+    return res.status(400).json({ message: "Invalid message id" });
+  }
+  const message = await Message.findById(req.params.messageId).select("_id chatId senderId type playedBy");
+  if (!message) {
+    return res.status(404).json({ message: "Message not found" });
+  }
+  if (message.type !== "audio") {
+    return res.status(400).json({ message: "Only voice notes can be marked as played" });
+  }
+
+  const chat = await Chat.findById(message.chatId).select("_id members");
+  if (!chat || !chat.members.some((m) => String(m) === req.user.id)) {
+    return res.status(404).json({ message: "Chat not found" });
+  }
+  if (String(message.senderId) === String(req.user.id)) {
+    return res.json({ playedBy: message.playedBy || [] });
+  }
+
+  const updated = await Message.findOneAndUpdate(
+    { _id: message._id },
+    { $addToSet: { playedBy: req.user.id, readBy: req.user.id, deliveredTo: req.user.id } },
+    { new: true }
+  ).select("playedBy");
+
+  emitToChat(chat._id, "message:played", {
+    chatId: String(chat._id),
+    messageId: String(message._id),
+    userId: req.user.id
+  });
+
+  return res.json({ playedBy: updated?.playedBy || [] });
+});
+
 router.patch("/:messageId", authRequired, async (req, res) => {
   if (!isValidId(req.params.messageId)) {
     return res.status(400).json({ message: "Invalid message id" });
@@ -363,34 +801,53 @@ router.patch("/:messageId", authRequired, async (req, res) => {
     ciphertextB64,
     wrappedKeyB64,
     senderWrappedKeyB64,
+    senderKeyVersion,
+    receiverKeyVersion,
+    memberKeys,
     aadB64,
     clientTs,
     clientMsgId,
-    integrityHash
+    integrityHash,
+    linkPreview
   } = req.body || {};
 
-  if (chat.type === "direct") {
-    if (!Boolean(encrypted)) {
-      return res.status(400).json({ message: "Direct messages must stay encrypted" });
-    }
-
-    const senderId = String(req.user.id);
-    const directReceiverId =
-      chat.type === "direct" ? String(chat.members.find((m) => String(m) !== senderId) || "") : "";
-    const ivValue = ivB64 || iv || "";
-    const cipherValue = ciphertextB64 || content || "";
+  if (!Boolean(encrypted)) {
+    return res.status(400).json({
+      message: chat.type === "group" ? "Group messages must stay encrypted" : "Direct messages must stay encrypted"
+    });
+  }
+  const linkPreviewResult = normalizeLinkPreview(message.type, linkPreview);
+  if (linkPreviewResult.error) {
+    return res.status(400).json({ message: linkPreviewResult.error });
+  }
 
-    if (
-      !cipherValue ||
-      !wrappedKeyB64 ||
-      !senderWrappedKeyB64 ||
-      !aadB64 ||
-      !clientTs ||
-      !clientMsgId
-    ) {
-      return res.status(400).json({ message: "Missing encrypted payload fields" });
+  const senderId = String(req.user.id);
+  const isGroup = chat.type === "group";
+  const directReceiverId =
+    chat.type === "direct" ? String(chat.members.find((m) => String(m) !== senderId) || "") : "";
+  const ivValue = ivB64 || iv || "";
+  const cipherValue = ciphertextB64 || content || "";
+
+  let normalizedMemberKeys = [];
+  if (isGroup) {
+    const memberKeysResult = validateGroupMemberKeys(chat, memberKeys);
+    if (memberKeysResult.error) {
+      return res.status(memberKeysResult.status).json({ message: memberKeysResult.error });
     }
+    normalizedMemberKeys = memberKeysResult.value;
+  }
 
+  if (
+    !cipherValue ||
+    (!isGroup && (!wrappedKeyB64 || !senderWrappedKeyB64)) ||
+    !aadB64 ||
+    !clientTs ||
+    !clientMsgId
+  ) {
+    return res.status(400).json({ message: "Missing encrypted payload fields" });
+  }
+
+  if (!isGroup) {
     if (!directReceiverId) {
       return res.status(400).json({ message: "Direct receiver missing" });
     }
@@ -398,58 +855,63 @@ router.patch("/:messageId", authRequired, async (req, res) => {
     if (receiverId && String(receiverId) !== directReceiverId) {
       return res.status(400).json({ message: "receiverId mismatch for direct chat" });
     }
+  }
 
-    const ts = Number(clientTs);
-    if (!Number.isFinite(ts) || Math.abs(Date.now() - ts) > MAX_CLOCK_SKEW_MS) {
-      return res.status(400).json({ message: "Invalid message timestamp" });
-    }
-
-    const expectedHash = computeIntegrityHash({
-      ciphertextB64: cipherValue,
-      ivB64: ivValue,
-      wrappedKeyB64,
-      senderWrappedKeyB64,
-      aadB64,
-      clientTs: ts,
-      clientMsgId,
+  const keyVersionsResult = await checkRecipientKeyVersions(
+    listKeyRecipients({
+      isGroup,
+      memberKeys: normalizedMemberKeys,
       senderId,
-      receiverId: directReceiverId
-    });
+      receiverId: directReceiverId,
+      senderKeyVersion,
+      receiverKeyVersion
+    })
+  );
+  if (keyVersionsResult.error) {
+    return res.status(keyVersionsResult.status).json({ message: keyVersionsResult.error });
+  }
 
-    if (!integrityHash) {
-      return res.status(400).json({ message: "Integrity hash is required" });
-    }
-    if (integrityHash !== expectedHash) {
-      return res.status(400).json({ message: "Integrity validation failed" });
-    }
+  const ts = Number(clientTs);
+  if (!Number.isFinite(ts) || Math.abs(Date.now() - ts) > MAX_CLOCK_SKEW_MS) {
+    return res.status(400).json({ message: "Invalid message timestamp" });
+  }
 
-    message.content = cipherValue;
-    message.encrypted = true;
-    message.iv = ivValue;
-    message.ciphertextB64 = cipherValue;
-    message.wrappedKeyB64 = wrappedKeyB64 || "";
-    message.senderWrappedKeyB64 = senderWrappedKeyB64 || "";
-    message.aadB64 = aadB64 || "";
-    message.clientTs = ts;
-    message.clientMsgId = clientMsgId || "";
-    message.integrityHash = integrityHash || "";
-  } else {
-    const nextContent = String(content || "").trim();
-    if (!nextContent) {
-      return res.status(400).json({ message: "Message content is required" });
-    }
-    message.content = nextContent;
-    message.encrypted = false;
-    message.iv = "";
-    message.ciphertextB64 = "";
-    message.wrappedKeyB64 = "";
-    message.senderWrappedKeyB64 = "";
-    message.aadB64 = "";
-    message.clientTs = 0;
-    message.clientMsgId = "";
-    message.integrityHash = "";
+  const expectedHash = computeIntegrityHash({
+    ciphertextB64: cipherValue,
+    ivB64: ivValue,
+    wrappedKeyB64: isGroup ? "" : wrappedKeyB64,
+    senderWrappedKeyB64: isGroup ? "" : senderWrappedKeyB64,
+    aadB64,
+    clientTs: ts,
+    clientMsgId,
+    senderId,
+    receiverId: directReceiverId,
+    memberKeys: normalizedMemberKeys
+  });
+
+  if (!integrityHash) {
+    return res.status(400).json({ message: "Integrity hash is required" });
+  }
+  if (integrityHash !== expectedHash) {
+    return res.status(400).json({ message: "Integrity validation failed" });
   }
 
+  message.content = cipherValue;
+  message.encrypted = true;
+  message.iv = ivValue;
+  message.ciphertextB64 = cipherValue;
+  message.wrappedKeyB64 = isGroup ? "" : wrappedKeyB64 || "";
+  message.senderWrappedKeyB64 = isGroup ? "" : senderWrappedKeyB64 || "";
+  message.receiverKeyVersion = isGroup ? null : parseKeyVersion(receiverKeyVersion);
+  message.senderKeyVersion = isGroup ? null : parseKeyVersion(senderKeyVersion);
+  message.memberKeys = normalizedMemberKeys;
+  message.aadB64 = aadB64 || "";
+  message.clientTs = ts;
+  message.clientMsgId = clientMsgId || "";
+  message.integrityHash = integrityHash || "";
+  // The edit is sealed with a new key, so the old preview could not be opened.
+  message.linkPreview = linkPreviewResult.value;
+
   message.editedAt = new Date();
   await message.save();
 
@@ -474,6 +936,9 @@ router.patch("/:messageId/reaction", authRequired, async (req, res) => {
   if (!message) {
     return res.status(404).json({ message: "Message not found" });
   }
+  if (message.type === "system") {
+    return res.status(400).json({ message: "System messages cannot be reacted to" });
+  }
 
   const chat = await Chat.findById(message.chatId).select("_id members");
   if (!chat || !chat.members.some((m) => String(m) === req.user.id)) {
@@ -543,6 +1008,9 @@ router.delete("/:messageId", authRequired, async (req, res) => {
   }
 
   if (scope === "everyone") {
+    if (message.type === "system") {
+      return res.status(400).json({ message: "System messages can only be deleted for yourself" });
+    }
     if (String(message.senderId) !== String(req.user.id)) {
       return res.status(403).json({ message: "Only sender can delete for everyone" });
     }
@@ -556,11 +1024,19 @@ router.delete("/:messageId", authRequired, async (req, res) => {
       });
     }
 
-    await Message.deleteOne({ _id: message._id });
+    // A root takes its thread with it; a reply updates its root's summary.
+    const replies = message.threadRootId
+      ? []
+      : await Message.find({ threadRootId: message._id }).select("_id");
+    const deletedIds = [message._id, ...replies.map((reply) => reply._id)];
+    await Message.deleteMany({ _id: { $in: deletedIds } });
     emitToChat(chat._id, "message:deleted", {
       chatId: String(chat._id),
-      messageIds: [String(message._id)]
+      messageIds: deletedIds.map(String)
     });
+    if (message.threadRootId) {
+      await refreshThreadSummary(chat._id, message.threadRootId);
+    }
 
     return res.json({ success: true, scope: "everyone" });
   }
@@ -6,19 +6,30 @@
 
 import express from "express";
 import fs from "fs";
+import mongoose from "mongoose";
 import multer from "multer";
 import path from "path";
-import { fileURLToPath } from "url";
 import { v4 as uuid } from "uuid";
 import { authRequired } from "../middleware/auth.js";
+import {
+  MAX_UPLOAD_CHUNK_BYTES,
+  abortUploadSession,
+  appendUploadChunk,
+  canAccessUpload,
+  completeUploadSession,
+  createUploadSession,
+  describeUploadSession,
+  getUploadSession,
+  incomingDir,
+  isPublicUploadReference,
+  recordUpload,
+  screenUploadFile
+} from "../services/uploads.js";
+import { inspectUploadedFile } from "../services/uploadInspection.js";
+import { DOWNLOAD_URL_TTL_SECONDS, storage, verifySignedDownload } from "../services/storage.js";
 
 const router = express.Router();
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-const uploadDir = path.join(__dirname, "..", "..", "uploads");
-fs.mkdirSync(uploadDir, { recursive: true });
-
 const IMAGE_MIME_TYPES = new Set(["image/jpeg", "image/png", "image/webp", "image/gif"]);
 const FILE_MIME_TYPES = new Set([
   "application/pdf",
@@ -59,6 +70,9 @@ const IMAGE_MAX_MB = Math.max(1, Number.parseInt(process.env.IMAGE_UPLOAD_MAX_MB
 const FILE_MAX_MB = Math.max(1, Number.parseInt(process.env.FILE_UPLOAD_MAX_MB || "50", 10) || 50);
 const MAX_UPLOAD_BYTES = Math.max(IMAGE_MAX_MB, FILE_MAX_MB) * 1024 * 1024;
 const SAFE_FILE_KEY_PATTERN = /^[a-z0-9-]+\.[a-z0-9]{1,10}$/i;
+const SHA256_HEX_PATTERN = /^[a-f0-9]{64}$/;
+// Chunked uploads carry ciphertext, so the stored extension says nothing.
+const CHUNKED_UPLOAD_EXTENSION = ".bin";
 
 function getRequestedUploadType(req) {
   const requested = String(req.body?.uploadType || "").trim().toLowerCase();
@@ -82,9 +96,14 @@ function isAllowedFileType(mimeType, extension) {
   return mimeType.startsWith("audio/") || mimeType.startsWith("video/") || mimeType.startsWith("text/");
 }
 
-function validateUploadedFile(req, file) {
-  const extension = path.extname(String(req.body?.originalName || file.originalname || "")).toLowerCase();
-  const originalMimeType = normalizeMimeType(req.body?.originalMimeType || file.mimetype);
+function isValidId(value) {
+  return mongoose.Types.ObjectId.isValid(String(value || ""));
+}
+
+// Shared by single-request and chunked uploads; size is the stored byte count.
+function validateUploadMetadata(req, { fileName, mimeType, size }) {
+  const extension = path.extname(String(fileName || "")).toLowerCase();
+  const originalMimeType = normalizeMimeType(mimeType);
   const uploadType = getRequestedUploadType(req) || (isAllowedImageType(originalMimeType, extension) ? "image" : "file");
   const imageMaxBytes = IMAGE_MAX_MB * 1024 * 1024;
   const fileMaxBytes = FILE_MAX_MB * 1024 * 1024;
@@ -93,7 +112,7 @@ function validateUploadedFile(req, file) {
     if (!isAllowedImageType(originalMimeType, extension)) {
       return { ok: false, message: "Only jpg, jpeg, png, webp and gif images are allowed." };
     }
-    if (file.size > imageMaxBytes) {
+    if (size > imageMaxBytes) {
       return { ok: false, message: `Image size limit is ${IMAGE_MAX_MB}MB.` };
     }
     return { ok: true, uploadType, originalMimeType };
@@ -102,14 +121,33 @@ function validateUploadedFile(req, file) {
   if (!isAllowedFileType(originalMimeType, extension)) {
     return { ok: false, message: "This file type is not allowed." };
   }
-  if (file.size > fileMaxBytes) {
+  if (size > fileMaxBytes) {
     return { ok: false, message: `File size limit is ${FILE_MAX_MB}MB.` };
   }
   return { ok: true, uploadType: "file", originalMimeType };
 }
 
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => cb(null, uploadDir),
+function validateUploadedFile(req, file) {
+  return validateUploadMetadata(req, {
+    fileName: req.body?.originalName || file.originalname,
+    mimeType: req.body?.originalMimeType || file.mimetype,
+    size: file.size
+  });
+}
+
+function formatUploadResponse({ key, fileName, mimeType, size, uploadType }) {
+  return {
+    fileKey: key,
+    fileName,
+    mimeType,
+    size,
+    type: uploadType,
+    url: `/uploads/${key}`
+  };
+}
+
+const incomingStorage = multer.diskStorage({
+  destination: (req, file, cb) => cb(null, incomingDir),
   filename: (req, file, cb) => {
     const ext = path.extname(file.originalname || "");
     const key = `${uuid()}${ext}`;
@@ -118,7 +156,7 @@ const storage = multer.diskStorage({
 });
 
 const upload = multer({
-  storage,
+  storage: incomingStorage,
   limits: { fileSize: MAX_UPLOAD_BYTES }
 });
 
@@ -130,46 +168,279 @@ router.post("/", authRequired, (req, res, next) => {
     }
     return res.status(400).json({ message: err.message || "Invalid upload request" });
   });
-}, (req, res) => {
+}, async (req, res) => {
   const file = req.file;
   if (!file) return res.status(400).json({ message: "File missing" });
 
+  const filePath = path.join(incomingDir, file.filename);
+  const fileName = req.body?.originalName || file.originalname;
   const validation = validateUploadedFile(req, file);
-  if (!validation.ok) {
+  const inspection = validation.ok
+    ? inspectUploadedFile(filePath, {
+        uploadType: validation.uploadType,
+        mimeType: validation.originalMimeType,
+        fileName
+      })
+    : validation;
+  if (!inspection.ok) {
     try {
-      fs.unlinkSync(path.join(uploadDir, file.filename));
+      fs.unlinkSync(filePath);
     } catch {}
+    return res.status(400).json({ message: inspection.message });
+  }
+
+  const screened = await screenUploadFile(filePath, file.filename);
+  if (screened.error) {
+    return res.status(screened.status).json({ message: screened.error });
+  }
+
+  await recordUpload({
+    key: file.filename,
+    sourcePath: filePath,
+    ownerId: req.user.id,
+    uploadType: validation.uploadType,
+    mimeType: validation.originalMimeType || file.mimetype || "",
+    size: inspection.size
+  });
+
+  return res.json(
+    formatUploadResponse({
+      key: file.filename,
+      fileName,
+      mimeType: validation.originalMimeType || file.mimetype,
+      size: inspection.size,
+      uploadType: validation.uploadType
+    })
+  );
+});
+
+// Chunked uploads (tus-like): POST /sessions declares the file and its
+// sha256, PUT /sessions/:uploadId appends the chunk at Upload-Offset, GET
+// reports the offset to resume from, and POST .../complete verifies the
+// checksum and returns the same body as POST /.
+router.post("/sessions", authRequired, async (req, res) => {
+  const fileName = String(req.body?.originalName || "").trim();
+  const size = Number(req.body?.size);
+  const sha256 = String(req.body?.sha256 || "").toLowerCase();
+  if (!fileName || !Number.isInteger(size) || size < 1) {
+    return res.status(400).json({ message: "originalName and size are required" });
+  }
+  if (!SHA256_HEX_PATTERN.test(sha256)) {
+    return res.status(400).json({ message: "sha256 must be a hex SHA-256 digest" });
+  }
+
+  const validation = validateUploadMetadata(req, {
+    fileName,
+    mimeType: req.body?.originalMimeType,
+    size
+  });
+  if (!validation.ok) {
     return res.status(400).json({ message: validation.message });
   }
 
-  return res.json({
-    fileKey: file.filename,
-    fileName: req.body?.originalName || file.originalname,
-    mimeType: validation.originalMimeType || file.mimetype,
-    size: file.size,
-    type: validation.uploadType,
-    url: `/uploads/${file.filename}`
+  const result = await createUploadSession({
+    ownerId: req.user.id,
+    key: `${uuid()}${CHUNKED_UPLOAD_EXTENSION}`,
+    fileName,
+    uploadType: validation.uploadType,
+    mimeType: validation.originalMimeType,
+    size,
+    sha256
   });
+  if (result.error) {
+    return res.status(result.status).json({ message: result.error });
+  }
+  return res.status(201).json(describeUploadSession(result.value));
+});
+
+router.get("/sessions/:uploadId", authRequired, async (req, res) => {
+  if (!isValidId(req.params.uploadId)) {
+    return res.status(400).json({ message: "Invalid upload id" });
+  }
+  const session = await getUploadSession(req.user.id, req.params.uploadId);
+  if (!session) {
+    return res.status(404).json({ message: "Upload not found" });
+  }
+  return res.json(describeUploadSession(session));
+});
+
+router.put(
+  "/sessions/:uploadId",
+  authRequired,
+  express.raw({ type: "application/octet-stream", limit: MAX_UPLOAD_CHUNK_BYTES }),
+  async (req, res) => {
+    if (!isValidId(req.params.uploadId)) {
+      return res.status(400).json({ message: "Invalid upload id" });
+    }
+    const offset = Number(req.get("Upload-Offset"));
+    if (!Number.isInteger(offset) || offset < 0) {
+      return res.status(400).json({ message: "Upload-Offset header is required" });
+    }
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({ message: "Chunk body must be application/octet-stream" });
+    }
+
+    const result = await appendUploadChunk(req.user.id, req.params.uploadId, offset, req.body);
+    if (result.error) {
+      return res.status(result.status).json({ message: result.error, offset: result.offset });
+    }
+    return res.json(describeUploadSession(result.value));
+  }
+);
+
+router.post("/sessions/:uploadId/complete", authRequired, async (req, res) => {
+  if (!isValidId(req.params.uploadId)) {
+    return res.status(400).json({ message: "Invalid upload id" });
+  }
+  const result = await completeUploadSession(req.user.id, req.params.uploadId);
+  if (result.error) {
+    return res.status(result.status).json({ message: result.error });
+  }
+  const { upload: stored, fileName } = result.value;
+  return res.json(
+    formatUploadResponse({
+      key: stored.key,
+      fileName,
+      mimeType: stored.mimeType,
+      size: stored.size,
+      uploadType: stored.uploadType
+    })
+  );
+});
+
+router.delete("/sessions/:uploadId", authRequired, async (req, res) => {
+  if (!isValidId(req.params.uploadId)) {
+    return res.status(400).json({ message: "Invalid upload id" });
+  }
+  const removed = await abortUploadSession(req.user.id, req.params.uploadId);
+  if (!removed) {
+    return res.status(404).json({ message: "Upload not found" });
+  }
+  return res.json({ success: true });
 });
 
-router.get("/:fileKey", authRequired, (req, res) => {
-  const fileKey = String(req.params.fileKey || "").trim();
+function checkFileKey(fileKey) {
   if (!SAFE_FILE_KEY_PATTERN.test(fileKey)) {
-    return res.status(400).json({ message: "Invalid file key" });
+    return { status: 400, error: "Invalid file key" };
+  }
+  return { value: fileKey };
+}
+
+// Parses a single "bytes=" range against the file size. Returns null to
+// send the whole file (no header, or several ranges) and { error } when the
+// range lies outside the file.
+function parseByteRange(header, size) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(String(header || "").trim());
+  if (!match || (!match[1] && !match[2])) return null;
+  let start;
+  let end;
+  if (!match[1]) {
+    start = Math.max(0, size - Number(match[2]));
+    end = size - 1;
+  } else {
+    start = Number(match[1]);
+    end = match[2] ? Math.min(Number(match[2]), size - 1) : size - 1;
   }
-  const filePath = path.resolve(uploadDir, fileKey);
-  if (!filePath.startsWith(path.resolve(uploadDir))) {
-    return res.status(400).json({ message: "Invalid file path" });
+  if (start > end || start >= size) {
+    return { error: true };
   }
-  if (!fs.existsSync(filePath)) {
+  return { start, end };
+}
+
+// Streams a stored file, honouring Range so video can seek and large
+// downloads can resume.
+async function sendStoredFile(req, res, fileKey) {
+  const info = await storage.stat(fileKey);
+  if (!info) {
     return res.status(404).json({ message: "File not found" });
   }
-  return res.sendFile(filePath, (err) => {
-    if (err) {
-      return res.status(404).end();
-    }
-  });
+  const range = req.headers.range && Number.isFinite(info.size) ? parseByteRange(req.headers.range, info.size) : null;
+  if (range?.error) {
+    res.setHeader("Content-Range", `bytes */${info.size}`);
+    return res.status(416).json({ message: "Requested range is not satisfiable" });
+  }
+
+  const file = await storage.openReadStream(fileKey, range);
+  if (!file) {
+    return res.status(404).json({ message: "File not found" });
+  }
+  res.setHeader("Accept-Ranges", "bytes");
+  res.setHeader("Content-Type", file.contentType);
+  if (range) {
+    res.status(206);
+    res.setHeader("Content-Range", `bytes ${range.start}-${range.end}/${info.size}`);
+  }
+  if (file.size !== null) {
+    res.setHeader("Content-Length", String(file.size));
+  }
+  file.stream.on("error", () => res.destroy());
+  return file.stream.pipe(res);
+}
+
+// Target of the expiring URLs handed out by GET /:fileKey/url when files are
+// stored locally. The signature stands in for the session, so no auth header.
+router.get("/signed/:fileKey", async (req, res) => {
+  const checked = checkFileKey(String(req.params.fileKey || "").trim());
+  if (checked.error) {
+    return res.status(checked.status).json({ message: checked.error });
+  }
+  if (!verifySignedDownload(checked.value, req.query.expires, req.query.signature)) {
+    return res.status(403).json({ message: "Download link is invalid or has expired" });
+  }
+  return sendStoredFile(req, res, checked.value);
 });
 
-export default router;
+// Attachments are only served to members of the chat they were attached to,
+// or to their owner before that. The bytes are ciphertext either way; this
+// keeps file keys from being usable as bearer links.
+router.get("/:fileKey", authRequired, async (req, res) => {
+  const checked = checkFileKey(String(req.params.fileKey || "").trim());
+  if (checked.error) {
+    return res.status(checked.status).json({ message: checked.error });
+  }
 
+  if (!(await canAccessUpload(req.user.id, checked.value))) {
+    return res.status(404).json({ message: "File not found" });
+  }
+
+  return sendStoredFile(req, res, checked.value);
+});
+
+// Same access rule, but returns a short-lived URL so the bytes come straight
+// from storage (S3) instead of through this server.
+router.get("/:fileKey/url", authRequired, async (req, res) => {
+  const checked = checkFileKey(String(req.params.fileKey || "").trim());
+  if (checked.error) {
+    return res.status(checked.status).json({ message: checked.error });
+  }
+
+  if (!(await canAccessUpload(req.user.id, checked.value))) {
+    return res.status(404).json({ message: "File not found" });
+  }
+
+  const url = await storage.getDownloadUrl(checked.value, { expiresIn: DOWNLOAD_URL_TTL_SECONDS });
+  return res.json({ url, expiresAt: new Date(Date.now() + DOWNLOAD_URL_TTL_SECONDS * 1000) });
+});
+
+// Public counterpart for profile pictures, group avatars and custom emoji,
+// which are rendered through plain <img> tags. Only files referenced by one of
+// those are served; message attachments are not. With external storage the
+// browser is redirected to a signed URL.
+export async function servePublicUpload(req, res) {
+  const checked = checkFileKey(String(req.params.fileKey || "").trim());
+  if (checked.error) {
+    return res.status(checked.status).json({ message: checked.error });
+  }
+
+  if (!(await isPublicUploadReference(checked.value))) {
+    return res.status(404).json({ message: "File not found" });
+  }
+
+  if (storage.externalDownloads) {
+    const url = await storage.getDownloadUrl(checked.value, { expiresIn: DOWNLOAD_URL_TTL_SECONDS });
+    return res.redirect(302, url);
+  }
+  return sendStoredFile(req, res, checked.value);
+}
+
+export default router;
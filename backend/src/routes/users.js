@@ -5,17 +5,259 @@
 // - Main module logic and exports
 
 import express from "express";
+import bcrypt from "bcryptjs";
+import mongoose from "mongoose";
 import User from "../models/User.js";
 import Chat from "../models/Chat.js";
 import Message from "../models/Message.js";
 import ChatRequest from "../models/ChatRequest.js";
+import Session from "../models/Session.js";
+import PreKeyBundle from "../models/PreKeyBundle.js";
 import { authRequired } from "../middleware/auth.js";
+import { getKeyHistory, setCurrentPublicKey } from "../services/e2eeKeys.js";
+import { rekeyGroupChat } from "../services/groupEncryption.js";
+import { planGroupDeparture } from "../services/groupRoles.js";
+import {
+  MAX_ONE_TIME_PREKEYS,
+  claimPreKeyBundle,
+  describePreKeyBundle,
+  validateOneTimePreKeys,
+  validatePreKeyBundle,
+  validateSignedPreKey
+} from "../services/preKeys.js";
+import { countUnusedCodes, generateOneTimeCodes } from "../services/oneTimeCodes.js";
+import { PASSWORD_HASH_ROUNDS, validateNewPassword } from "../services/passwordPolicy.js";
+import {
+  disconnectSessionSockets,
+  listActiveSessions,
+  revokeSession,
+  revokeUserSessions
+} from "../services/sessions.js";
+import {
+  buildOtpauthQrDataUrl,
+  buildOtpauthUri,
+  findTotpStep,
+  generateTotpSecret,
+  verifyTwoFactorCode
+} from "../services/twoFactor.js";
 
 const router = express.Router();
 
+function isValidId(value) {
+  return mongoose.Types.ObjectId.isValid(String(value || ""));
+}
+
+const KEY_BACKUP_VERSION = 1;
+const KEY_BACKUP_MIN_ITERATIONS = 100000;
+const KEY_BACKUP_MAX_ITERATIONS = 5000000;
+// Room for the current key plus the retired ones kept after rotations.
+const KEY_BACKUP_MAX_CIPHERTEXT_LENGTH = 300000;
+const BASE64_REGEX = /^[A-Za-z0-9+/]+={0,2}$/;
+
+function isBase64Within(value, maxLength) {
+  return typeof value === "string" && value.length > 0 && value.length <= maxLength && BASE64_REGEX.test(value);
+}
+
+// Checks the shape of a client-built key backup. Returns { value } or { error }.
+function validateKeyBackup(body) {
+  const backup = body || {};
+  const iterations = Number(backup.iterations);
+  if (Number(backup.version) !== KEY_BACKUP_VERSION || backup.kdf !== "PBKDF2" || backup.kdfHash !== "SHA-256") {
+    return { error: "Unsupported key backup format" };
+  }
+  if (!Number.isInteger(iterations) || iterations < KEY_BACKUP_MIN_ITERATIONS || iterations > KEY_BACKUP_MAX_ITERATIONS) {
+    return { error: `iterations must be between ${KEY_BACKUP_MIN_ITERATIONS} and ${KEY_BACKUP_MAX_ITERATIONS}` };
+  }
+  if (
+    !isBase64Within(backup.saltB64, 64) ||
+    !isBase64Within(backup.ivB64, 32) ||
+    !isBase64Within(backup.ciphertextB64, KEY_BACKUP_MAX_CIPHERTEXT_LENGTH) ||
+    !isBase64Within(backup.publicSpkiB64, 4096)
+  ) {
+    return { error: "Invalid key backup payload" };
+  }
+  return {
+    value: {
+      version: KEY_BACKUP_VERSION,
+      kdf: backup.kdf,
+      kdfHash: backup.kdfHash,
+      iterations,
+      saltB64: backup.saltB64,
+      ivB64: backup.ivB64,
+      ciphertextB64: backup.ciphertextB64,
+      publicSpkiB64: backup.publicSpkiB64,
+      updatedAt: new Date()
+    }
+  };
+}
+
+// Sensitive account changes re-check the password so a hijacked session alone
+// cannot make them. Returns { user } or { status, error }.
+async function findUserWithPassword(userId, password, select = "") {
+  if (!password) {
+    return { status: 400, error: "currentPassword is required" };
+  }
+  const user = await User.findById(userId).select(`_id passwordHash ${select}`.trim());
+  if (!user) {
+    return { status: 404, error: "User not found" };
+  }
+  const ok = await bcrypt.compare(String(password), user.passwordHash);
+  if (!ok) {
+    return { status: 401, error: "Current password is incorrect" };
+  }
+  return { user };
+}
+
 router.get("/me", authRequired, async (req, res) => {
-  const user = await User.findById(req.user.id).select("_id name username publicKeyJwk e2eePublicKeySpkiB64 e2eeKeyVersion about avatarUrl");
-  return res.json({ user });
+  const user = await User.findById(req.user.id).select("_id name username publicKeyJwk e2eePublicKeySpkiB64 e2eeKeyVersion about avatarUrl recoveryCodes twoFactorEnabled twoFactorBackupCodes e2eeKeyBackup.updatedAt");
+  if (!user) {
+    return res.status(404).json({ message: "User not found" });
+  }
+  const { recoveryCodes, twoFactorBackupCodes, e2eeKeyBackup, ...profile } = user.toObject();
+  return res.json({
+    user: {
+      ...profile,
+      keyBackupUpdatedAt: e2eeKeyBackup?.updatedAt || null,
+      recoveryCodesRemaining: countUnusedCodes(recoveryCodes),
+      twoFactorBackupCodesRemaining: countUnusedCodes(twoFactorBackupCodes)
+    }
+  });
+});
+
+router.patch("/me/password", authRequired, async (req, res) => {
+  const { currentPassword, newPassword } = req.body || {};
+  if (!currentPassword || !newPassword) {
+    return res.status(400).json({ message: "currentPassword and newPassword are required" });
+  }
+  const passwordError = validateNewPassword(newPassword);
+  if (passwordError) {
+    return res.status(400).json({ message: passwordError });
+  }
+  if (currentPassword === newPassword) {
+    return res.status(400).json({ message: "New password must be different from the current password" });
+  }
+
+  const checked = await findUserWithPassword(req.user.id, currentPassword);
+  if (checked.error) {
+    return res.status(checked.status).json({ message: checked.error });
+  }
+
+  const { user } = checked;
+  user.passwordHash = await bcrypt.hash(newPassword, PASSWORD_HASH_ROUNDS);
+  user.passwordChangedAt = new Date();
+  await user.save();
+
+  // Tokens issued before the change stop working; this device stays signed in.
+  const revokedSessions = await revokeUserSessions(user._id, { exceptSessionId: req.user.sid });
+  return res.json({ success: true, revokedSessions });
+});
+
+// Replaces all recovery codes.
+router.post("/me/recovery-codes", authRequired, async (req, res) => {
+  const checked = await findUserWithPassword(req.user.id, req.body?.currentPassword);
+  if (checked.error) {
+    return res.status(checked.status).json({ message: checked.error });
+  }
+
+  const recovery = generateOneTimeCodes();
+  await User.updateOne({ _id: checked.user._id }, { $set: { recoveryCodes: recovery.entries } });
+  return res.json({ recoveryCodes: recovery.codes });
+});
+
+// Starts TOTP enrolment. The secret stays pending until /me/2fa/enable proves
+// the authenticator app produces matching codes.
+router.post("/me/2fa/setup", authRequired, async (req, res) => {
+  const checked = await findUserWithPassword(
+    req.user.id,
+    req.body?.currentPassword,
+    "username twoFactorEnabled"
+  );
+  if (checked.error) {
+    return res.status(checked.status).json({ message: checked.error });
+  }
+  if (checked.user.twoFactorEnabled) {
+    return res.status(409).json({ message: "Two-factor authentication is already enabled" });
+  }
+
+  const secret = generateTotpSecret();
+  await User.updateOne({ _id: checked.user._id }, { $set: { twoFactorPendingSecret: secret } });
+
+  const otpauthUri = buildOtpauthUri({ secret, accountName: checked.user.username });
+  const qrDataUrl = await buildOtpauthQrDataUrl(otpauthUri);
+  return res.json({ secret, otpauthUri, qrDataUrl });
+});
+
+router.post("/me/2fa/enable", authRequired, async (req, res) => {
+  const { code } = req.body || {};
+  if (!code || typeof code !== "string") {
+    return res.status(400).json({ message: "code is required" });
+  }
+
+  const user = await User.findById(req.user.id).select("_id twoFactorEnabled +twoFactorPendingSecret");
+  if (!user) {
+    return res.status(404).json({ message: "User not found" });
+  }
+  if (user.twoFactorEnabled) {
+    return res.status(409).json({ message: "Two-factor authentication is already enabled" });
+  }
+  if (!user.twoFactorPendingSecret) {
+    return res.status(400).json({ message: "Start two-factor setup first" });
+  }
+
+  const step = findTotpStep(user.twoFactorPendingSecret, code);
+  if (step === null) {
+    return res.status(400).json({ message: "Invalid authentication code" });
+  }
+
+  const backup = generateOneTimeCodes();
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $set: {
+        twoFactorEnabled: true,
+        twoFactorSecret: user.twoFactorPendingSecret,
+        twoFactorPendingSecret: "",
+        twoFactorLastUsedStep: step,
+        twoFactorBackupCodes: backup.entries
+      }
+    }
+  );
+  return res.json({ success: true, backupCodes: backup.codes });
+});
+
+router.delete("/me/2fa", authRequired, async (req, res) => {
+  const { currentPassword, code } = req.body || {};
+  if (!code || typeof code !== "string") {
+    return res.status(400).json({ message: "code is required" });
+  }
+  const checked = await findUserWithPassword(
+    req.user.id,
+    currentPassword,
+    "twoFactorEnabled twoFactorLastUsedStep +twoFactorSecret"
+  );
+  if (checked.error) {
+    return res.status(checked.status).json({ message: checked.error });
+  }
+  if (!checked.user.twoFactorEnabled) {
+    return res.status(400).json({ message: "Two-factor authentication is not enabled" });
+  }
+  if (!(await verifyTwoFactorCode(checked.user, code))) {
+    return res.status(401).json({ message: "Invalid authentication code" });
+  }
+
+  await User.updateOne(
+    { _id: checked.user._id },
+    {
+      $set: {
+        twoFactorEnabled: false,
+        twoFactorSecret: "",
+        twoFactorPendingSecret: "",
+        twoFactorLastUsedStep: null,
+        twoFactorBackupCodes: []
+      }
+    }
+  );
+  return res.json({ success: true });
 });
 
 router.get("/", authRequired, async (req, res) => {
@@ -42,23 +284,153 @@ router.patch("/me/key", authRequired, async (req, res) => {
   return res.json({ user });
 });
 
+router.get("/me/e2ee-keys", authRequired, async (req, res) => {
+  const user = await getKeyHistory(req.user.id);
+  if (!user) {
+    return res.status(404).json({ message: "User not found" });
+  }
+  return res.json({
+    current: { version: user.e2eeKeyVersion || 1, publicSpkiB64: user.e2eePublicKeySpkiB64 || "" },
+    history: user.e2eeKeyHistory || []
+  });
+});
+
 router.patch("/me/e2ee-key", authRequired, async (req, res) => {
   const { e2eePublicKeySpkiB64 } = req.body || {};
   if (!e2eePublicKeySpkiB64 || typeof e2eePublicKeySpkiB64 !== "string") {
     return res.status(400).json({ message: "e2eePublicKeySpkiB64 is required" });
   }
 
-  const user = await User.findByIdAndUpdate(
-    req.user.id,
-    { e2eePublicKeySpkiB64: e2eePublicKeySpkiB64.trim() },
-    { new: true }
-  ).select("_id name username publicKeyJwk e2eePublicKeySpkiB64 e2eeKeyVersion about avatarUrl");
+  const nextSpkiB64 = e2eePublicKeySpkiB64.trim();
+  if (!isBase64Within(nextSpkiB64, 4096)) {
+    return res.status(400).json({ message: "Invalid e2eePublicKeySpkiB64" });
+  }
+
+  const result = await setCurrentPublicKey(req.user.id, nextSpkiB64);
+  if (result.error) {
+    return res.status(result.status).json({ message: result.error });
+  }
+
+  // A backup of a different key would restore an identity nobody encrypts to.
+  await User.updateOne(
+    { _id: req.user.id, "e2eeKeyBackup.publicSpkiB64": { $ne: nextSpkiB64 } },
+    { $set: { e2eeKeyBackup: null } }
+  );
+
+  const user = await User.findById(req.user.id).select(
+    "_id name username publicKeyJwk e2eePublicKeySpkiB64 e2eeKeyVersion about avatarUrl"
+  );
+  return res.json({ user, rotated: result.value.rotated });
+});
+
+router.get("/me/key-backup", authRequired, async (req, res) => {
+  const user = await User.findById(req.user.id).select("_id e2eeKeyBackup");
+  if (!user) {
+    return res.status(404).json({ message: "User not found" });
+  }
+  if (!user.e2eeKeyBackup) {
+    return res.status(404).json({ message: "No key backup" });
+  }
+  return res.json({ backup: user.e2eeKeyBackup });
+});
 
+router.put("/me/key-backup", authRequired, async (req, res) => {
+  const validated = validateKeyBackup(req.body);
+  if (validated.error) {
+    return res.status(400).json({ message: validated.error });
+  }
+
+  const user = await User.findById(req.user.id).select("_id e2eePublicKeySpkiB64");
   if (!user) {
     return res.status(404).json({ message: "User not found" });
   }
+  if (validated.value.publicSpkiB64 !== user.e2eePublicKeySpkiB64) {
+    return res.status(409).json({ message: "Backup does not match your current encryption key" });
+  }
 
-  return res.json({ user });
+  await User.updateOne({ _id: user._id }, { $set: { e2eeKeyBackup: validated.value } });
+  return res.json({ success: true, updatedAt: validated.value.updatedAt });
+});
+
+router.delete("/me/key-backup", authRequired, async (req, res) => {
+  await User.updateOne({ _id: req.user.id }, { $set: { e2eeKeyBackup: null } });
+  return res.json({ success: true });
+});
+
+router.get("/me/prekeys", authRequired, async (req, res) => {
+  const bundle = await PreKeyBundle.findOne({ userId: req.user.id }).lean();
+  return res.json(describePreKeyBundle(bundle));
+});
+
+// Publishing a bundle replaces the previous one, including its unused
+// one-time prekeys, because their private halves belong to the old identity.
+router.put("/me/prekeys", authRequired, async (req, res) => {
+  const validated = validatePreKeyBundle(req.body);
+  if (validated.error) {
+    return res.status(400).json({ message: validated.error });
+  }
+
+  const bundle = await PreKeyBundle.findOneAndUpdate(
+    { userId: req.user.id },
+    { $set: { userId: req.user.id, ...validated.value } },
+    { new: true, upsert: true }
+  ).lean();
+  return res.json(describePreKeyBundle(bundle));
+});
+
+router.put("/me/prekeys/signed", authRequired, async (req, res) => {
+  const validated = validateSignedPreKey(req.body?.signedPreKey);
+  if (validated.error) {
+    return res.status(400).json({ message: validated.error });
+  }
+
+  const bundle = await PreKeyBundle.findOneAndUpdate(
+    { userId: req.user.id },
+    { $set: { signedPreKey: validated.value } },
+    { new: true }
+  ).lean();
+  if (!bundle) {
+    return res.status(404).json({ message: "No prekey bundle" });
+  }
+  return res.json(describePreKeyBundle(bundle));
+});
+
+router.post("/me/prekeys/one-time", authRequired, async (req, res) => {
+  const validated = validateOneTimePreKeys(req.body?.oneTimePreKeys);
+  if (validated.error) {
+    return res.status(400).json({ message: validated.error });
+  }
+
+  const bundle = await PreKeyBundle.findOneAndUpdate(
+    { userId: req.user.id },
+    { $push: { oneTimePreKeys: { $each: validated.value, $slice: -MAX_ONE_TIME_PREKEYS } } },
+    { new: true }
+  ).lean();
+  if (!bundle) {
+    return res.status(404).json({ message: "No prekey bundle" });
+  }
+  return res.json(describePreKeyBundle(bundle));
+});
+
+router.delete("/me/prekeys", authRequired, async (req, res) => {
+  await PreKeyBundle.deleteOne({ userId: req.user.id });
+  return res.json(describePreKeyBundle(null));
+});
+
+router.get("/:userId/prekeys", authRequired, async (req, res) => {
+  const ownerId = String(req.params.userId || "");
+  if (!isValidId(ownerId)) {
+    return res.status(400).json({ message: "Invalid user id" });
+  }
+  if (ownerId === String(req.user.id)) {
+    return res.status(400).json({ message: "Cannot claim your own prekeys" });
+  }
+
+  const result = await claimPreKeyBundle(req.user.id, ownerId);
+  if (result.error) {
+    return res.status(result.status).json({ message: result.error });
+  }
+  return res.json({ bundle: result.value });
 });
 
 router.patch("/me/about", authRequired, async (req, res) => {
@@ -105,6 +477,35 @@ router.patch("/me/avatar", authRequired, async (req, res) => {
   return res.json({ user });
 });
 
+router.get("/me/sessions", authRequired, async (req, res) => {
+  const sessions = await listActiveSessions(req.user.id);
+  return res.json({
+    sessions: sessions.map((session) => ({
+      id: String(session._id),
+      userAgent: session.userAgent || "",
+      ip: session.ip || "",
+      createdAt: session.createdAt,
+      lastUsedAt: session.lastUsedAt,
+      expiresAt: session.expiresAt,
+      current: String(session._id) === String(req.user.sid)
+    }))
+  });
+});
+
+router.delete("/me/sessions/:sessionId", authRequired, async (req, res) => {
+  const { sessionId } = req.params;
+  if (!isValidId(sessionId)) {
+    return res.status(400).json({ message: "Invalid session id" });
+  }
+
+  const revoked = await revokeSession(sessionId, req.user.id);
+  if (!revoked) {
+    return res.status(404).json({ message: "Session not found" });
+  }
+
+  return res.json({ success: true, current: String(sessionId) === String(req.user.sid) });
+});
+
 router.delete("/me", authRequired, async (req, res) => {
   try {
     const userId = req.user.id;
@@ -114,7 +515,7 @@ router.delete("/me", authRequired, async (req, res) => {
       return res.status(404).json({ message: "User not found" });
     }
 
-    const chats = await Chat.find({ members: userId }).select("_id type members createdBy");
+    const chats = await Chat.find({ members: userId }).select("_id type members createdBy memberRoles");
     const directChatIds = chats
       .filter((chat) => chat.type === "direct")
       .map((chat) => chat._id);
@@ -134,11 +535,13 @@ router.delete("/me", authRequired, async (req, res) => {
         continue;
       }
 
-      const update = { members: remainingMembers };
-      if (String(chat.createdBy) === String(userId)) {
-        update.createdBy = remainingMembers[0];
+      const departure = planGroupDeparture(chat, userId);
+      const update = { members: remainingMembers, memberRoles: departure.memberRoles };
+      if (departure.successorId) {
+        update.createdBy = departure.createdBy;
       }
       await Chat.updateOne({ _id: chat._id }, update);
+      rekeyGroupChat({ _id: chat._id, members: remainingMembers });
     }
 
     await ChatRequest.deleteMany({
@@ -146,6 +549,10 @@ router.delete("/me", authRequired, async (req, res) => {
     });
 
     await Message.deleteMany({ senderId: userId });
+    const sessions = await Session.find({ userId }).select("_id");
+    await Session.deleteMany({ userId });
+    await PreKeyBundle.deleteOne({ userId });
+    sessions.forEach((session) => disconnectSessionSockets(session._id));
     await User.deleteOne({ _id: userId });
 
     return res.json({ success: true });
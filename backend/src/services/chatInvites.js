@@ -0,0 +1,63 @@
+// Section Map
+// - Imports and dependencies
+// - Constants/configuration
+// - Helper functions/state handling
+// - Main module logic and exports
+
+import crypto from "crypto";
+
+export const MAX_INVITE_EXPIRY_HOURS = 30 * 24;
+export const MAX_INVITE_USES = 1000;
+export const MAX_ACTIVE_INVITES_PER_CHAT = 20;
+const INVITE_TOKEN_PATTERN = /^[A-Za-z0-9_-]{16,64}$/;
+
+const UNAVAILABLE_MESSAGES = {
+  revoked: "This invite link has been revoked",
+  expired: "This invite link has expired",
+  "used-up": "This invite link has reached its usage limit"
+};
+
+export function createInviteToken() {
+  return crypto.randomBytes(18).toString("base64url");
+}
+
+export function isInviteToken(value) {
+  return INVITE_TOKEN_PATTERN.test(String(value || ""));
+}
+
+// Returns "" for a usable invite, otherwise why it cannot be used.
+export function getInviteUnavailableReason(invite, now = new Date()) {
+  if (invite.revokedAt) return "revoked";
+  if (invite.expiresAt && new Date(invite.expiresAt) <= now) return "expired";
+  if (invite.maxUses && invite.useCount >= invite.maxUses) return "used-up";
+  return "";
+}
+
+export function describeUnavailableInvite(reason) {
+  return UNAVAILABLE_MESSAGES[reason] || "This invite link cannot be used";
+}
+
+// Parses { expiresInHours, maxUses, requiresApproval } from an invite request.
+// Omitted or null limits mean "never expires" and "unlimited".
+// Returns { value } or { error }.
+export function parseInviteOptions(body, now = new Date()) {
+  const { expiresInHours = null, maxUses = null, requiresApproval = false } = body || {};
+
+  let expiresAt = null;
+  if (expiresInHours !== null) {
+    const hours = Number(expiresInHours);
+    if (!Number.isFinite(hours) || hours <= 0 || hours > MAX_INVITE_EXPIRY_HOURS) {
+      return { error: `expiresInHours must be between 1 and ${MAX_INVITE_EXPIRY_HOURS}` };
+    }
+    expiresAt = new Date(now.getTime() + hours * 60 * 60 * 1000);
+  }
+
+  if (maxUses !== null && (!Number.isInteger(maxUses) || maxUses < 1 || maxUses > MAX_INVITE_USES)) {
+    return { error: `maxUses must be a whole number between 1 and ${MAX_INVITE_USES}` };
+  }
+  if (typeof requiresApproval !== "boolean") {
+    return { error: "requiresApproval must be boolean" };
+  }
+
+  return { value: { expiresAt, maxUses, requiresApproval } };
+}
@@ -0,0 +1,83 @@
+// Section Map
+// - Imports and dependencies
+// - Constants/configuration
+// - Helper functions/state handling
+// - Main module logic and exports
+
+import User from "../models/User.js";
+
+const MAX_KEY_HISTORY = 50;
+
+// Returns a positive integer key version, or 0 when the value is not one.
+export function parseKeyVersion(value) {
+  const parsed = Number(value);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : 0;
+}
+
+// Every wrapped copy of a message key names the recipient key version it was
+// made for. Wrapping for anything but the current key would leave the message
+// readable only by a retired key, so stale senders get a 409 and refresh.
+// Returns { value } or { status, error }.
+export async function checkRecipientKeyVersions(recipients) {
+  if (recipients.some((recipient) => !parseKeyVersion(recipient.keyVersion))) {
+    return { status: 400, error: "A key version is required for every recipient" };
+  }
+
+  const userIds = recipients.map((recipient) => String(recipient.userId));
+  const users = await User.find({ _id: { $in: userIds } }).select("_id e2eeKeyVersion").lean();
+  const currentVersions = new Map(users.map((entry) => [String(entry._id), entry.e2eeKeyVersion || 1]));
+  const stale = recipients.some(
+    (recipient) => currentVersions.get(String(recipient.userId)) !== parseKeyVersion(recipient.keyVersion)
+  );
+  if (stale) {
+    return { status: 409, error: "Encryption keys changed. Refresh the chat and send again." };
+  }
+
+  return { value: true };
+}
+
+export async function getKeyHistory(userId) {
+  return User.findById(userId).select("_id e2eePublicKeySpkiB64 e2eeKeyVersion e2eeKeyHistory").lean();
+}
+
+// Makes nextSpkiB64 the user's current key. Replacing an existing key retires
+// it into e2eeKeyHistory and bumps e2eeKeyVersion; the first upload keeps
+// version 1. A retired key cannot be made current again.
+// Returns { value: { user, rotated } } or { status, error }.
+export async function setCurrentPublicKey(userId, nextSpkiB64) {
+  const user = await getKeyHistory(userId);
+  if (!user) {
+    return { status: 404, error: "User not found" };
+  }
+  if (user.e2eePublicKeySpkiB64 === nextSpkiB64) {
+    return { value: { user, rotated: false } };
+  }
+  if ((user.e2eeKeyHistory || []).some((entry) => entry.publicSpkiB64 === nextSpkiB64)) {
+    return { status: 409, error: "This encryption key was retired. Use your current key or create a new one." };
+  }
+
+  const currentVersion = user.e2eeKeyVersion || 1;
+  const update = { $set: { e2eePublicKeySpkiB64: nextSpkiB64 } };
+  if (user.e2eePublicKeySpkiB64) {
+    update.$set.e2eeKeyVersion = currentVersion + 1;
+    update.$push = {
+      e2eeKeyHistory: {
+        $each: [{ version: currentVersion, publicSpkiB64: user.e2eePublicKeySpkiB64, retiredAt: new Date() }],
+        $slice: -MAX_KEY_HISTORY
+      }
+    };
+  }
+
+  // Conditional on the key we read so two concurrent rotations cannot both
+  // retire the same version.
+  const updated = await User.findOneAndUpdate(
+    { _id: user._id, e2eePublicKeySpkiB64: user.e2eePublicKeySpkiB64, e2eeKeyVersion: user.e2eeKeyVersion ?? null },
+    update,
+    { new: true }
+  ).select("_id e2eePublicKeySpkiB64 e2eeKeyVersion");
+  if (!updated) {
+    return { status: 409, error: "Encryption key changed on another device. Reload and try again." };
+  }
+
+  return { value: { user: updated, rotated: Boolean(user.e2eePublicKeySpkiB64) } };
+}
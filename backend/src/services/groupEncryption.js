@@ -0,0 +1,69 @@
+// Section Map
+// - Imports and dependencies
+// - Constants/configuration
+// - Helper functions/state handling
+// - Main module logic and exports
+
+import { getIO } from "../socket/index.js";
+import { parseKeyVersion } from "./e2eeKeys.js";
+
+const MAX_WRAPPED_KEY_LENGTH = 4096;
+
+// Group messages carry one RSA-wrapped copy of the message AES key per member.
+// The set of wrapped keys must match the current membership exactly so removed
+// members never receive new keys and newly added members are never skipped.
+export function validateGroupMemberKeys(chat, memberKeys) {
+  if (!Array.isArray(memberKeys) || memberKeys.length === 0) {
+    return { status: 400, error: "memberKeys are required for group messages" };
+  }
+
+  const normalized = [];
+  const seen = new Set();
+  for (const entry of memberKeys) {
+    const userId = String(entry?.userId || "");
+    const wrappedKeyB64 = typeof entry?.wrappedKeyB64 === "string" ? entry.wrappedKeyB64 : "";
+    if (!userId || !wrappedKeyB64 || wrappedKeyB64.length > MAX_WRAPPED_KEY_LENGTH) {
+      return { status: 400, error: "Invalid memberKeys entry" };
+    }
+    if (seen.has(userId)) {
+      return { status: 400, error: "Duplicate memberKeys entry" };
+    }
+    seen.add(userId);
+    normalized.push({ userId, wrappedKeyB64, keyVersion: parseKeyVersion(entry?.keyVersion) || null });
+  }
+
+  const memberIds = (chat?.members || []).map((memberId) => String(memberId));
+  const coversMembers =
+    memberIds.length === normalized.length && memberIds.every((memberId) => seen.has(memberId));
+  if (!coversMembers) {
+    return {
+      status: 409,
+      error: "Group members changed. Refresh the chat and send again."
+    };
+  }
+
+  return { value: normalized };
+}
+
+// Canonical form shared with the client integrity hash (sorted by user id).
+export function serializeMemberKeys(memberKeys) {
+  return [...(memberKeys || [])]
+    .map((entry) => `${String(entry.userId)}:${entry.wrappedKeyB64}`)
+    .sort()
+    .join(",");
+}
+
+// Called whenever group membership changes. Every message already carries its
+// own key, so "rekeying" means clients must refresh the member list before
+// encrypting again; validateGroupMemberKeys rejects anything stale.
+export function rekeyGroupChat(chat) {
+  try {
+    const io = getIO();
+    io.to(String(chat._id)).emit("chat:rekey", {
+      chatId: String(chat._id),
+      memberIds: (chat.members || []).map((memberId) => String(memberId?._id || memberId))
+    });
+  } catch (err) {
+    console.error("Socket emit failed (chat:rekey):", err.message || err);
+  }
+}
@@ -0,0 +1,78 @@
+// Section Map
+// - Imports and dependencies
+// - Constants/configuration
+// - Helper functions/state handling
+// - Main module logic and exports
+
+export const GROUP_ROLES = ["owner", "admin", "member"];
+
+const ROLE_RANK = { owner: 3, admin: 2, member: 1 };
+
+// Only owners and admins are stored in memberRoles; everyone else in
+// chat.members is a plain member. Groups created before roles existed have no
+// owner entry, so their creator is treated as the owner.
+export function getGroupRole(chat, userId) {
+  const id = String(userId || "");
+  if (!(chat?.members || []).some((memberId) => String(memberId) === id)) return null;
+
+  const roles = chat?.memberRoles || [];
+  const entry = roles.find((item) => String(item.userId) === id);
+  if (entry) return entry.role;
+
+  const hasOwner = roles.some((item) => item.role === "owner");
+  if (!hasOwner && String(chat?.createdBy || "") === id) return "owner";
+  return "member";
+}
+
+export function hasGroupRole(chat, userId, minimumRole) {
+  const role = getGroupRole(chat, userId);
+  return Boolean(role) && ROLE_RANK[role] >= ROLE_RANK[minimumRole];
+}
+
+function getGroupOwnerId(chat) {
+  const ownerId = (chat?.members || []).find((memberId) => getGroupRole(chat, memberId) === "owner");
+  return ownerId ? String(ownerId) : "";
+}
+
+// Rewrites memberRoles with `userId` set to `role`. The legacy creator
+// fallback is written out explicitly first so it survives the change.
+export function setGroupRole(chat, userId, role) {
+  const ownerId = getGroupOwnerId(chat);
+  const roles = (chat.memberRoles || [])
+    .map((item) => ({ userId: item.userId, role: item.role }))
+    .filter((item) => String(item.userId) !== String(userId));
+  if (ownerId && ownerId !== String(userId) && !roles.some((item) => item.role === "owner")) {
+    roles.push({ userId: ownerId, role: "owner" });
+  }
+  if (role !== "member") {
+    roles.push({ userId, role });
+  }
+  chat.memberRoles = roles;
+}
+
+export function removeGroupRole(chat, userId) {
+  chat.memberRoles = (chat.memberRoles || []).filter((item) => String(item.userId) !== String(userId));
+}
+
+// Works out the group left behind when `userId` leaves it. A departing owner
+// (or legacy creator) hands the group to the next remaining member, who
+// becomes createdBy and owner; `successorId` is empty when nobody takes over.
+export function planGroupDeparture(chat, userId) {
+  const id = String(userId);
+  const members = (chat.members || []).filter((memberId) => String(memberId) !== id);
+  const wasOwner = getGroupRole(chat, id) === "owner";
+  const handsOver = members.length > 0 && (wasOwner || String(chat.createdBy) === id);
+  const next = {
+    members,
+    createdBy: handsOver ? members[0] : chat.createdBy,
+    memberRoles: chat.memberRoles
+  };
+
+  // A departing owner's role entry would otherwise block the createdBy
+  // fallback and leave the group without anyone able to manage it.
+  removeGroupRole(next, id);
+  if (wasOwner && handsOver) {
+    setGroupRole(next, next.createdBy, "owner");
+  }
+  return { ...next, successorId: handsOver ? String(next.createdBy) : "" };
+}
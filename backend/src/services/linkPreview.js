@@ -0,0 +1,312 @@
+// Section Map
+// - Imports and dependencies
+// - Constants/configuration
+// - Helper functions/state handling
+// - Main module logic and exports
+
+import dns from "dns";
+import http from "http";
+import https from "https";
+import net from "net";
+
+const FETCH_TIMEOUT_MS = 5000;
+const MAX_REDIRECTS = 3;
+// The <head> is all that is parsed, so the rest of a large page is dropped.
+const MAX_HTML_BYTES = 512 * 1024;
+// Preview images travel inside the sender's encrypted message, so they are
+// inlined as data URLs and kept small.
+const MAX_IMAGE_BYTES = 150 * 1024;
+const IMAGE_TYPES = new Set(["image/jpeg", "image/png", "image/webp", "image/gif"]);
+const ALLOWED_PORTS = new Set(["", "80", "443"]);
+const MAX_URL_LENGTH = 2048;
+const CACHE_TTL_MS = 60 * 60 * 1000;
+const FAILURE_CACHE_TTL_MS = 10 * 60 * 1000;
+const MAX_CACHE_ENTRIES = 500;
+const USER_AGENT = "SecureChat-LinkPreview/1.0";
+
+// Loopback, private, link-local, CGNAT, documentation, multicast and other
+// reserved ranges. Previews are only fetched from public addresses.
+const blockedAddresses = new net.BlockList();
+for (const [prefix, bits] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.0.2.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["198.51.100.0", 24],
+  ["203.0.113.0", 24],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4]
+]) {
+  blockedAddresses.addSubnet(prefix, bits, "ipv4");
+}
+for (const [prefix, bits] of [
+  ["::", 128],
+  ["::1", 128],
+  ["64:ff9b::", 96],
+  ["100::", 64],
+  ["2001:db8::", 32],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8]
+]) {
+  blockedAddresses.addSubnet(prefix, bits, "ipv6");
+}
+
+const cache = new Map();
+
+function previewError(status, message) {
+  return Object.assign(new Error(message), { status });
+}
+
+export function isPublicAddress(address) {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(String(address || ""));
+  const value = mapped ? mapped[1] : String(address || "");
+  const family = net.isIP(value);
+  if (!family) return false;
+  return !blockedAddresses.check(value, family === 4 ? "ipv4" : "ipv6");
+}
+
+function parsePreviewUrl(rawUrl) {
+  let url;
+  try {
+    url = new URL(String(rawUrl || "").trim());
+  } catch {
+    throw previewError(400, "Invalid URL");
+  }
+  if (!["http:", "https:"].includes(url.protocol) || url.username || url.password) {
+    throw previewError(400, "Only plain http and https links can be previewed");
+  }
+  if (!ALLOWED_PORTS.has(url.port)) {
+    throw previewError(400, "Links on non-standard ports are not previewed");
+  }
+  if (url.href.length > MAX_URL_LENGTH) {
+    throw previewError(400, "URL is too long");
+  }
+  url.hash = "";
+  return url;
+}
+
+// Resolves once and connects to that exact address, so a second DNS answer
+// cannot swap in a private one after the check.
+async function resolvePublicAddress(hostname) {
+  const host = hostname.replace(/^\[|\]$/g, "");
+  const addresses = net.isIP(host)
+    ? [{ address: host, family: net.isIP(host) }]
+    : await dns.promises.lookup(host, { all: true }).catch(() => []);
+  if (!addresses.length) {
+    throw previewError(422, "Link host could not be resolved");
+  }
+  if (!addresses.every((entry) => isPublicAddress(entry.address))) {
+    throw previewError(400, "Links to private addresses are not previewed");
+  }
+  return addresses[0];
+}
+
+async function requestOnce(url, { accept, maxBytes, truncate }) {
+  const { address, family } = await resolvePublicAddress(url.hostname);
+  const client = url.protocol === "https:" ? https : http;
+
+  return new Promise((resolve, reject) => {
+    const req = client.request(
+      url,
+      {
+        method: "GET",
+        headers: { "User-Agent": USER_AGENT, Accept: accept },
+        lookup: (hostname, options, callback) =>
+          options?.all ? callback(null, [{ address, family }]) : callback(null, address, family)
+      },
+      (res) => {
+        if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
+          res.resume();
+          return resolve({ redirect: new URL(res.headers.location, url) });
+        }
+        if (res.statusCode !== 200) {
+          res.resume();
+          return reject(previewError(422, `Link returned HTTP ${res.statusCode}`));
+        }
+
+        const chunks = [];
+        let received = 0;
+        res.on("data", (chunk) => {
+          received += chunk.length;
+          if (received <= maxBytes) {
+            chunks.push(chunk);
+            return;
+          }
+          res.destroy();
+          if (truncate) {
+            resolve({ headers: res.headers, body: Buffer.concat(chunks) });
+          } else {
+            reject(previewError(422, "Linked file is too large"));
+          }
+        });
+        res.on("end", () => resolve({ headers: res.headers, body: Buffer.concat(chunks) }));
+        res.on("error", reject);
+      }
+    );
+    req.setTimeout(FETCH_TIMEOUT_MS, () => req.destroy(previewError(422, "Link took too long to respond")));
+    req.on("error", (err) => reject(err.status ? err : previewError(422, "Link could not be fetched")));
+    req.end();
+  });
+}
+
+async function guardedFetch(startUrl, options) {
+  let url = startUrl;
+  for (let hop = 0; hop <= MAX_REDIRECTS; hop += 1) {
+    const result = await requestOnce(url, options);
+    if (!result.redirect) {
+      return { url, ...result };
+    }
+    url = parsePreviewUrl(result.redirect.href);
+  }
+  throw previewError(422, "Link redirects too many times");
+}
+
+function decodeEntities(value) {
+  return String(value || "")
+    .replace(/&#x([0-9a-f]+);/gi, (match, hex) => safeFromCodePoint(Number.parseInt(hex, 16), match))
+    .replace(/&#(\d+);/g, (match, dec) => safeFromCodePoint(Number.parseInt(dec, 10), match))
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&apos;/g, "'")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&nbsp;/g, " ")
+    .replace(/&amp;/g, "&");
+}
+
+function safeFromCodePoint(codePoint, fallback) {
+  try {
+    return String.fromCodePoint(codePoint);
+  } catch {
+    return fallback;
+  }
+}
+
+function cleanText(value, maxLength) {
+  return decodeEntities(value).replace(/\s+/g, " ").trim().slice(0, maxLength);
+}
+
+function parseAttributes(tag) {
+  const attributes = {};
+  const pattern = /([a-zA-Z_:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/g;
+  let match;
+  while ((match = pattern.exec(tag))) {
+    attributes[match[1].toLowerCase()] = match[2] ?? match[3] ?? match[4] ?? "";
+  }
+  return attributes;
+}
+
+// Reads Open Graph (falling back to Twitter card and plain HTML) metadata
+// from a page. Returns { url, title, description, siteName, imageUrl }.
+export function parseOpenGraph(html, pageUrl) {
+  const head = String(html || "").split(/<\/head\s*>/i)[0];
+  const meta = Object.create(null);
+  for (const tag of head.match(/<meta\b[^>]*>/gi) || []) {
+    const attributes = parseAttributes(tag);
+    const key = String(attributes.property || attributes.name || "").toLowerCase();
+    if (key && attributes.content !== undefined && meta[key] === undefined) {
+      meta[key] = attributes.content;
+    }
+  }
+  const titleTag = /<title\b[^>]*>([\s\S]*?)<\/title>/i.exec(head);
+
+  let imageUrl = "";
+  const rawImage = meta["og:image"] || meta["og:image:url"] || meta["twitter:image"] || "";
+  if (rawImage) {
+    try {
+      const resolved = new URL(decodeEntities(rawImage), pageUrl);
+      if (["http:", "https:"].includes(resolved.protocol)) imageUrl = resolved.href;
+    } catch {}
+  }
+
+  return {
+    url: String(pageUrl),
+    title: cleanText(meta["og:title"] || meta["twitter:title"] || titleTag?.[1], 200),
+    description: cleanText(meta["og:description"] || meta["twitter:description"] || meta.description, 300),
+    siteName: cleanText(meta["og:site_name"], 100) || new URL(pageUrl).hostname,
+    imageUrl
+  };
+}
+
+async function fetchPreviewImage(imageUrl) {
+  const { headers, body } = await guardedFetch(parsePreviewUrl(imageUrl), {
+    accept: "image/*",
+    maxBytes: MAX_IMAGE_BYTES,
+    truncate: false
+  });
+  const type = String(headers["content-type"] || "").split(";")[0].trim().toLowerCase();
+  if (!IMAGE_TYPES.has(type)) return "";
+  return `data:${type};base64,${body.toString("base64")}`;
+}
+
+function readCache(key) {
+  const entry = cache.get(key);
+  if (!entry) return null;
+  if (entry.expiresAt < Date.now()) {
+    cache.delete(key);
+    return null;
+  }
+  return entry.result;
+}
+
+function writeCache(key, result, ttlMs) {
+  cache.delete(key);
+  cache.set(key, { result, expiresAt: Date.now() + ttlMs });
+  while (cache.size > MAX_CACHE_ENTRIES) {
+    cache.delete(cache.keys().next().value);
+  }
+}
+
+async function buildPreview(url) {
+  const page = await guardedFetch(url, {
+    accept: "text/html,application/xhtml+xml",
+    maxBytes: MAX_HTML_BYTES,
+    truncate: true
+  });
+  const type = String(page.headers["content-type"] || "").split(";")[0].trim().toLowerCase();
+  if (type !== "text/html" && type !== "application/xhtml+xml") {
+    throw previewError(422, "Link is not a web page");
+  }
+  const preview = parseOpenGraph(page.body.toString("utf8"), page.url.href);
+  if (!preview.title && !preview.description) {
+    throw previewError(422, "Page has no preview metadata");
+  }
+  const imageDataUrl = preview.imageUrl ? await fetchPreviewImage(preview.imageUrl).catch(() => "") : "";
+  return {
+    url: url.href,
+    title: preview.title,
+    description: preview.description,
+    siteName: preview.siteName,
+    imageDataUrl
+  };
+}
+
+// Fetches (or returns the cached) preview for a URL: { value } with
+// { url, title, description, siteName, imageDataUrl }, or { status, error }.
+// Failures are cached too, for a shorter time.
+export async function getLinkPreview(rawUrl) {
+  let url;
+  try {
+    url = parsePreviewUrl(rawUrl);
+  } catch (err) {
+    return { status: err.status, error: err.message };
+  }
+
+  const cached = readCache(url.href);
+  if (cached) return cached;
+
+  let result;
+  try {
+    result = { value: await buildPreview(url) };
+  } catch (err) {
+    result = { status: err.status || 422, error: err.status ? err.message : "Link could not be previewed" };
+  }
+  writeCache(url.href, result, result.value ? CACHE_TTL_MS : FAILURE_CACHE_TTL_MS);
+  return result;
+}
@@ -0,0 +1,60 @@
+// Section Map
+// - Imports and dependencies
+// - Constants/configuration
+// - Helper functions/state handling
+// - Main module logic and exports
+
+import crypto from "crypto";
+import User from "../models/User.js";
+
+// Crockford-style alphabet without 0/O and 1/I/L so codes survive being
+// copied by hand from paper.
+const CODE_ALPHABET = "ABCDEFGHJKMNPQRSTUVWXYZ23456789";
+const CODE_GROUPS = 2;
+const CODE_GROUP_LENGTH = 5;
+export const RECOVERY_CODE_COUNT = 10;
+
+function randomGroup() {
+  let group = "";
+  for (let i = 0; i < CODE_GROUP_LENGTH; i += 1) {
+    group += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+  }
+  return group;
+}
+
+export function normalizeOneTimeCode(code) {
+  return String(code || "")
+    .toUpperCase()
+    .replace(/[^A-Z0-9]/g, "");
+}
+
+// Codes carry ~50 bits of randomness, so a plain sha256 is enough; bcrypt
+// would make checking a list of ten noticeably slow.
+export function hashOneTimeCode(code) {
+  return crypto.createHash("sha256").update(normalizeOneTimeCode(code)).digest("hex");
+}
+
+// Returns the plaintext codes (shown to the user once) and the entries to store.
+export function generateOneTimeCodes(count = RECOVERY_CODE_COUNT) {
+  const codes = Array.from({ length: count }, () =>
+    Array.from({ length: CODE_GROUPS }, randomGroup).join("-")
+  );
+  const entries = codes.map((code) => ({ codeHash: hashOneTimeCode(code), usedAt: null }));
+  return { codes, entries };
+}
+
+export function countUnusedCodes(entries) {
+  return (entries || []).filter((entry) => !entry.usedAt).length;
+}
+
+// Marks a matching unused code as used in one atomic update so the same code
+// cannot be spent twice by concurrent requests. `field` names the code array
+// on the User document.
+export async function consumeOneTimeCode({ userId, field, code }) {
+  if (!normalizeOneTimeCode(code)) return false;
+  const result = await User.updateOne(
+    { _id: userId, [field]: { $elemMatch: { codeHash: hashOneTimeCode(code), usedAt: null } } },
+    { $set: { [`${field}.$.usedAt`]: new Date() } }
+  );
+  return result.modifiedCount > 0;
+}
@@ -0,0 +1,129 @@
+// Section Map
+// - Imports and dependencies
+// - Constants/configuration
+// - Helper functions/state handling
+// - Main module logic and exports
+
+import Chat from "../models/Chat.js";
+import PreKeyBundle from "../models/PreKeyBundle.js";
+
+// Uncompressed P-256 points are 65 bytes (88 base64 chars); ECDSA P-256
+// signatures are 64 bytes.
+const MAX_PUBLIC_KEY_LENGTH = 128;
+const MAX_SIGNATURE_LENGTH = 128;
+export const MAX_ONE_TIME_PREKEYS = 200;
+const MAX_ONE_TIME_PREKEYS_PER_UPLOAD = 100;
+const BASE64_REGEX = /^[A-Za-z0-9+/]+={0,2}$/;
+
+function isBase64Within(value, maxLength) {
+  return typeof value === "string" && value.length > 0 && value.length <= maxLength && BASE64_REGEX.test(value);
+}
+
+function isKeyId(value) {
+  return Number.isInteger(value) && value > 0;
+}
+
+// Returns { value } or { error }.
+export function validateOneTimePreKeys(oneTimePreKeys) {
+  if (!Array.isArray(oneTimePreKeys) || oneTimePreKeys.length > MAX_ONE_TIME_PREKEYS_PER_UPLOAD) {
+    return { error: `oneTimePreKeys must be an array of at most ${MAX_ONE_TIME_PREKEYS_PER_UPLOAD} keys` };
+  }
+  const seen = new Set();
+  const value = [];
+  for (const entry of oneTimePreKeys) {
+    if (!isKeyId(entry?.keyId) || !isBase64Within(entry?.publicKeyB64, MAX_PUBLIC_KEY_LENGTH)) {
+      return { error: "Invalid one-time prekey" };
+    }
+    if (seen.has(entry.keyId)) {
+      return { error: "Duplicate one-time prekey id" };
+    }
+    seen.add(entry.keyId);
+    value.push({ keyId: entry.keyId, publicKeyB64: entry.publicKeyB64 });
+  }
+  return { value };
+}
+
+// Returns { value } or { error }.
+export function validateSignedPreKey(signedPreKey) {
+  if (
+    !isKeyId(signedPreKey?.keyId) ||
+    !isBase64Within(signedPreKey?.publicKeyB64, MAX_PUBLIC_KEY_LENGTH) ||
+    !isBase64Within(signedPreKey?.signatureB64, MAX_SIGNATURE_LENGTH)
+  ) {
+    return { error: "Invalid signedPreKey" };
+  }
+  return {
+    value: {
+      keyId: signedPreKey.keyId,
+      publicKeyB64: signedPreKey.publicKeyB64,
+      signatureB64: signedPreKey.signatureB64
+    }
+  };
+}
+
+// Checks the shape of a published bundle. The signature is verified by the
+// peers that fetch it, not here. Returns { value } or { error }.
+export function validatePreKeyBundle(body) {
+  const bundle = body || {};
+  if (
+    !isBase64Within(bundle.identityKeyB64, MAX_PUBLIC_KEY_LENGTH) ||
+    !isBase64Within(bundle.signingKeyB64, MAX_PUBLIC_KEY_LENGTH)
+  ) {
+    return { error: "identityKeyB64 and signingKeyB64 are required" };
+  }
+  const signedPreKey = validateSignedPreKey(bundle.signedPreKey);
+  if (signedPreKey.error) {
+    return { error: signedPreKey.error };
+  }
+  const oneTime = validateOneTimePreKeys(bundle.oneTimePreKeys || []);
+  if (oneTime.error) {
+    return { error: oneTime.error };
+  }
+  return {
+    value: {
+      identityKeyB64: bundle.identityKeyB64,
+      signingKeyB64: bundle.signingKeyB64,
+      signedPreKey: signedPreKey.value,
+      oneTimePreKeys: oneTime.value
+    }
+  };
+}
+
+export function describePreKeyBundle(bundle) {
+  return {
+    enabled: Boolean(bundle),
+    identityKeyB64: bundle?.identityKeyB64 || "",
+    signedPreKeyId: bundle?.signedPreKey?.keyId || null,
+    signedPreKeyUpdatedAt: bundle?.updatedAt || null,
+    oneTimePreKeyCount: bundle?.oneTimePreKeys?.length || 0
+  };
+}
+
+// Hands out a peer's bundle with at most one one-time prekey, removing that
+// key so no two sessions share it. Only contacts with a direct chat may claim
+// keys, which keeps strangers from draining the pool.
+// Returns { value } or { status, error }.
+export async function claimPreKeyBundle(requesterId, ownerId) {
+  const sharesChat = await Chat.exists({ type: "direct", members: { $all: [requesterId, ownerId] } });
+  if (!sharesChat) {
+    return { status: 404, error: "No prekey bundle" };
+  }
+
+  const bundle = await PreKeyBundle.findOneAndUpdate(
+    { userId: ownerId },
+    { $pop: { oneTimePreKeys: -1 } },
+    { new: false }
+  ).lean();
+  if (!bundle) {
+    return { status: 404, error: "No prekey bundle" };
+  }
+
+  return {
+    value: {
+      identityKeyB64: bundle.identityKeyB64,
+      signingKeyB64: bundle.signingKeyB64,
+      signedPreKey: bundle.signedPreKey,
+      oneTimePreKey: bundle.oneTimePreKeys?.[0] || null
+    }
+  };
+}
@@ -0,0 +1,185 @@
+// Section Map
+// - Imports and dependencies
+// - Constants/configuration
+// - Helper functions/state handling
+// - Main module logic and exports
+
+import crypto from "crypto";
+import fs from "fs";
+import { Readable } from "stream";
+
+const UNSIGNED_PAYLOAD = "UNSIGNED-PAYLOAD";
+const MAX_PRESIGN_SECONDS = 7 * 24 * 60 * 60;
+
+function hmac(key, value) {
+  return crypto.createHmac("sha256", key).update(value).digest();
+}
+
+function sha256Hex(value) {
+  return crypto.createHash("sha256").update(value).digest("hex");
+}
+
+function encodeRfc3986(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+// 2013-05-24T00:00:00.000Z -> 20130524T000000Z
+function formatAmzDate(now) {
+  return now.toISOString().replace(/[:-]|\.\d{3}/g, "");
+}
+
+function canonicalQueryString(params) {
+  return Object.keys(params)
+    .sort()
+    .map((name) => `${encodeRfc3986(name)}=${encodeRfc3986(params[name])}`)
+    .join("&");
+}
+
+// Minimal S3 client (AWS Signature Version 4) covering what uploads need:
+// PUT, GET, DELETE and presigned GET URLs. Works with AWS S3 and compatible
+// servers such as MinIO; path-style addressing is the default because most
+// self-hosted servers expect it.
+export function createS3Storage({ endpoint, region, bucket, accessKeyId, secretAccessKey, forcePathStyle = true }) {
+  if (!bucket || !accessKeyId || !secretAccessKey) {
+    throw new Error("S3 storage needs S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY");
+  }
+  const base = new URL(endpoint || `https://s3.${region}.amazonaws.com`);
+
+  // Slashes in keys ("partial/...") stay unencoded, as S3 signs them.
+  function objectUrl(key) {
+    const url = new URL(base.href);
+    const basePath = url.pathname.replace(/\/$/, "");
+    const keyPath = String(key).split("/").map(encodeRfc3986).join("/");
+    if (forcePathStyle) {
+      url.pathname = `${basePath}/${bucket}/${keyPath}`;
+    } else {
+      url.host = `${bucket}.${base.host}`;
+      url.pathname = `${basePath}/${keyPath}`;
+    }
+    return url;
+  }
+
+  function sign(stringToSign, date) {
+    const dateKey = hmac(`AWS4${secretAccessKey}`, date);
+    const signingKey = hmac(hmac(hmac(dateKey, region), "s3"), "aws4_request");
+    return hmac(signingKey, stringToSign).toString("hex");
+  }
+
+  function signatureFor({ method, url, query, headers, payloadHash, amzDate }) {
+    const names = Object.keys(headers).sort();
+    const canonicalRequest = [
+      method,
+      url.pathname,
+      canonicalQueryString(query),
+      names.map((name) => `${name}:${String(headers[name]).trim()}\n`).join(""),
+      names.join(";"),
+      payloadHash
+    ].join("\n");
+    const date = amzDate.slice(0, 8);
+    const scope = `${date}/${region}/s3/aws4_request`;
+    const stringToSign = ["AWS4-HMAC-SHA256", amzDate, scope, sha256Hex(canonicalRequest)].join("\n");
+    return { signature: sign(stringToSign, date), scope, signedHeaders: names.join(";") };
+  }
+
+  async function send(method, key, { body, contentType, range } = {}) {
+    const url = objectUrl(key);
+    const amzDate = formatAmzDate(new Date());
+    const headers = { host: url.host, "x-amz-content-sha256": UNSIGNED_PAYLOAD, "x-amz-date": amzDate };
+    const { signature, scope, signedHeaders } = signatureFor({
+      method,
+      url,
+      query: {},
+      headers,
+      payloadHash: UNSIGNED_PAYLOAD,
+      amzDate
+    });
+    const authorization = `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}`;
+    // fetch sets Host itself from the URL.
+    return fetch(url, {
+      method,
+      body,
+      headers: {
+        "x-amz-content-sha256": UNSIGNED_PAYLOAD,
+        "x-amz-date": amzDate,
+        ...(contentType ? { "Content-Type": contentType } : {}),
+        ...(range ? { Range: `bytes=${range.start}-${range.end}` } : {}),
+        Authorization: `${authorization}, Signature=${signature}`
+      }
+    });
+  }
+
+  function presignGetUrl(key, { expiresIn, now = new Date() }) {
+    const url = objectUrl(key);
+    const amzDate = formatAmzDate(now);
+    const query = {
+      "X-Amz-Algorithm": "AWS4-HMAC-SHA256",
+      "X-Amz-Credential": `${accessKeyId}/${amzDate.slice(0, 8)}/${region}/s3/aws4_request`,
+      "X-Amz-Date": amzDate,
+      "X-Amz-Expires": String(Math.min(MAX_PRESIGN_SECONDS, Math.max(1, expiresIn))),
+      "X-Amz-SignedHeaders": "host"
+    };
+    const { signature } = signatureFor({
+      method: "GET",
+      url,
+      query,
+      headers: { host: url.host },
+      payloadHash: UNSIGNED_PAYLOAD,
+      amzDate
+    });
+    url.search = `${canonicalQueryString(query)}&X-Amz-Signature=${signature}`;
+    return url.href;
+  }
+
+  return {
+    name: "s3",
+    externalDownloads: true,
+    // Exposed for tests against the published AWS signing examples.
+    presignGetUrl,
+
+    async putFile(key, sourcePath, { contentType = "application/octet-stream" } = {}) {
+      const body = await fs.promises.readFile(sourcePath);
+      const res = await send("PUT", key, { body, contentType });
+      if (!res.ok) {
+        throw new Error(`S3 upload failed (${res.status})`);
+      }
+      await fs.promises.unlink(sourcePath);
+    },
+
+    async stat(key) {
+      const res = await send("HEAD", key);
+      if (res.status === 404) return null;
+      if (!res.ok) {
+        throw new Error(`S3 stat failed (${res.status})`);
+      }
+      return {
+        size: Number(res.headers.get("content-length")),
+        contentType: res.headers.get("content-type") || "application/octet-stream"
+      };
+    },
+
+    async openReadStream(key, range = null) {
+      const res = await send("GET", key, { range });
+      if (res.status === 404) return null;
+      if (!res.ok) {
+        throw new Error(`S3 download failed (${res.status})`);
+      }
+      const size = Number(res.headers.get("content-length"));
+      return {
+        stream: Readable.fromWeb(res.body),
+        size: Number.isFinite(size) ? size : null,
+        contentType: res.headers.get("content-type") || "application/octet-stream"
+      };
+    },
+
+    async remove(key) {
+      const res = await send("DELETE", key);
+      if (!res.ok && res.status !== 404) {
+        throw new Error(`S3 delete failed (${res.status})`);
+      }
+    },
+
+    async getDownloadUrl(key, { expiresIn }) {
+      return presignGetUrl(key, { expiresIn });
+    }
+  };
+}
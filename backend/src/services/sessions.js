@@ -0,0 +1,174 @@
+// Section Map
+// - Imports and dependencies
+// - Constants/configuration
+// - Helper functions/state handling
+// - Main module logic and exports
+
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import mongoose from "mongoose";
+import Session from "../models/Session.js";
+import { getIO } from "../socket/index.js";
+
+const DEFAULT_ACCESS_TOKEN_TTL = "15m";
+const DEFAULT_REFRESH_TOKEN_TTL_DAYS = 30;
+// Two tabs sharing localStorage can race to refresh with the same token. A
+// replay of the just-rotated token inside this window is answered with 409
+// instead of being treated as theft.
+const ROTATION_GRACE_MS = 30 * 1000;
+const USER_AGENT_MAX_LENGTH = 200;
+
+function hashSecret(secret) {
+  return crypto.createHash("sha256").update(String(secret)).digest("hex");
+}
+
+function getRefreshTtlMs() {
+  const days = Number.parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || "", 10);
+  const safeDays = Number.isFinite(days) && days > 0 ? days : DEFAULT_REFRESH_TOKEN_TTL_DAYS;
+  return safeDays * 24 * 60 * 60 * 1000;
+}
+
+function buildRefreshToken(sessionId) {
+  const secret = crypto.randomBytes(32).toString("base64url");
+  return { refreshToken: `${sessionId}.${secret}`, refreshTokenHash: hashSecret(secret) };
+}
+
+// Refresh tokens are "<sessionId>.<secret>" so the session can be found
+// without storing the secret itself.
+function parseRefreshToken(refreshToken) {
+  const value = typeof refreshToken === "string" ? refreshToken.trim() : "";
+  const separator = value.indexOf(".");
+  if (separator <= 0) return null;
+  const sessionId = value.slice(0, separator);
+  const secret = value.slice(separator + 1);
+  if (!secret || !mongoose.Types.ObjectId.isValid(sessionId)) return null;
+  return { sessionId, secretHash: hashSecret(secret) };
+}
+
+function describeClient(req) {
+  return {
+    userAgent: String(req?.get?.("user-agent") || "").slice(0, USER_AGENT_MAX_LENGTH),
+    ip: String(req?.ip || "")
+  };
+}
+
+export function disconnectSessionSockets(sessionId) {
+  try {
+    const io = getIO();
+    io.in(`session:${sessionId}`).disconnectSockets(true);
+  } catch (err) {
+    console.error("Socket disconnect failed (session revoke):", err.message || err);
+  }
+}
+
+export function signAccessToken(user, sessionId) {
+  return jwt.sign(
+    { id: String(user._id), username: user.username, sid: String(sessionId) },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.ACCESS_TOKEN_TTL || DEFAULT_ACCESS_TOKEN_TTL }
+  );
+}
+
+export async function createSession(user, req) {
+  const sessionId = new mongoose.Types.ObjectId();
+  const { refreshToken, refreshTokenHash } = buildRefreshToken(sessionId);
+  await Session.create({
+    _id: sessionId,
+    userId: user._id,
+    refreshTokenHash,
+    ...describeClient(req),
+    expiresAt: new Date(Date.now() + getRefreshTtlMs())
+  });
+  return { token: signAccessToken(user, sessionId), refreshToken };
+}
+
+// Swaps the presented refresh token for a new one. Presenting a token that was
+// already rotated away (outside the grace window) means it leaked, so the
+// whole session is revoked.
+export async function rotateSession(refreshToken, req) {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) {
+    return { status: 401, error: "Invalid refresh token" };
+  }
+
+  const now = new Date();
+  const next = buildRefreshToken(parsed.sessionId);
+  const session = await Session.findOneAndUpdate(
+    {
+      _id: parsed.sessionId,
+      refreshTokenHash: parsed.secretHash,
+      revokedAt: null,
+      expiresAt: { $gt: now }
+    },
+    {
+      $set: {
+        refreshTokenHash: next.refreshTokenHash,
+        previousRefreshTokenHash: parsed.secretHash,
+        rotatedAt: now,
+        lastUsedAt: now,
+        ...describeClient(req)
+      }
+    },
+    { new: true }
+  );
+  if (session) {
+    return { value: { session, refreshToken: next.refreshToken } };
+  }
+
+  const existing = await Session.findById(parsed.sessionId).lean();
+  if (!existing || existing.revokedAt || existing.expiresAt <= now) {
+    return { status: 401, error: "Session expired. Sign in again." };
+  }
+
+  const rotatedAt = existing.rotatedAt ? new Date(existing.rotatedAt).getTime() : 0;
+  if (
+    existing.previousRefreshTokenHash === parsed.secretHash &&
+    now.getTime() - rotatedAt < ROTATION_GRACE_MS
+  ) {
+    return { status: 409, error: "Refresh token already rotated" };
+  }
+
+  await revokeSession(parsed.sessionId, existing.userId);
+  return { status: 401, error: "Refresh token reuse detected. Sign in again." };
+}
+
+export async function isSessionActive(sessionId, userId) {
+  if (!mongoose.Types.ObjectId.isValid(String(sessionId || ""))) return false;
+  const session = await Session.exists({
+    _id: sessionId,
+    userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+  return Boolean(session);
+}
+
+export async function listActiveSessions(userId) {
+  return Session.find({ userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+    .select("_id userAgent ip createdAt lastUsedAt expiresAt")
+    .sort({ lastUsedAt: -1 })
+    .lean();
+}
+
+export async function revokeSession(sessionId, userId) {
+  const result = await Session.updateOne(
+    { _id: sessionId, userId, revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+  disconnectSessionSockets(sessionId);
+  return result.modifiedCount > 0;
+}
+
+// Revokes every live session of a user, optionally keeping the caller's own.
+export async function revokeUserSessions(userId, { exceptSessionId = "" } = {}) {
+  const query = { userId, revokedAt: null };
+  if (exceptSessionId) query._id = { $ne: exceptSessionId };
+  const sessions = await Session.find(query).select("_id");
+  if (sessions.length === 0) return 0;
+  await Session.updateMany(
+    { _id: { $in: sessions.map((session) => session._id) } },
+    { $set: { revokedAt: new Date() } }
+  );
+  sessions.forEach((session) => disconnectSessionSockets(session._id));
+  return sessions.length;
+}
@@ -0,0 +1,134 @@
+// Section Map
+// - Imports and dependencies
+// - Constants/configuration
+// - Helper functions/state handling
+// - Main module logic and exports
+
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { createS3Storage } from "./s3Storage.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+// Local working directory: stored files for the local driver, and the
+// per-request incoming/ scratch folder for every driver.
+export const uploadDir = path.join(__dirname, "..", "..", "uploads");
+export const DOWNLOAD_URL_TTL_SECONDS = Math.max(
+  30,
+  Number.parseInt(process.env.STORAGE_URL_TTL_SECONDS || "300", 10) || 300
+);
+// Key prefixes for files that are not uploads yet: chunks of unfinished
+// chunked uploads and files flagged by the scanner. Keeping them in storage
+// lets any backend instance continue or inspect them.
+export const PARTIAL_KEY_PREFIX = "partial/";
+export const QUARANTINE_KEY_PREFIX = "quarantine/";
+const CONTENT_TYPES = {
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".png": "image/png",
+  ".webp": "image/webp",
+  ".gif": "image/gif"
+};
+
+// Only plaintext images (avatars, emoji) get a real type; attachments are
+// ciphertext.
+export function contentTypeForKey(key) {
+  return CONTENT_TYPES[path.extname(String(key || "")).toLowerCase()] || "application/octet-stream";
+}
+
+function signingSecret() {
+  return process.env.STORAGE_SIGNING_SECRET || process.env.JWT_SECRET || "";
+}
+
+function signLocalDownload(key, expires) {
+  return crypto.createHmac("sha256", signingSecret()).update(`${key}:${expires}`).digest("base64url");
+}
+
+export function verifySignedDownload(key, expires, signature) {
+  const expiresAt = Number(expires);
+  if (!Number.isInteger(expiresAt) || expiresAt * 1000 < Date.now()) return false;
+  const expected = Buffer.from(signLocalDownload(key, expiresAt));
+  const provided = Buffer.from(String(signature || ""));
+  return expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
+}
+
+function createLocalStorage(root) {
+  const filePath = (key) => path.join(root, key);
+  return {
+    name: "local",
+    externalDownloads: false,
+
+    // Moves a file into storage. Keys may carry a folder prefix such as
+    // "partial/" or "quarantine/".
+    async putFile(key, sourcePath) {
+      await fs.promises.mkdir(path.dirname(filePath(key)), { recursive: true });
+      try {
+        await fs.promises.rename(sourcePath, filePath(key));
+      } catch (err) {
+        if (err?.code !== "EXDEV") throw err;
+        await fs.promises.copyFile(sourcePath, filePath(key));
+        await fs.promises.unlink(sourcePath);
+      }
+    },
+
+    // Returns { size, contentType } or null when the file is missing.
+    async stat(key) {
+      const stats = await fs.promises.stat(filePath(key)).catch(() => null);
+      if (!stats?.isFile()) return null;
+      return { size: stats.size, contentType: contentTypeForKey(key) };
+    },
+
+    // Returns { stream, size, contentType } or null when the file is missing.
+    // With a range ({ start, end }, inclusive) only those bytes are streamed
+    // and size is the length of the range.
+    async openReadStream(key, range = null) {
+      const info = await this.stat(key);
+      if (!info) return null;
+      const stream = fs.createReadStream(filePath(key), range ? { start: range.start, end: range.end } : undefined);
+      const size = range ? range.end - range.start + 1 : info.size;
+      return { stream, size, contentType: info.contentType };
+    },
+
+    async remove(key) {
+      await fs.promises.unlink(filePath(key)).catch((err) => {
+        if (err?.code !== "ENOENT") throw err;
+      });
+    },
+
+    // Relative to the API origin; served by GET /api/upload/signed/:fileKey.
+    async getDownloadUrl(key, { expiresIn }) {
+      const expires = Math.floor(Date.now() / 1000) + expiresIn;
+      const query = new URLSearchParams({ expires: String(expires), signature: signLocalDownload(key, expires) });
+      return `/api/upload/signed/${encodeURIComponent(key)}?${query}`;
+    }
+  };
+}
+
+function createStorage() {
+  const driver = String(process.env.STORAGE_DRIVER || "local").trim().toLowerCase();
+  if (driver === "s3") {
+    return createS3Storage({
+      endpoint: process.env.S3_ENDPOINT,
+      region: process.env.S3_REGION || "us-east-1",
+      bucket: process.env.S3_BUCKET,
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE !== "false"
+    });
+  }
+  if (driver !== "local") {
+    throw new Error(`Unknown STORAGE_DRIVER "${driver}"`);
+  }
+  for (const prefix of [PARTIAL_KEY_PREFIX, QUARANTINE_KEY_PREFIX]) {
+    fs.mkdirSync(path.join(uploadDir, prefix), { recursive: true });
+  }
+  return createLocalStorage(uploadDir);
+}
+
+// Every stored upload goes through this object: putFile, stat,
+// openReadStream, remove and getDownloadUrl. externalDownloads is true when download URLs
+// point away from this server (S3), so public files are redirected rather
+// than streamed.
+export const storage = createStorage();
@@ -0,0 +1,94 @@
+// Section Map
+// - Imports and dependencies
+// - Constants/configuration
+// - Helper functions/state handling
+// - Main module logic and exports
+
+import Chat from "../models/Chat.js";
+import Message from "../models/Message.js";
+import User from "../models/User.js";
+import { getIO } from "../socket/index.js";
+
+const PROFILE_FIELD_PHRASES = {
+  motive: "changed the group description",
+  avatar: "changed the group photo"
+};
+
+function joinList(items) {
+  if (items.length <= 1) return items[0] || "";
+  return `${items.slice(0, -1).join(", ")} and ${items[items.length - 1]}`;
+}
+
+// Plain-text fallback stored as content, using names as they were when the
+// event happened. Clients prefer their own wording from systemEvent.
+export function describeSystemEvent(event, actorName, targetNames = []) {
+  const targets = joinList(targetNames);
+  switch (event.kind) {
+    case "members-added":
+      return `${actorName} added ${targets}`;
+    case "member-left":
+      return `${actorName} left`;
+    case "member-joined":
+      return `${actorName} joined using an invite link`;
+    case "member-removed":
+      return `${actorName} removed ${targets}`;
+    case "role-changed":
+      return event.role === "admin"
+        ? `${actorName} made ${targets} an admin`
+        : `${actorName} dismissed ${targets} as admin`;
+    case "ownership-transferred":
+      return `${actorName} made ${targets} the group owner`;
+    case "profile-updated": {
+      const phrases = (event.fields || []).map((field) =>
+        field === "name" ? `renamed the group to "${event.name}"` : PROFILE_FIELD_PHRASES[field]
+      );
+      return `${actorName} ${joinList(phrases.filter(Boolean))}`;
+    }
+    case "vanish-changed":
+      return `${actorName} turned vanish mode ${event.enabled ? "on" : "off"}`;
+    case "message-pinned":
+      return `${actorName} pinned a message`;
+    case "message-unpinned":
+      return `${actorName} unpinned a message`;
+    default:
+      return `${actorName} updated the chat`;
+  }
+}
+
+// Records a chat event in the timeline. These are the only plaintext
+// messages: the server writes them and they hold nothing a member could not
+// already see in the chat itself. Failures are logged, not thrown, because
+// the change they describe has already been saved.
+export async function postSystemMessage(chatId, actorId, event) {
+  try {
+    const targetIds = (event.targetIds || []).map(String);
+    const users = await User.find({ _id: { $in: [String(actorId), ...targetIds] } }).select("_id name");
+    const namesById = new Map(users.map((entry) => [String(entry._id), entry.name]));
+
+    const message = await Message.create({
+      chatId,
+      senderId: actorId,
+      type: "system",
+      content: describeSystemEvent(
+        event,
+        namesById.get(String(actorId)) || "Someone",
+        targetIds.map((id) => namesById.get(id) || "someone")
+      ),
+      systemEvent: { ...event, targetIds },
+      readBy: [actorId],
+      deliveredTo: [actorId]
+    });
+    await Chat.updateOne({ _id: chatId }, { $set: { lastMessageAt: message.createdAt } });
+
+    try {
+      const io = getIO();
+      io.to(String(chatId)).emit("message:new", message);
+    } catch (err) {
+      console.error("Socket emit failed (message:new):", err.message || err);
+    }
+    return message;
+  } catch (err) {
+    console.error("System message failed:", err.message || err);
+    return null;
+  }
+}
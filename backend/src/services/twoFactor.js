@@ -0,0 +1,144 @@
+// Section Map
+// - Imports and dependencies
+// - Constants/configuration
+// - Helper functions/state handling
+// - Main module logic and exports
+
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import QRCode from "qrcode";
+import User from "../models/User.js";
+import { consumeOneTimeCode, normalizeOneTimeCode } from "./oneTimeCodes.js";
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const TOTP_ISSUER = "SecureChat";
+const TOTP_PERIOD_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const TOTP_SECRET_BYTES = 20;
+// Accept the previous and next step to absorb phone clock drift.
+const TOTP_WINDOW = 1;
+const CHALLENGE_PURPOSE = "login-2fa";
+const CHALLENGE_TTL = "5m";
+
+export function encodeBase32(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+export function decodeBase32(input) {
+  const clean = String(input || "")
+    .toUpperCase()
+    .replace(/=+$/g, "")
+    .replace(/\s/g, "");
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) return null;
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+// RFC 4226 HOTP with dynamic truncation.
+function hotp(key, counter, digits = TOTP_DIGITS) {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+  const digest = crypto.createHmac("sha1", key).update(message).digest();
+  const offset = digest[digest.length - 1] & 0x0f;
+  const binary = digest.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** digits).padStart(digits, "0");
+}
+
+export function generateTotpSecret() {
+  return encodeBase32(crypto.randomBytes(TOTP_SECRET_BYTES));
+}
+
+export function buildOtpauthUri({ secret, accountName }) {
+  const label = encodeURIComponent(`${TOTP_ISSUER}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: TOTP_ISSUER,
+    algorithm: "SHA1",
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+export function buildOtpauthQrDataUrl(otpauthUri) {
+  return QRCode.toDataURL(otpauthUri, { margin: 1, width: 220 });
+}
+
+// Returns the matching RFC 6238 time step, or null. Callers store the step so
+// the same code cannot be replayed.
+export function findTotpStep(secret, code, { now = Date.now(), digits = TOTP_DIGITS } = {}) {
+  const cleanCode = String(code || "").replace(/\s/g, "");
+  if (!new RegExp(`^\\d{${digits}}$`).test(cleanCode)) return null;
+  const key = decodeBase32(secret);
+  if (!key || key.length === 0) return null;
+
+  const currentStep = Math.floor(now / 1000 / TOTP_PERIOD_SECONDS);
+  for (let drift = -TOTP_WINDOW; drift <= TOTP_WINDOW; drift += 1) {
+    const step = currentStep + drift;
+    const expected = hotp(key, step, digits);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(cleanCode))) {
+      return step;
+    }
+  }
+  return null;
+}
+
+export function createTwoFactorChallenge(user) {
+  return jwt.sign({ id: String(user._id), purpose: CHALLENGE_PURPOSE }, process.env.JWT_SECRET, {
+    expiresIn: CHALLENGE_TTL
+  });
+}
+
+// Returns the user id a password-verified login challenge belongs to, or "".
+export function readTwoFactorChallenge(challengeToken) {
+  try {
+    const payload = jwt.verify(String(challengeToken || ""), process.env.JWT_SECRET);
+    return payload?.purpose === CHALLENGE_PURPOSE ? String(payload.id || "") : "";
+  } catch {
+    return "";
+  }
+}
+
+// Accepts either a current TOTP code or an unused backup code. TOTP steps are
+// recorded atomically so a code observed over the shoulder cannot be reused.
+export async function verifyTwoFactorCode(user, code) {
+  const step = findTotpStep(user.twoFactorSecret, code);
+  if (step !== null) {
+    const result = await User.updateOne(
+      {
+        _id: user._id,
+        $or: [{ twoFactorLastUsedStep: null }, { twoFactorLastUsedStep: { $lt: step } }]
+      },
+      { $set: { twoFactorLastUsedStep: step } }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  if (!normalizeOneTimeCode(code)) return false;
+  return consumeOneTimeCode({ userId: user._id, field: "twoFactorBackupCodes", code });
+}
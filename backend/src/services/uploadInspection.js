@@ -0,0 +1,287 @@
+// Section Map
+// - Imports and dependencies
+// - Constants/configuration
+// - Helper functions/state handling
+// - Main module logic and exports
+
+import { execFile } from "child_process";
+import fs from "fs";
+import path from "path";
+
+const HEADER_BYTES = 4096;
+const SCAN_TIMEOUT_MS = 60 * 1000;
+const EICAR_SIGNATURE = Buffer.from("X5O!P%@AP[4\\PZX54(P^)7CC)7}$EICAR-STANDARD-ANTIVIRUS-TEST-FILE!$H+H*");
+const OCTET_STREAM = "application/octet-stream";
+
+// Detected types and the MIME types/extensions a file of that type may be
+// declared with. Executables are never accepted, whatever they claim to be.
+const FILE_SIGNATURES = [
+  {
+    name: "jpeg",
+    mimeTypes: ["image/jpeg"],
+    extensions: [".jpg", ".jpeg"],
+    matches: (h) => startsWith(h, [0xff, 0xd8, 0xff])
+  },
+  {
+    name: "png",
+    mimeTypes: ["image/png"],
+    extensions: [".png"],
+    matches: (h) => startsWith(h, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])
+  },
+  { name: "gif", mimeTypes: ["image/gif"], extensions: [".gif"], matches: (h) => /^GIF8[79]a/.test(ascii(h, 0, 6)) },
+  {
+    name: "webp",
+    mimeTypes: ["image/webp"],
+    extensions: [".webp"],
+    matches: (h) => ascii(h, 0, 4) === "RIFF" && ascii(h, 8, 12) === "WEBP"
+  },
+  { name: "pdf", mimeTypes: ["application/pdf"], extensions: [".pdf"], matches: (h) => ascii(h, 0, 5) === "%PDF-" },
+  {
+    name: "zip",
+    mimeTypes: [
+      "application/zip",
+      "application/x-zip-compressed",
+      "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+      "application/vnd.openxmlformats-officedocument.presentationml.presentation"
+    ],
+    extensions: [".zip", ".docx", ".xlsx", ".pptx"],
+    matches: (h) => startsWith(h, [0x50, 0x4b, 0x03, 0x04]) || startsWith(h, [0x50, 0x4b, 0x05, 0x06])
+  },
+  {
+    name: "rar",
+    mimeTypes: ["application/x-rar-compressed", "application/vnd.rar"],
+    extensions: [".rar"],
+    matches: (h) => ascii(h, 0, 7) === "Rar!\x1a\x07\x00" || ascii(h, 0, 8) === "Rar!\x1a\x07\x01\x00"
+  },
+  {
+    name: "7z",
+    mimeTypes: ["application/x-7z-compressed"],
+    extensions: [".7z"],
+    matches: (h) => startsWith(h, [0x37, 0x7a, 0xbc, 0xaf, 0x27, 0x1c])
+  },
+  {
+    name: "ole",
+    mimeTypes: ["application/msword", "application/vnd.ms-excel", "application/vnd.ms-powerpoint"],
+    extensions: [".doc", ".xls", ".ppt"],
+    matches: (h) => startsWith(h, [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1])
+  },
+  { name: "rtf", mimeTypes: ["application/rtf"], extensions: [".rtf"], matches: (h) => ascii(h, 0, 5) === "{\\rtf" },
+  { name: "executable", executable: true, mimeTypes: [], extensions: [], matches: isExecutable }
+];
+const IMAGE_SIGNATURES = new Set(["jpeg", "png", "gif", "webp"]);
+
+// JPEG APP1 (EXIF, XMP), APP13 (IPTC) and comments; PNG text, EXIF and time
+// chunks. Colour profiles are kept.
+const JPEG_METADATA_MARKERS = new Set([0xe1, 0xed, 0xfe]);
+const PNG_METADATA_CHUNKS = new Set(["eXIf", "tEXt", "iTXt", "zTXt", "tIME"]);
+const EXIF_ORIENTATION_TAG = 0x0112;
+
+function startsWith(header, bytes) {
+  return bytes.every((byte, index) => header[index] === byte);
+}
+
+function ascii(header, start, end) {
+  return header.toString("latin1", start, end);
+}
+
+// "MZ" alone is two bytes and turns up in random ciphertext, so Windows
+// binaries must also point at a PE header.
+function isExecutable(header) {
+  if (startsWith(header, [0x7f, 0x45, 0x4c, 0x46])) return true;
+  const magic = header.length >= 4 ? header.readUInt32BE(0) : 0;
+  if ([0xfeedface, 0xfeedfacf, 0xcefaedfe, 0xcffaedfe].includes(magic)) return true;
+  if (!startsWith(header, [0x4d, 0x5a]) || header.length < 0x40) return false;
+  const peOffset = header.readUInt32LE(0x3c);
+  return peOffset + 4 <= header.length && ascii(header, peOffset, peOffset + 4) === "PE\0\0";
+}
+
+function readHeader(filePath) {
+  const handle = fs.openSync(filePath, "r");
+  try {
+    const header = Buffer.alloc(HEADER_BYTES);
+    const bytesRead = fs.readSync(handle, header, 0, HEADER_BYTES, 0);
+    return header.subarray(0, bytesRead);
+  } finally {
+    fs.closeSync(handle);
+  }
+}
+
+export function detectFileType(header) {
+  return FILE_SIGNATURES.find((signature) => signature.matches(header)) || null;
+}
+
+function readExifOrientation(app1) {
+  if (ascii(app1, 0, 6) !== "Exif\0\0" || app1.length < 14) return 0;
+  const tiff = app1.subarray(6);
+  const littleEndian = ascii(tiff, 0, 2) === "II";
+  const read16 = (offset) => (littleEndian ? tiff.readUInt16LE(offset) : tiff.readUInt16BE(offset));
+  const read32 = (offset) => (littleEndian ? tiff.readUInt32LE(offset) : tiff.readUInt32BE(offset));
+  const ifdOffset = read32(4);
+  if (ifdOffset + 2 > tiff.length) return 0;
+  const entries = read16(ifdOffset);
+  for (let index = 0; index < entries; index += 1) {
+    const entry = ifdOffset + 2 + index * 12;
+    if (entry + 12 > tiff.length) return 0;
+    if (read16(entry) === EXIF_ORIENTATION_TAG) {
+      const orientation = read16(entry + 8);
+      return orientation >= 1 && orientation <= 8 ? orientation : 0;
+    }
+  }
+  return 0;
+}
+
+// A minimal big-endian EXIF block holding only the orientation, so phone
+// photos are not shown sideways once their metadata is gone.
+function buildOrientationSegment(orientation) {
+  const segment = Buffer.alloc(36);
+  segment.writeUInt16BE(0xffe1, 0);
+  segment.writeUInt16BE(34, 2);
+  segment.write("Exif\0\0MM", 4, "latin1");
+  segment.writeUInt16BE(42, 12);
+  segment.writeUInt32BE(8, 14);
+  segment.writeUInt16BE(1, 18);
+  segment.writeUInt16BE(EXIF_ORIENTATION_TAG, 20);
+  segment.writeUInt16BE(3, 22);
+  segment.writeUInt32BE(1, 24);
+  segment.writeUInt16BE(orientation, 28);
+  return segment;
+}
+
+// Returns the image without metadata segments, or null when it is malformed.
+function stripJpegMetadata(buffer) {
+  const parts = [buffer.subarray(0, 2)];
+  let offset = 2;
+  let orientation = 0;
+  while (true) {
+    if (offset + 4 > buffer.length || buffer[offset] !== 0xff) return null;
+    const marker = buffer[offset + 1];
+    if (marker === 0xda) break;
+    const end = offset + 2 + buffer.readUInt16BE(offset + 2);
+    if (end > buffer.length || end < offset + 4) return null;
+    if (marker === 0xe1) {
+      orientation = orientation || readExifOrientation(buffer.subarray(offset + 4, end));
+    }
+    if (!JPEG_METADATA_MARKERS.has(marker)) {
+      parts.push(buffer.subarray(offset, end));
+    }
+    offset = end;
+  }
+  if (orientation > 1) {
+    parts.splice(1, 0, buildOrientationSegment(orientation));
+  }
+  parts.push(buffer.subarray(offset));
+  return Buffer.concat(parts);
+}
+
+// Returns the image without metadata chunks or anything after IEND, or null
+// when it is malformed.
+function stripPngMetadata(buffer) {
+  const parts = [buffer.subarray(0, 8)];
+  let offset = 8;
+  while (offset + 12 <= buffer.length) {
+    const type = ascii(buffer, offset + 4, offset + 8);
+    const end = offset + 12 + buffer.readUInt32BE(offset);
+    if (end > buffer.length) return null;
+    if (!PNG_METADATA_CHUNKS.has(type)) {
+      parts.push(buffer.subarray(offset, end));
+    }
+    offset = end;
+    if (type === "IEND") return Buffer.concat(parts);
+  }
+  return null;
+}
+
+export function stripImageMetadata(buffer, typeName) {
+  if (typeName === "jpeg") return stripJpegMetadata(buffer);
+  if (typeName === "png") return stripPngMetadata(buffer);
+  return buffer;
+}
+
+// Checks a stored upload against what it claims to be and, for images,
+// rewrites it without EXIF/GPS metadata. Encrypted attachments (including all
+// chunked uploads) are declared as application/octet-stream and can only be
+// checked for executables. Returns { ok: true, size } or { ok: false, message }.
+export function inspectUploadedFile(filePath, { uploadType, mimeType, fileName }) {
+  const detected = detectFileType(readHeader(filePath));
+  const extension = path.extname(String(fileName || "")).toLowerCase();
+  const declaredMimeType = mimeType && mimeType !== OCTET_STREAM ? mimeType : "";
+
+  if (detected?.executable) {
+    return { ok: false, message: "This file type is not allowed." };
+  }
+  if (uploadType === "image" && !IMAGE_SIGNATURES.has(detected?.name)) {
+    return { ok: false, message: "Only jpg, jpeg, png, webp and gif images are allowed." };
+  }
+
+  const claimsMimeType = FILE_SIGNATURES.some((signature) => signature.mimeTypes.includes(declaredMimeType));
+  const claimsExtension = FILE_SIGNATURES.some((signature) => signature.extensions.includes(extension));
+  const mimeMismatch = declaredMimeType && (detected ? !detected.mimeTypes.includes(declaredMimeType) : claimsMimeType);
+  const extensionMismatch = detected ? claimsExtension && !detected.extensions.includes(extension) : claimsExtension;
+  if (mimeMismatch || extensionMismatch) {
+    return { ok: false, message: "File content does not match its declared type." };
+  }
+
+  if (uploadType !== "image") {
+    return { ok: true, size: fs.statSync(filePath).size };
+  }
+  const original = fs.readFileSync(filePath);
+  const stripped = stripImageMetadata(original, detected.name);
+  if (!stripped) {
+    return { ok: false, message: "Image file is damaged." };
+  }
+  if (stripped !== original) {
+    fs.writeFileSync(filePath, stripped);
+  }
+  return { ok: true, size: stripped.length };
+}
+
+// Stand-in for a real scanner: flags the EICAR test file anywhere in the
+// upload.
+function signatureScanner(filePath) {
+  return new Promise((resolve, reject) => {
+    let carry = Buffer.alloc(0);
+    const stream = fs.createReadStream(filePath);
+    stream
+      .on("data", (chunk) => {
+        const window = Buffer.concat([carry, chunk]);
+        if (window.includes(EICAR_SIGNATURE)) {
+          stream.destroy();
+          resolve({ clean: false, signature: "EICAR-Test-File" });
+          return;
+        }
+        carry = window.subarray(Math.max(0, window.length - EICAR_SIGNATURE.length + 1));
+      })
+      .on("error", reject)
+      .on("end", () => resolve({ clean: true }));
+  });
+}
+
+// Runs e.g. `clamdscan --no-summary` with the file path appended. Exit code 1
+// means infected, as with ClamAV; anything else but 0 is a scanner failure.
+function commandScanner(commandLine) {
+  const [command, ...args] = commandLine.split(/\s+/).filter(Boolean);
+  return (filePath) =>
+    new Promise((resolve, reject) => {
+      execFile(command, [...args, filePath], { timeout: SCAN_TIMEOUT_MS }, (err, stdout) => {
+        if (!err) return resolve({ clean: true });
+        if (err.code === 1) return resolve({ clean: false, signature: String(stdout || "").trim() || "infected" });
+        return reject(err);
+      });
+    });
+}
+
+const defaultScanner = process.env.UPLOAD_SCANNER_COMMAND
+  ? commandScanner(process.env.UPLOAD_SCANNER_COMMAND)
+  : signatureScanner;
+let uploadScanner = defaultScanner;
+
+// A scanner takes a file path and resolves { clean: true } or
+// { clean: false, signature }; it rejects when it cannot decide.
+export function setUploadScanner(scanner) {
+  uploadScanner = scanner || defaultScanner;
+}
+
+export function scanUploadedFile(filePath) {
+  return uploadScanner(filePath);
+}
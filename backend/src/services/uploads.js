@@ -0,0 +1,410 @@
+// Section Map
+// - Imports and dependencies
+// - Constants/configuration
+// - Helper functions/state handling
+// - Main module logic and exports
+
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import Chat from "../models/Chat.js";
+import CustomEmoji from "../models/CustomEmoji.js";
+import Message from "../models/Message.js";
+import Upload from "../models/Upload.js";
+import UploadSession from "../models/UploadSession.js";
+import User from "../models/User.js";
+import {
+  PARTIAL_KEY_PREFIX,
+  QUARANTINE_KEY_PREFIX,
+  contentTypeForKey,
+  storage,
+  uploadDir
+} from "./storage.js";
+import { inspectUploadedFile, scanUploadedFile } from "./uploadInspection.js";
+
+// Local disk is only scratch space for the request in hand: single-request
+// uploads land in incoming/, and a chunked upload is assembled there from its
+// stored chunks when it completes. Anything that outlives a request (chunks,
+// quarantined files) goes through storage, so any instance can serve the next
+// request.
+export const incomingDir = path.join(uploadDir, "incoming");
+fs.mkdirSync(incomingDir, { recursive: true });
+
+const ORPHAN_TTL_HOURS = Math.max(1, Number.parseInt(process.env.UPLOAD_ORPHAN_TTL_HOURS || "24", 10) || 24);
+const ORPHAN_TTL_MS = ORPHAN_TTL_HOURS * 60 * 60 * 1000;
+const SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+const SWEEP_BATCH_SIZE = 100;
+export const UPLOAD_CHUNK_SIZE = 1024 * 1024;
+export const MAX_UPLOAD_CHUNK_BYTES = 8 * 1024 * 1024;
+const MAX_OPEN_SESSIONS_PER_USER = 5;
+// A completion claim left behind by a crashed instance can be taken over
+// after this long.
+const COMPLETION_CLAIM_TIMEOUT_MS = 10 * 60 * 1000;
+
+function removeFile(filePath) {
+  try {
+    fs.unlinkSync(filePath);
+  } catch (err) {
+    if (err?.code !== "ENOENT") throw err;
+  }
+}
+
+function chunkKey(sessionId, offset) {
+  return `${PARTIAL_KEY_PREFIX}${String(sessionId)}-${offset}`;
+}
+
+async function removeChunks(session) {
+  for (const offset of session.chunkOffsets || []) {
+    await storage.remove(chunkKey(session._id, offset));
+  }
+}
+
+// Joins the stored chunks, in offset order, into a local scratch file.
+async function assembleChunks(session, targetPath) {
+  const handle = await fs.promises.open(targetPath, "w");
+  try {
+    const offsets = [...(session.chunkOffsets || [])].sort((a, b) => a - b);
+    for (const offset of offsets) {
+      const chunk = await storage.openReadStream(chunkKey(session._id, offset));
+      if (!chunk) {
+        throw new Error(`Upload chunk ${offset} is missing`);
+      }
+      for await (const data of chunk.stream) {
+        await handle.write(data);
+      }
+    }
+  } finally {
+    await handle.close();
+  }
+}
+
+function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash("sha256");
+    fs.createReadStream(filePath)
+      .on("data", (chunk) => hash.update(chunk))
+      .on("error", reject)
+      .on("end", () => resolve(hash.digest("hex")));
+  });
+}
+
+// Runs the configured scanner on a file before it becomes an upload. Flagged
+// files are moved out of reach under quarantine/ in storage; if the
+// scanner fails the file is dropped. Returns { value: true } or { status, error }.
+export async function screenUploadFile(filePath, key) {
+  let result;
+  try {
+    result = await scanUploadedFile(filePath);
+  } catch (err) {
+    console.error("Upload scan failed:", err?.message || err);
+    removeFile(filePath);
+    return { status: 503, error: "Upload scanning is unavailable. Try again later." };
+  }
+  if (!result?.clean) {
+    await storage.putFile(`${QUARANTINE_KEY_PREFIX}${key}`, filePath);
+    console.warn(`Upload ${key} quarantined: ${result?.signature || "flagged by scanner"}`);
+    return { status: 422, error: "File was rejected by the malware scanner." };
+  }
+  return { value: true };
+}
+
+// Moves a checked and scanned file into storage and starts tracking it.
+export async function recordUpload({ key, sourcePath, ownerId, uploadType, mimeType, size }) {
+  await storage.putFile(key, sourcePath, { contentType: contentTypeForKey(key) });
+  return Upload.create({
+    key,
+    ownerId,
+    uploadType,
+    mimeType,
+    size,
+    expiresAt: new Date(Date.now() + ORPHAN_TTL_MS)
+  });
+}
+
+export function describeUploadSession(session) {
+  return {
+    uploadId: String(session._id),
+    offset: session.receivedBytes,
+    size: session.size,
+    chunkSize: UPLOAD_CHUNK_SIZE
+  };
+}
+
+// Starts a chunked upload. Metadata is validated by the caller with the same
+// rules as single-request uploads. Returns { value } or { status, error }.
+export async function createUploadSession({ ownerId, key, fileName, uploadType, mimeType, size, sha256 }) {
+  const openSessions = await UploadSession.countDocuments({
+    ownerId,
+    status: { $ne: "completed" },
+    expiresAt: { $gt: new Date() }
+  });
+  if (openSessions >= MAX_OPEN_SESSIONS_PER_USER) {
+    return { status: 429, error: "Too many unfinished uploads. Finish or cancel one first." };
+  }
+
+  const session = await UploadSession.create({
+    ownerId,
+    key,
+    fileName,
+    uploadType,
+    mimeType,
+    size,
+    sha256,
+    expiresAt: new Date(Date.now() + ORPHAN_TTL_MS)
+  });
+  return { value: session };
+}
+
+export async function getUploadSession(ownerId, sessionId) {
+  return UploadSession.findOne({ _id: sessionId, ownerId });
+}
+
+// Stores chunk at offset, which must equal the bytes received so far. A 409
+// carries the current offset so the client can resync after a lost response.
+// Returns { value: session } or { status, error, offset }.
+export async function appendUploadChunk(ownerId, sessionId, offset, chunk) {
+  const session = await getUploadSession(ownerId, sessionId);
+  if (!session) {
+    return { status: 404, error: "Upload not found" };
+  }
+  if (offset !== session.receivedBytes) {
+    return { status: 409, error: "Upload offset mismatch", offset: session.receivedBytes };
+  }
+  if (offset + chunk.length > session.size) {
+    return { status: 400, error: "Chunk exceeds the declared upload size" };
+  }
+
+  // Each chunk is its own object keyed by offset, so a retried chunk
+  // overwrites itself instead of appending twice.
+  const scratchPath = path.join(incomingDir, `${String(session._id)}-${offset}.chunk`);
+  await fs.promises.writeFile(scratchPath, chunk);
+  try {
+    await storage.putFile(chunkKey(session._id, offset), scratchPath);
+  } finally {
+    removeFile(scratchPath);
+  }
+
+  const updated = await UploadSession.findOneAndUpdate(
+    { _id: session._id, receivedBytes: offset },
+    {
+      $set: { receivedBytes: offset + chunk.length, expiresAt: new Date(Date.now() + ORPHAN_TTL_MS) },
+      $addToSet: { chunkOffsets: offset }
+    },
+    { new: true }
+  );
+  if (!updated) {
+    const current = await getUploadSession(ownerId, sessionId);
+    return { status: 409, error: "Upload offset mismatch", offset: current?.receivedBytes ?? 0 };
+  }
+  return { value: updated };
+}
+
+// Ends a claimed session for good: the checksum or content was rejected.
+async function discardUploadSession(session) {
+  await UploadSession.deleteOne({ _id: session._id });
+  await removeChunks(session);
+}
+
+// Hands a claimed session back so the client can retry /complete.
+async function releaseUploadSession(session) {
+  await UploadSession.updateOne({ _id: session._id, status: "completing" }, { $set: { status: "uploading" } });
+}
+
+// Assembles, verifies, checks and scans a claimed session, then stores it as
+// an upload. Returns { value: upload } or { status, error, retryable }.
+async function finishUploadSession(session, filePath) {
+  await assembleChunks(session, filePath);
+  const digest = await hashFile(filePath);
+  if (digest !== session.sha256) {
+    return { status: 400, error: "Upload checksum mismatch. Start the upload again." };
+  }
+  const inspection = inspectUploadedFile(filePath, {
+    uploadType: "file",
+    mimeType: "application/octet-stream",
+    fileName: session.key
+  });
+  if (!inspection.ok) {
+    return { status: 400, error: inspection.message };
+  }
+  const screened = await screenUploadFile(filePath, session.key);
+  if (screened.error) {
+    // A scanner outage (503) leaves the chunks in place for another try.
+    return { ...screened, retryable: screened.status === 503 };
+  }
+
+  const upload = await recordUpload({
+    key: session.key,
+    sourcePath: filePath,
+    ownerId: session.ownerId,
+    uploadType: session.uploadType,
+    mimeType: session.mimeType,
+    size: session.size
+  });
+  return { value: upload };
+}
+
+// Verifies the assembled file against the sha256 declared at start and moves
+// it into place as a regular upload. A mismatch discards the session.
+// Chunked uploads carry ciphertext whose declared name and MIME type describe
+// the plaintext, so only the executable check applies; magic-byte and image
+// checks are deliberately skipped on this path.
+// The session is kept, marked completed, until it expires, so a retry after a
+// lost response gets the same upload back instead of a 404.
+// Returns { value: { upload, fileName } } or { status, error }.
+export async function completeUploadSession(ownerId, sessionId) {
+  const existing = await getUploadSession(ownerId, sessionId);
+  if (!existing) {
+    return { status: 404, error: "Upload not found" };
+  }
+  if (existing.status === "completed") {
+    const upload = await Upload.findOne({ key: existing.key, ownerId });
+    return upload ? { value: { upload, fileName: existing.fileName } } : { status: 404, error: "Upload not found" };
+  }
+  if (existing.receivedBytes !== existing.size) {
+    return { status: 409, error: "Upload is incomplete" };
+  }
+
+  // Claiming the session first keeps two concurrent completes from both
+  // storing the file.
+  const now = Date.now();
+  const session = await UploadSession.findOneAndUpdate(
+    {
+      _id: existing._id,
+      ownerId,
+      receivedBytes: existing.size,
+      $or: [
+        { status: "uploading" },
+        { status: "completing", claimedAt: { $lte: new Date(now - COMPLETION_CLAIM_TIMEOUT_MS) } }
+      ]
+    },
+    { $set: { status: "completing", claimedAt: new Date(now) } },
+    { new: true }
+  );
+  if (!session) {
+    return { status: 409, error: "Upload is already being completed. Try again shortly." };
+  }
+
+  const filePath = path.join(incomingDir, session.key);
+  let result;
+  try {
+    result = await finishUploadSession(session, filePath);
+  } catch (err) {
+    console.error("Upload completion failed:", err?.message || err);
+    result = { status: 500, error: "Failed to complete upload. Try again.", retryable: true };
+  }
+  // Stored or quarantined files have already been moved away.
+  removeFile(filePath);
+
+  if (result.error) {
+    await (result.retryable ? releaseUploadSession(session) : discardUploadSession(session));
+    return { status: result.status, error: result.error };
+  }
+
+  // chunkOffsets is kept so the sweeper can still clean up if this removal
+  // is cut short.
+  await UploadSession.updateOne(
+    { _id: session._id },
+    { $set: { status: "completed", expiresAt: new Date(Date.now() + ORPHAN_TTL_MS) } }
+  );
+  await removeChunks(session);
+  return { value: { upload: result.value, fileName: session.fileName } };
+}
+
+export async function abortUploadSession(ownerId, sessionId) {
+  const session = await UploadSession.findOneAndDelete({ _id: sessionId, ownerId, status: { $ne: "completing" } });
+  if (session) {
+    await removeChunks(session);
+  }
+  return Boolean(session);
+}
+
+// Binds a message's uploads to its chat. Only the owner can attach, and an
+// attached upload cannot move to another chat. Every key is checked before
+// any is bound, so a bad thumbnail key does not leave the main file attached
+// to a message that was never sent. Returns { value } or { status, error }.
+export async function attachUploads({ fileKeys, ownerId, chatId }) {
+  const keys = [...new Set(fileKeys)];
+  const filter = { key: { $in: keys }, ownerId, $or: [{ chatId: null }, { chatId }] };
+  if ((await Upload.countDocuments(filter)) !== keys.length) {
+    return { status: 400, error: "Unknown or unavailable fileKey" };
+  }
+  await Upload.updateMany(filter, { $set: { chatId, expiresAt: null } });
+  return { value: keys };
+}
+
+// Profile pictures, group avatars and custom emoji are served publicly.
+export async function isPublicUploadReference(fileKey) {
+  const url = `/uploads/${fileKey}`;
+  return Boolean(
+    (await User.exists({ avatarUrl: url })) ||
+      (await Chat.exists({ avatarUrl: url })) ||
+      (await CustomEmoji.exists({ url, isActive: true }))
+  );
+}
+
+// Attached uploads are visible to members of their chat, unattached ones only
+// to their owner. Files stored before uploads were tracked fall back to the
+// chats whose messages reference them.
+export async function canAccessUpload(userId, fileKey) {
+  const upload = await Upload.findOne({ key: fileKey }).select("ownerId chatId").lean();
+  if (upload) {
+    if (!upload.chatId) return String(upload.ownerId) === String(userId);
+    return Boolean(await Chat.exists({ _id: upload.chatId, members: userId }));
+  }
+
+  const chatIds = await Message.distinct("chatId", {
+    $or: [{ fileKey }, { fileUrl: `/uploads/${fileKey}` }]
+  });
+  return chatIds.length > 0 && Boolean(await Chat.exists({ _id: { $in: chatIds }, members: userId }));
+}
+
+// Deletes expired unattached uploads. Avatars and emoji never get a message,
+// so a referenced file is kept and stops expiring instead.
+export async function sweepOrphanedUploads(now = new Date()) {
+  const expired = await Upload.find({ chatId: null, expiresAt: { $lte: now } })
+    .select("_id key")
+    .limit(SWEEP_BATCH_SIZE)
+    .lean();
+
+  let removed = 0;
+  for (const upload of expired) {
+    if (await isPublicUploadReference(upload.key)) {
+      await Upload.updateOne({ _id: upload._id }, { $set: { expiresAt: null } });
+      continue;
+    }
+    // Still conditional on being unattached, in case a message claimed it
+    // since the query above.
+    const result = await Upload.deleteOne({ _id: upload._id, chatId: null });
+    if (result.deletedCount) {
+      await storage.remove(upload.key);
+      removed += 1;
+    }
+  }
+  return removed;
+}
+
+export async function sweepExpiredUploadSessions(now = new Date()) {
+  const expired = await UploadSession.find({ expiresAt: { $lte: now } })
+    .select("_id chunkOffsets")
+    .limit(SWEEP_BATCH_SIZE)
+    .lean();
+
+  let removed = 0;
+  for (const session of expired) {
+    const result = await UploadSession.deleteOne({ _id: session._id, expiresAt: { $lte: now } });
+    if (result.deletedCount) {
+      await removeChunks(session);
+      removed += 1;
+    }
+  }
+  return removed;
+}
+
+export function startUploadSweeper() {
+  const timer = setInterval(() => {
+    sweepOrphanedUploads().catch((err) => console.error("Upload sweep failed:", err));
+    sweepExpiredUploadSessions().catch((err) => console.error("Upload session sweep failed:", err));
+  }, SWEEP_INTERVAL_MS);
+  timer.unref();
+  return timer;
+}
@@ -8,10 +8,16 @@ import jwt from "jsonwebtoken";
 import { Server } from "socket.io";
 import Chat from "../models/Chat.js";
 import Message from "../models/Message.js";
+import CallHistory from "../models/CallHistory.js";
+import { isSessionActive } from "../services/sessions.js";
+
+const CALL_PARTY_SELECT = "_id name username avatarUrl";
 
 let ioInstance = null;
 const onlineUsers = new Map();
 const socketCallRoomMap = new Map();
+// roomId -> { callerId, calleeId, chatId, callType, invitedAt, acceptedAt }
+const activeCalls = new Map();
 
 function getUserSocketSet(userId) {
   const key = String(userId);
@@ -102,6 +108,51 @@ async function ensureDirectChatMemberPair(chatId, callerId, calleeId) {
   return Boolean(chat);
 }
 
+async function recordCallHistory({ callerId, calleeId, chatId, callType, status, duration = 0 }) {
+  try {
+    const entry = await CallHistory.create({
+      caller: callerId,
+      receiver: calleeId,
+      chatId: chatId || null,
+      type: callType === "video" ? "video" : "voice",
+      status,
+      duration
+    });
+    const populated = await CallHistory.findById(entry._id)
+      .populate("caller", CALL_PARTY_SELECT)
+      .populate("receiver", CALL_PARTY_SELECT);
+    const payload = populated?.toObject ? populated.toObject() : populated;
+    emitToUser(callerId, "call:history", { call: payload });
+    emitToUser(calleeId, "call:history", { call: payload });
+  } catch (err) {
+    console.error("Call history write failed:", err?.message || err);
+  }
+}
+
+// Resolves a tracked call into one history entry. Calls that were accepted are
+// "completed"; otherwise a hang-up by the callee counts as "rejected" and
+// anything else (caller cancel, ring timeout, disconnect) as "missed".
+function finishActiveCall(roomId, { status = "", endedByUserId = "" } = {}) {
+  const key = String(roomId || "");
+  const call = activeCalls.get(key);
+  if (!call) return;
+  activeCalls.delete(key);
+
+  const resolvedStatus =
+    status ||
+    (call.acceptedAt ? "completed" : String(endedByUserId) === call.calleeId ? "rejected" : "missed");
+  const duration =
+    resolvedStatus === "completed" && call.acceptedAt
+      ? Math.max(0, Math.round((Date.now() - call.acceptedAt) / 1000))
+      : 0;
+
+  recordCallHistory({ ...call, status: resolvedStatus, duration });
+}
+
+function isCallParty(call, userId) {
+  return Boolean(call) && [call.callerId, call.calleeId].includes(String(userId));
+}
+
 export function getIO() {
   if (!ioInstance) {
     throw new Error("Socket.io not initialized");
@@ -114,20 +165,32 @@ export function initSocket(server, { origin }) {
     cors: { origin, credentials: true }
   });
 
-  io.use((socket, next) => {
+  io.use(async (socket, next) => {
     const token = socket.handshake.auth?.token || "";
+    let payload;
     try {
-      const payload = jwt.verify(token, process.env.JWT_SECRET);
-      socket.userId = payload.id;
-      return next();
+      payload = jwt.verify(token, process.env.JWT_SECRET);
     } catch {
       return next(new Error("Unauthorized"));
     }
+    try {
+      if (!payload?.sid || !(await isSessionActive(payload.sid, payload.id))) {
+        return next(new Error("Unauthorized"));
+      }
+    } catch (err) {
+      console.error("Socket session check failed:", err?.message || err);
+      return next(new Error("Unauthorized"));
+    }
+    socket.userId = payload.id;
+    socket.sessionId = String(payload.sid);
+    return next();
   });
 
   io.on("connection", async (socket) => {
     const userId = socket.userId;
     addOnlineSocket(userId, socket.id);
+    // Revoking a session disconnects every socket in this room.
+    socket.join(`session:${socket.sessionId}`);
 
     try {
       const chats = await Chat.find({ members: userId }).select("_id");
@@ -298,6 +361,7 @@ export function initSocket(server, { origin }) {
 
         if (isUserInCall(calleeId)) {
           socket.emit("busy", { userId: calleeId, reason: "callee-in-call", roomId });
+          recordCallHistory({ callerId, calleeId, chatId, callType, status: "missed" });
           return;
         }
 
@@ -308,9 +372,19 @@ export function initSocket(server, { origin }) {
             byUserId: calleeId,
             reason: "offline"
           });
+          recordCallHistory({ callerId, calleeId, chatId, callType, status: "missed" });
           return;
         }
 
+        activeCalls.set(roomId, {
+          callerId,
+          calleeId,
+          chatId,
+          callType,
+          invitedAt: Date.now(),
+          acceptedAt: 0
+        });
+
         emitToUser(calleeId, "incoming-call", {
           roomId,
           chatId,
@@ -336,6 +410,10 @@ export function initSocket(server, { origin }) {
       const roomId = String(payload.roomId || "").trim();
       const toUserId = String(payload.toUserId || "").trim();
       if (!roomId || !toUserId) return;
+      const call = activeCalls.get(roomId);
+      if (call && call.calleeId === String(userId) && !call.acceptedAt) {
+        call.acceptedAt = Date.now();
+      }
       emitToUser(toUserId, "call-accepted", {
         roomId,
         byUserId: String(userId),
@@ -348,6 +426,10 @@ export function initSocket(server, { origin }) {
       const toUserId = String(payload.toUserId || "").trim();
       const reason = String(payload.reason || "rejected");
       if (!roomId || !toUserId) return;
+      const call = activeCalls.get(roomId);
+      if (call && call.calleeId === String(userId)) {
+        finishActiveCall(roomId, { status: reason === "busy" ? "missed" : "rejected" });
+      }
       emitToUser(toUserId, "call-rejected", {
         roomId,
         byUserId: String(userId),
@@ -365,6 +447,10 @@ export function initSocket(server, { origin }) {
         expectedRoomId: roomId || ""
       });
 
+      if (isCallParty(activeCalls.get(roomId), userId)) {
+        finishActiveCall(roomId, { endedByUserId: userId });
+      }
+
       if (toUserId) {
         emitToUser(toUserId, "end-call", {
           roomId,
@@ -437,8 +523,23 @@ export function initSocket(server, { origin }) {
     });
 
     socket.on("disconnect", () => {
-      leaveActiveCallRoom(socket, { reason: "disconnect" });
+      const leftRoomId = leaveActiveCallRoom(socket, { reason: "disconnect" });
+      if (leftRoomId && isCallParty(activeCalls.get(leftRoomId), userId)) {
+        finishActiveCall(leftRoomId, { endedByUserId: userId });
+      }
       removeOnlineSocket(userId, socket.id);
+      if (!onlineUsers.has(String(userId))) {
+        for (const [roomId, call] of activeCalls.entries()) {
+          if (call.calleeId === String(userId) && !call.acceptedAt) {
+            finishActiveCall(roomId, { status: "missed" });
+          } else if (call.callerId === String(userId)) {
+            // The caller went away before joining the call room, so nothing
+            // else would ever resolve the call; stop the callee's ringing too.
+            finishActiveCall(roomId, { endedByUserId: userId });
+            emitToUser(call.calleeId, "end-call", { roomId, byUserId: String(userId), reason: "disconnect" });
+          }
+        }
+      }
       io.emit("presence", { online: Array.from(onlineUsers.keys()) });
     });
   });
@@ -1,11 +1,27 @@
-import { before, describe, it } from "node:test";
+import { after, before, describe, it } from "node:test";
 import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import fs from "node:fs";
 import jwt from "jsonwebtoken";
+import mongoose from "mongoose";
 import request from "supertest";
 import { createApp } from "../src/app.js";
+import Chat from "../src/models/Chat.js";
+import CustomEmoji from "../src/models/CustomEmoji.js";
+import Message from "../src/models/Message.js";
+import Session from "../src/models/Session.js";
+import Upload from "../src/models/Upload.js";
+import UploadSession from "../src/models/UploadSession.js";
+import User from "../src/models/User.js";
+import { setUploadScanner } from "../src/services/uploadInspection.js";
+import { attachUploads } from "../src/services/uploads.js";
+
+const USER_ID = "507f1f77bcf86cd799439011";
+const SESSION_ID = "507f1f77bcf86cd799439031";
 
 let httpRequest;
 let authToken;
+let restoreSessionExists;
 
 before(() => {
   process.env.NODE_ENV = "test";
@@ -14,7 +30,14 @@ before(() => {
     corsOrigin: (origin, callback) => callback(null, true)
   });
   httpRequest = request(app);
-  authToken = jwt.sign({ id: "507f1f77bcf86cd799439011" }, process.env.JWT_SECRET);
+  authToken = jwt.sign({ id: USER_ID, sid: SESSION_ID }, process.env.JWT_SECRET);
+
+  restoreSessionExists = Session.exists;
+  Session.exists = async () => ({ _id: SESSION_ID });
+});
+
+after(() => {
+  Session.exists = restoreSessionExists;
 });
 
 describe("API guardrails", () => {
@@ -44,6 +67,14 @@ describe("API guardrails", () => {
     assert.match(String(res.body?.message || ""), /password/i);
   });
 
+  it("rejects invalid call history filters", async () => {
+    const res = await httpRequest
+      .get("/api/calls?status=dropped")
+      .set("Authorization", `Bearer ${authToken}`);
+    assert.equal(res.status, 400);
+    assert.match(String(res.body?.message || ""), /status/i);
+  });
+
   it("blocks traversal-like upload key requests", async () => {
     const res = await httpRequest
       .get("/api/upload/not-valid-key")
@@ -68,3 +99,487 @@ describe("API guardrails", () => {
     assert.match(String(res.body?.message || ""), /jpg|jpeg|png|webp|gif/i);
   });
 });
+
+describe("Session auth", () => {
+  it("rejects access tokens that are not bound to a session", async () => {
+    const legacyToken = jwt.sign({ id: USER_ID }, process.env.JWT_SECRET);
+    const res = await httpRequest
+      .get("/api/calls")
+      .set("Authorization", `Bearer ${legacyToken}`);
+    assert.equal(res.status, 401);
+  });
+
+  it("rejects access tokens for revoked sessions", async () => {
+    const activeExists = Session.exists;
+    Session.exists = async () => null;
+    try {
+      const res = await httpRequest
+        .get("/api/calls")
+        .set("Authorization", `Bearer ${authToken}`);
+      assert.equal(res.status, 401);
+      assert.match(String(res.body?.message || ""), /revoked/i);
+    } finally {
+      Session.exists = activeExists;
+    }
+  });
+
+  it("requires a refresh token to refresh", async () => {
+    const res = await httpRequest.post("/api/auth/refresh").send({});
+    assert.equal(res.status, 400);
+    assert.match(String(res.body?.message || ""), /refreshToken/);
+  });
+
+  it("rejects malformed refresh tokens", async () => {
+    const res = await httpRequest.post("/api/auth/refresh").send({ refreshToken: "not-a-token" });
+    assert.equal(res.status, 401);
+  });
+});
+
+describe("Account security", () => {
+  it("rejects a short new password", async () => {
+    const res = await httpRequest
+      .patch("/api/users/me/password")
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({ currentPassword: "StrongPass123!", newPassword: "short" });
+    assert.equal(res.status, 400);
+    assert.match(String(res.body?.message || ""), /password/i);
+  });
+
+  it("rejects expired or forged two-factor challenges", async () => {
+    const res = await httpRequest.post("/api/auth/login/2fa").send({
+      challengeToken: authToken,
+      code: "123456"
+    });
+    assert.equal(res.status, 401);
+    assert.match(String(res.body?.message || ""), /challenge/i);
+  });
+
+  it("rejects key backups with a weak key derivation", async () => {
+    const res = await httpRequest
+      .put("/api/users/me/key-backup")
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({
+        version: 1,
+        kdf: "PBKDF2",
+        kdfHash: "SHA-256",
+        iterations: 1000,
+        saltB64: "c2FsdA==",
+        ivB64: "aXY=",
+        ciphertextB64: "Y2lwaGVy",
+        publicSpkiB64: "c3BraQ=="
+      });
+    assert.equal(res.status, 400);
+    assert.match(String(res.body?.message || ""), /iterations/i);
+  });
+
+  it("requires a recovery code to reset a password", async () => {
+    const res = await httpRequest.post("/api/auth/recover").send({
+      username: "valid_user",
+      newPassword: "AnotherPass123!"
+    });
+    assert.equal(res.status, 400);
+    assert.match(String(res.body?.message || ""), /recovery code/i);
+  });
+});
+
+describe("Prekey bundles", () => {
+  it("rejects bundles without a signed prekey", async () => {
+    const res = await httpRequest
+      .put("/api/users/me/prekeys")
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({ identityKeyB64: "aWs=", signingKeyB64: "c2lr", oneTimePreKeys: [] });
+    assert.equal(res.status, 400);
+    assert.match(String(res.body?.message || ""), /signedPreKey/);
+  });
+
+  it("rejects duplicate one-time prekey ids", async () => {
+    const res = await httpRequest
+      .post("/api/users/me/prekeys/one-time")
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({
+        oneTimePreKeys: [
+          { keyId: 7, publicKeyB64: "a2V5LWE=" },
+          { keyId: 7, publicKeyB64: "a2V5LWI=" }
+        ]
+      });
+    assert.equal(res.status, 400);
+    assert.match(String(res.body?.message || ""), /duplicate/i);
+  });
+
+  it("rejects claiming prekeys with a malformed user id", async () => {
+    const res = await httpRequest
+      .get("/api/users/not-a-user/prekeys")
+      .set("Authorization", `Bearer ${authToken}`);
+    assert.equal(res.status, 400);
+    assert.match(String(res.body?.message || ""), /user id/i);
+  });
+});
+
+describe("Upload access", () => {
+  const FILE_KEY = "3f1c2a9e-4b7d-4e1a-9c3f-2d5e8a7b6c10.bin";
+  const OTHER_USER_ID = "507f1f77bcf86cd799439012";
+  let storedUpload = null;
+  let restoreUploadFindOne;
+  let restoreMessageDistinct;
+  let restoreChatExists;
+  let restoreUserExists;
+  let restoreEmojiExists;
+
+  before(() => {
+    restoreUploadFindOne = Upload.findOne;
+    restoreMessageDistinct = Message.distinct;
+    restoreChatExists = Chat.exists;
+    restoreUserExists = User.exists;
+    restoreEmojiExists = CustomEmoji.exists;
+    Upload.findOne = () => ({ select: () => ({ lean: async () => storedUpload }) });
+    Message.distinct = async () => ["507f1f77bcf86cd799439041"];
+    Chat.exists = async () => null;
+    User.exists = async () => null;
+    CustomEmoji.exists = async () => null;
+  });
+
+  after(() => {
+    Upload.findOne = restoreUploadFindOne;
+    Message.distinct = restoreMessageDistinct;
+    Chat.exists = restoreChatExists;
+    User.exists = restoreUserExists;
+    CustomEmoji.exists = restoreEmojiExists;
+  });
+
+  it("hides attachments from users outside the chat they were attached to", async () => {
+    storedUpload = { ownerId: USER_ID, chatId: "507f1f77bcf86cd799439041" };
+    const res = await httpRequest
+      .get(`/api/upload/${FILE_KEY}`)
+      .set("Authorization", `Bearer ${authToken}`);
+    assert.equal(res.status, 404);
+  });
+
+  it("hides unattached uploads from everyone but their owner", async () => {
+    storedUpload = { ownerId: OTHER_USER_ID, chatId: null };
+    const res = await httpRequest
+      .get(`/api/upload/${FILE_KEY}`)
+      .set("Authorization", `Bearer ${authToken}`);
+    assert.equal(res.status, 404);
+  });
+
+  it("hides untracked files from users outside the referencing chat", async () => {
+    storedUpload = null;
+    const res = await httpRequest
+      .get(`/api/upload/${FILE_KEY}`)
+      .set("Authorization", `Bearer ${authToken}`);
+    assert.equal(res.status, 404);
+  });
+
+  it("does not serve attachments on the public uploads path", async () => {
+    const res = await httpRequest.get(`/uploads/${FILE_KEY}`);
+    assert.equal(res.status, 404);
+  });
+
+  it("binds none of a message's uploads when one key is unavailable", async () => {
+    const restoreCount = Upload.countDocuments;
+    const restoreUpdateMany = Upload.updateMany;
+    let updated = false;
+    Upload.countDocuments = async () => 1;
+    Upload.updateMany = async () => {
+      updated = true;
+    };
+    try {
+      const result = await attachUploads({
+        fileKeys: [FILE_KEY, "missing-thumbnail.bin"],
+        ownerId: USER_ID,
+        chatId: "507f1f77bcf86cd799439041"
+      });
+      assert.equal(result.status, 400);
+      assert.equal(updated, false);
+    } finally {
+      Upload.countDocuments = restoreCount;
+      Upload.updateMany = restoreUpdateMany;
+    }
+  });
+});
+
+describe("Chunked uploads", () => {
+  const originals = {};
+  let sessionDoc = null;
+
+  function sha256Hex(buffer) {
+    return crypto.createHash("sha256").update(buffer).digest("hex");
+  }
+
+  function startSession(bytes, sha256 = sha256Hex(bytes)) {
+    return httpRequest
+      .post("/api/upload/sessions")
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({ originalName: "notes.txt", originalMimeType: "text/plain", uploadType: "file", size: bytes.length, sha256 });
+  }
+
+  function putChunk(uploadId, offset, chunk) {
+    return httpRequest
+      .put(`/api/upload/sessions/${uploadId}`)
+      .set("Authorization", `Bearer ${authToken}`)
+      .set("Upload-Offset", String(offset))
+      .set("Content-Type", "application/octet-stream")
+      .send(chunk);
+  }
+
+  function completeSession(uploadId) {
+    return httpRequest
+      .post(`/api/upload/sessions/${uploadId}/complete`)
+      .set("Authorization", `Bearer ${authToken}`);
+  }
+
+  before(() => {
+    for (const name of ["countDocuments", "create", "findOne", "findOneAndUpdate", "findOneAndDelete", "updateOne", "deleteOne"]) {
+      originals[name] = UploadSession[name];
+    }
+    originals.uploadCreate = Upload.create;
+
+    UploadSession.countDocuments = async () => 0;
+    UploadSession.create = async (doc) => {
+      sessionDoc = { _id: new mongoose.Types.ObjectId(), receivedBytes: 0, chunkOffsets: [], status: "uploading", ...doc };
+      return sessionDoc;
+    };
+    UploadSession.findOne = async (query) =>
+      sessionDoc && String(query._id) === String(sessionDoc._id) ? sessionDoc : null;
+    UploadSession.findOneAndUpdate = async (query, update) => {
+      if (!sessionDoc || query.receivedBytes !== sessionDoc.receivedBytes) return null;
+      // Completion claims only take sessions that are still uploading.
+      if (query.$or && sessionDoc.status !== "uploading") return null;
+      Object.assign(sessionDoc, update.$set);
+      const offset = update.$addToSet?.chunkOffsets;
+      if (offset !== undefined && !sessionDoc.chunkOffsets.includes(offset)) {
+        sessionDoc.chunkOffsets.push(offset);
+      }
+      return sessionDoc;
+    };
+    UploadSession.findOneAndDelete = async (query) => {
+      if (!sessionDoc || query.status?.$ne === sessionDoc.status) return null;
+      const removed = sessionDoc;
+      sessionDoc = null;
+      return removed;
+    };
+    UploadSession.updateOne = async (query, update) => {
+      if (!sessionDoc || (query.status && query.status !== sessionDoc.status)) return { modifiedCount: 0 };
+      Object.assign(sessionDoc, update.$set);
+      return { modifiedCount: 1 };
+    };
+    UploadSession.deleteOne = async () => {
+      sessionDoc = null;
+      return { deletedCount: 1 };
+    };
+    Upload.create = async (doc) => doc;
+  });
+
+  after(() => {
+    for (const name of ["countDocuments", "create", "findOne", "findOneAndUpdate", "findOneAndDelete", "updateOne", "deleteOne"]) {
+      UploadSession[name] = originals[name];
+    }
+    Upload.create = originals.uploadCreate;
+  });
+
+  it("assembles chunks and verifies the checksum on completion", async () => {
+    const bytes = Buffer.from("first chunk|second chunk");
+    const started = await startSession(bytes);
+    assert.equal(started.status, 201);
+    assert.equal(started.body.offset, 0);
+
+    const first = await putChunk(started.body.uploadId, 0, bytes.subarray(0, 12));
+    assert.equal(first.status, 200);
+    assert.equal(first.body.offset, 12);
+
+    const status = await httpRequest
+      .get(`/api/upload/sessions/${started.body.uploadId}`)
+      .set("Authorization", `Bearer ${authToken}`);
+    assert.equal(status.body.offset, 12);
+
+    const second = await putChunk(started.body.uploadId, 12, bytes.subarray(12));
+    assert.equal(second.body.offset, bytes.length);
+
+    const completed = await completeSession(started.body.uploadId);
+    assert.equal(completed.status, 200);
+    assert.equal(completed.body.fileName, "notes.txt");
+    const storedPath = new URL(`../uploads/${completed.body.fileKey}`, import.meta.url);
+    assert.deepEqual(fs.readFileSync(storedPath), bytes);
+    fs.unlinkSync(storedPath);
+  });
+
+  it("rejects executables but not ciphertext that fails to match its declared type", async () => {
+    const elf = Buffer.concat([Buffer.from([0x7f, 0x45, 0x4c, 0x46]), Buffer.alloc(60)]);
+    const rejected = await startSession(elf);
+    await putChunk(rejected.body.uploadId, 0, elf);
+    const rejectedRes = await completeSession(rejected.body.uploadId);
+    assert.equal(rejectedRes.status, 400);
+    assert.match(String(rejectedRes.body?.message || ""), /not allowed/i);
+
+    // Declared as notes.txt/text/plain: ciphertext is never checked against that.
+    const ciphertext = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 1, 2, 3, 4]);
+    const started = await startSession(ciphertext);
+    await putChunk(started.body.uploadId, 0, ciphertext);
+    const completed = await completeSession(started.body.uploadId);
+    assert.equal(completed.status, 200);
+    fs.unlinkSync(new URL(`../uploads/${completed.body.fileKey}`, import.meta.url));
+  });
+
+  it("returns the same upload when completion is retried", async () => {
+    const bytes = Buffer.from("lost response");
+    const started = await startSession(bytes);
+    await putChunk(started.body.uploadId, 0, bytes);
+    const completed = await completeSession(started.body.uploadId);
+    assert.equal(completed.status, 200);
+    assert.equal(sessionDoc.status, "completed");
+
+    const restoreFindOne = Upload.findOne;
+    Upload.findOne = async (query) => ({ ...query, uploadType: "file", mimeType: "text/plain", size: bytes.length });
+    try {
+      const retried = await completeSession(started.body.uploadId);
+      assert.equal(retried.status, 200);
+      assert.equal(retried.body.fileKey, completed.body.fileKey);
+      assert.equal(retried.body.fileName, "notes.txt");
+    } finally {
+      Upload.findOne = restoreFindOne;
+      fs.unlinkSync(new URL(`../uploads/${completed.body.fileKey}`, import.meta.url));
+    }
+  });
+
+  it("keeps the upload for another try when the scanner is unavailable", async () => {
+    const bytes = Buffer.from("scan me later");
+    const started = await startSession(bytes);
+    await putChunk(started.body.uploadId, 0, bytes);
+
+    setUploadScanner(async () => {
+      throw new Error("scanner offline");
+    });
+    try {
+      const res = await completeSession(started.body.uploadId);
+      assert.equal(res.status, 503);
+      assert.equal(sessionDoc.status, "uploading");
+    } finally {
+      setUploadScanner(null);
+    }
+
+    const retried = await completeSession(started.body.uploadId);
+    assert.equal(retried.status, 200);
+    fs.unlinkSync(new URL(`../uploads/${retried.body.fileKey}`, import.meta.url));
+  });
+
+  it("reports the current offset when a chunk does not line up", async () => {
+    const bytes = Buffer.from("resumable");
+    const started = await startSession(bytes);
+    await putChunk(started.body.uploadId, 0, bytes.subarray(0, 4));
+
+    const res = await putChunk(started.body.uploadId, 0, bytes.subarray(0, 4));
+    assert.equal(res.status, 409);
+    assert.equal(res.body.offset, 4);
+
+    const aborted = await httpRequest
+      .delete(`/api/upload/sessions/${started.body.uploadId}`)
+      .set("Authorization", `Bearer ${authToken}`);
+    assert.equal(aborted.status, 200);
+  });
+
+  it("discards uploads whose checksum does not match", async () => {
+    const bytes = Buffer.from("tampered");
+    const started = await startSession(bytes, sha256Hex(Buffer.from("original")));
+    await putChunk(started.body.uploadId, 0, bytes);
+
+    const res = await completeSession(started.body.uploadId);
+    assert.equal(res.status, 400);
+    assert.match(String(res.body?.message || ""), /checksum/i);
+    assert.equal(sessionDoc, null);
+  });
+
+  it("rejects chunks without an Upload-Offset header", async () => {
+    const res = await httpRequest
+      .put("/api/upload/sessions/507f1f77bcf86cd799439051")
+      .set("Authorization", `Bearer ${authToken}`)
+      .set("Content-Type", "application/octet-stream")
+      .send(Buffer.from("chunk"));
+    assert.equal(res.status, 400);
+    assert.match(String(res.body?.message || ""), /Upload-Offset/);
+  });
+});
+
+describe("Upload content checks", () => {
+  let restoreUploadCreate;
+
+  function uploadFile(bytes, { filename, contentType, uploadType }) {
+    const req = httpRequest.post("/api/upload").set("Authorization", `Bearer ${authToken}`);
+    if (uploadType) req.field("uploadType", uploadType);
+    return req.attach("file", bytes, { filename, contentType });
+  }
+
+  // SOI, an EXIF block with orientation 6 and a GPS note, a comment, then SOS.
+  function jpegWithMetadata() {
+    const tiff = Buffer.from([
+      0x4d, 0x4d, 0x00, 0x2a, 0, 0, 0, 8,
+      0, 1, 0x01, 0x12, 0, 3, 0, 0, 0, 1, 0, 6, 0, 0,
+      0, 0, 0, 0
+    ]);
+    const exif = Buffer.concat([Buffer.from("Exif\0\0", "latin1"), tiff, Buffer.from("GPS 52.37N 4.89E")]);
+    const segment = (marker, data) => {
+      const head = Buffer.from([0xff, marker, 0, 0]);
+      head.writeUInt16BE(data.length + 2, 2);
+      return Buffer.concat([head, data]);
+    };
+    return Buffer.concat([
+      Buffer.from([0xff, 0xd8]),
+      segment(0xe0, Buffer.from("JFIF\0\x01\x01\0\0\x01\0\x01\0\0", "latin1")),
+      segment(0xe1, exif),
+      segment(0xfe, Buffer.from("taken at home")),
+      segment(0xda, Buffer.from([0, 1, 2, 3])),
+      Buffer.from([0x11, 0x22, 0xff, 0xd9])
+    ]);
+  }
+
+  before(() => {
+    restoreUploadCreate = Upload.create;
+    Upload.create = async (doc) => doc;
+  });
+
+  after(() => {
+    Upload.create = restoreUploadCreate;
+  });
+
+  it("rejects images whose content does not match the declared type", async () => {
+    const png = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 0]);
+    const res = await uploadFile(png, { filename: "photo.jpg", contentType: "image/jpeg", uploadType: "image" });
+    assert.equal(res.status, 400);
+    assert.match(String(res.body?.message || ""), /does not match/i);
+  });
+
+  it("rejects executables sent as generic binary data", async () => {
+    const elf = Buffer.concat([Buffer.from([0x7f, 0x45, 0x4c, 0x46]), Buffer.alloc(60)]);
+    const res = await uploadFile(elf, {
+      filename: "data.bin",
+      contentType: "application/octet-stream",
+      uploadType: "file"
+    });
+    assert.equal(res.status, 400);
+    assert.match(String(res.body?.message || ""), /not allowed/i);
+  });
+
+  it("strips EXIF metadata from images but keeps the orientation", async () => {
+    const res = await uploadFile(jpegWithMetadata(), { filename: "photo.jpg", contentType: "image/jpeg" });
+    assert.equal(res.status, 200);
+    const storedPath = new URL(`../uploads/${res.body.fileKey}`, import.meta.url);
+    const stored = fs.readFileSync(storedPath);
+    fs.unlinkSync(storedPath);
+    assert.equal(res.body.size, stored.length);
+    assert.equal(stored.includes(Buffer.from("GPS")), false);
+    assert.equal(stored.includes(Buffer.from("taken at home")), false);
+    assert.equal(stored.includes(Buffer.from("JFIF")), true);
+    assert.equal(stored.includes(Buffer.from([0x01, 0x12, 0x00, 0x03, 0, 0, 0, 1, 0x00, 0x06])), true);
+  });
+
+  it("quarantines files flagged by the scanner", async () => {
+    const quarantineDir = new URL("../uploads/quarantine/", import.meta.url);
+    const before = new Set(fs.readdirSync(quarantineDir));
+    const eicar = Buffer.from("X5O!P%@AP[4\\PZX54(P^)7CC)7}$EICAR-STANDARD-ANTIVIRUS-TEST-FILE!$H+H*");
+    const res = await uploadFile(eicar, { filename: "notes.txt", contentType: "text/plain", uploadType: "file" });
+    assert.equal(res.status, 422);
+
+    const added = fs.readdirSync(quarantineDir).filter((name) => !before.has(name));
+    assert.equal(added.length, 1);
+    fs.unlinkSync(new URL(added[0], quarantineDir));
+  });
+});
@@ -0,0 +1,377 @@
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import jwt from "jsonwebtoken";
+import mongoose from "mongoose";
+import request from "supertest";
+import { createApp } from "../src/app.js";
+import Chat from "../src/models/Chat.js";
+import ChatRequest from "../src/models/ChatRequest.js";
+import Message from "../src/models/Message.js";
+import PreKeyBundle from "../src/models/PreKeyBundle.js";
+import Session from "../src/models/Session.js";
+import User from "../src/models/User.js";
+import { getGroupRole, hasGroupRole, setGroupRole } from "../src/services/groupRoles.js";
+import { describeSystemEvent } from "../src/services/systemMessages.js";
+import { getInviteUnavailableReason, parseInviteOptions } from "../src/services/chatInvites.js";
+
+const OWNER_ID = "507f1f77bcf86cd799439011";
+const ADMIN_ID = "507f1f77bcf86cd799439012";
+const MEMBER_ID = "507f1f77bcf86cd799439013";
+const OTHER_ADMIN_ID = "507f1f77bcf86cd799439014";
+const GROUP_CHAT_ID = "507f1f77bcf86cd799439021";
+const SESSION_ID = "507f1f77bcf86cd799439031";
+
+let httpRequest;
+let restoreFindById;
+let restoreSessionExists;
+
+function groupChat() {
+  return {
+    _id: new mongoose.Types.ObjectId(GROUP_CHAT_ID),
+    type: "group",
+    createdBy: new mongoose.Types.ObjectId(OWNER_ID),
+    members: [OWNER_ID, ADMIN_ID, MEMBER_ID, OTHER_ADMIN_ID].map((id) => new mongoose.Types.ObjectId(id)),
+    memberRoles: [
+      { userId: new mongoose.Types.ObjectId(OWNER_ID), role: "owner" },
+      { userId: new mongoose.Types.ObjectId(ADMIN_ID), role: "admin" },
+      { userId: new mongoose.Types.ObjectId(OTHER_ADMIN_ID), role: "admin" }
+    ],
+    save: async () => {
+      throw new Error("save should not be reached");
+    }
+  };
+}
+
+function tokenFor(userId) {
+  return `Bearer ${jwt.sign({ id: userId, sid: SESSION_ID }, process.env.JWT_SECRET)}`;
+}
+
+before(() => {
+  process.env.NODE_ENV = "test";
+  process.env.JWT_SECRET = "test-secret";
+
+  restoreSessionExists = Session.exists;
+  Session.exists = async () => ({ _id: SESSION_ID });
+
+  restoreFindById = Chat.findById;
+  Chat.findById = async () => groupChat();
+
+  const app = createApp({
+    corsOrigin: (origin, callback) => callback(null, true)
+  });
+  httpRequest = request(app);
+});
+
+after(() => {
+  Chat.findById = restoreFindById;
+  Session.exists = restoreSessionExists;
+});
+
+describe("Group role rules", () => {
+  it("treats the creator of a group without roles as its owner", () => {
+    const legacy = { ...groupChat(), memberRoles: [] };
+    assert.equal(getGroupRole(legacy, OWNER_ID), "owner");
+    assert.equal(getGroupRole(legacy, ADMIN_ID), "member");
+    assert.equal(getGroupRole(legacy, "507f1f77bcf86cd799439099"), null);
+  });
+
+  it("keeps a legacy owner when another member is promoted", () => {
+    const legacy = { ...groupChat(), memberRoles: [] };
+    setGroupRole(legacy, MEMBER_ID, "admin");
+    assert.equal(getGroupRole(legacy, OWNER_ID), "owner");
+    assert.equal(getGroupRole(legacy, MEMBER_ID), "admin");
+  });
+
+  it("leaves exactly one owner after a transfer", () => {
+    const chat = groupChat();
+    setGroupRole(chat, MEMBER_ID, "owner");
+    setGroupRole(chat, OWNER_ID, "admin");
+    assert.equal(getGroupRole(chat, MEMBER_ID), "owner");
+    assert.equal(getGroupRole(chat, OWNER_ID), "admin");
+    assert.equal(chat.memberRoles.filter((item) => item.role === "owner").length, 1);
+    assert.equal(hasGroupRole(chat, OWNER_ID, "owner"), false);
+  });
+});
+
+describe("Group role endpoints", () => {
+  it("rejects unknown roles", async () => {
+    const res = await httpRequest
+      .patch(`/api/chats/${GROUP_CHAT_ID}/members/${MEMBER_ID}/role`)
+      .set("Authorization", tokenFor(OWNER_ID))
+      .send({ role: "owner" });
+    assert.equal(res.status, 400);
+    assert.match(String(res.body?.message || ""), /admin or member/i);
+  });
+
+  it("does not let members change roles", async () => {
+    const res = await httpRequest
+      .patch(`/api/chats/${GROUP_CHAT_ID}/members/${MEMBER_ID}/role`)
+      .set("Authorization", tokenFor(MEMBER_ID))
+      .send({ role: "admin" });
+    assert.equal(res.status, 403);
+  });
+
+  it("only lets the owner demote admins", async () => {
+    const res = await httpRequest
+      .patch(`/api/chats/${GROUP_CHAT_ID}/members/${OTHER_ADMIN_ID}/role`)
+      .set("Authorization", tokenFor(ADMIN_ID))
+      .send({ role: "member" });
+    assert.equal(res.status, 403);
+    assert.match(String(res.body?.message || ""), /owner can demote/i);
+  });
+
+  it("only lets the owner transfer ownership", async () => {
+    const res = await httpRequest
+      .post(`/api/chats/${GROUP_CHAT_ID}/owner`)
+      .set("Authorization", tokenFor(ADMIN_ID))
+      .send({ memberId: ADMIN_ID });
+    assert.equal(res.status, 403);
+    assert.match(String(res.body?.message || ""), /transfer ownership/i);
+  });
+
+  it("never removes the owner, and only the owner removes admins", async () => {
+    const ownerRes = await httpRequest
+      .delete(`/api/chats/${GROUP_CHAT_ID}/members/${OWNER_ID}`)
+      .set("Authorization", tokenFor(ADMIN_ID));
+    assert.equal(ownerRes.status, 403);
+    assert.match(String(ownerRes.body?.message || ""), /owner cannot be removed/i);
+
+    const adminRes = await httpRequest
+      .delete(`/api/chats/${GROUP_CHAT_ID}/members/${OTHER_ADMIN_ID}`)
+      .set("Authorization", tokenFor(ADMIN_ID));
+    assert.equal(adminRes.status, 403);
+    assert.match(String(adminRes.body?.message || ""), /owner can remove admins/i);
+  });
+
+  it("only lets admins lock or unlock a group chat", async () => {
+    const original = Chat.findOne;
+    Chat.findOne = () => ({ ...groupChat(), select() {} });
+    try {
+      const lockRes = await httpRequest
+        .post(`/api/chats/${GROUP_CHAT_ID}/lock`)
+        .set("Authorization", tokenFor(MEMBER_ID))
+        .send({ passwordDigest: "a".repeat(64) });
+      assert.equal(lockRes.status, 403);
+      assert.match(String(lockRes.body?.message || ""), /admins can lock/i);
+
+      const unlockRes = await httpRequest
+        .post(`/api/chats/${GROUP_CHAT_ID}/unlock`)
+        .set("Authorization", tokenFor(MEMBER_ID))
+        .send({ passwordDigest: "a".repeat(64) });
+      assert.equal(unlockRes.status, 403);
+      assert.match(String(unlockRes.body?.message || ""), /admins can unlock/i);
+    } finally {
+      Chat.findOne = original;
+    }
+  });
+
+  it("keeps the group profile to admins", async () => {
+    const res = await httpRequest
+      .patch(`/api/chats/${GROUP_CHAT_ID}/group-profile`)
+      .set("Authorization", tokenFor(MEMBER_ID))
+      .send({ name: "Renamed" });
+    assert.equal(res.status, 403);
+  });
+});
+
+describe("Owner account deletion", () => {
+  const stubs = [];
+
+  function stub(model, name, impl) {
+    stubs.push([model, name, model[name]]);
+    model[name] = impl;
+  }
+
+  after(() => {
+    stubs.reverse().forEach(([model, name, original]) => {
+      model[name] = original;
+    });
+  });
+
+  it("hands ownership to the next member so they can manage the group", async () => {
+    const updates = [];
+    const selected = (value) => ({ select: async () => value });
+    stub(User, "findById", () => selected({ _id: OWNER_ID }));
+    stub(User, "deleteOne", async () => ({}));
+    stub(Chat, "find", () => selected([groupChat()]));
+    stub(Chat, "updateOne", async (filter, update) => {
+      updates.push(update);
+      return {};
+    });
+    stub(ChatRequest, "deleteMany", async () => ({}));
+    stub(Message, "deleteMany", async () => ({}));
+    stub(Session, "find", () => selected([]));
+    stub(Session, "deleteMany", async () => ({}));
+    stub(PreKeyBundle, "deleteOne", async () => ({}));
+
+    const res = await httpRequest.delete("/api/users/me").set("Authorization", tokenFor(OWNER_ID));
+    assert.equal(res.status, 200);
+    assert.equal(updates.length, 1);
+
+    const successorId = String(updates[0].createdBy);
+    assert.equal(successorId, ADMIN_ID);
+    const remaining = { ...groupChat(), ...updates[0] };
+    assert.equal(getGroupRole(remaining, successorId), "owner");
+    assert.equal(remaining.memberRoles.filter((item) => item.role === "owner").length, 1);
+    assert.equal(remaining.memberRoles.some((item) => String(item.userId) === OWNER_ID), false);
+
+    // Passing the owner check is what lets the transfer reach the membership lookup.
+    stub(Chat, "findById", async () => remaining);
+    const transferRes = await httpRequest
+      .post(`/api/chats/${GROUP_CHAT_ID}/owner`)
+      .set("Authorization", tokenFor(successorId))
+      .send({ memberId: OWNER_ID });
+    assert.equal(transferRes.status, 404);
+    assert.match(String(transferRes.body?.message || ""), /member not found/i);
+  });
+});
+
+describe("Group membership changes", () => {
+  it("only lets admins add members", async () => {
+    const res = await httpRequest
+      .post(`/api/chats/${GROUP_CHAT_ID}/members`)
+      .set("Authorization", tokenFor(MEMBER_ID))
+      .send({ memberIds: ["507f1f77bcf86cd799439015"] });
+    assert.equal(res.status, 403);
+    assert.match(String(res.body?.message || ""), /admins can add members/i);
+  });
+
+  it("rejects malformed ids and users already in the group", async () => {
+    const invalidRes = await httpRequest
+      .post(`/api/chats/${GROUP_CHAT_ID}/members`)
+      .set("Authorization", tokenFor(ADMIN_ID))
+      .send({ memberIds: ["not-a-user"] });
+    assert.equal(invalidRes.status, 400);
+    assert.match(String(invalidRes.body?.message || ""), /invalid member id/i);
+
+    const existingRes = await httpRequest
+      .post(`/api/chats/${GROUP_CHAT_ID}/members`)
+      .set("Authorization", tokenFor(ADMIN_ID))
+      .send({ memberIds: [MEMBER_ID] });
+    assert.equal(existingRes.status, 400);
+    assert.match(String(existingRes.body?.message || ""), /already in this group/i);
+  });
+
+});
+
+describe("Leaving a group", () => {
+  const stubs = [];
+
+  function stub(model, name, impl) {
+    stubs.push([model, name, model[name]]);
+    model[name] = impl;
+  }
+
+  after(() => {
+    stubs.reverse().forEach(([model, name, original]) => {
+      model[name] = original;
+    });
+  });
+
+  it("hands ownership to the next member when the owner leaves", async () => {
+    const calls = [];
+    const remaining = { ...groupChat(), members: groupChat().members.slice(1) };
+    stub(Chat, "findOneAndUpdate", async (filter, update) => {
+      calls.push({ filter, update });
+      Object.assign(remaining, update.$set);
+      return remaining;
+    });
+    stub(User, "find", () => ({ select: async () => [] }));
+    stub(Message, "create", async (doc) => ({ ...doc, createdAt: new Date() }));
+    stub(Chat, "updateOne", async () => ({}));
+
+    // The first lookup is the membership check; later ones build the broadcast.
+    let lookups = 0;
+    stub(Chat, "findById", () => {
+      const result = Promise.resolve(lookups++ === 0 ? groupChat() : remaining);
+      result.populate = () => result;
+      return result;
+    });
+
+    const res = await httpRequest
+      .post(`/api/chats/${GROUP_CHAT_ID}/leave`)
+      .set("Authorization", tokenFor(OWNER_ID));
+    assert.equal(res.status, 200);
+    assert.equal(calls.length, 1);
+    assert.deepEqual(calls[0].update.$pull, { members: OWNER_ID });
+    assert.equal(String(remaining.createdBy), ADMIN_ID);
+    assert.equal(getGroupRole(remaining, ADMIN_ID), "owner");
+    assert.equal(remaining.memberRoles.some((item) => String(item.userId) === OWNER_ID), false);
+  });
+
+  it("deletes the group and its messages when the last member leaves", async () => {
+    const deleted = [];
+    const lastMember = { ...groupChat(), members: [new mongoose.Types.ObjectId(MEMBER_ID)], memberRoles: [] };
+    stub(Chat, "findById", async () => lastMember);
+    stub(Chat, "findOneAndUpdate", async () => ({ ...lastMember, members: [] }));
+    stub(Chat, "deleteOne", async () => {
+      deleted.push("chat");
+      return { deletedCount: 1 };
+    });
+    stub(Message, "deleteMany", async () => {
+      deleted.push("messages");
+      return {};
+    });
+
+    const res = await httpRequest
+      .post(`/api/chats/${GROUP_CHAT_ID}/leave`)
+      .set("Authorization", tokenFor(MEMBER_ID));
+    assert.equal(res.status, 200);
+    assert.deepEqual(deleted, ["chat", "messages"]);
+  });
+});
+
+describe("System message text", () => {
+  it("describes membership and profile events", () => {
+    assert.equal(
+      describeSystemEvent({ kind: "members-added" }, "Ana", ["Ben", "Cai", "Dee"]),
+      "Ana added Ben, Cai and Dee"
+    );
+    assert.equal(
+      describeSystemEvent({ kind: "profile-updated", fields: ["name", "avatar"], name: "Hikers" }, "Ana"),
+      'Ana renamed the group to "Hikers" and changed the group photo'
+    );
+    assert.equal(describeSystemEvent({ kind: "vanish-changed", enabled: false }, "Ben"), "Ben turned vanish mode off");
+  });
+});
+
+describe("Group invite links", () => {
+  it("parses expiry, usage limits and approval mode", () => {
+    const now = new Date("2026-01-01T00:00:00Z");
+    const parsed = parseInviteOptions({ expiresInHours: 24, maxUses: 5, requiresApproval: true }, now);
+    assert.deepEqual(parsed.value, {
+      expiresAt: new Date("2026-01-02T00:00:00Z"),
+      maxUses: 5,
+      requiresApproval: true
+    });
+    assert.deepEqual(parseInviteOptions({}).value, { expiresAt: null, maxUses: null, requiresApproval: false });
+    assert.match(parseInviteOptions({ maxUses: 0 }).error, /maxUses/);
+    assert.match(parseInviteOptions({ expiresInHours: 100000 }).error, /expiresInHours/);
+  });
+
+  it("explains why an invite cannot be used", () => {
+    const now = new Date("2026-01-01T00:00:00Z");
+    const base = { revokedAt: null, expiresAt: null, maxUses: null, useCount: 0 };
+    assert.equal(getInviteUnavailableReason(base, now), "");
+    assert.equal(getInviteUnavailableReason({ ...base, revokedAt: now }, now), "revoked");
+    assert.equal(getInviteUnavailableReason({ ...base, expiresAt: new Date("2025-12-31T00:00:00Z") }, now), "expired");
+    assert.equal(getInviteUnavailableReason({ ...base, maxUses: 2, useCount: 2 }, now), "used-up");
+  });
+
+  it("only lets admins create invite links", async () => {
+    const res = await httpRequest
+      .post(`/api/chats/${GROUP_CHAT_ID}/invites`)
+      .set("Authorization", tokenFor(MEMBER_ID))
+      .send({ maxUses: 10 });
+    assert.equal(res.status, 403);
+    assert.match(String(res.body?.message || ""), /admins can manage invite links/i);
+  });
+
+  it("treats malformed tokens as unknown invites", async () => {
+    const res = await httpRequest
+      .get("/api/chats/invites/not a token")
+      .set("Authorization", tokenFor(MEMBER_ID));
+    assert.equal(res.status, 404);
+    assert.match(String(res.body?.message || ""), /invite not found/i);
+  });
+});
@@ -0,0 +1,341 @@
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import jwt from "jsonwebtoken";
+import mongoose from "mongoose";
+import request from "supertest";
+import { createApp } from "../src/app.js";
+import Chat from "../src/models/Chat.js";
+import Message from "../src/models/Message.js";
+import Session from "../src/models/Session.js";
+
+const ALICE_ID = "507f1f77bcf86cd799439011";
+const BOB_ID = "507f1f77bcf86cd799439012";
+const CAROL_ID = "507f1f77bcf86cd799439013";
+const GROUP_CHAT_ID = "507f1f77bcf86cd799439021";
+const SESSION_ID = "507f1f77bcf86cd799439031";
+const MESSAGE_ID = "507f1f77bcf86cd799439041";
+
+let httpRequest;
+let authToken;
+let restoreFindById;
+let restoreSessionExists;
+
+before(() => {
+  process.env.NODE_ENV = "test";
+  process.env.JWT_SECRET = "test-secret";
+
+  restoreSessionExists = Session.exists;
+  Session.exists = async () => ({ _id: SESSION_ID });
+
+  restoreFindById = Chat.findById;
+  Chat.findById = async () => ({
+    _id: new mongoose.Types.ObjectId(GROUP_CHAT_ID),
+    type: "group",
+    members: [ALICE_ID, BOB_ID, CAROL_ID].map((id) => new mongoose.Types.ObjectId(id))
+  });
+
+  const app = createApp({
+    corsOrigin: (origin, callback) => callback(null, true)
+  });
+  httpRequest = request(app);
+  authToken = jwt.sign({ id: ALICE_ID, sid: SESSION_ID }, process.env.JWT_SECRET);
+});
+
+after(() => {
+  Chat.findById = restoreFindById;
+  Session.exists = restoreSessionExists;
+});
+
+describe("Group message encryption", () => {
+  it("rejects plaintext group messages", async () => {
+    const res = await httpRequest
+      .post(`/api/messages/${GROUP_CHAT_ID}`)
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({ type: "text", content: "hello", encrypted: false });
+    assert.equal(res.status, 400);
+    assert.match(String(res.body?.message || ""), /must be encrypted/i);
+  });
+
+  it("rejects member keys that do not cover the current members", async () => {
+    const res = await httpRequest
+      .post(`/api/messages/${GROUP_CHAT_ID}`)
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({
+        type: "text",
+        encrypted: true,
+        ciphertextB64: "Y2lwaGVy",
+        iv: "aXY=",
+        aadB64: "YWFk",
+        clientTs: Date.now(),
+        clientMsgId: "test-client-msg",
+        integrityHash: "unused",
+        memberKeys: [
+          { userId: ALICE_ID, wrappedKeyB64: "a2V5LWE=" },
+          { userId: BOB_ID, wrappedKeyB64: "a2V5LWI=" }
+        ]
+      });
+    assert.equal(res.status, 409);
+    assert.match(String(res.body?.message || ""), /members changed/i);
+  });
+
+  it("rejects member keys without the key version they were wrapped for", async () => {
+    const res = await httpRequest
+      .post(`/api/messages/${GROUP_CHAT_ID}`)
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({
+        type: "text",
+        encrypted: true,
+        ciphertextB64: "Y2lwaGVy",
+        iv: "aXY=",
+        aadB64: "YWFk",
+        clientTs: Date.now(),
+        clientMsgId: "test-client-msg",
+        integrityHash: "unused",
+        memberKeys: [
+          { userId: ALICE_ID, wrappedKeyB64: "a2V5LWE=", keyVersion: 1 },
+          { userId: BOB_ID, wrappedKeyB64: "a2V5LWI=", keyVersion: 2 },
+          { userId: CAROL_ID, wrappedKeyB64: "a2V5LWM=" }
+        ]
+      });
+    assert.equal(res.status, 400);
+    assert.match(String(res.body?.message || ""), /key version/i);
+  });
+});
+
+describe("Image thumbnails", () => {
+  it("rejects malformed thumbnails", async () => {
+    const res = await httpRequest
+      .post(`/api/messages/${GROUP_CHAT_ID}`)
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({
+        type: "image",
+        encrypted: true,
+        fileKey: "photo.bin",
+        thumbnail: { fileKey: "../secret.txt", iv: "aXY=", placeholderB64: "cGg=", placeholderIv: "aXY=" }
+      });
+    assert.equal(res.status, 400);
+    assert.match(String(res.body?.message || ""), /invalid thumbnail/i);
+  });
+
+  it("only accepts thumbnails on image messages", async () => {
+    const res = await httpRequest
+      .post(`/api/messages/${GROUP_CHAT_ID}`)
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({
+        type: "file",
+        encrypted: true,
+        fileKey: "report.bin",
+        thumbnail: { fileKey: "thumb.bin", iv: "aXY=", placeholderB64: "cGg=", placeholderIv: "aXY=" }
+      });
+    assert.equal(res.status, 400);
+    assert.match(String(res.body?.message || ""), /only image messages/i);
+  });
+});
+
+describe("Voice notes", () => {
+  it("rejects audio messages without a valid duration", async () => {
+    const res = await httpRequest
+      .post(`/api/messages/${GROUP_CHAT_ID}`)
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({ type: "audio", encrypted: true, fileKey: "voice.bin", mimeType: "audio/webm", durationMs: 0 });
+    assert.equal(res.status, 400);
+    assert.match(String(res.body?.message || ""), /invalid voice note duration/i);
+  });
+
+  it("only marks voice notes as played", async () => {
+    const restore = Message.findById;
+    Message.findById = () => ({
+      select: async () => ({ _id: MESSAGE_ID, chatId: GROUP_CHAT_ID, senderId: BOB_ID, type: "text", playedBy: [] })
+    });
+    try {
+      const res = await httpRequest
+        .post(`/api/messages/${MESSAGE_ID}/played`)
+        .set("Authorization", `Bearer ${authToken}`);
+      assert.equal(res.status, 400);
+      assert.match(String(res.body?.message || ""), /only voice notes/i);
+    } finally {
+      Message.findById = restore;
+    }
+  });
+});
+
+describe("Video messages", () => {
+  it("requires the frame size captured by the sender", async () => {
+    const res = await httpRequest
+      .post(`/api/messages/${GROUP_CHAT_ID}`)
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({ type: "video", encrypted: true, fileKey: "clip.bin", mimeType: "video/mp4", durationMs: 4000 });
+    assert.equal(res.status, 400);
+    assert.match(String(res.body?.message || ""), /invalid video dimensions/i);
+  });
+});
+
+describe("Link previews", () => {
+  it("only accepts link previews on text messages", async () => {
+    const res = await httpRequest
+      .post(`/api/messages/${GROUP_CHAT_ID}`)
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({
+        type: "file",
+        encrypted: true,
+        fileKey: "report.bin",
+        linkPreview: { ciphertextB64: "cA==", iv: "aXY=" }
+      });
+    assert.equal(res.status, 400);
+    assert.match(String(res.body?.message || ""), /only text messages can carry a link preview/i);
+  });
+});
+
+describe("System messages", () => {
+  it("cannot be reacted to", async () => {
+    const restore = Message.findById;
+    Message.findById = async () => ({ _id: MESSAGE_ID, chatId: GROUP_CHAT_ID, senderId: BOB_ID, type: "system" });
+    try {
+      const res = await httpRequest
+        .patch(`/api/messages/${MESSAGE_ID}/reaction`)
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({ emoji: "\uD83D\uDC4D" });
+      assert.equal(res.status, 400);
+      assert.match(String(res.body?.message || ""), /system messages/i);
+    } finally {
+      Message.findById = restore;
+    }
+  });
+});
+
+describe("Threads", () => {
+  it("rejects malformed thread cursors", async () => {
+    const res = await httpRequest
+      .get(`/api/messages/${MESSAGE_ID}/thread?after=not-a-message`)
+      .set("Authorization", `Bearer ${authToken}`);
+    assert.equal(res.status, 400);
+    assert.match(String(res.body?.message || ""), /cursor/i);
+  });
+
+  it("does not open a thread on a thread reply", async () => {
+    const restore = Message.findById;
+    Message.findById = async () => ({
+      _id: MESSAGE_ID,
+      chatId: GROUP_CHAT_ID,
+      senderId: BOB_ID,
+      type: "text",
+      threadRootId: new mongoose.Types.ObjectId(),
+      deletedFor: []
+    });
+    try {
+      const res = await httpRequest
+        .get(`/api/messages/${MESSAGE_ID}/thread`)
+        .set("Authorization", `Bearer ${authToken}`);
+      assert.equal(res.status, 404);
+      assert.match(String(res.body?.message || ""), /thread not found/i);
+    } finally {
+      Message.findById = restore;
+    }
+  });
+});
+
+describe("Message search", () => {
+  it("needs a search term or a filter", async () => {
+    const res = await httpRequest
+      .get("/api/messages/search")
+      .set("Authorization", `Bearer ${authToken}`);
+    assert.equal(res.status, 400);
+    assert.match(String(res.body?.message || ""), /search term or filter/i);
+  });
+
+  it("rejects unknown types and malformed dates", async () => {
+    const typeRes = await httpRequest
+      .get("/api/messages/search?q=report&type=sticker")
+      .set("Authorization", `Bearer ${authToken}`);
+    assert.equal(typeRes.status, 400);
+    assert.match(String(typeRes.body?.message || ""), /invalid type/i);
+
+    const dateRes = await httpRequest
+      .get("/api/messages/search?q=report&from=yesterday")
+      .set("Authorization", `Bearer ${authToken}`);
+    assert.equal(dateRes.status, 400);
+    assert.match(String(dateRes.body?.message || ""), /invalid date/i);
+  });
+});
+
+describe("Message history pagination", () => {
+  it("rejects malformed cursors", async () => {
+    const res = await httpRequest
+      .get(`/api/messages/${GROUP_CHAT_ID}?before=not-a-message`)
+      .set("Authorization", `Bearer ${authToken}`);
+    assert.equal(res.status, 400);
+    assert.match(String(res.body?.message || ""), /cursor/i);
+  });
+
+  it("pages through messages that share a timestamp without gaps or repeats", async () => {
+    const sentAt = new Date("2026-01-01T00:00:00Z");
+    const ids = [51, 52, 53, 54, 55].map((suffix) => `507f1f77bcf86cd7994390${suffix}`);
+    // Stored out of _id order, as an unsorted scan could return them.
+    const stored = [ids[2], ids[0], ids[4], ids[1], ids[3]].map((id) => ({
+      _id: new mongoose.Types.ObjectId(id),
+      chatId: GROUP_CHAT_ID,
+      createdAt: sentAt
+    }));
+    // Only the shapes the history route sends are understood: createdAt and
+    // _id compared as strings, which orders ISO dates and ObjectIds correctly.
+    const valueOf = (value) => String(value instanceof Date ? value.toISOString() : value);
+    const compare = (a, b) => valueOf(a).localeCompare(valueOf(b));
+    const matches = (value, condition) => {
+      if (condition.$gt !== undefined) return compare(value, condition.$gt) > 0;
+      if (condition.$lt !== undefined) return compare(value, condition.$lt) < 0;
+      return compare(value, condition) === 0;
+    };
+    const matchesCursor = (message, clause) =>
+      Object.entries(clause).every(([key, condition]) => matches(message[key], condition));
+    const chain = (result) => ({ select: async () => result, sort: () => chain(result) });
+
+    const restoreFind = Message.find;
+    const restoreFindOne = Message.findOne;
+    Message.find = (filter) => {
+      if (filter.disappearsAfterReadAll || filter.deliveredTo) return chain([]);
+      const found = stored.filter((message) => !filter.$or || filter.$or.some((c) => matchesCursor(message, c)));
+      let sorted = found;
+      return {
+        sort(spec) {
+          sorted = [...found].sort((a, b) => {
+            for (const [key, direction] of Object.entries(spec)) {
+              const order = compare(a[key], b[key]);
+              if (order) return order * direction;
+            }
+            return 0;
+          });
+          return this;
+        },
+        limit: async (count) => sorted.slice(0, count)
+      };
+    };
+    Message.findOne = (filter) => chain(stored.find((message) => String(message._id) === String(filter._id)) || null);
+
+    const fetchPage = async (query) => {
+      const res = await httpRequest
+        .get(`/api/messages/${GROUP_CHAT_ID}?limit=2${query}`)
+        .set("Authorization", `Bearer ${authToken}`);
+      assert.equal(res.status, 200);
+      return res.body.messages.map((message) => message._id);
+    };
+
+    try {
+      const newest = await fetchPage("");
+      const middle = await fetchPage(`&before=${newest[0]}`);
+      const oldest = await fetchPage(`&before=${middle[0]}`);
+      assert.deepEqual([...oldest, ...middle, ...newest], ids);
+      assert.deepEqual(await fetchPage(`&after=${ids[1]}`), [ids[2], ids[3]]);
+    } finally {
+      Message.find = restoreFind;
+      Message.findOne = restoreFindOne;
+    }
+  });
+
+  it("rejects out-of-range page sizes", async () => {
+    const res = await httpRequest
+      .get(`/api/messages/${GROUP_CHAT_ID}?limit=500`)
+      .set("Authorization", `Bearer ${authToken}`);
+    assert.equal(res.status, 400);
+    assert.match(String(res.body?.message || ""), /limit/i);
+  });
+});
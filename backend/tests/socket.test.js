@@ -5,11 +5,14 @@ import jwt from "jsonwebtoken";
 import { io as ioClient } from "socket.io-client";
 import { createApp } from "../src/app.js";
 import { initSocket } from "../src/socket/index.js";
+import CallHistory from "../src/models/CallHistory.js";
 import Chat from "../src/models/Chat.js";
+import Session from "../src/models/Session.js";
 
 let server;
 let baseUrl = "";
 let restoreFind;
+let restoreSessionExists;
 
 function waitForEvent(socket, eventName, timeoutMs = 5000) {
   return new Promise((resolve, reject) => {
@@ -29,6 +32,9 @@ before(async () => {
   process.env.NODE_ENV = "test";
   process.env.JWT_SECRET = "test-secret";
 
+  restoreSessionExists = Session.exists;
+  Session.exists = async () => ({ _id: "507f1f77bcf86cd799439031" });
+
   restoreFind = Chat.find;
   Chat.find = () => ({
     select: async () => []
@@ -45,15 +51,17 @@ before(async () => {
 
 after(async () => {
   Chat.find = restoreFind;
+  Session.exists = restoreSessionExists;
   await new Promise((resolve) => server.close(resolve));
 });
 
 describe("Socket signaling room limits", () => {
   it("allows 2 peers and rejects third with room-full", async () => {
     const roomId = `test-room-${Date.now()}`;
-    const tokenA = jwt.sign({ id: "507f1f77bcf86cd799439011" }, process.env.JWT_SECRET);
-    const tokenB = jwt.sign({ id: "507f1f77bcf86cd799439012" }, process.env.JWT_SECRET);
-    const tokenC = jwt.sign({ id: "507f1f77bcf86cd799439013" }, process.env.JWT_SECRET);
+    const sid = "507f1f77bcf86cd799439031";
+    const tokenA = jwt.sign({ id: "507f1f77bcf86cd799439011", sid }, process.env.JWT_SECRET);
+    const tokenB = jwt.sign({ id: "507f1f77bcf86cd799439012", sid }, process.env.JWT_SECRET);
+    const tokenC = jwt.sign({ id: "507f1f77bcf86cd799439013", sid }, process.env.JWT_SECRET);
 
     const socketA = ioClient(baseUrl, { transports: ["websocket"], auth: { token: tokenA } });
     const socketB = ioClient(baseUrl, { transports: ["websocket"], auth: { token: tokenB } });
@@ -96,3 +104,67 @@ describe("Socket signaling room limits", () => {
     }
   });
 });
+
+describe("Call history", () => {
+  it("records a missed call when the caller disconnects before it is answered", async () => {
+    const sid = "507f1f77bcf86cd799439031";
+    const callerId = "507f1f77bcf86cd799439014";
+    const calleeId = "507f1f77bcf86cd799439015";
+    const chatId = "507f1f77bcf86cd799439021";
+    const roomId = `call-${chatId}-${Date.now()}`;
+    const restoreFindOne = Chat.findOne;
+    const restoreCreate = CallHistory.create;
+    const restoreFindById = CallHistory.findById;
+    let resolveRecorded;
+    const recorded = new Promise((resolve, reject) => {
+      const timer = setTimeout(() => reject(new Error("Timeout waiting for call history")), 5000);
+      resolveRecorded = (doc) => {
+        clearTimeout(timer);
+        resolve(doc);
+      };
+    });
+    Chat.findOne = () => ({ select: async () => ({ _id: chatId }) });
+    CallHistory.create = async (doc) => {
+      resolveRecorded(doc);
+      return { _id: "507f1f77bcf86cd799439061", ...doc };
+    };
+    CallHistory.findById = () => ({
+      populate() {
+        return this;
+      },
+      then(resolve) {
+        resolve(null);
+      }
+    });
+
+    const caller = ioClient(baseUrl, {
+      transports: ["websocket"],
+      auth: { token: jwt.sign({ id: callerId, sid }, process.env.JWT_SECRET) }
+    });
+    const callee = ioClient(baseUrl, {
+      transports: ["websocket"],
+      auth: { token: jwt.sign({ id: calleeId, sid }, process.env.JWT_SECRET) }
+    });
+
+    try {
+      await Promise.all([waitForEvent(caller, "connect"), waitForEvent(callee, "connect")]);
+      const incoming = waitForEvent(callee, "incoming-call");
+      caller.emit("call-invite", { toUserId: calleeId, chatId, roomId, callType: "voice" });
+      await incoming;
+
+      const ended = waitForEvent(callee, "end-call");
+      caller.disconnect();
+      const entry = await recorded;
+      assert.equal(entry.status, "missed");
+      assert.equal(String(entry.caller), callerId);
+      assert.equal(String(entry.receiver), calleeId);
+      assert.equal((await ended).roomId, roomId);
+    } finally {
+      caller.disconnect();
+      callee.disconnect();
+      Chat.findOne = restoreFindOne;
+      CallHistory.create = restoreCreate;
+      CallHistory.findById = restoreFindById;
+    }
+  });
+});
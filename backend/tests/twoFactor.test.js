@@ -0,0 +1,42 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  buildOtpauthUri,
+  decodeBase32,
+  encodeBase32,
+  findTotpStep
+} from "../src/services/twoFactor.js";
+
+// RFC 6238 appendix B uses the ASCII seed "12345678901234567890" with SHA-1.
+const RFC_SECRET = encodeBase32(Buffer.from("12345678901234567890", "ascii"));
+
+describe("TOTP", () => {
+  it("round-trips base32 secrets", () => {
+    assert.equal(RFC_SECRET, "GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ");
+    assert.equal(decodeBase32(RFC_SECRET).toString("ascii"), "12345678901234567890");
+  });
+
+  it("matches the RFC 6238 SHA-1 test vectors", () => {
+    const vectors = [
+      [59, "94287082"],
+      [1111111109, "07081804"],
+      [1234567890, "89005924"]
+    ];
+    for (const [seconds, code] of vectors) {
+      const step = findTotpStep(RFC_SECRET, code, { now: seconds * 1000, digits: 8 });
+      assert.equal(step, Math.floor(seconds / 30));
+    }
+  });
+
+  it("rejects codes outside the drift window", () => {
+    const now = 1234567890 * 1000;
+    assert.equal(findTotpStep(RFC_SECRET, "89005924", { now: now + 120 * 1000, digits: 8 }), null);
+    assert.equal(findTotpStep(RFC_SECRET, "not-a-code", { now }), null);
+  });
+
+  it("builds an otpauth URI for authenticator apps", () => {
+    const uri = buildOtpauthUri({ secret: RFC_SECRET, accountName: "alice" });
+    assert.match(uri, /^otpauth:\/\/totp\/SecureChat%3Aalice\?/);
+    assert.match(uri, new RegExp(`secret=${RFC_SECRET}`));
+  });
+});
@@ -7,12 +7,15 @@
 import { lazy, Suspense, useState, useEffect } from "react";
 import { Navigate, Route, Routes, useLocation } from "react-router-dom";
 import { getToken, getTheme } from "./services/storage.js";
+import { getSignInTarget } from "./utils/signInTarget.js";
 
 const Login = lazy(() => import("./pages/Login.jsx"));
 const Register = lazy(() => import("./pages/Register.jsx"));
+const Recover = lazy(() => import("./pages/Recover.jsx"));
 const Chat = lazy(() => import("./pages/Chat.jsx"));
 const EditProfile = lazy(() => import("./pages/EditProfile.jsx"));
 const Landing = lazy(() => import("./pages/Landing.jsx"));
+const JoinGroup = lazy(() => import("./pages/JoinGroup.jsx"));
 
 export default function App() {
   const location = useLocation();
@@ -70,9 +73,23 @@ export default function App() {
           <Routes location={displayLocation}>
             <Route path="/" element={<Navigate to={token ? "/chat" : "/welcome"} replace />} />
             <Route path="/welcome" element={token ? <Navigate to="/chat" replace /> : <Landing />} />
-            <Route path="/login" element={token ? <Navigate to="/chat" replace /> : <Login />} />
+            <Route
+              path="/login"
+              element={token ? <Navigate to={getSignInTarget(displayLocation)} replace /> : <Login />}
+            />
             <Route path="/register" element={token ? <Navigate to="/chat" replace /> : <Register />} />
+            <Route path="/recover" element={token ? <Navigate to="/chat" replace /> : <Recover />} />
             <Route path="/chat" element={token ? <Chat /> : <Navigate to="/welcome" replace />} />
+            <Route
+              path="/join/:token"
+              element={
+                token ? (
+                  <JoinGroup />
+                ) : (
+                  <Navigate to="/login" replace state={{ from: displayLocation.pathname }} />
+                )
+              }
+            />
             <Route path="/profile/edit" element={token ? <EditProfile /> : <Navigate to="/welcome" replace />} />
             <Route path="*" element={<Navigate to="/" replace />} />
           </Routes>
@@ -0,0 +1,78 @@
+// Section Map
+// - Imports and dependencies
+// - Constants/configuration
+// - Helper functions/state handling
+// - Main module logic and exports
+
+import { useState } from "react";
+
+// Picks people to add to an existing group. `users` should already exclude
+// current members.
+export default function AddGroupMembersModal({ users, isSaving = false, onClose, onAdd }) {
+  const [selectedMembers, setSelectedMembers] = useState([]);
+  const [searchTerm, setSearchTerm] = useState("");
+
+  const filteredUsers = users.filter(
+    (u) =>
+      u.name.toLowerCase().includes(searchTerm.toLowerCase()) ||
+      u.username.toLowerCase().includes(searchTerm.toLowerCase())
+  );
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>Add Members</h2>
+          <button className="modal-close" onClick={onClose} aria-label="Close">
+            {"\u2716"}
+          </button>
+        </div>
+
+        <div className="modal-body">
+          <input
+            type="text"
+            placeholder="Search people..."
+            value={searchTerm}
+            onChange={(e) => setSearchTerm(e.target.value)}
+            className="form-input"
+          />
+
+          <div className="members-list">
+            {filteredUsers.length === 0 && <div className="muted">Everyone you know is already here</div>}
+            {filteredUsers.map((u) => (
+              <label key={u._id} className="checkbox-item">
+                <input
+                  type="checkbox"
+                  checked={selectedMembers.includes(u._id)}
+                  onChange={(e) =>
+                    setSelectedMembers((prev) =>
+                      e.target.checked ? [...prev, u._id] : prev.filter((id) => id !== u._id)
+                    )
+                  }
+                />
+                <span className="checkbox-avatar">{u.name[0]?.toUpperCase()}</span>
+                <span className="checkbox-label">
+                  <div>{u.name}</div>
+                  <div className="muted">@{u.username}</div>
+                </span>
+              </label>
+            ))}
+          </div>
+        </div>
+
+        <div className="modal-footer">
+          <button className="btn-secondary" onClick={onClose}>
+            Cancel
+          </button>
+          <button
+            className="btn-primary"
+            onClick={() => onAdd(selectedMembers)}
+            disabled={selectedMembers.length === 0 || isSaving}
+          >
+            {isSaving ? "Adding..." : `Add${selectedMembers.length ? ` (${selectedMembers.length})` : ""}`}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
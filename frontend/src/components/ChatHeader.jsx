@@ -11,6 +11,7 @@ export default function ChatHeader({
   currentUserId,
   online,
   onShowInfo,
+  onSearch,
   onToggleVanish,
   onStartVoiceCall,
   onStartVideoCall,
@@ -108,13 +109,20 @@ export default function ChatHeader({
             </button>
           </>
         )}
-        <button
-          className={`header-action-btn vanish-toggle ${chat.vanishMode ? "active" : ""}`}
-          onClick={() => onToggleVanish(!chat.vanishMode)}
-          title={chat.vanishMode ? "Switch to normal mode" : "Switch to vanish mode"}
-        >
-          {"\u23F3"}
-        </button>
+        {onSearch && (
+          <button className="header-action-btn" onClick={onSearch} title="Search messages">
+            {"\uD83D\uDD0D"}
+          </button>
+        )}
+        {onToggleVanish && (
+          <button
+            className={`header-action-btn vanish-toggle ${chat.vanishMode ? "active" : ""}`}
+            onClick={() => onToggleVanish(!chat.vanishMode)}
+            title={chat.vanishMode ? "Switch to normal mode" : "Switch to vanish mode"}
+          >
+            {"\u23F3"}
+          </button>
+        )}
         <button className="header-action-btn" onClick={onShowInfo} title="Chat info">{"\u2139\uFE0F"}</button>
       </div>
     </div>
@@ -0,0 +1,195 @@
+// Section Map
+// - Imports and dependencies
+// - Constants/configuration
+// - Helper functions/state handling
+// - Main module logic and exports
+
+import { useEffect, useState } from "react";
+import {
+  answerJoinRequest,
+  buildInviteUrl,
+  createGroupInvite,
+  fetchGroupInvites,
+  revokeGroupInvite
+} from "../services/invites.js";
+
+const EXPIRY_OPTIONS = [
+  { value: "", label: "Never expires" },
+  { value: "1", label: "1 hour" },
+  { value: "24", label: "1 day" },
+  { value: "168", label: "7 days" },
+  { value: "720", label: "30 days" }
+];
+
+const UNAVAILABLE_LABELS = {
+  expired: "Expired",
+  "used-up": "Limit reached"
+};
+
+function describeInvite(invite) {
+  const parts = [
+    invite.maxUses ? `${invite.useCount}/${invite.maxUses} uses` : `${invite.useCount} uses`,
+    invite.expiresAt ? `expires ${new Date(invite.expiresAt).toLocaleString()}` : "no expiry"
+  ];
+  if (invite.requiresApproval) parts.push("admin approval");
+  return parts.join(" \u2022 ");
+}
+
+// Invite links for one group, shown to its admins in the chat info panel.
+// refreshKey changes when the server reports invite activity for this chat.
+export default function GroupInvitesPanel({ chatId, refreshKey = 0 }) {
+  const [invites, setInvites] = useState([]);
+  const [expiresInHours, setExpiresInHours] = useState("");
+  const [maxUses, setMaxUses] = useState("");
+  const [requiresApproval, setRequiresApproval] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+  const [notice, setNotice] = useState("");
+
+  useEffect(() => {
+    let cancelled = false;
+    fetchGroupInvites(chatId)
+      .then((res) => {
+        if (!cancelled) setInvites(res.invites || []);
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err?.message || "Failed to load invite links");
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [chatId, refreshKey]);
+
+  async function run(action) {
+    setBusy(true);
+    setError("");
+    setNotice("");
+    try {
+      const res = await action();
+      if (res?.invites) setInvites(res.invites);
+    } catch (err) {
+      setError(err?.message || "Invite update failed");
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  function createInvite(event) {
+    event.preventDefault();
+    const uses = maxUses.trim() ? Number(maxUses) : null;
+    if (uses !== null && (!Number.isInteger(uses) || uses < 1)) {
+      setError("Max uses must be a whole number");
+      return;
+    }
+    run(() =>
+      createGroupInvite(chatId, {
+        expiresInHours: expiresInHours ? Number(expiresInHours) : null,
+        maxUses: uses,
+        requiresApproval
+      })
+    );
+    setMaxUses("");
+  }
+
+  async function copyInvite(invite) {
+    try {
+      await navigator.clipboard.writeText(buildInviteUrl(invite.token));
+      setNotice("Invite link copied.");
+    } catch {
+      setError("Copy failed. Select the link and copy it instead.");
+    }
+  }
+
+  return (
+    <div className="group-invites">
+      <h3>Invite links</h3>
+      {error && <div className="group-form-error">{error}</div>}
+      {notice && <div className="muted-text">{notice}</div>}
+
+      <form className="group-invite-form" onSubmit={createInvite}>
+        <select
+          value={expiresInHours}
+          onChange={(e) => setExpiresInHours(e.target.value)}
+          aria-label="Link expiry"
+        >
+          {EXPIRY_OPTIONS.map((option) => (
+            <option key={option.value} value={option.value}>
+              {option.label}
+            </option>
+          ))}
+        </select>
+        <input
+          type="number"
+          min="1"
+          className="form-input"
+          placeholder="Max uses"
+          value={maxUses}
+          onChange={(e) => setMaxUses(e.target.value)}
+          aria-label="Max uses"
+        />
+        <label className="group-invite-approval">
+          <input
+            type="checkbox"
+            checked={requiresApproval}
+            onChange={(e) => setRequiresApproval(e.target.checked)}
+          />
+          Admin approval
+        </label>
+        <button type="submit" className="btn-secondary" disabled={busy}>
+          Create link
+        </button>
+      </form>
+
+      {invites.length === 0 && <div className="muted">No active invite links</div>}
+      {invites.map((invite) => (
+        <div key={invite._id} className="group-invite-item">
+          <div className="group-invite-link">
+            <input type="text" readOnly value={buildInviteUrl(invite.token)} aria-label="Invite link" />
+            {invite.unavailableReason && (
+              <span className="member-badge">{UNAVAILABLE_LABELS[invite.unavailableReason]}</span>
+            )}
+          </div>
+          <div className="group-invite-meta">
+            <span className="muted">{describeInvite(invite)}</span>
+            <div className="member-pill-actions">
+              <button type="button" className="member-role-btn" onClick={() => copyInvite(invite)}>
+                Copy
+              </button>
+              <button
+                type="button"
+                className="member-remove-btn"
+                onClick={() => run(() => revokeGroupInvite(chatId, invite._id))}
+                disabled={busy}
+              >
+                Revoke
+              </button>
+            </div>
+          </div>
+          {invite.requests.map((request) => (
+            <div key={request.user._id} className="member-pill with-actions">
+              <span>{request.user.name} wants to join</span>
+              <div className="member-pill-actions">
+                <button
+                  type="button"
+                  className="member-role-btn"
+                  onClick={() => run(() => answerJoinRequest(chatId, invite._id, request.user._id, true))}
+                  disabled={busy}
+                >
+                  Approve
+                </button>
+                <button
+                  type="button"
+                  className="member-remove-btn"
+                  onClick={() => run(() => answerJoinRequest(chatId, invite._id, request.user._id, false))}
+                  disabled={busy}
+                >
+                  Decline
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      ))}
+    </div>
+  );
+}
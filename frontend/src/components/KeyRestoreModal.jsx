@@ -0,0 +1,82 @@
+// Section Map
+// - Imports and dependencies
+// - Constants/configuration
+// - Helper functions/state handling
+// - Main module logic and exports
+
+import { useState } from "react";
+
+export default function KeyRestoreModal({ backup, restoring, error, onRestore, onSkip }) {
+  const [passphrase, setPassphrase] = useState("");
+  const [confirmSkip, setConfirmSkip] = useState(false);
+
+  const backedUpAt = backup?.updatedAt ? new Date(backup.updatedAt) : null;
+
+  function handleSubmit(event) {
+    event.preventDefault();
+    if (!passphrase || restoring) return;
+    onRestore(passphrase);
+  }
+
+  return (
+    <div className="modal-overlay">
+      <div className="modal-content key-restore-modal">
+        <div className="modal-header">
+          <h2>Restore encryption key</h2>
+        </div>
+
+        <form onSubmit={handleSubmit}>
+          <div className="modal-body">
+            <p>
+              This browser does not have your encryption key yet. Enter your backup passphrase to read your
+              existing messages here.
+            </p>
+            {backedUpAt && !Number.isNaN(backedUpAt.getTime()) ? (
+              <p className="muted-text">Backup saved {backedUpAt.toLocaleString()}.</p>
+            ) : null}
+            {error ? <div className="group-form-error">{error}</div> : null}
+            <div className="form-group">
+              <label htmlFor="key-restore-passphrase">Backup passphrase</label>
+              <input
+                id="key-restore-passphrase"
+                type="password"
+                className="form-input"
+                value={passphrase}
+                onChange={(event) => setPassphrase(event.target.value)}
+                autoComplete="off"
+                disabled={restoring}
+                autoFocus
+              />
+            </div>
+            {confirmSkip ? (
+              <div className="key-restore-warning">
+                Starting fresh creates a new key. Messages sent to your old key stay unreadable on this browser
+                and the old backup is deleted.
+              </div>
+            ) : null}
+          </div>
+
+          <div className="modal-footer">
+            {confirmSkip ? (
+              <button type="button" className="btn-primary confirm-danger" onClick={onSkip} disabled={restoring}>
+                Start fresh
+              </button>
+            ) : (
+              <button
+                type="button"
+                className="btn-secondary"
+                onClick={() => setConfirmSkip(true)}
+                disabled={restoring}
+              >
+                I lost my passphrase
+              </button>
+            )}
+            <button type="submit" className="btn-primary" disabled={restoring || !passphrase}>
+              {restoring ? "Restoring..." : "Restore"}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,26 @@
+// Section Map
+// - Imports and dependencies
+// - Constants/configuration
+// - Helper functions/state handling
+// - Main module logic and exports
+
+// Card for the decrypted link preview of a text message. The image is an
+// inline data URL from the sender, so rendering it contacts no one.
+export default function LinkPreviewCard({ preview }) {
+  return (
+    <a
+      className="link-preview-card"
+      href={preview.url}
+      target="_blank"
+      rel="noopener noreferrer"
+      onClick={(event) => event.stopPropagation()}
+    >
+      {preview.imageDataUrl && <img src={preview.imageDataUrl} alt="" className="link-preview-image" />}
+      <span className="link-preview-body">
+        <span className="link-preview-site">{preview.siteName}</span>
+        {preview.title && <span className="link-preview-title">{preview.title}</span>}
+        {preview.description && <span className="link-preview-description">{preview.description}</span>}
+      </span>
+    </a>
+  );
+}
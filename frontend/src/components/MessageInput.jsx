@@ -7,6 +7,8 @@
 import { useEffect, useMemo, useRef, useState } from "react";
 import EmojiPickerPanel from "./EmojiPickerPanel";
 import { fetchEmojiMeta, trackRecentEmoji } from "../services/emoji.js";
+import { isVoiceRecordingSupported, useVoiceRecorder } from "../hooks/useVoiceRecorder.js";
+import { formatMediaDuration } from "./VoiceNotePlayer";
 
 const MAX_SUGGESTIONS = 8;
 const IMAGE_MIME_TYPES = new Set(["image/jpeg", "image/png", "image/webp", "image/gif"]);
@@ -26,6 +28,8 @@ const BLOCKED_FILE_EXTENSIONS = new Set([
 ]);
 const MAX_IMAGE_BYTES = 10 * 1024 * 1024;
 const MAX_FILE_BYTES = 50 * 1024 * 1024;
+const MIN_VOICE_NOTE_MS = 500;
+const VOICE_CANCEL_SWIPE_PX = 80;
 
 function getFileExtension(name = "") {
   const value = String(name || "").toLowerCase();
@@ -134,6 +138,7 @@ function getCaretCoordinates(textarea, position) {
 export default function MessageInput({
   onSendText,
   onSendFile,
+  onSendVoiceNote,
   onSaveEdit,
   onTyping,
   vanishMode = false,
@@ -141,9 +146,19 @@ export default function MessageInput({
   onCancelReply,
   editTarget = null,
   onCancelEdit,
-  isUploading = false,
-  uploadProgress = 0
+  activeUpload = null,
+  onPauseUpload,
+  onResumeUpload,
+  onCancelUpload,
+  resumableUploads = [],
+  onResumeStoredUpload,
+  onDiscardStoredUpload,
+  placeholder = ""
 }) {
+  // Composers without onSendFile (the thread panel) are text-only.
+  const canAttach = Boolean(onSendFile);
+  const isUploading = Boolean(activeUpload);
+  const uploadProgress = activeUpload?.progress || 0;
   const [text, setText] = useState("");
   const [showEmojis, setShowEmojis] = useState(false);
   const [pendingFile, setPendingFile] = useState(null);
@@ -156,6 +171,8 @@ export default function MessageInput({
   const [emojiIndex, setEmojiIndex] = useState([]);
   const [autocomplete, setAutocomplete] = useState(null);
   const [activeSuggestionIndex, setActiveSuggestionIndex] = useState(0);
+  const [voiceSwipeOffset, setVoiceSwipeOffset] = useState(0);
+  const voiceRecorder = useVoiceRecorder();
 
   const typingTimeout = useRef(null);
   const autocompleteDebounceRef = useRef(null);
@@ -163,6 +180,7 @@ export default function MessageInput({
   const composerRef = useRef(null);
   const selectionRef = useRef({ start: 0, end: 0 });
   const uploadCycleRef = useRef(false);
+  const voicePointerRef = useRef(null);
 
   useEffect(() => {
     return () => {
@@ -298,6 +316,52 @@ export default function MessageInput({
     }
   }
 
+  async function handleVoicePointerDown(e) {
+    e.preventDefault();
+    e.currentTarget.setPointerCapture?.(e.pointerId);
+    voicePointerRef.current = { startX: e.clientX, cancelled: false };
+    setVoiceSwipeOffset(0);
+    setFileError("");
+    try {
+      await voiceRecorder.start();
+    } catch (err) {
+      voicePointerRef.current = null;
+      setFileError(err.message || "Could not start recording.");
+    }
+  }
+
+  function handleVoicePointerMove(e) {
+    const pointer = voicePointerRef.current;
+    if (!pointer || pointer.cancelled) return;
+    const offset = Math.min(0, e.clientX - pointer.startX);
+    setVoiceSwipeOffset(offset);
+    if (-offset >= VOICE_CANCEL_SWIPE_PX) {
+      pointer.cancelled = true;
+      setVoiceSwipeOffset(0);
+      voiceRecorder.cancel();
+    }
+  }
+
+  async function handleVoicePointerUp() {
+    const pointer = voicePointerRef.current;
+    voicePointerRef.current = null;
+    setVoiceSwipeOffset(0);
+    if (!pointer || pointer.cancelled) return;
+    const result = await voiceRecorder.stop();
+    if (!result) return;
+    if (result.durationMs < MIN_VOICE_NOTE_MS) {
+      setFileError("Hold to record a voice note.");
+      return;
+    }
+    onSendVoiceNote?.(result);
+  }
+
+  function handleVoicePointerCancel() {
+    voicePointerRef.current = null;
+    setVoiceSwipeOffset(0);
+    voiceRecorder.cancel();
+  }
+
   function cacheSelection() {
     const input = textareaRef.current;
     if (!input) return;
@@ -440,6 +504,7 @@ export default function MessageInput({
   }
 
   function handleDragOver(e) {
+    if (!canAttach) return;
     e.preventDefault();
     setDragActive(true);
   }
@@ -452,6 +517,7 @@ export default function MessageInput({
   function handleDrop(e) {
     e.preventDefault();
     setDragActive(false);
+    if (!canAttach) return;
     const file = e.dataTransfer?.files?.[0];
     if (file) {
       const uploadType = String(file.type || "").startsWith("image/") ? "image" : "file";
@@ -460,6 +526,13 @@ export default function MessageInput({
   }
 
   const pickerTheme = document.documentElement.classList.contains("theme-dark") ? "dark" : "light";
+  const showVoiceButton =
+    Boolean(onSendVoiceNote) &&
+    isVoiceRecordingSupported() &&
+    !text.trim() &&
+    !editTarget?.messageId &&
+    !pendingFile &&
+    !isUploading;
   const activeSuggestion = useMemo(
     () => (autocomplete ? autocomplete.suggestions[activeSuggestionIndex] : null),
     [autocomplete, activeSuggestionIndex]
@@ -498,35 +571,88 @@ export default function MessageInput({
         </div>
       )}
 
-      {pendingFile && (
+      {(pendingFile || activeUpload) && (
         <div className="upload-preview">
           {previewUrl ? (
             <img src={previewUrl} alt="Preview" className="upload-preview-image" />
           ) : (
             <div className="upload-preview-file">
-              <div className="upload-preview-file-name">{pendingFile.name}</div>
-              <div className="upload-preview-file-meta">{formatBytes(pendingFile.size)}</div>
+              <div className="upload-preview-file-name">{pendingFile?.name || activeUpload?.fileName}</div>
+              <div className="upload-preview-file-meta">{formatBytes(pendingFile?.size ?? activeUpload?.size)}</div>
             </div>
           )}
           {isUploading && (
             <div className="upload-progress-block">
-              <div className="upload-progress-text">Uploading... {uploadProgress}%</div>
+              <div className="upload-progress-text">
+                {activeUpload.preparing
+                  ? "Encrypting..."
+                  : activeUpload.paused
+                    ? `Paused at ${uploadProgress}%`
+                    : `Uploading... ${uploadProgress}%`}
+              </div>
               <div className="upload-progress-track">
                 <div className="upload-progress-fill" style={{ width: `${uploadProgress}%` }} />
               </div>
+              {activeUpload.error && <div className="upload-progress-error">{activeUpload.error}</div>}
             </div>
           )}
           <div className="upload-preview-actions">
-            <button type="button" className="btn-secondary" onClick={clearPendingFile} disabled={isUploading}>
-              Cancel
-            </button>
-            <button type="button" className="btn-primary" onClick={sendPendingFile} disabled={isUploading}>
-              Send
-            </button>
+            {isUploading ? (
+              <>
+                <button
+                  type="button"
+                  className="btn-secondary"
+                  onClick={onCancelUpload}
+                  disabled={activeUpload.preparing}
+                >
+                  Cancel
+                </button>
+                <button
+                  type="button"
+                  className="btn-primary"
+                  onClick={activeUpload.paused ? onResumeUpload : onPauseUpload}
+                  disabled={activeUpload.preparing}
+                >
+                  {activeUpload.paused ? "Resume" : "Pause"}
+                </button>
+              </>
+            ) : (
+              <>
+                <button type="button" className="btn-secondary" onClick={clearPendingFile}>
+                  Cancel
+                </button>
+                <button type="button" className="btn-primary" onClick={sendPendingFile}>
+                  Send
+                </button>
+              </>
+            )}
           </div>
         </div>
       )}
 
+      {!isUploading && !pendingFile && resumableUploads.length > 0 && (
+        <div className="upload-preview upload-resume-list">
+          {resumableUploads.map((entry) => (
+            <div key={entry.uploadId} className="upload-resume-item">
+              <div className="upload-preview-file">
+                <div className="upload-preview-file-name">{entry.fileName}</div>
+                <div className="upload-preview-file-meta">
+                  {formatBytes(entry.size)} {"\u00B7"} {entry.progress}% uploaded before the page closed
+                </div>
+              </div>
+              <div className="upload-preview-actions">
+                <button type="button" className="btn-secondary" onClick={() => onDiscardStoredUpload(entry.uploadId)}>
+                  Discard
+                </button>
+                <button type="button" className="btn-primary" onClick={() => onResumeStoredUpload(entry.uploadId)}>
+                  Resume
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
       {fileError && <div className="composer-file-error">{fileError}</div>}
 
       <EmojiPickerPanel
@@ -578,79 +704,118 @@ export default function MessageInput({
           {"\uD83D\uDE0A"}
         </button>
 
-        <label className="action-button" title="Attach image">
-          {"\uD83D\uDDBC\uFE0F"}
-          <input
-            type="file"
-            data-upload-type="image"
-            accept=".jpg,.jpeg,.png,.webp,.gif,image/jpeg,image/png,image/webp,image/gif"
-            onChange={handleFileSelect}
-            style={{ display: "none" }}
-            disabled={Boolean(editTarget?.messageId) || isUploading}
-          />
-        </label>
-
-        <label className="action-button" title="Attach file">
-          {"\uD83D\uDCCE"}
-          <input
-            type="file"
-            data-upload-type="file"
-            onChange={handleFileSelect}
-            style={{ display: "none" }}
-            disabled={Boolean(editTarget?.messageId) || isUploading}
-          />
-        </label>
+        {canAttach && (
+          <>
+            <label className="action-button" title="Attach image">
+              {"\uD83D\uDDBC\uFE0F"}
+              <input
+                type="file"
+                data-upload-type="image"
+                accept=".jpg,.jpeg,.png,.webp,.gif,image/jpeg,image/png,image/webp,image/gif"
+                onChange={handleFileSelect}
+                style={{ display: "none" }}
+                disabled={Boolean(editTarget?.messageId) || isUploading}
+              />
+            </label>
+
+            <label className="action-button" title="Attach file">
+              {"\uD83D\uDCCE"}
+              <input
+                type="file"
+                data-upload-type="file"
+                onChange={handleFileSelect}
+                style={{ display: "none" }}
+                disabled={Boolean(editTarget?.messageId) || isUploading}
+              />
+            </label>
+          </>
+        )}
 
       </div>
 
-      <textarea
-        ref={textareaRef}
-        className={`message-input message-input-area ${vanishMode ? "vanish-input" : ""}`}
-        placeholder={editTarget?.messageId ? "Edit message..." : vanishMode ? "Disappearing message..." : "Type a message..."}
-        value={text}
-        rows={1}
-        onChange={handleTextChange}
-        onBlur={() => onTyping(false)}
-        onClick={cacheSelection}
-        onKeyUp={cacheSelection}
-        onSelect={cacheSelection}
-        onKeyDown={(e) => {
-          if (autocomplete?.suggestions?.length) {
-            if (e.key === "ArrowDown") {
-              e.preventDefault();
-              setActiveSuggestionIndex((prev) => (prev + 1) % autocomplete.suggestions.length);
-              return;
-            }
-            if (e.key === "ArrowUp") {
-              e.preventDefault();
-              setActiveSuggestionIndex((prev) => (prev - 1 + autocomplete.suggestions.length) % autocomplete.suggestions.length);
-              return;
-            }
-            if ((e.key === "Enter" || e.key === "Tab") && activeSuggestion) {
-              e.preventDefault();
-              applyAutocompleteSelection(activeSuggestion);
-              return;
+      {voiceRecorder.recording ? (
+        <div className="voice-recording-bar" style={{ transform: `translateX(${voiceSwipeOffset}px)` }}>
+          <span className="voice-recording-dot" />
+          <span className="voice-recording-time">{formatMediaDuration(voiceRecorder.elapsedMs)}</span>
+          <div className="voice-recording-waveform" aria-hidden="true">
+            {voiceRecorder.levels.map((level, index) => (
+              <span key={index} style={{ height: `${Math.max(8, Math.round(level * 100))}%` }} />
+            ))}
+          </div>
+          <span className="voice-recording-hint">{"\u2039"} Slide to cancel</span>
+        </div>
+      ) : (
+        <textarea
+          ref={textareaRef}
+          className={`message-input message-input-area ${vanishMode ? "vanish-input" : ""}`}
+          placeholder={
+            editTarget?.messageId
+              ? "Edit message..."
+              : vanishMode
+              ? "Disappearing message..."
+              : placeholder || "Type a message..."
+          }
+          value={text}
+          rows={1}
+          onChange={handleTextChange}
+          onBlur={() => onTyping(false)}
+          onClick={cacheSelection}
+          onKeyUp={cacheSelection}
+          onSelect={cacheSelection}
+          onKeyDown={(e) => {
+            if (autocomplete?.suggestions?.length) {
+              if (e.key === "ArrowDown") {
+                e.preventDefault();
+                setActiveSuggestionIndex((prev) => (prev + 1) % autocomplete.suggestions.length);
+                return;
+              }
+              if (e.key === "ArrowUp") {
+                e.preventDefault();
+                setActiveSuggestionIndex((prev) => (prev - 1 + autocomplete.suggestions.length) % autocomplete.suggestions.length);
+                return;
+              }
+              if ((e.key === "Enter" || e.key === "Tab") && activeSuggestion) {
+                e.preventDefault();
+                applyAutocompleteSelection(activeSuggestion);
+                return;
+              }
+              if (e.key === "Escape") {
+                e.preventDefault();
+                setAutocomplete(null);
+                return;
+              }
             }
-            if (e.key === "Escape") {
-              e.preventDefault();
-              setAutocomplete(null);
-              return;
+            if (e.key === "Enter" && !e.shiftKey) {
+              handleSubmit(e);
             }
-          }
-          if (e.key === "Enter" && !e.shiftKey) {
-            handleSubmit(e);
-          }
-        }}
-      />
+          }}
+        />
+      )}
 
-      <button
-        type="submit"
-        className="send-button"
-        title={editTarget?.messageId ? "Save edit" : "Send message"}
-        disabled={isUploading}
-      >
-        {editTarget?.messageId ? "\u2714" : "\u21AA\uFE0F"}
-      </button>
+      {showVoiceButton ? (
+        <button
+          type="button"
+          className={`send-button voice-record-button ${voiceRecorder.recording ? "recording" : ""}`}
+          title="Hold to record a voice note"
+          aria-label="Hold to record a voice note"
+          onPointerDown={handleVoicePointerDown}
+          onPointerMove={handleVoicePointerMove}
+          onPointerUp={handleVoicePointerUp}
+          onPointerCancel={handleVoicePointerCancel}
+          onContextMenu={(e) => e.preventDefault()}
+        >
+          {"\uD83C\uDF99\uFE0F"}
+        </button>
+      ) : (
+        <button
+          type="submit"
+          className="send-button"
+          title={editTarget?.messageId ? "Save edit" : "Send message"}
+          disabled={isUploading}
+        >
+          {editTarget?.messageId ? "\u2714" : "\u21AA\uFE0F"}
+        </button>
+      )}
     </form>
   );
 }
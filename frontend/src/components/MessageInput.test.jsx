@@ -47,4 +47,36 @@ describe("MessageInput", () => {
     expect(props.onSendFile.mock.calls[0][0]).toBe(validFile);
     expect(props.onSendFile.mock.calls[0][1]).toEqual({ uploadType: "image" });
   });
+
+  test("hides attachment pickers when the composer is text-only", () => {
+    const { container } = renderInput({ onSendFile: undefined, placeholder: "Reply in thread..." });
+
+    expect(container.querySelector('input[type="file"]')).not.toBeInTheDocument();
+    expect(screen.getByPlaceholderText("Reply in thread...")).toBeInTheDocument();
+  });
+
+  test("offers pause and resume for an active upload", async () => {
+    const activeUpload = {
+      uploadId: "u1",
+      chatId: "c1",
+      fileName: "report.pdf",
+      size: 4096,
+      progress: 40,
+      paused: false,
+      preparing: false,
+      error: ""
+    };
+    const onPauseUpload = jest.fn();
+    const onResumeUpload = jest.fn();
+    const { rerender, props } = renderInput({ activeUpload, onPauseUpload, onResumeUpload });
+
+    expect(await screen.findByText(/Uploading\.\.\. 40%/)).toBeInTheDocument();
+    fireEvent.click(screen.getByRole("button", { name: /^pause$/i }));
+    expect(onPauseUpload).toHaveBeenCalledTimes(1);
+
+    rerender(<MessageInput {...props} activeUpload={{ ...activeUpload, paused: true }} />);
+    expect(await screen.findByText(/Paused at 40%/)).toBeInTheDocument();
+    fireEvent.click(screen.getByRole("button", { name: /^resume$/i }));
+    expect(onResumeUpload).toHaveBeenCalledTimes(1);
+  });
 });
@@ -4,12 +4,17 @@
 // - Helper functions/state handling
 // - Main module logic and exports
 
-import { memo, useEffect, useMemo, useRef, useState } from "react";
+import { memo, useEffect, useLayoutEffect, useMemo, useRef, useState } from "react";
 import { AiFillCheckCircle, AiOutlineCheck, AiOutlineCheckCircle } from "react-icons/ai";
 import { getAvatarSrc } from "../utils/avatar.js";
+import { describeSystemEvent } from "../utils/systemEvents.js";
+import LinkPreviewCard from "./LinkPreviewCard";
 import ReactionBar from "./ReactionBar";
+import VideoMessage from "./VideoMessage";
+import VoiceNotePlayer from "./VoiceNotePlayer";
 import { API_BASE } from "../services/api.js";
 const MAX_EDIT_WINDOW_MS = 15 * 60 * 1000;
+const LOAD_OLDER_THRESHOLD_PX = 80;
 
 function MessageList({
   messages,
@@ -23,18 +28,29 @@ function MessageList({
   rendered,
   firstUnreadMessageId = "",
   isLoading = false,
+  hasOlderMessages = false,
+  isLoadingOlder = false,
+  onLoadOlderMessages,
   onReplyMessage,
   onDeleteMessage,
   onEditMessage,
   onReactMessage,
   editingMessageId = "",
   customEmojis = [],
-  imagePreviewUrls = {}
+  imagePreviewUrls = {},
+  imagePlaceholders = {},
+  onLoadVoiceNote,
+  onVoiceNotePlayed,
+  onLoadVideo,
+  linkPreviews = {},
+  onOpenThread,
+  jumpTarget = null
 }) {
   const endRef = useRef(null);
   const listRef = useRef(null);
   const unreadMarkerRef = useRef(null);
   const shouldAutoScrollRef = useRef(true);
+  const scrollRestoreRef = useRef(null);
   const holdTimerRef = useRef(null);
   const hoverTimerRef = useRef(null);
   const suppressNextClickRef = useRef(false);
@@ -73,12 +89,41 @@ function MessageList({
     endRef.current?.scrollIntoView({ behavior: "auto" });
   }, [firstUnreadMessageId, isLoading]);
 
+  // Older pages are prepended; keep the viewport anchored on the message the
+  // user was looking at instead of jumping by the height of the new page.
+  useLayoutEffect(() => {
+    const list = listRef.current;
+    const restore = scrollRestoreRef.current;
+    if (!list || !restore) return;
+    if (String(messages[0]?._id || "") === restore.firstMessageId) return;
+    const previousBehavior = list.style.scrollBehavior;
+    list.style.scrollBehavior = "auto";
+    list.scrollTop = list.scrollHeight - restore.scrollHeight + restore.scrollTop;
+    list.style.scrollBehavior = previousBehavior;
+    scrollRestoreRef.current = null;
+  }, [messages]);
+
+  useEffect(() => {
+    if (!isLoadingOlder) {
+      scrollRestoreRef.current = null;
+    }
+  }, [isLoadingOlder]);
+
   useEffect(() => {
     if (isLoading) return;
     if (!shouldAutoScrollRef.current) return;
     endRef.current?.scrollIntoView({ behavior: "smooth" });
   }, [messages, typingUsers, isLoading]);
 
+  // A search result was opened: centre it instead of following the bottom.
+  useEffect(() => {
+    if (isLoading || !jumpTarget?.messageId) return;
+    const row = listRef.current?.querySelector(`[data-message-id="${jumpTarget.messageId}"]`);
+    if (!row) return;
+    shouldAutoScrollRef.current = false;
+    row.scrollIntoView({ behavior: "smooth", block: "center" });
+  }, [jumpTarget, isLoading]);
+
   useEffect(() => {
     const root = listRef.current;
     const marker = unreadMarkerRef.current;
@@ -136,6 +181,20 @@ function MessageList({
     if (!list) return;
     const distanceFromBottom = list.scrollHeight - list.scrollTop - list.clientHeight;
     shouldAutoScrollRef.current = distanceFromBottom < 120;
+    if (list.scrollTop < LOAD_OLDER_THRESHOLD_PX) {
+      requestOlderMessages();
+    }
+  }
+
+  function requestOlderMessages() {
+    const list = listRef.current;
+    if (!list || !hasOlderMessages || isLoadingOlder || typeof onLoadOlderMessages !== "function") return;
+    scrollRestoreRef.current = {
+      firstMessageId: String(messages[0]?._id || ""),
+      scrollHeight: list.scrollHeight,
+      scrollTop: list.scrollTop
+    };
+    onLoadOlderMessages();
   }
 
   function scrollToUnread() {
@@ -192,6 +251,8 @@ function MessageList({
     const parent = messageById[String(msg.replyTo)];
     if (!parent) return "Original message";
     if (parent.type === "image" || String(parent.mimeType || "").startsWith("image/")) return "Photo";
+    if (parent.type === "audio") return "Voice message";
+    if (parent.type === "video") return "Video";
     if (parent.type === "file") return parent.fileName || "File";
     const plain = parent.encrypted ? rendered[parent._id] || "Encrypted message" : parent.content || "";
     return plain || "Message";
@@ -220,11 +281,28 @@ function MessageList({
     return "\uD83D\uDCCE";
   }
 
+  // Blurred stand-in ({ width, height, dataUrl }) shown until the thumbnail
+  // is decrypted.
+  function getImagePlaceholder(message) {
+    return imagePlaceholders[String(message?._id || "")] || null;
+  }
+
+  // Recipients see an unplayed marker until they play the note; the sender
+  // sees "Played" once anyone else has.
+  function getVoiceNoteState(message, isOwn) {
+    const playedBy = (message.playedBy || []).map(String);
+    if (isOwn) {
+      return { played: true, label: playedBy.some((userId) => userId !== String(currentUserId)) ? "Played" : "" };
+    }
+    return { played: playedBy.includes(String(currentUserId)), label: "" };
+  }
+
   function getImageSource(message) {
     const messageId = String(message?._id || "");
     if (!messageId) return "";
-    if (message.encrypted) {
-      return String(imagePreviewUrls[messageId] || "");
+    const previewUrl = String(imagePreviewUrls[messageId] || "");
+    if (message.encrypted || previewUrl) {
+      return previewUrl;
     }
 
     const directUrl = String(message.fileUrl || message.content || "").trim();
@@ -409,6 +487,13 @@ function MessageList({
 
   return (
     <div className="message-list" ref={listRef} onScroll={handleScroll}>
+      {hasOlderMessages && (
+        <div className="message-history-loader">
+          <button type="button" onClick={requestOlderMessages} disabled={isLoadingOlder}>
+            {isLoadingOlder ? "Loading earlier messages..." : "Load earlier messages"}
+          </button>
+        </div>
+      )}
       {groupedMessages.map((group) => (
         <section key={group.key} className="message-day-group">
           <div className="date-separator">
@@ -416,6 +501,24 @@ function MessageList({
           </div>
           {group.items.map(({ msg, index }) => {
             const msgId = String(msg._id);
+            if (msg.type === "system") {
+              return (
+                <div key={msgId}>
+                  {msgId === String(firstUnreadMessageId) && (
+                    <div ref={unreadMarkerRef} className="new-messages-divider">
+                      <span>New messages</span>
+                    </div>
+                  )}
+                  <div
+                    data-message-id={msgId}
+                    role="note"
+                    className={`message-system-row ${jumpTarget?.messageId === msgId ? "jump-highlight" : ""}`}
+                  >
+                    <span>{describeSystemEvent(msg, { usersById, currentUserId })}</span>
+                  </div>
+                </div>
+              );
+            }
             const isOwn = String(msg.senderId) === String(currentUserId);
             const sender = usersById[msg.senderId];
             const senderAvatarSrc = getAvatarSrc(sender?.avatarUrl);
@@ -427,11 +530,13 @@ function MessageList({
             const sameDateAsNext = nextMsg && getDateKey(nextMsg.createdAt) === group.key;
             const closeToPrev =
               prevMsg &&
+              prevMsg.type !== "system" &&
               String(prevMsg.senderId) === String(msg.senderId) &&
               sameDateAsPrev &&
               new Date(msg.createdAt).getTime() - new Date(prevMsg.createdAt).getTime() < 5 * 60 * 1000;
             const closeToNext =
               nextMsg &&
+              nextMsg.type !== "system" &&
               String(nextMsg.senderId) === String(msg.senderId) &&
               sameDateAsNext &&
               new Date(nextMsg.createdAt).getTime() - new Date(msg.createdAt).getTime() < 5 * 60 * 1000;
@@ -484,7 +589,12 @@ function MessageList({
                     <span>New messages</span>
                   </div>
                 )}
-                <div className={`message-row ${isOwn ? "own" : "other"} ${isClusterStart ? "cluster-start" : ""} ${isClusterEnd ? "cluster-end" : ""}`}>
+                <div
+                  data-message-id={msgId}
+                  className={`message-row ${isOwn ? "own" : "other"} ${isClusterStart ? "cluster-start" : ""} ${
+                    isClusterEnd ? "cluster-end" : ""
+                  } ${jumpTarget?.messageId === msgId ? "jump-highlight" : ""}`}
+                >
                   {!isOwn && (
                     <div className="message-avatar">
                       {senderAvatarSrc ? (
@@ -538,7 +648,42 @@ function MessageList({
                     )}
 
                     {msg.type === "text" && !hideReplyPlaceholderText ? (
-                      <div className={`message-text ${isBigEmojiText(resolvedText) ? "message-text-big-emoji" : ""}`}>{resolvedText}</div>
+                      <>
+                        <div className={`message-text ${isBigEmojiText(resolvedText) ? "message-text-big-emoji" : ""}`}>
+                          {resolvedText}
+                        </div>
+                        {linkPreviews[msgId]?.preview && <LinkPreviewCard preview={linkPreviews[msgId].preview} />}
+                      </>
+                    ) : msg.type === "audio" ? (
+                      <VoiceNotePlayer
+                        message={msg}
+                        played={getVoiceNoteState(msg, isOwn).played}
+                        playedLabel={getVoiceNoteState(msg, isOwn).label}
+                        onLoad={onLoadVoiceNote}
+                        onPlayed={isOwn ? undefined : onVoiceNotePlayed}
+                      />
+                    ) : msg.type === "video" ? (
+                      <div className="message-image-wrap">
+                        <VideoMessage
+                          message={msg}
+                          posterUrl={imagePreviewUrls[msgId] || ""}
+                          placeholder={getImagePlaceholder(msg)}
+                          onLoad={onLoadVideo}
+                        />
+                        <div className="message-image-meta">
+                          <span>{msg.fileName || "Video"}</span>
+                          <button
+                            type="button"
+                            className="file-button"
+                            onClick={(event) => {
+                              event.stopPropagation();
+                              onDownloadFile(msg);
+                            }}
+                          >
+                            Download
+                          </button>
+                        </div>
+                      </div>
                     ) : isImageMessage(msg) ? (
                       <div className="message-image-wrap">
                         {getImageSource(msg) ? (
@@ -552,6 +697,13 @@ function MessageList({
                               onDownloadFile(msg);
                             }}
                           />
+                        ) : getImagePlaceholder(msg) ? (
+                          <img
+                            src={getImagePlaceholder(msg).dataUrl}
+                            alt={msg.fileName || "Image"}
+                            className="message-image message-image-placeholder"
+                            style={{ aspectRatio: `${getImagePlaceholder(msg).width} / ${getImagePlaceholder(msg).height}` }}
+                          />
                         ) : (
                           <div className="message-image-unavailable">Image preview unavailable</div>
                         )}
@@ -610,6 +762,24 @@ function MessageList({
                       </div>
                     )}
 
+                    {onOpenThread && !msg.threadRootId && Number(msg.threadReplyCount) > 0 && (
+                      <button
+                        type="button"
+                        className="message-thread-summary"
+                        onClick={(event) => {
+                          event.stopPropagation();
+                          onOpenThread(msg);
+                        }}
+                      >
+                        <span className="message-thread-count">
+                          {msg.threadReplyCount === 1 ? "1 reply" : `${msg.threadReplyCount} replies`}
+                        </span>
+                        {msg.threadLastReplyAt && (
+                          <span className="message-thread-last">Last reply {formatTime(msg.threadLastReplyAt)}</span>
+                        )}
+                      </button>
+                    )}
+
                     <div className="message-time">
                       {msg.editedAt ? <span className="edited-label">edited</span> : null}
                       <span title={new Date(msg.createdAt).toLocaleString()}>{formatTime(msg.createdAt)}</span>{" "}
@@ -654,6 +824,19 @@ function MessageList({
             >
               {"\u21A9"}
             </button>
+            {onOpenThread && !radialMessage.threadRootId && !String(radialMessage._id).startsWith("temp-") && (
+              <button
+                type="button"
+                className="radial-action radial-thread"
+                onClick={() => {
+                  onOpenThread(radialMessage);
+                  setRadialMenu(null);
+                }}
+                title="Reply in thread"
+              >
+                {"\uD83E\uDDF5"}
+              </button>
+            )}
             <button
               type="button"
               className="radial-action radial-react"
@@ -1,4 +1,4 @@
-import { render, screen } from "@testing-library/react";
+import { fireEvent, render, screen, waitFor } from "@testing-library/react";
 import MessageList from "./MessageList";
 
 const baseProps = {
@@ -40,6 +40,33 @@ describe("MessageList", () => {
     expect(screen.getByAltText("test-image.png")).toBeInTheDocument();
   });
 
+  test("shows the blurred placeholder until the encrypted thumbnail is ready", () => {
+    const { container } = render(
+      <MessageList
+        {...baseProps}
+        imagePlaceholders={{ m4: { width: 400, height: 300, dataUrl: "data:image/jpeg;base64,AAAA" } }}
+        messages={[
+          {
+            _id: "m4",
+            chatId: "c1",
+            senderId: "other",
+            type: "image",
+            encrypted: true,
+            fileKey: "photo.bin",
+            fileName: "photo.jpg",
+            mimeType: "image/jpeg",
+            createdAt: new Date().toISOString()
+          }
+        ]}
+      />
+    );
+
+    const placeholder = container.querySelector("img.message-image-placeholder");
+    expect(placeholder).toBeInTheDocument();
+    expect(placeholder).toHaveAttribute("src", "data:image/jpeg;base64,AAAA");
+    expect(screen.queryByText(/image preview unavailable/i)).not.toBeInTheDocument();
+  });
+
   test("renders audio file as generic file message without inline player", () => {
     const { container } = render(
       <MessageList
@@ -65,4 +92,202 @@ describe("MessageList", () => {
     expect(screen.getByText(/voice\.webm/i)).toBeInTheDocument();
     expect(container.querySelector("button.file-button")).toBeInTheDocument();
   });
+
+  test("renders voice notes with duration, speed control and unplayed state", () => {
+    const { container } = render(
+      <MessageList
+        {...baseProps}
+        onLoadVoiceNote={jest.fn()}
+        messages={[
+          {
+            _id: "m5",
+            chatId: "c1",
+            senderId: "other",
+            type: "audio",
+            encrypted: true,
+            fileKey: "voice.bin",
+            mimeType: "audio/webm",
+            durationMs: 75000,
+            playedBy: [],
+            createdAt: new Date().toISOString()
+          }
+        ]}
+      />
+    );
+
+    expect(screen.getByText("1:15")).toBeInTheDocument();
+    expect(container.querySelector(".voice-note.unplayed")).toBeInTheDocument();
+    const speed = screen.getByRole("button", { name: /playback speed/i });
+    fireEvent.click(speed);
+    expect(speed).toHaveTextContent("1.5x");
+    fireEvent.click(speed);
+    expect(speed).toHaveTextContent("2x");
+  });
+
+  test("shows a video poster with its duration and decrypts only when played", async () => {
+    const onLoadVideo = jest.fn(async () => "blob:video");
+    const { container } = render(
+      <MessageList
+        {...baseProps}
+        imagePreviewUrls={{ m6: "blob:poster" }}
+        onLoadVideo={onLoadVideo}
+        messages={[
+          {
+            _id: "m6",
+            chatId: "c1",
+            senderId: "other",
+            type: "video",
+            encrypted: true,
+            fileKey: "clip.bin",
+            fileName: "clip.mp4",
+            mimeType: "video/mp4",
+            durationMs: 125000,
+            width: 1280,
+            height: 720,
+            createdAt: new Date().toISOString()
+          }
+        ]}
+      />
+    );
+
+    expect(container.querySelector("img.message-video-poster")).toHaveAttribute("src", "blob:poster");
+    expect(screen.getByText("2:05")).toBeInTheDocument();
+    expect(onLoadVideo).not.toHaveBeenCalled();
+
+    fireEvent.click(screen.getByRole("button", { name: /play video/i }));
+    await waitFor(() => expect(container.querySelector("video.message-video-player")).toHaveAttribute("src", "blob:video"));
+    expect(onLoadVideo).toHaveBeenCalledTimes(1);
+  });
+
+  test("renders the decrypted link preview card under the text", () => {
+    render(
+      <MessageList
+        {...baseProps}
+        rendered={{ m7: "see https://example.com/post" }}
+        linkPreviews={{
+          m7: {
+            iv: "aXY=",
+            preview: { url: "https://example.com/post", title: "A post", description: "", siteName: "Example" }
+          }
+        }}
+        messages={[
+          {
+            _id: "m7",
+            chatId: "c1",
+            senderId: "other",
+            type: "text",
+            encrypted: true,
+            linkPreview: { ciphertextB64: "cA==", iv: "aXY=" },
+            createdAt: new Date().toISOString()
+          }
+        ]}
+      />
+    );
+
+    const card = screen.getByRole("link", { name: /a post/i });
+    expect(card).toHaveAttribute("href", "https://example.com/post");
+    expect(card).toHaveAttribute("rel", "noopener noreferrer");
+  });
+
+  test("shows the thread summary on a root message and opens the thread", () => {
+    const onOpenThread = jest.fn();
+    render(
+      <MessageList
+        {...baseProps}
+        rendered={{ m8: "root message" }}
+        onOpenThread={onOpenThread}
+        messages={[
+          {
+            _id: "m8",
+            chatId: "c1",
+            senderId: "other",
+            type: "text",
+            content: "root message",
+            threadReplyCount: 3,
+            threadLastReplyAt: new Date().toISOString(),
+            createdAt: new Date().toISOString()
+          }
+        ]}
+      />
+    );
+
+    const summary = screen.getByText("3 replies").closest("button");
+    expect(summary).toHaveTextContent(/last reply/i);
+    fireEvent.click(summary);
+    expect(onOpenThread).toHaveBeenCalledTimes(1);
+    expect(onOpenThread.mock.calls[0][0]._id).toBe("m8");
+  });
+
+  test("centres and highlights the message opened from search", () => {
+    const scrollIntoView = jest.spyOn(window.HTMLElement.prototype, "scrollIntoView");
+    const { container } = render(
+      <MessageList
+        {...baseProps}
+        rendered={{ m9: "found it" }}
+        jumpTarget={{ messageId: "m9", at: 1 }}
+        messages={[
+          {
+            _id: "m9",
+            chatId: "c1",
+            senderId: "other",
+            type: "text",
+            content: "found it",
+            createdAt: new Date().toISOString()
+          }
+        ]}
+      />
+    );
+
+    const row = container.querySelector('[data-message-id="m9"]');
+    expect(row).toHaveClass("jump-highlight");
+    expect(scrollIntoView).toHaveBeenCalledWith({ behavior: "smooth", block: "center" });
+    scrollIntoView.mockRestore();
+  });
+
+  test("requests older messages from the history loader", () => {
+    const onLoadOlderMessages = jest.fn();
+    render(
+      <MessageList
+        {...baseProps}
+        hasOlderMessages
+        onLoadOlderMessages={onLoadOlderMessages}
+        messages={[
+          {
+            _id: "m3",
+            chatId: "c1",
+            senderId: "other",
+            type: "text",
+            content: "latest page",
+            createdAt: new Date().toISOString()
+          }
+        ]}
+      />
+    );
+
+    fireEvent.click(screen.getByRole("button", { name: /load earlier messages/i }));
+    expect(onLoadOlderMessages).toHaveBeenCalledTimes(1);
+  });
+
+  test("renders system messages as centred event lines", () => {
+    render(
+      <MessageList
+        {...baseProps}
+        messages={[
+          {
+            _id: "s1",
+            chatId: "c1",
+            senderId: "other",
+            type: "system",
+            content: "Other added Me",
+            systemEvent: { kind: "members-added", targetIds: ["self"] },
+            createdAt: new Date().toISOString()
+          }
+        ]}
+      />
+    );
+
+    const line = screen.getByRole("note");
+    expect(line).toHaveClass("message-system-row");
+    expect(line).toHaveTextContent("Other added you");
+  });
 });
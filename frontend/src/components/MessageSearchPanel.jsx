@@ -0,0 +1,181 @@
+// Section Map
+// - Imports and dependencies
+// - Constants/configuration
+// - Helper functions/state handling
+// - Main module logic and exports
+
+import { useEffect, useRef, useState } from "react";
+
+const SEARCH_DEBOUNCE_MS = 300;
+const SNIPPET_RADIUS = 60;
+const TYPE_OPTIONS = [
+  { value: "", label: "Any type" },
+  { value: "text", label: "Messages" },
+  { value: "image", label: "Photos" },
+  { value: "video", label: "Videos" },
+  { value: "audio", label: "Voice notes" },
+  { value: "file", label: "Files" }
+];
+
+function buildSnippet(result, query) {
+  const text = result.text || result.fileName || "Encrypted message";
+  const firstWord = String(query || "").trim().toLowerCase().split(/\s+/)[0] || "";
+  const at = firstWord ? text.toLowerCase().indexOf(firstWord) : -1;
+  if (at < 0 || text.length <= SNIPPET_RADIUS * 2) return text.slice(0, SNIPPET_RADIUS * 2);
+  const start = Math.max(0, at - SNIPPET_RADIUS);
+  return `${start > 0 ? "\u2026" : ""}${text.slice(start, at + SNIPPET_RADIUS)}\u2026`;
+}
+
+// Search across the open chat or every chat. onSearch resolves the results
+// ({ id, chatId, senderId, type, createdAt, text, fileName }); picking one
+// calls onOpenResult, which jumps to it in context.
+export default function MessageSearchPanel({
+  currentChatId,
+  usersById,
+  getChatTitle,
+  chatsById,
+  onSearch,
+  onOpenResult,
+  onClose
+}) {
+  const [query, setQuery] = useState("");
+  const [scope, setScope] = useState(currentChatId ? "chat" : "all");
+  const [type, setType] = useState("");
+  const [senderId, setSenderId] = useState("");
+  const [fromDate, setFromDate] = useState("");
+  const [toDate, setToDate] = useState("");
+  const [results, setResults] = useState([]);
+  const [searching, setSearching] = useState(false);
+  const [error, setError] = useState("");
+  const requestRef = useRef(0);
+  const onSearchRef = useRef(onSearch);
+
+  const hasCriteria = Boolean(query.trim() || type || senderId || fromDate || toDate);
+
+  // The chat page recreates onSearch on every render; reading it through a ref
+  // keeps the debounce from restarting while still using the latest chats.
+  useEffect(() => {
+    onSearchRef.current = onSearch;
+  }, [onSearch]);
+
+  useEffect(() => {
+    const requestId = requestRef.current + 1;
+    requestRef.current = requestId;
+    if (!hasCriteria) {
+      setResults([]);
+      setSearching(false);
+      return undefined;
+    }
+    setSearching(true);
+    const timer = setTimeout(async () => {
+      try {
+        const found = await onSearchRef.current({
+          query: query.trim(),
+          chatId: scope === "chat" ? currentChatId : "",
+          senderId,
+          type,
+          from: fromDate ? new Date(`${fromDate}T00:00:00`) : null,
+          to: toDate ? new Date(`${toDate}T23:59:59.999`) : null
+        });
+        if (requestRef.current !== requestId) return;
+        setResults(found);
+        setError("");
+      } catch (err) {
+        if (requestRef.current === requestId) setError(err?.message || "Search failed");
+      } finally {
+        if (requestRef.current === requestId) setSearching(false);
+      }
+    }, SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [query, scope, type, senderId, fromDate, toDate, currentChatId, hasCriteria]);
+
+  const senders = Object.values(usersById || {}).filter((entry) => entry?._id || entry?.id);
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content message-search-modal" onClick={(event) => event.stopPropagation()}>
+        <div className="modal-header">
+          <h2>Search messages</h2>
+          <button className="modal-close" onClick={onClose} aria-label="Close search">
+            {"\u2716"}
+          </button>
+        </div>
+
+        <div className="modal-body">
+          <input
+            type="search"
+            className="form-input"
+            placeholder="Search messages and file names..."
+            value={query}
+            onChange={(event) => setQuery(event.target.value)}
+            aria-label="Search messages"
+            autoFocus
+          />
+
+          <div className="message-search-filters">
+            <select value={scope} onChange={(event) => setScope(event.target.value)} aria-label="Search in">
+              {currentChatId && <option value="chat">This chat</option>}
+              <option value="all">All chats</option>
+            </select>
+            <select value={type} onChange={(event) => setType(event.target.value)} aria-label="Message type">
+              {TYPE_OPTIONS.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+            <select value={senderId} onChange={(event) => setSenderId(event.target.value)} aria-label="Sender">
+              <option value="">Anyone</option>
+              {senders.map((entry) => (
+                <option key={entry._id || entry.id} value={entry._id || entry.id}>
+                  {entry.name || entry.username || "User"}
+                </option>
+              ))}
+            </select>
+            <input
+              type="date"
+              value={fromDate}
+              onChange={(event) => setFromDate(event.target.value)}
+              aria-label="From date"
+            />
+            <input
+              type="date"
+              value={toDate}
+              onChange={(event) => setToDate(event.target.value)}
+              aria-label="To date"
+            />
+          </div>
+
+          <p className="message-search-note">
+            Message text is end-to-end encrypted, so it is searched on this device, in chats you have opened here.
+          </p>
+
+          {error && <div className="group-form-error">{error}</div>}
+
+          <div className="message-search-results" role="list">
+            {searching && <div className="muted">Searching...</div>}
+            {!searching && hasCriteria && results.length === 0 && !error && <div className="muted">No results</div>}
+            {results.map((result) => (
+              <button
+                key={result.id}
+                type="button"
+                role="listitem"
+                className="message-search-result"
+                onClick={() => onOpenResult(result)}
+              >
+                <span className="message-search-result-meta">
+                  <span>{usersById[result.senderId]?.name || "User"}</span>
+                  {scope === "all" && chatsById[result.chatId] && (
+                    <span>{getChatTitle(chatsById[result.chatId])}</span>
+                  )}
+                  <span>{new Date(result.createdAt).toLocaleString()}</span>
+                </span>
+                <span className="message-search-result-text">{buildSnippet(result, query)}</span>
+              </button>
+            ))}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
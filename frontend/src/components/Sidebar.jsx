@@ -12,6 +12,40 @@ import RequestsList from "./RequestsList";
 import CreateGroupModal from "./CreateGroupModal";
 import { getAvatarSrc } from "../utils/avatar.js";
 
+const CALL_HISTORY_FILTERS = [
+  { value: "all", label: "All" },
+  { value: "missed", label: "Missed" },
+  { value: "rejected", label: "Declined" },
+  { value: "completed", label: "Answered" }
+];
+
+function formatCallTime(value) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return "";
+  const now = new Date();
+  const sameDay = date.toDateString() === now.toDateString();
+  return sameDay
+    ? date.toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" })
+    : date.toLocaleDateString([], { month: "short", day: "numeric" });
+}
+
+function formatCallDuration(seconds) {
+  const total = Math.max(0, Math.round(Number(seconds) || 0));
+  const minutes = Math.floor(total / 60);
+  const remaining = String(total % 60).padStart(2, "0");
+  return `${minutes}:${remaining}`;
+}
+
+function describeCall(call, isOutgoing) {
+  if (call.status === "completed") {
+    return `${isOutgoing ? "Outgoing" : "Incoming"} \u00b7 ${formatCallDuration(call.duration)}`;
+  }
+  if (call.status === "rejected") {
+    return isOutgoing ? "Declined by contact" : "You declined";
+  }
+  return isOutgoing ? "No answer" : "Missed call";
+}
+
 export default function Sidebar({
   user,
   chats,
@@ -30,6 +64,12 @@ export default function Sidebar({
   onArchiveSelectedChat,
   onStartVoiceCall,
   onStartVideoCall,
+  callHistory,
+  callHistoryFilter,
+  callHistoryHasMore,
+  callHistoryLoading,
+  onChangeCallHistoryFilter,
+  onLoadMoreCallHistory,
   notificationSettings,
   onUpdateNotificationSetting,
   onRequestDesktopPermission,
@@ -65,16 +105,23 @@ export default function Sidebar({
   const avatarSrc = getAvatarSrc(user?.avatarUrl);
   const callRows = useMemo(() => {
     const normalizedSearch = callsSearch.trim().toLowerCase();
-    const rows = (chats || [])
-      .filter((chat) => chat?.type === "direct")
-      .map((chat) => {
-        const other = (chat.members || []).find((m) => String(m?._id || m) !== String(user?.id)) || null;
-        const label = other?.name || "Unknown";
-        const username = other?.username || "unknown";
-        const avatar = getAvatarSrc(other?.avatarUrl || "");
-        const chatId = String(chat?._id || "");
-        return { chatId, label, username, avatar, other };
-      });
+    const directChatIds = new Set(
+      (chats || []).filter((chat) => chat?.type === "direct").map((chat) => String(chat._id))
+    );
+    const rows = (callHistory || []).map((call) => {
+      const isOutgoing = String(call.caller?._id || call.caller) === String(user?.id);
+      const other = (isOutgoing ? call.receiver : call.caller) || null;
+      const chatId = String(call.chatId || "");
+      return {
+        id: String(call._id),
+        call,
+        isOutgoing,
+        label: other?.name || "Unknown",
+        username: other?.username || "unknown",
+        avatar: getAvatarSrc(other?.avatarUrl || ""),
+        chatId: directChatIds.has(chatId) ? chatId : ""
+      };
+    });
 
     if (!normalizedSearch) return rows;
     return rows.filter(
@@ -82,7 +129,7 @@ export default function Sidebar({
         row.label.toLowerCase().includes(normalizedSearch) ||
         row.username.toLowerCase().includes(normalizedSearch)
     );
-  }, [callsSearch, chats, user?.id]);
+  }, [callHistory, callsSearch, chats, user?.id]);
 
   return (
     <aside className="sidebar sidebar-shell" style={sidebarStyle}>
@@ -232,20 +279,35 @@ export default function Sidebar({
                 placeholder="Search name or number"
               />
             </div>
+            <div className="calls-filter" role="tablist" aria-label="Filter calls">
+              {CALL_HISTORY_FILTERS.map((filter) => (
+                <button
+                  key={filter.value}
+                  type="button"
+                  role="tab"
+                  aria-selected={callHistoryFilter === filter.value}
+                  className={`calls-filter-btn ${callHistoryFilter === filter.value ? "active" : ""}`}
+                  onClick={() => onChangeCallHistoryFilter?.(filter.value)}
+                >
+                  {filter.label}
+                </button>
+              ))}
+            </div>
             <div className="calls-list">
               {callRows.length === 0 ? (
                 <div className="empty-state">
-                  <p>No contacts found</p>
-                  <p className="muted-text">Start a direct chat to place calls.</p>
+                  <p>{callHistoryLoading ? "Loading calls..." : "No calls yet"}</p>
+                  <p className="muted-text">Voice and video calls with your contacts will appear here.</p>
                 </div>
               ) : (
                 callRows.map((row) => (
-                  <div key={row.chatId} className="call-row">
+                  <div key={row.id} className={`call-row call-${row.call.status}`}>
                     <button
                       type="button"
                       className="call-contact-btn"
-                      onClick={() => onSelectChat?.(row.chatId)}
-                      title={`Open chat with ${row.label}`}
+                      onClick={() => row.chatId && onSelectChat?.(row.chatId)}
+                      disabled={!row.chatId}
+                      title={row.chatId ? `Open chat with ${row.label}` : row.label}
                     >
                       <span className="call-avatar">
                         {row.avatar ? (
@@ -256,14 +318,21 @@ export default function Sidebar({
                       </span>
                       <span className="call-meta">
                         <span className="call-name">{row.label}</span>
-                        <span className="call-username">@{row.username}</span>
+                        <span className="call-username">
+                          <span className="call-direction" aria-hidden="true">
+                            {row.isOutgoing ? "\u2197" : "\u2199"}
+                          </span>{" "}
+                          {row.call.type === "video" ? "Video" : "Voice"} {"\u00b7"} {describeCall(row.call, row.isOutgoing)}
+                        </span>
                       </span>
+                      <span className="call-time">{formatCallTime(row.call.createdAt)}</span>
                     </button>
                     <div className="call-actions">
                       <button
                         type="button"
                         className="call-action-btn"
                         onClick={() => onStartVideoCall?.(row.chatId)}
+                        disabled={!row.chatId}
                         title="Start video call"
                       >
                         {"\uD83C\uDFA5"}
@@ -272,6 +341,7 @@ export default function Sidebar({
                         type="button"
                         className="call-action-btn"
                         onClick={() => onStartVoiceCall?.(row.chatId)}
+                        disabled={!row.chatId}
                         title="Start voice call"
                       >
                         {"\u260E"}
@@ -280,6 +350,16 @@ export default function Sidebar({
                   </div>
                 ))
               )}
+              {callHistoryHasMore && (
+                <button
+                  type="button"
+                  className="calls-load-more"
+                  onClick={() => onLoadMoreCallHistory?.()}
+                  disabled={callHistoryLoading}
+                >
+                  {callHistoryLoading ? "Loading..." : "Load older calls"}
+                </button>
+              )}
             </div>
           </div>
         )}
@@ -0,0 +1,74 @@
+// Section Map
+// - Imports and dependencies
+// - Constants/configuration
+// - Helper functions/state handling
+// - Main module logic and exports
+
+import MessageInput from "./MessageInput";
+import MessageList from "./MessageList";
+
+// Side panel for one thread: the root message followed by its replies, with a
+// text-only composer that replies into the thread.
+export default function ThreadPanel({
+  rootMessage,
+  replies,
+  isLoading = false,
+  usersById,
+  currentUserId,
+  participantCount = 2,
+  rendered,
+  linkPreviews = {},
+  imagePreviewUrls = {},
+  imagePlaceholders = {},
+  customEmojis = [],
+  vanishMode = false,
+  onDownloadFile,
+  onLoadVoiceNote,
+  onVoiceNotePlayed,
+  onLoadVideo,
+  onSendReply,
+  onTyping,
+  onClose
+}) {
+  const replyCount = replies.length;
+
+  return (
+    <aside className="thread-panel" aria-label="Thread">
+      <div className="thread-panel-header">
+        <div>
+          <h3>Thread</h3>
+          <span className="thread-panel-count">
+            {isLoading ? "Loading replies..." : replyCount === 1 ? "1 reply" : `${replyCount} replies`}
+          </span>
+        </div>
+        <button type="button" className="modal-close" onClick={onClose} aria-label="Close thread">
+          {"\u2716"}
+        </button>
+      </div>
+
+      <MessageList
+        messages={rootMessage ? [rootMessage, ...replies] : replies}
+        usersById={usersById}
+        currentUserId={currentUserId}
+        participantCount={participantCount}
+        onDownloadFile={onDownloadFile}
+        rendered={rendered}
+        isLoading={isLoading && !rootMessage}
+        customEmojis={customEmojis}
+        imagePreviewUrls={imagePreviewUrls}
+        imagePlaceholders={imagePlaceholders}
+        onLoadVoiceNote={onLoadVoiceNote}
+        onVoiceNotePlayed={onVoiceNotePlayed}
+        onLoadVideo={onLoadVideo}
+        linkPreviews={linkPreviews}
+      />
+
+      <MessageInput
+        onSendText={onSendReply}
+        onTyping={onTyping}
+        vanishMode={vanishMode}
+        placeholder="Reply in thread..."
+      />
+    </aside>
+  );
+}
@@ -0,0 +1,79 @@
+// Section Map
+// - Imports and dependencies
+// - Constants/configuration
+// - Helper functions/state handling
+// - Main module logic and exports
+
+import { useEffect, useState } from "react";
+import { formatMediaDuration } from "./VoiceNotePlayer";
+
+// Inline video for video messages. Until it is played only the poster frame
+// (or its blurred placeholder) is shown; playing fetches and decrypts the
+// whole file into a blob URL (onLoad), which is released on unmount.
+export default function VideoMessage({ message, posterUrl = "", placeholder = null, onLoad }) {
+  const [src, setSrc] = useState("");
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+  const width = Number(message.width || placeholder?.width || 16);
+  const height = Number(message.height || placeholder?.height || 9);
+
+  useEffect(() => {
+    return () => {
+      if (src) URL.revokeObjectURL(src);
+    };
+  }, [src]);
+
+  async function startPlayback(event) {
+    event.stopPropagation();
+    if (loading || !message.fileKey) return;
+    setLoading(true);
+    setError("");
+    try {
+      setSrc(await onLoad(message));
+    } catch {
+      setError("Video unavailable");
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  if (src) {
+    return (
+      <div className="message-video" style={{ aspectRatio: `${width} / ${height}` }}>
+        <video
+          src={src}
+          poster={posterUrl || undefined}
+          className="message-video-player"
+          controls
+          autoPlay
+          playsInline
+          onClick={(event) => event.stopPropagation()}
+        />
+      </div>
+    );
+  }
+
+  const previewSrc = posterUrl || placeholder?.dataUrl || "";
+  return (
+    <div className="message-video" style={{ aspectRatio: `${width} / ${height}` }}>
+      {previewSrc && (
+        <img
+          src={previewSrc}
+          alt={message.fileName || "Video"}
+          className={`message-video-poster ${posterUrl ? "" : "message-image-placeholder"}`}
+        />
+      )}
+      <button
+        type="button"
+        className="message-video-play"
+        onClick={startPlayback}
+        disabled={loading || !message.fileKey}
+        aria-label="Play video"
+      >
+        {loading ? "\u2026" : "\u25B6"}
+      </button>
+      <span className="message-video-duration">{formatMediaDuration(message.durationMs)}</span>
+      {error && <span className="message-video-error">{error}</span>}
+    </div>
+  );
+}
@@ -0,0 +1,130 @@
+// Section Map
+// - Imports and dependencies
+// - Constants/configuration
+// - Helper functions/state handling
+// - Main module logic and exports
+
+import { useEffect, useRef, useState } from "react";
+
+const PLAYBACK_RATES = [1, 1.5, 2];
+
+export function formatMediaDuration(ms) {
+  const totalSeconds = Math.max(0, Math.round(Number(ms || 0) / 1000));
+  return `${Math.floor(totalSeconds / 60)}:${String(totalSeconds % 60).padStart(2, "0")}`;
+}
+
+// Inline player for audio messages. The file is only fetched and decrypted
+// (onLoad resolves an object URL) the first time it is played.
+export default function VoiceNotePlayer({ message, played = true, playedLabel = "", onLoad, onPlayed }) {
+  const audioRef = useRef(null);
+  const playWhenReadyRef = useRef(false);
+  const [src, setSrc] = useState("");
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+  const [playing, setPlaying] = useState(false);
+  const [positionMs, setPositionMs] = useState(0);
+  const [rate, setRate] = useState(1);
+  const positionMsRef = useRef(0);
+  const durationMs = Number(message.durationMs || 0);
+
+  useEffect(() => {
+    positionMsRef.current = positionMs;
+  }, [positionMs]);
+
+  useEffect(() => {
+    const audio = audioRef.current;
+    if (!audio || !src) return;
+    audio.playbackRate = rate;
+    if (playWhenReadyRef.current) {
+      playWhenReadyRef.current = false;
+      audio.currentTime = positionMsRef.current / 1000;
+      audio.play().catch(() => setError("Playback failed"));
+    }
+  }, [src, rate]);
+
+  async function togglePlayback(event) {
+    event.stopPropagation();
+    if (playing) {
+      audioRef.current?.pause();
+      return;
+    }
+    if (src) {
+      audioRef.current?.play().catch(() => setError("Playback failed"));
+      return;
+    }
+    setLoading(true);
+    setError("");
+    try {
+      const url = await onLoad(message);
+      playWhenReadyRef.current = true;
+      setSrc(url);
+    } catch {
+      setError("Voice note unavailable");
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  function seek(event) {
+    const nextMs = Number(event.target.value);
+    setPositionMs(nextMs);
+    if (audioRef.current && src) {
+      audioRef.current.currentTime = nextMs / 1000;
+    }
+  }
+
+  function cycleRate(event) {
+    event.stopPropagation();
+    setRate((prev) => PLAYBACK_RATES[(PLAYBACK_RATES.indexOf(prev) + 1) % PLAYBACK_RATES.length]);
+  }
+
+  return (
+    <div className={`voice-note ${played ? "" : "unplayed"}`} onClick={(event) => event.stopPropagation()}>
+      <button
+        type="button"
+        className="voice-note-toggle"
+        onClick={togglePlayback}
+        disabled={loading || !message.fileKey}
+        aria-label={playing ? "Pause voice note" : "Play voice note"}
+      >
+        {loading ? "\u2026" : playing ? "\u23F8" : "\u25B6"}
+      </button>
+      <div className="voice-note-body">
+        <input
+          type="range"
+          className="voice-note-seek"
+          min={0}
+          max={Math.max(durationMs, 1)}
+          step={100}
+          value={Math.min(positionMs, Math.max(durationMs, 1))}
+          onChange={seek}
+          aria-label="Seek voice note"
+        />
+        <div className="voice-note-meta">
+          <span>{formatMediaDuration(playing || positionMs > 0 ? positionMs : durationMs)}</span>
+          {!played && <span className="voice-note-unplayed-dot" aria-label="Not played yet" />}
+          {playedLabel && <span className="voice-note-played">{playedLabel}</span>}
+          {error && <span className="voice-note-error">{error}</span>}
+        </div>
+      </div>
+      <button type="button" className="voice-note-rate" onClick={cycleRate} aria-label="Playback speed">
+        {`${rate}x`}
+      </button>
+      <audio
+        ref={audioRef}
+        src={src || undefined}
+        preload="auto"
+        onPlay={() => {
+          setPlaying(true);
+          onPlayed?.(message);
+        }}
+        onPause={() => setPlaying(false)}
+        onEnded={() => {
+          setPlaying(false);
+          setPositionMs(0);
+        }}
+        onTimeUpdate={(event) => setPositionMs(event.currentTarget.currentTime * 1000)}
+      />
+    </div>
+  );
+}
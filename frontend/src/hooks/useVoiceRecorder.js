@@ -0,0 +1,137 @@
+// Section Map
+// - Imports and dependencies
+// - Constants/configuration
+// - Helper functions/state handling
+// - Main module logic and exports
+
+import { useCallback, useEffect, useRef, useState } from "react";
+
+const LEVEL_SAMPLE_MS = 100;
+const MAX_LEVELS = 40;
+const PREFERRED_MIME_TYPES = ["audio/webm;codecs=opus", "audio/ogg;codecs=opus", "audio/mp4"];
+
+function pickMimeType() {
+  if (typeof MediaRecorder.isTypeSupported !== "function") return "";
+  return PREFERRED_MIME_TYPES.find((type) => MediaRecorder.isTypeSupported(type)) || "";
+}
+
+// RMS of the current waveform, scaled so normal speech fills most of 0-1.
+function readLevel(analyser) {
+  const samples = new Uint8Array(analyser.fftSize);
+  analyser.getByteTimeDomainData(samples);
+  let sum = 0;
+  for (const sample of samples) {
+    const value = (sample - 128) / 128;
+    sum += value * value;
+  }
+  return Math.min(1, Math.sqrt(sum / samples.length) * 4);
+}
+
+export function isVoiceRecordingSupported() {
+  return typeof window.MediaRecorder === "function" && Boolean(navigator.mediaDevices?.getUserMedia);
+}
+
+// Microphone recording for voice notes. levels holds the most recent input
+// levels (0-1) for a live waveform. stop() resolves { blob, durationMs,
+// mimeType }, or null when the recording was cancelled before it started.
+export function useVoiceRecorder() {
+  const [recording, setRecording] = useState(false);
+  const [elapsedMs, setElapsedMs] = useState(0);
+  const [levels, setLevels] = useState([]);
+  const sessionRef = useRef(null);
+
+  const release = useCallback((session) => {
+    clearInterval(session.timer);
+    session.stream?.getTracks().forEach((track) => track.stop());
+    session.audioContext?.close().catch(() => {});
+    if (sessionRef.current === session) {
+      sessionRef.current = null;
+      setRecording(false);
+      setElapsedMs(0);
+      setLevels([]);
+    }
+  }, []);
+
+  const start = useCallback(async () => {
+    if (sessionRef.current) return;
+    const session = { chunks: [], cancelled: false };
+    sessionRef.current = session;
+
+    try {
+      session.stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+    } catch {
+      release(session);
+      throw new Error("Microphone access was denied.");
+    }
+    // Released (or cancelled) while the permission prompt was open.
+    if (session.cancelled) {
+      release(session);
+      return;
+    }
+
+    const mimeType = pickMimeType();
+    const recorder = new MediaRecorder(session.stream, mimeType ? { mimeType } : undefined);
+    recorder.ondataavailable = (event) => {
+      if (event.data?.size) session.chunks.push(event.data);
+    };
+    session.recorder = recorder;
+
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (AudioContextClass) {
+      session.audioContext = new AudioContextClass();
+      const analyser = session.audioContext.createAnalyser();
+      analyser.fftSize = 512;
+      session.audioContext.createMediaStreamSource(session.stream).connect(analyser);
+      session.analyser = analyser;
+    }
+
+    session.startedAt = Date.now();
+    session.timer = setInterval(() => {
+      setElapsedMs(Date.now() - session.startedAt);
+      if (session.analyser) {
+        const level = readLevel(session.analyser);
+        setLevels((prev) => [...prev, level].slice(-MAX_LEVELS));
+      }
+    }, LEVEL_SAMPLE_MS);
+    recorder.start();
+    setRecording(true);
+  }, [release]);
+
+  const cancel = useCallback(() => {
+    const session = sessionRef.current;
+    if (!session) return;
+    session.cancelled = true;
+    if (session.recorder && session.recorder.state !== "inactive") {
+      session.recorder.onstop = null;
+      session.recorder.stop();
+    }
+    if (session.recorder) {
+      release(session);
+    } else {
+      sessionRef.current = null;
+    }
+  }, [release]);
+
+  const stop = useCallback(() => {
+    const session = sessionRef.current;
+    if (!session?.recorder) {
+      cancel();
+      return Promise.resolve(null);
+    }
+    const durationMs = Date.now() - session.startedAt;
+    return new Promise((resolve) => {
+      session.recorder.onstop = () => {
+        const mimeType = String(session.recorder.mimeType || "audio/webm").split(";")[0];
+        release(session);
+        resolve(
+          session.chunks.length ? { blob: new Blob(session.chunks, { type: mimeType }), durationMs, mimeType } : null
+        );
+      };
+      session.recorder.stop();
+    });
+  }, [cancel, release]);
+
+  useEffect(() => cancel, [cancel]);
+
+  return { recording, elapsedMs, levels, start, stop, cancel };
+}
@@ -5,32 +5,82 @@
 // - Main module logic and exports
 
 import { useEffect, useMemo, useRef, useState } from "react";
-import { API_BASE, api, apiForm, apiUpload } from "../services/api.js";
+import { api, apiForm, fetchUpload } from "../services/api.js";
+import {
+  cancelChunkedUpload,
+  deletePendingUpload,
+  getChunkedUploadStatus,
+  getPendingUpload,
+  listPendingUploads,
+  runChunkedUpload,
+  savePendingUpload,
+  startChunkedUpload
+} from "../services/chunkedUpload.js";
 import {
   clearAuth,
-  getToken,
+  clearVerifiedContactKey,
   getUser,
-  setUser
+  getVerifiedContactKeys,
+  setUser,
+  setVerifiedContactKey
 } from "../services/storage.js";
 import { connectSocket, disconnectSocket } from "../services/socket.js";
 import {
   base64ToArrayBuffer,
   decryptBinaryForCurrentUser,
+  decryptExtraForCurrentUser,
   decryptTextForCurrentUser,
+  encryptForGroup,
   encryptForReceiver,
-  ensureUserKeyPair
+  ensureUserKeyPair,
+  restoreIdentityBackup
 } from "../utils/crypto.js";
+import { maintainPreKeys } from "../utils/ratchet.js";
+import { createImagePreview, createVideoPreview } from "../utils/imagePreview.js";
+import { readAttachmentBytes } from "../utils/imageMetadata.js";
+import { buildLinkPreview, sanitizeLinkPreview } from "../services/linkPreview.js";
+import {
+  indexMessages,
+  removeFromSearchIndex,
+  searchLocalMessages,
+  toSearchEntry
+} from "../services/messageSearch.js";
 import { getAvatarSrc } from "../utils/avatar.js";
+import { getGroupRole } from "../utils/groupRoles.js";
+import { describeSystemEvent } from "../utils/systemEvents.js";
+import { computeKeyFingerprint, computeSafetyNumber, formatSafetyNumber } from "../utils/safetyNumber.js";
 import Sidebar from "../components/Sidebar";
 import ChatHeader from "../components/ChatHeader";
 import MessageList from "../components/MessageList";
 import MessageInput from "../components/MessageInput";
+import ThreadPanel from "../components/ThreadPanel";
+import MessageSearchPanel from "../components/MessageSearchPanel";
+import AddGroupMembersModal from "../components/AddGroupMembersModal";
+import GroupInvitesPanel from "../components/GroupInvitesPanel";
 import CallOverlay from "../components/CallOverlay";
+import KeyRestoreModal from "../components/KeyRestoreModal";
 import { useCallManager } from "../hooks/useCallManager.js";
 
 const MAX_EDIT_WINDOW_MS = 15 * 60 * 1000;
 const IMAGE_MIME_TYPES = new Set(["image/jpeg", "image/png", "image/webp", "image/gif"]);
 const UI_SILENT_REFRESH_MS = 10 * 1000;
+const CALL_HISTORY_PAGE_SIZE = 30;
+const MESSAGE_PAGE_SIZE = 50;
+// Upper bound on extra pages fetched so the first unread message is loaded.
+const MAX_UNREAD_BACKFILL_PAGES = 10;
+const THREAD_PAGE_SIZE = 200;
+const SEARCH_RESULT_LIMIT = 50;
+// Opening an older search result pages back at most this far.
+const JUMP_PAGE_SIZE = 200;
+const MAX_JUMP_BACKFILL_PAGES = 10;
+// Placeholders shown instead of text that could not be decrypted.
+const UNSEARCHABLE_TEXTS = new Set([
+  "...",
+  "[unable to decrypt]",
+  "[missing private key]",
+  "[legacy encrypted message]",
+  "[legacy sent encrypted message]"
+]);
 
 export default function Chat() {
   // UI configuration and defaults used across the chat page.
@@ -66,6 +116,9 @@ export default function Chat() {
   const [typingMap, setTypingMap] = useState({});
   const [online, setOnline] = useState([]);
   const [error, setError] = useState("");
+  const [keyRestorePrompt, setKeyRestorePrompt] = useState(null);
+  // Bumped once this device's identity is ready so failed decrypts are retried.
+  const [e2eeIdentityRevision, setE2eeIdentityRevision] = useState(0);
   const [rendered, setRendered] = useState({});
   const [showInfo, setShowInfo] = useState(false);
   const [popup, setPopup] = useState(null);
@@ -88,6 +141,10 @@ export default function Chat() {
   const [groupAvatarPreviewUrl, setGroupAvatarPreviewUrl] = useState("");
   const [savingGroupProfile, setSavingGroupProfile] = useState(false);
   const [removingMemberId, setRemovingMemberId] = useState("");
+  const [changingRoleMemberId, setChangingRoleMemberId] = useState("");
+  const [showAddMembers, setShowAddMembers] = useState(false);
+  const [addingMembers, setAddingMembers] = useState(false);
+  const [inviteRefreshKey, setInviteRefreshKey] = useState(0);
   const [isMobileViewport, setIsMobileViewport] = useState(() => {
     if (typeof window === "undefined") return false;
     return window.matchMedia("(max-width: 960px)").matches;
@@ -120,14 +177,45 @@ export default function Chat() {
   const [chatLockPromptBusy, setChatLockPromptBusy] = useState(false);
   const [socketInstance, setSocketInstance] = useState(null);
   const [pendingSidebarCall, setPendingSidebarCall] = useState(null);
-  const [uploadProgress, setUploadProgress] = useState(0);
-  const [isUploadingAttachment, setIsUploadingAttachment] = useState(false);
+  // { uploadId, chatId, fileName, size, progress, paused, preparing, error } for the attachment being sent.
+  const [activeUpload, setActiveUpload] = useState(null);
+  // Unfinished uploads recovered from IndexedDB after a reload.
+  const [resumableUploads, setResumableUploads] = useState([]);
   const [decryptedImageUrls, setDecryptedImageUrls] = useState({});
+  const [imagePlaceholders, setImagePlaceholders] = useState({});
+  // messageId -> { iv, preview }; iv tells an edited message's new preview apart.
+  const [linkPreviews, setLinkPreviews] = useState({});
+  // Open thread panel: root id, the root as last fetched and its replies.
+  const [threadRootId, setThreadRootId] = useState("");
+  const [threadRoot, setThreadRoot] = useState(null);
+  const [threadReplies, setThreadReplies] = useState([]);
+  const [threadLoading, setThreadLoading] = useState(false);
+  const [showSearch, setShowSearch] = useState(false);
+  // { messageId, at } of the search result being shown in context.
+  const [jumpTarget, setJumpTarget] = useState(null);
+  const [hasOlderMessages, setHasOlderMessages] = useState(false);
+  const [isLoadingOlderMessages, setIsLoadingOlderMessages] = useState(false);
+  const [callHistory, setCallHistory] = useState([]);
+  const [callHistoryFilter, setCallHistoryFilter] = useState("all");
+  const [callHistoryPage, setCallHistoryPage] = useState(1);
+  const [callHistoryHasMore, setCallHistoryHasMore] = useState(false);
+  const [callHistoryLoading, setCallHistoryLoading] = useState(false);
+  const [verifiedContactKeys, setVerifiedContactKeys] = useState(() => getVerifiedContactKeys(user?.id));
+  const [directPeerKey, setDirectPeerKey] = useState({ peerId: "", fingerprint: "" });
+  const [safetyNumber, setSafetyNumber] = useState({ peerId: "", value: "", loading: false });
 
   // Mutable refs for sockets, cached state snapshots, and temporary timers.
   const socketRef = useRef(null);
   const e2eeInitAttempted = useRef(false);
+  // Resolves the pending restore step of ensureE2EEIdentity.
+  const keyRestoreResolveRef = useRef(null);
   const selectedChatIdRef = useRef("");
+  const threadRootIdRef = useRef("");
+  // Search result to show once the chat it belongs to has loaded.
+  const pendingJumpRef = useRef(null);
+  const jumpToMessageRef = useRef(null);
+  const imageLoadersRef = useRef(null);
+  const loadCallHistoryRef = useRef(null);
   const usersRef = useRef([]);
   const chatsRef = useRef([]);
   const messagesRef = useRef([]);
@@ -136,8 +224,15 @@ export default function Chat() {
   const sidebarResizeStartWidthRef = useRef(360);
   const groupAvatarInputRef = useRef(null);
   const decryptingImageRef = useRef(new Set());
+  const decryptingLinkPreviewRef = useRef(new Set());
+  const decryptedLinkPreviewRef = useRef(new Set());
   const decryptedImageUrlsRef = useRef({});
+  const voiceNoteUrlsRef = useRef({});
   const silentRefreshRunningRef = useRef(false);
+  const callHistoryFilterRef = useRef("all");
+  const loadingOlderMessagesRef = useRef(false);
+  // { record, controller, resolve } while an attachment upload is running or paused.
+  const uploadTransferRef = useRef(null);
 
   // Data normalization helpers.
   function normalizeUnreadCount(rawValue) {
@@ -453,6 +548,8 @@ export default function Chat() {
 
   function notifyIncomingMessage(message) {
     if (String(message.senderId) === String(user?.id)) return;
+    // Group events show in the timeline but, like the unread badge, stay quiet.
+    if (message.type === "system") return;
     const currentSettings = notificationSettingsRef.current;
     const activeChatId = selectedChatIdRef.current;
     const visible = typeof document !== "undefined" && document.visibilityState === "visible";
@@ -468,6 +565,10 @@ export default function Chat() {
     const body =
       message.type === "image"
         ? "Sent a photo"
+        : message.type === "audio"
+        ? "Sent a voice message"
+        : message.type === "video"
+        ? "Sent a video"
         : message.type === "file"
         ? `Sent a file${message.fileName ? `: ${message.fileName}` : ""}`
         : message.encrypted
@@ -537,10 +638,24 @@ export default function Chat() {
     };
   }, [chatFilter, lockedAccessDigest]);
 
+  // Runs after every render so the filter effect below loads with the latest state.
+  useEffect(() => {
+    loadCallHistoryRef.current = loadCallHistory;
+  });
+
+  useEffect(() => {
+    callHistoryFilterRef.current = callHistoryFilter;
+    loadCallHistoryRef.current({ page: 1, filter: callHistoryFilter });
+  }, [callHistoryFilter]);
+
   useEffect(() => {
     selectedChatIdRef.current = selectedChatId;
   }, [selectedChatId]);
 
+  useEffect(() => {
+    threadRootIdRef.current = threadRootId;
+  }, [threadRootId]);
+
   useEffect(() => {
     usersRef.current = users;
   }, [users]);
@@ -557,12 +672,21 @@ export default function Chat() {
     decryptedImageUrlsRef.current = decryptedImageUrls;
   }, [decryptedImageUrls]);
 
+  // Runs after every render so the image previews below use the latest loaders.
+  useEffect(() => {
+    imageLoadersRef.current = { decryptImagePlaceholder, fetchThumbnailBlob, fetchMessageFileBlob };
+  });
+
   useEffect(() => {
     let cancelled = false;
-    const encryptedImageMessages = messages.filter(
-      (message) => message?.type === "image" && message?.encrypted && message?.fileKey
+    const loaders = imageLoadersRef.current;
+    // Videos only ever show their poster here; the video itself is decrypted
+    // when it is played.
+    const imageMessages = messages.filter(
+      (message) =>
+        message?.fileKey && (message.type === "image" || (message.type === "video" && message.thumbnail?.fileKey))
     );
-    const activeIds = new Set(encryptedImageMessages.map((message) => String(message._id)));
+    const activeIds = new Set(imageMessages.map((message) => String(message._id)));
 
     setDecryptedImageUrls((prev) => {
       let changed = false;
@@ -575,15 +699,34 @@ export default function Chat() {
       }
       return changed ? next : prev;
     });
+    setImagePlaceholders((prev) => {
+      const staleIds = Object.keys(prev).filter((messageId) => !activeIds.has(messageId));
+      if (staleIds.length === 0) return prev;
+      const next = { ...prev };
+      for (const messageId of staleIds) delete next[messageId];
+      return next;
+    });
 
-    for (const message of encryptedImageMessages) {
+    for (const message of imageMessages) {
       const messageId = String(message._id);
       if (!messageId || decryptingImageRef.current.has(messageId) || decryptedImageUrlsRef.current[messageId]) continue;
       decryptingImageRef.current.add(messageId);
 
       (async () => {
         try {
-          const blob = await fetchMessageFileBlob(message);
+          // Messages with a thumbnail show their placeholder right away and
+          // never fetch the full image until it is downloaded.
+          let blob;
+          if (message.thumbnail?.fileKey) {
+            const placeholder = await loaders.decryptImagePlaceholder(message).catch(() => null);
+            if (cancelled) return;
+            if (placeholder) {
+              setImagePlaceholders((prev) => ({ ...prev, [messageId]: placeholder }));
+            }
+            blob = await loaders.fetchThumbnailBlob(message);
+          } else {
+            blob = await loaders.fetchMessageFileBlob(message);
+          }
           if (cancelled) return;
           const objectUrl = URL.createObjectURL(blob);
           setDecryptedImageUrls((prev) => {
@@ -594,7 +737,7 @@ export default function Chat() {
             return { ...prev, [messageId]: objectUrl };
           });
         } catch {
-          // Ignore preview failures for encrypted media.
+          // Ignore preview failures; the message still offers a download.
         } finally {
           decryptingImageRef.current.delete(messageId);
         }
@@ -607,10 +750,42 @@ export default function Chat() {
   }, [messages, user.id]);
 
   useEffect(() => {
+    const pending = [...messages, ...threadReplies].filter(
+      (message) =>
+        message?.type === "text" &&
+        message.linkPreview?.iv &&
+        !decryptedLinkPreviewRef.current.has(`${message._id}:${message.linkPreview.iv}`)
+    );
+    for (const message of pending) {
+      const { iv, ciphertextB64 } = message.linkPreview;
+      const decryptKey = `${message._id}:${iv}`;
+      if (decryptingLinkPreviewRef.current.has(decryptKey)) continue;
+      decryptingLinkPreviewRef.current.add(decryptKey);
+      decryptExtraForCurrentUser({
+        userId: user.id,
+        message,
+        ivB64: iv,
+        cipherBuffer: base64ToArrayBuffer(ciphertextB64)
+      })
+        .then((plainBuffer) => sanitizeLinkPreview(JSON.parse(new TextDecoder().decode(plainBuffer))))
+        .catch(() => null)
+        .then((preview) => {
+          decryptingLinkPreviewRef.current.delete(decryptKey);
+          decryptedLinkPreviewRef.current.add(decryptKey);
+          setLinkPreviews((prev) => ({ ...prev, [message._id]: { iv, preview } }));
+        });
+    }
+  }, [messages, threadReplies, user.id]);
+
+  useEffect(() => {
+    const voiceNoteUrls = voiceNoteUrlsRef.current;
     return () => {
       for (const objectUrl of Object.values(decryptedImageUrlsRef.current || {})) {
         URL.revokeObjectURL(objectUrl);
       }
+      for (const objectUrl of Object.values(voiceNoteUrls)) {
+        URL.revokeObjectURL(objectUrl);
+      }
     };
   }, []);
 
@@ -718,9 +893,24 @@ export default function Chat() {
           return;
         }
 
+        // The stored profile can predate a rotation made on another device.
+        const serverKeys = await api("/api/users/me/e2ee-keys").catch(() => null);
+        const backendSpkiB64 = serverKeys ? serverKeys.current?.publicSpkiB64 || "" : user.e2eePublicKeySpkiB64 || "";
+        if (
+          serverKeys &&
+          (backendSpkiB64 !== (user.e2eePublicKeySpkiB64 || "") ||
+            serverKeys.current?.version !== user.e2eeKeyVersion)
+        ) {
+          syncCurrentUserProfile({
+            ...user,
+            e2eePublicKeySpkiB64: backendSpkiB64,
+            e2eeKeyVersion: serverKeys.current?.version || 1
+          });
+        }
+
         await ensureUserKeyPair(
           user.id,
-          user.e2eePublicKeySpkiB64 || "",
+          backendSpkiB64,
           async (publicSpkiB64) => {
             const res = await api("/api/users/me/e2ee-key", {
               method: "PATCH",
@@ -730,8 +920,36 @@ export default function Chat() {
               const nextUser = toStoredUser(res.user);
               syncCurrentUserProfile(nextUser);
             }
+          },
+          {
+            restoreIdentity: async () => {
+              const res = await api("/api/users/me/key-backup").catch(() => null);
+              if (!res?.backup) return;
+              await new Promise((resolve) => {
+                keyRestoreResolveRef.current = resolve;
+                setKeyRestorePrompt({ backup: res.backup, restoring: false, error: "" });
+              });
+            },
+            retiredKeys: serverKeys?.history || []
           }
         );
+        setE2eeIdentityRevision((prev) => prev + 1);
+
+        // Tops up one-time prekeys and rotates the signed prekey when this
+        // browser owns the published forward secrecy bundle.
+        const preKeyStatus = await api("/api/users/me/prekeys").catch(() => null);
+        await maintainPreKeys(user.id, preKeyStatus, {
+          uploadOneTimePreKeys: (oneTimePreKeys) =>
+            api("/api/users/me/prekeys/one-time", {
+              method: "POST",
+              body: JSON.stringify({ oneTimePreKeys })
+            }),
+          uploadSignedPreKey: (signedPreKey) =>
+            api("/api/users/me/prekeys/signed", {
+              method: "PUT",
+              body: JSON.stringify({ signedPreKey })
+            })
+        }).catch((err) => console.error("Prekey maintenance failed:", err));
       } catch (err) {
         setError(err?.message || "Unable to initialize encryption keys on this device.");
       }
@@ -740,6 +958,42 @@ export default function Chat() {
     ensureE2EEIdentity();
   }, [user?.id]);
 
+  useEffect(() => {
+    let cancelled = false;
+
+    // Offers to resume attachments that were still uploading when the page
+    // was closed. Records whose server session expired are dropped.
+    async function loadResumableUploads() {
+      if (!user?.id) return;
+      try {
+        const records = await listPendingUploads(user.id);
+        const entries = [];
+        for (const record of records) {
+          const status = await getChunkedUploadStatus(record.uploadId).catch(() => null);
+          if (!status) {
+            await deletePendingUpload(user.id, record.uploadId);
+            continue;
+          }
+          entries.push({
+            uploadId: record.uploadId,
+            chatId: record.chatId,
+            fileName: record.fileName,
+            size: record.size,
+            progress: status.size ? Math.round((status.offset / status.size) * 100) : 0
+          });
+        }
+        if (!cancelled) setResumableUploads(entries);
+      } catch {
+        // IndexedDB unavailable; nothing to resume.
+      }
+    }
+
+    loadResumableUploads();
+    return () => {
+      cancelled = true;
+    };
+  }, [user?.id]);
+
   useEffect(() => {
     const socket = connectSocket();
     socketRef.current = socket;
@@ -757,6 +1011,21 @@ export default function Chat() {
     socket.on("message:new", (message) => {
       const isSelected = String(message.chatId) === String(selectedChatIdRef.current);
       const isIncoming = String(message.senderId) !== String(user.id);
+      // Thread replies only go to an open thread panel; the root's summary
+      // arrives separately as thread:updated.
+      if (message.threadRootId) {
+        if (isSelected && String(message.threadRootId) === String(threadRootIdRef.current)) {
+          setThreadReplies((prev) => appendUniqueMessage(prev, message));
+          if (isIncoming) {
+            api(`/api/messages/${message.chatId}/read`, {
+              method: "POST",
+              body: JSON.stringify({ messageIds: [message._id] })
+            }).catch(() => {});
+          }
+        }
+        notifyIncomingMessage(message);
+        return;
+      }
       setMessages((prev) => (isSelected ? appendUniqueMessage(prev, message) : prev));
       setChats((prev) => {
         let updatedChat = null;
@@ -771,7 +1040,8 @@ export default function Chat() {
           updatedChat = {
             ...chat,
             lastMessageAt: message.createdAt,
-            unreadCount: isIncoming ? (isSelected ? 0 : currentUnread + 1) : currentUnread
+            unreadCount:
+              isIncoming && message.type !== "system" ? (isSelected ? 0 : currentUnread + 1) : currentUnread
           };
         }
 
@@ -787,13 +1057,12 @@ export default function Chat() {
       notifyIncomingMessage(message);
     });
     socket.on("message:read", ({ chatId, messageIds, userId }) => {
-      setMessages((prev) =>
-        prev.map((msg) =>
-          String(msg.chatId) === String(chatId) && messageIds.includes(msg._id)
-            ? { ...msg, readBy: Array.from(new Set([...(msg.readBy || []), userId])) }
-            : msg
-        )
-      );
+      const markRead = (msg) =>
+        String(msg.chatId) === String(chatId) && messageIds.includes(msg._id)
+          ? { ...msg, readBy: Array.from(new Set([...(msg.readBy || []), userId])) }
+          : msg;
+      setMessages((prev) => prev.map(markRead));
+      setThreadReplies((prev) => prev.map(markRead));
       if (String(userId) === String(user.id)) {
         setChats((prev) =>
           prev.map((chat) =>
@@ -811,10 +1080,22 @@ export default function Chat() {
         )
       );
     });
+    socket.on("message:played", ({ chatId, messageId, userId }) => {
+      setMessages((prev) =>
+        prev.map((msg) =>
+          String(msg.chatId) === String(chatId) && String(msg._id) === String(messageId)
+            ? { ...msg, playedBy: Array.from(new Set([...(msg.playedBy || []).map(String), String(userId)])) }
+            : msg
+        )
+      );
+    });
     socket.on("message:deleted", ({ chatId, messageIds }) => {
+      removeFromSearchIndex(user.id, chatId, messageIds || []).catch(() => {});
       if (String(chatId) !== String(selectedChatIdRef.current)) return;
       const deletedSet = new Set((messageIds || []).map(String));
       setMessages((prev) => prev.filter((m) => !deletedSet.has(String(m._id))));
+      setThreadReplies((prev) => prev.filter((m) => !deletedSet.has(String(m._id))));
+      setThreadRootId((prev) => (prev && deletedSet.has(String(prev)) ? "" : prev));
       setSelectedMessageIds((prev) => prev.filter((id) => !deletedSet.has(String(id))));
       setReplyToMessageId((prev) => (prev && deletedSet.has(String(prev)) ? null : prev));
       setEditingMessageId((prev) => (prev && deletedSet.has(String(prev)) ? "" : prev));
@@ -822,13 +1103,9 @@ export default function Chat() {
     socket.on("message:updated", ({ chatId, message }) => {
       if (!message?._id) return;
       if (String(chatId) !== String(selectedChatIdRef.current)) return;
-      setMessages((prev) =>
-        prev.map((entry) =>
-          String(entry._id) === String(message._id)
-            ? { ...entry, ...message }
-            : entry
-        )
-      );
+      const applyUpdate = (entry) => (String(entry._id) === String(message._id) ? { ...entry, ...message } : entry);
+      setMessages((prev) => prev.map(applyUpdate));
+      setThreadReplies((prev) => prev.map(applyUpdate));
       if (message.type === "text") {
         setRendered((prev) => ({
           ...prev,
@@ -839,13 +1116,22 @@ export default function Chat() {
     socket.on("message:reaction", ({ chatId, messageId, reactions }) => {
       if (!messageId) return;
       if (String(chatId) !== String(selectedChatIdRef.current)) return;
-      setMessages((prev) =>
-        prev.map((entry) =>
-          String(entry._id) === String(messageId)
-            ? { ...entry, reactions: Array.isArray(reactions) ? reactions : [] }
-            : entry
-        )
-      );
+      const applyReactions = (entry) =>
+        String(entry._id) === String(messageId)
+          ? { ...entry, reactions: Array.isArray(reactions) ? reactions : [] }
+          : entry;
+      setMessages((prev) => prev.map(applyReactions));
+      setThreadRoot((prev) => (prev ? applyReactions(prev) : prev));
+      setThreadReplies((prev) => prev.map(applyReactions));
+    });
+    socket.on("thread:updated", ({ chatId, rootId, replyCount, lastReplyAt }) => {
+      if (String(chatId) !== String(selectedChatIdRef.current)) return;
+      const applySummary = (entry) =>
+        String(entry._id) === String(rootId)
+          ? { ...entry, threadReplyCount: replyCount, threadLastReplyAt: lastReplyAt }
+          : entry;
+      setMessages((prev) => prev.map(applySummary));
+      setThreadRoot((prev) => (prev ? applySummary(prev) : prev));
     });
     socket.on("chat:vanish", ({ chatId, enabled }) => {
       setChats((prev) =>
@@ -866,6 +1152,11 @@ export default function Chat() {
       if (!updatedChat?._id) return;
       mergeChatUpdate(updatedChat);
     });
+    socket.on("chat:invites-updated", ({ chatId }) => {
+      if (String(chatId) === String(selectedChatIdRef.current)) {
+        setInviteRefreshKey((prev) => prev + 1);
+      }
+    });
     socket.on("chat:lock-state", ({ chatId, isLocked }) => {
       if (!chatId) return;
       setChats((prev) =>
@@ -905,6 +1196,28 @@ export default function Chat() {
         )
       );
     });
+    socket.on("chat:rekey", ({ chatId, memberIds }) => {
+      const normalizedChatId = String(chatId || "");
+      if (!normalizedChatId || !Array.isArray(memberIds)) return;
+      setChats((prev) =>
+        prev.map((chat) => {
+          if (String(chat._id) !== normalizedChatId) return chat;
+          const knownMembers = new Map(
+            (chat.members || []).map((member) => [String(member?._id || member), member])
+          );
+          return {
+            ...chat,
+            members: memberIds.map((memberId) => knownMembers.get(String(memberId)) || String(memberId))
+          };
+        })
+      );
+    });
+    socket.on("call:history", ({ call }) => {
+      if (!call?._id) return;
+      const filter = callHistoryFilterRef.current;
+      if (filter !== "all" && call.status !== filter) return;
+      setCallHistory((prev) => [call, ...prev.filter((entry) => String(entry._id) !== String(call._id))]);
+    });
     socket.on("chat:removed", ({ chatId }) => {
       const normalizedChatId = String(chatId || "");
       if (!normalizedChatId) return;
@@ -937,17 +1250,41 @@ export default function Chat() {
       setMessages([]);
       setRendered({});
       setFirstUnreadMessageId("");
+      setHasOlderMessages(false);
       try {
-        const res = await api(`/api/messages/${selectedChatId}`);
+        const res = await api(`/api/messages/${selectedChatId}?limit=${MESSAGE_PAGE_SIZE}`);
         if (cancelled) return;
-        setMessages(res.messages);
+        let loaded = Array.isArray(res.messages) ? res.messages : [];
+        let hasOlder = Boolean(res.hasMore);
+        const serverFirstUnreadId = String(res.firstUnreadMessageId || "");
+
+        // Keep paging back until the first unread message is loaded so the
+        // unread marker below points at the real start of the unread run.
+        for (
+          let page = 0;
+          serverFirstUnreadId &&
+          hasOlder &&
+          page < MAX_UNREAD_BACKFILL_PAGES &&
+          !loaded.some((m) => String(m._id) === serverFirstUnreadId);
+          page += 1
+        ) {
+          const older = await api(
+            `/api/messages/${selectedChatId}?before=${loaded[0]._id}&limit=${MESSAGE_PAGE_SIZE}`
+          );
+          if (cancelled) return;
+          loaded = [...(older.messages || []), ...loaded];
+          hasOlder = Boolean(older.hasMore);
+        }
+
+        setMessages(loaded);
+        setHasOlderMessages(hasOlder);
         setChats((prev) =>
           prev.map((chat) =>
             String(chat._id) === String(selectedChatId) ? { ...chat, unreadCount: 0 } : chat
           )
         );
 
-        const unread = res.messages.filter((m) => !m.readBy?.includes(user.id)).map((m) => m._id);
+        const unread = loaded.filter((m) => !m.readBy?.includes(user.id)).map((m) => m._id);
         setFirstUnreadMessageId(unread[0] ? String(unread[0]) : "");
         if (unread.length) {
           await api(`/api/messages/${selectedChatId}/read`, {
@@ -973,6 +1310,10 @@ export default function Chat() {
     setReplyToMessageId(null);
     setEditingMessageId("");
     setFirstUnreadMessageId("");
+    setThreadRootId("");
+    setThreadRoot(null);
+    setThreadReplies([]);
+    setJumpTarget(null);
   }, [selectedChatId]);
 
   // Resolve (decrypt) text messages so UI can display emojis and content
@@ -984,7 +1325,7 @@ export default function Chat() {
         "[unable to decrypt]",
         "[missing private key]"
       ]);
-      for (const msg of messages) {
+      for (const msg of [...messages, ...(threadRoot ? [threadRoot] : []), ...threadReplies]) {
         if (msg.type !== "text") continue;
         if (map[msg._id] && !retryablePlaceholders.has(map[msg._id])) continue;
         if (!msg.encrypted) {
@@ -1004,9 +1345,62 @@ export default function Chat() {
     return () => {
       mounted = false;
     };
-  }, [messages, selectedChatId, users, chats, user?.id]);
+  }, [messages, threadRoot, threadReplies, selectedChatId, users, chats, user?.id, e2eeIdentityRevision]);
+
+  // Decrypted text goes into the encrypted local search index. Locked chats
+  // are left out so their messages never surface in search.
+  useEffect(() => {
+    const chat = chatsRef.current.find((entry) => String(entry._id) === String(selectedChatId));
+    if (!chat || chat.isLocked) return;
+    const entries = [...messages, ...threadReplies]
+      .filter((message) => String(message.chatId) === String(selectedChatId))
+      .map((message) => {
+        const text = message.type === "text" ? rendered[message._id] || "" : "";
+        return toSearchEntry(message, UNSEARCHABLE_TEXTS.has(text) ? "" : text);
+      })
+      .filter(Boolean);
+    indexMessages(user.id, selectedChatId, entries).catch(() => {});
+  }, [messages, threadReplies, rendered, selectedChatId, user.id]);
+
+  // Runs after every render so the pending jump below uses the latest state.
+  useEffect(() => {
+    jumpToMessageRef.current = jumpToMessage;
+  });
+
+  useEffect(() => {
+    const pending = pendingJumpRef.current;
+    if (!pending || messagesLoading || String(pending.chatId) !== String(selectedChatId)) return;
+    if (!messages.some((message) => String(message.chatId) === String(pending.chatId))) return;
+    pendingJumpRef.current = null;
+    jumpToMessageRef.current(pending);
+  }, [messages, messagesLoading, selectedChatId]);
+
+  function finishKeyRestore() {
+    setKeyRestorePrompt(null);
+    const resolve = keyRestoreResolveRef.current;
+    keyRestoreResolveRef.current = null;
+    if (resolve) resolve();
+  }
+
+  async function restoreKeyFromBackup(passphrase) {
+    if (!keyRestorePrompt?.backup || !user?.id) return;
+    setKeyRestorePrompt((prev) => (prev ? { ...prev, restoring: true, error: "" } : prev));
+    try {
+      await restoreIdentityBackup(user.id, keyRestorePrompt.backup, passphrase);
+      finishKeyRestore();
+    } catch (err) {
+      setKeyRestorePrompt((prev) =>
+        prev ? { ...prev, restoring: false, error: err?.message || "Restore failed" } : prev
+      );
+    }
+  }
 
-  function logout() {
+  async function logout() {
+    try {
+      await api("/api/auth/logout", { method: "POST" });
+    } catch {
+      // The session may already be revoked; local sign-out still proceeds.
+    }
     clearAuth();
     window.location.href = "/";
   }
@@ -1042,10 +1436,31 @@ export default function Chat() {
     setCustomEmojis(Array.isArray(eRes?.custom) ? eRes.custom : []);
   }
 
+  async function loadOlderMessages() {
+    const chatId = String(selectedChatIdRef.current || "");
+    if (!chatId || !hasOlderMessages || loadingOlderMessagesRef.current) return;
+    const oldest = messagesRef.current.find((m) => !String(m._id).startsWith("temp-"));
+    if (!oldest) return;
+
+    loadingOlderMessagesRef.current = true;
+    setIsLoadingOlderMessages(true);
+    try {
+      const res = await api(`/api/messages/${chatId}?before=${oldest._id}&limit=${MESSAGE_PAGE_SIZE}`);
+      if (String(selectedChatIdRef.current) !== chatId) return;
+      setMessages((prev) => mergeMessages(prev, Array.isArray(res?.messages) ? res.messages : []));
+      setHasOlderMessages(Boolean(res?.hasMore));
+    } catch (err) {
+      setError(err?.message || "Failed to load earlier messages");
+    } finally {
+      loadingOlderMessagesRef.current = false;
+      setIsLoadingOlderMessages(false);
+    }
+  }
+
   async function refreshMessagesSilently(chatId = selectedChatIdRef.current) {
     const normalizedChatId = String(chatId || "");
     if (!normalizedChatId) return;
-    const res = await api(`/api/messages/${normalizedChatId}`);
+    const res = await api(`/api/messages/${normalizedChatId}?limit=${MESSAGE_PAGE_SIZE}`);
     if (String(selectedChatIdRef.current) !== normalizedChatId) return;
 
     const serverMessages = Array.isArray(res?.messages) ? res.messages : [];
@@ -1455,6 +1870,110 @@ export default function Chat() {
     });
   }
 
+  async function addGroupMembers(memberIds) {
+    if (!selectedChat || selectedChat.type !== "group" || memberIds.length === 0) return;
+    try {
+      setAddingMembers(true);
+      const res = await api(`/api/chats/${selectedChat._id}/members`, {
+        method: "POST",
+        body: JSON.stringify({ memberIds })
+      });
+      if (res?.chat) {
+        mergeChatUpdate(res.chat);
+      }
+      setShowAddMembers(false);
+    } catch (err) {
+      setError(err.message || "Failed to add members");
+    } finally {
+      setAddingMembers(false);
+    }
+  }
+
+  function leaveGroup() {
+    if (!selectedChat || selectedChat.type !== "group") return;
+    const chatId = String(selectedChat._id);
+
+    // Mirrors the server: the owner hands over to the next member, and the
+    // last member out deletes the group.
+    const consequence =
+      selectedChat.members.length <= 1
+        ? "The group and its messages will be deleted."
+        : isSelectedGroupOwner
+        ? "Ownership passes to the next member."
+        : "You will stop receiving its messages.";
+    openConfirmPopup({
+      title: "Leave Group",
+      message: `Leave ${selectedChat.name || "this group"}? ${consequence}`,
+      confirmText: "Leave",
+      danger: true,
+      onConfirm: async () => {
+        try {
+          await api(`/api/chats/${chatId}/leave`, { method: "POST" });
+          setChats((prev) => prev.filter((chat) => String(chat._id) !== chatId));
+          if (String(selectedChatIdRef.current) === chatId) {
+            setSelectedChatId("");
+            setMessages([]);
+            setShowInfo(false);
+            setSelectedMessageIds([]);
+            setReplyToMessageId(null);
+            setEditingMessageId("");
+          }
+        } catch (err) {
+          setError(err.message || "Failed to leave group");
+        }
+      }
+    });
+  }
+
+  async function changeGroupMemberRole(member, role) {
+    if (!selectedChat || selectedChat.type !== "group") return;
+    const memberId = String(member?._id || "");
+    if (!memberId) return;
+    try {
+      setChangingRoleMemberId(memberId);
+      const res = await api(`/api/chats/${selectedChat._id}/members/${memberId}/role`, {
+        method: "PATCH",
+        body: JSON.stringify({ role })
+      });
+      if (res?.chat) {
+        mergeChatUpdate(res.chat);
+      }
+    } catch (err) {
+      setError(err.message || "Failed to change member role");
+    } finally {
+      setChangingRoleMemberId("");
+    }
+  }
+
+  function transferGroupOwnership(member) {
+    if (!selectedChat || selectedChat.type !== "group") return;
+    const memberId = String(member?._id || "");
+    if (!memberId) return;
+
+    openConfirmPopup({
+      title: "Transfer Ownership",
+      message: `Make ${member?.name || "this member"} the group owner? You will stay on as an admin.`,
+      confirmText: "Transfer",
+      danger: true,
+      onConfirm: async () => {
+        try {
+          setChangingRoleMemberId(memberId);
+          const res = await api(`/api/chats/${selectedChat._id}/owner`, {
+            method: "POST",
+            body: JSON.stringify({ memberId })
+          });
+          if (res?.chat) {
+            mergeChatUpdate(res.chat);
+          }
+        } catch (err) {
+          setError(err.message || "Failed to transfer ownership");
+        } finally {
+          setChangingRoleMemberId("");
+        }
+      }
+    });
+  }
+
   async function deleteMessageForMe(messageIds) {
     const ids = Array.isArray(messageIds) ? messageIds : [messageIds];
     if (ids.length === 0) return;
@@ -1471,6 +1990,7 @@ export default function Chat() {
         setEditingMessageId((prev) => (prev && idSet.has(String(prev)) ? "" : prev));
         try {
           await Promise.all(ids.map((id) => api(`/api/messages/${id}?scope=me`, { method: "DELETE" })));
+          removeFromSearchIndex(user.id, selectedChatId, ids).catch(() => {});
         } catch (err) {
           setMessages((prev) => mergeMessages(prev, snapshot));
           setError(err?.message || "Failed to delete message");
@@ -1522,6 +2042,7 @@ export default function Chat() {
     let other = typeof otherRef === "string" ? users.find((u) => String(u._id) === String(otherRef)) : otherRef;
     const receiverId = String(other?._id || other || "");
     let receiverPublicKeySpkiB64 = other?.e2eePublicKeySpkiB64 || "";
+    let receiverKeyVersion = other?.e2eeKeyVersion || 1;
     const senderPublicKeySpkiB64 = user?.e2eePublicKeySpkiB64 || "";
 
     if (receiverId) {
@@ -1531,6 +2052,7 @@ export default function Chat() {
         if (latestOther?.e2eePublicKeySpkiB64) {
           other = latestOther;
           receiverPublicKeySpkiB64 = latestOther.e2eePublicKeySpkiB64;
+          receiverKeyVersion = latestOther.e2eeKeyVersion || 1;
         }
       } catch {
         // Fall back to cached user list when live refresh is unavailable.
@@ -1543,7 +2065,110 @@ export default function Chat() {
     if (!senderPublicKeySpkiB64) {
       throw new Error("Your encryption key is not initialized yet.");
     }
-    return { receiverId, receiverPublicKeySpkiB64, senderPublicKeySpkiB64 };
+    return {
+      receiverId,
+      receiverPublicKeySpkiB64,
+      receiverKeyVersion,
+      senderPublicKeySpkiB64,
+      senderKeyVersion: user?.e2eeKeyVersion || 1
+    };
+  }
+
+  async function getGroupRecipients(chat) {
+    let latestUsers = users;
+    try {
+      latestUsers = await refreshUsersFromServer();
+    } catch {
+      // Fall back to cached user list when live refresh is unavailable.
+    }
+
+    return (chat.members || []).map((member) => {
+      const memberId = String(member?._id || member);
+      if (memberId === String(user.id)) {
+        return {
+          userId: memberId,
+          publicSpkiB64: user?.e2eePublicKeySpkiB64 || "",
+          keyVersion: user?.e2eeKeyVersion || 1
+        };
+      }
+      const latest = latestUsers.find((entry) => String(entry?._id || entry?.id) === memberId);
+      const source = latest?.e2eePublicKeySpkiB64 ? latest : member;
+      return {
+        userId: memberId,
+        publicSpkiB64: source?.e2eePublicKeySpkiB64 || "",
+        keyVersion: source?.e2eeKeyVersion || 1
+      };
+    });
+  }
+
+  // Claims the peer's prekey bundle to start a forward secrecy session, or
+  // returns null when they have not turned it on.
+  async function fetchPreKeyBundle(peerId) {
+    try {
+      const res = await api(`/api/users/${peerId}/prekeys`);
+      return res?.bundle || null;
+    } catch {
+      return null;
+    }
+  }
+
+  // Returns the encrypted payload plus the request fields every encrypted
+  // message body shares (direct: receiver/sender key pair, group: memberKeys).
+  async function encryptForChat(chat, { plainText = "", binaryData = null, extraPayloads = [] }) {
+    if (chat.type === "group") {
+      const members = await getGroupRecipients(chat);
+      const encryptedPayload = await encryptForGroup({
+        senderId: user.id,
+        chatId: chat._id,
+        members,
+        plainText,
+        binaryData,
+        extraPayloads
+      });
+      return {
+        encryptedPayload,
+        receiverId: null,
+        envelope: {
+          encrypted: true,
+          iv: encryptedPayload.ivB64,
+          memberKeys: encryptedPayload.memberKeys,
+          aadB64: encryptedPayload.aadB64,
+          clientTs: encryptedPayload.clientTs,
+          clientMsgId: encryptedPayload.clientMsgId
+        }
+      };
+    }
+
+    const direct = await getDirectChatPeer(chat);
+    const encryptedPayload = await encryptForReceiver({
+      senderId: user.id,
+      receiverId: direct.receiverId,
+      chatId: chat._id,
+      senderPublicSpkiB64: direct.senderPublicKeySpkiB64,
+      receiverPublicSpkiB64: direct.receiverPublicKeySpkiB64,
+      senderKeyVersion: direct.senderKeyVersion,
+      receiverKeyVersion: direct.receiverKeyVersion,
+      ratchet: { fetchBundle: fetchPreKeyBundle },
+      plainText,
+      binaryData,
+      extraPayloads
+    });
+    return {
+      encryptedPayload,
+      receiverId: direct.receiverId,
+      envelope: {
+        encrypted: true,
+        receiverId: direct.receiverId,
+        iv: encryptedPayload.ivB64,
+        wrappedKeyB64: encryptedPayload.wrappedKeyB64,
+        senderWrappedKeyB64: encryptedPayload.senderWrappedKeyB64,
+        senderKeyVersion: encryptedPayload.senderKeyVersion,
+        receiverKeyVersion: encryptedPayload.receiverKeyVersion,
+        aadB64: encryptedPayload.aadB64,
+        clientTs: encryptedPayload.clientTs,
+        clientMsgId: encryptedPayload.clientMsgId
+      }
+    };
   }
 
   function createPendingMessage({
@@ -1554,6 +2179,9 @@ export default function Chat() {
     fileName = "",
     mimeType = "",
     size = 0,
+    durationMs = 0,
+    width = 0,
+    height = 0,
     replyTo = null
   }) {
     const tempId = `temp-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
@@ -1569,6 +2197,9 @@ export default function Chat() {
       mimeType,
       size,
       fileSize: size,
+      durationMs,
+      width,
+      height,
       readBy: [user.id],
       deliveredTo: [user.id],
       createdAt: new Date().toISOString(),
@@ -1678,31 +2309,7 @@ export default function Chat() {
     }
 
     try {
-      let payload = { content: nextText.trim(), encrypted: false };
-      if (chat.type === "direct") {
-        const direct = await getDirectChatPeer(chat);
-        const encryptedPayload = await encryptForReceiver({
-          senderId: user.id,
-          receiverId: direct.receiverId,
-          chatId: chat._id,
-          senderPublicSpkiB64: direct.senderPublicKeySpkiB64,
-          receiverPublicSpkiB64: direct.receiverPublicKeySpkiB64,
-          plainText: nextText.trim()
-        });
-        payload = {
-          encrypted: true,
-          receiverId: direct.receiverId,
-          content: encryptedPayload.ciphertextB64,
-          ciphertextB64: encryptedPayload.ciphertextB64,
-          iv: encryptedPayload.ivB64,
-          wrappedKeyB64: encryptedPayload.wrappedKeyB64,
-          senderWrappedKeyB64: encryptedPayload.senderWrappedKeyB64,
-          aadB64: encryptedPayload.aadB64,
-          clientTs: encryptedPayload.clientTs,
-          clientMsgId: encryptedPayload.clientMsgId,
-          integrityHash: encryptedPayload.integrityHash
-        };
-      }
+      const payload = await encryptTextPayload(chat, nextText.trim());
 
       const res = await api(`/api/messages/${message._id}`, {
         method: "PATCH",
@@ -1739,52 +2346,48 @@ export default function Chat() {
     }
   }
 
+  // Encrypts a text message, sealing the preview of its first link (if one
+  // can be built) with the same key.
+  async function encryptTextPayload(chat, text) {
+    const linkPreview = await buildLinkPreview(chat, text);
+    const { encryptedPayload, envelope } = await encryptForChat(chat, {
+      plainText: text,
+      extraPayloads: linkPreview ? [new TextEncoder().encode(JSON.stringify(linkPreview))] : []
+    });
+    const [previewCipher] = encryptedPayload.extraCiphertexts || [];
+    return {
+      ...envelope,
+      content: encryptedPayload.ciphertextB64,
+      ciphertextB64: encryptedPayload.ciphertextB64,
+      integrityHash: encryptedPayload.integrityHash,
+      linkPreview: previewCipher ? { ciphertextB64: previewCipher.ciphertextB64, iv: previewCipher.ivB64 } : undefined
+    };
+  }
+
   async function sendText(text) {
     const chat = chats.find((c) => String(c._id) === String(selectedChatId));
     if (!chat) return;
 
     try {
-      let payload = { type: "text", content: text, encrypted: false };
-      if (chat.type === "direct") {
-        const direct = await getDirectChatPeer(chat);
-        const encryptedPayload = await encryptForReceiver({
-          senderId: user.id,
-          receiverId: direct.receiverId,
-          chatId: chat._id,
-          senderPublicSpkiB64: direct.senderPublicKeySpkiB64,
-          receiverPublicSpkiB64: direct.receiverPublicKeySpkiB64,
-          plainText: text
-        });
-        payload = {
-          type: "text",
-          encrypted: true,
-          receiverId: direct.receiverId,
-          content: encryptedPayload.ciphertextB64,
-          ciphertextB64: encryptedPayload.ciphertextB64,
-          iv: encryptedPayload.ivB64,
-          wrappedKeyB64: encryptedPayload.wrappedKeyB64,
-          senderWrappedKeyB64: encryptedPayload.senderWrappedKeyB64,
-          aadB64: encryptedPayload.aadB64,
-          clientTs: encryptedPayload.clientTs,
-          clientMsgId: encryptedPayload.clientMsgId,
-          integrityHash: encryptedPayload.integrityHash
-        };
-      }
-
-      if (replyToMessageId) {
-        payload.replyTo = replyToMessageId;
-      }
-
+      const replyTo = replyToMessageId;
       const pendingMessage = createPendingMessage({
         chat,
         type: "text",
         content: text,
-        replyTo: replyToMessageId
+        replyTo
       });
+      // Building the link preview can take a few seconds, so it happens
+      // after the message is already shown as pending.
       queueMessageSend({
         chat,
         pendingMessage,
-        commit: () => api(`/api/messages/${chat._id}`, { method: "POST", body: JSON.stringify(payload) })
+        commit: async () => {
+          const payload = { type: "text", ...(await encryptTextPayload(chat, text)) };
+          if (replyTo) {
+            payload.replyTo = replyTo;
+          }
+          return api(`/api/messages/${chat._id}`, { method: "POST", body: JSON.stringify(payload) });
+        }
       });
       setReplyToMessageId(null);
       setEditingMessageId("");
@@ -1793,17 +2396,370 @@ export default function Chat() {
     }
   }
 
+  // Opens the thread panel on a root message and loads every reply, marking
+  // the ones not read yet.
+  async function openThread(rootMessage) {
+    const rootId = String(rootMessage?._id || "");
+    if (!rootId) return;
+    setThreadRootId(rootId);
+    setThreadRoot(rootMessage);
+    setThreadReplies([]);
+    setThreadLoading(true);
+    try {
+      let replies = [];
+      let hasMore = true;
+      while (hasMore) {
+        const cursor = replies.length ? `&after=${replies[replies.length - 1]._id}` : "";
+        const res = await api(`/api/messages/${rootId}/thread?limit=${THREAD_PAGE_SIZE}${cursor}`);
+        if (threadRootIdRef.current !== rootId) return;
+        if (res.root) setThreadRoot(res.root);
+        replies = [...replies, ...(Array.isArray(res.replies) ? res.replies : [])];
+        hasMore = Boolean(res.hasMore);
+      }
+      setThreadReplies((prev) => mergeMessages(prev, replies));
+
+      const unread = replies.filter((m) => !m.readBy?.includes(user.id)).map((m) => m._id);
+      if (unread.length) {
+        await api(`/api/messages/${rootMessage.chatId}/read`, {
+          method: "POST",
+          body: JSON.stringify({ messageIds: unread })
+        });
+      }
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      if (threadRootIdRef.current === rootId) setThreadLoading(false);
+    }
+  }
+
+  function closeThread() {
+    setThreadRootId("");
+    setThreadRoot(null);
+    setThreadReplies([]);
+    setThreadLoading(false);
+  }
+
+  // Local results (decrypted text) and server results (attachment names and
+  // filters over chats never opened here), newest first.
+  async function searchMessages({ query, chatId, senderId, type, from, to }) {
+    const params = new URLSearchParams({ limit: String(SEARCH_RESULT_LIMIT) });
+    if (query) params.set("q", query);
+    if (chatId) params.set("chatId", chatId);
+    if (senderId) params.set("senderId", senderId);
+    if (type) params.set("type", type);
+    if (from) params.set("from", from.toISOString());
+    if (to) params.set("to", to.toISOString());
+
+    const [localResults, serverMessages] = await Promise.all([
+      searchLocalMessages(user.id, query, { chatId, senderId, type, from, to, limit: SEARCH_RESULT_LIMIT }),
+      api(`/api/messages/search?${params}`)
+        .then((res) => (Array.isArray(res?.messages) ? res.messages : []))
+        .catch(() => [])
+    ]);
+
+    const byId = new Map(localResults.map((result) => [result.id, result]));
+    for (const message of serverMessages) {
+      if (byId.has(String(message._id))) continue;
+      byId.set(String(message._id), {
+        id: String(message._id),
+        chatId: String(message.chatId),
+        senderId: String(message.senderId),
+        type: message.type,
+        createdAt: message.createdAt,
+        threadRootId: message.threadRootId ? String(message.threadRootId) : "",
+        fileName: message.fileName || "",
+        text: ""
+      });
+    }
+    const visibleChatIds = new Set(
+      chats
+        .filter((chat) => !chat.isLocked || String(chat._id) === String(selectedChatId))
+        .map((chat) => String(chat._id))
+    );
+    return Array.from(byId.values())
+      .filter((result) => visibleChatIds.has(result.chatId))
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+      .slice(0, SEARCH_RESULT_LIMIT);
+  }
+
+  // Thread replies are shown through their root, with the thread opened.
+  function openSearchResult(result) {
+    setShowSearch(false);
+    const target = {
+      chatId: String(result.chatId),
+      messageId: result.threadRootId || result.id,
+      threadRootId: result.threadRootId || ""
+    };
+    if (target.chatId === String(selectedChatIdRef.current)) {
+      jumpToMessage(target);
+      return;
+    }
+    pendingJumpRef.current = target;
+    openChatById(target.chatId);
+  }
+
+  async function jumpToMessage({ chatId, messageId, threadRootId = "" }) {
+    let loaded = messagesRef.current;
+    let hasOlder = hasOlderMessages;
+    const isLoaded = () => loaded.some((message) => String(message._id) === String(messageId));
+    try {
+      for (let page = 0; hasOlder && page < MAX_JUMP_BACKFILL_PAGES && !isLoaded(); page += 1) {
+        const oldest = loaded.find((message) => !String(message._id).startsWith("temp-"));
+        if (!oldest) break;
+        const older = await api(`/api/messages/${chatId}?before=${oldest._id}&limit=${JUMP_PAGE_SIZE}`);
+        if (String(selectedChatIdRef.current) !== String(chatId)) return;
+        loaded = mergeMessages(loaded, Array.isArray(older?.messages) ? older.messages : []);
+        hasOlder = Boolean(older?.hasMore);
+      }
+    } catch (err) {
+      setError(err?.message || "Failed to load earlier messages");
+      return;
+    }
+    setMessages((prev) => mergeMessages(prev, loaded));
+    setHasOlderMessages(hasOlder);
+    if (!isLoaded()) {
+      setError("That message is too far back to open here");
+      return;
+    }
+    setJumpTarget({ messageId: String(messageId), at: Date.now() });
+    if (threadRootId) {
+      openThread({ _id: threadRootId, chatId });
+    }
+  }
+
+  async function sendThreadReply(text) {
+    const chat = chats.find((c) => String(c._id) === String(selectedChatId));
+    const rootId = threadRootId;
+    if (!chat || !rootId) return;
+
+    const pendingMessage = { ...createPendingMessage({ chat, type: "text", content: text }), threadRootId: rootId };
+    const tempId = String(pendingMessage._id);
+    setThreadReplies((prev) => appendUniqueMessage(prev, pendingMessage));
+    setRendered((prev) => ({ ...prev, [tempId]: text }));
+    try {
+      const payload = { type: "text", threadRootId: rootId, ...(await encryptTextPayload(chat, text)) };
+      const res = await api(`/api/messages/${chat._id}`, { method: "POST", body: JSON.stringify(payload) });
+      setThreadReplies((prev) =>
+        res?.message ? replaceMessageById(prev, tempId, res.message) : prev.filter((m) => String(m._id) !== tempId)
+      );
+    } catch (err) {
+      setThreadReplies((prev) => prev.filter((m) => String(m._id) !== tempId));
+      setError(err.message || "Failed to send reply");
+    }
+  }
+
   function sendTyping(isTyping) {
     if (!selectedChatId) return;
     socketRef.current?.emit("typing", { chatId: selectedChatId, isTyping });
   }
 
-  async function sendFile(file, { uploadType = "file" } = {}) {
+  // Encrypts the attachment, declares the chunked upload and stores
+  // everything needed to finish it after a reload. Images also get a
+  // thumbnail and placeholder, encrypted with the same message key; videos
+  // bring theirs (built from a poster frame) in videoPreview.
+  async function prepareAttachmentUpload(chat, file, messageType, { durationMs = 0, videoPreview = null } = {}) {
+    const buffer = await readAttachmentBytes(file, messageType);
+    const preview =
+      videoPreview || (messageType === "image" ? await createImagePreview(file).catch(() => null) : null);
+    const extraPayloads = preview
+      ? [await preview.thumbnail.arrayBuffer(), new TextEncoder().encode(JSON.stringify(preview.placeholder))]
+      : [];
+    const { encryptedPayload, envelope, receiverId } = await encryptForChat(chat, {
+      binaryData: buffer,
+      extraPayloads
+    });
+
+    // The thumbnail is uploaded once the main file is stored (see
+    // uploadThumbnail), so a long or resumed transfer cannot outlive it.
+    let thumbnail = null;
+    if (preview) {
+      const [thumbnailCipher, placeholderCipher] = encryptedPayload.extraCiphertexts;
+      thumbnail = {
+        blob: new Blob([base64ToArrayBuffer(thumbnailCipher.ciphertextB64)]),
+        iv: thumbnailCipher.ivB64,
+        placeholderB64: placeholderCipher.ciphertextB64,
+        placeholderIv: placeholderCipher.ivB64
+      };
+    }
+
+    const blob = new Blob([base64ToArrayBuffer(encryptedPayload.ciphertextB64)]);
+    const session = await startChunkedUpload(blob, {
+      originalName: file.name || "file",
+      originalMimeType: file.type || "application/octet-stream",
+      uploadType: messageType === "image" ? "image" : "file"
+    });
+    const record = {
+      uploadId: session.uploadId,
+      chatId: String(chat._id),
+      messageType,
+      fileName: file.name,
+      mimeType: file.type,
+      size: buffer.byteLength,
+      durationMs: videoPreview ? videoPreview.durationMs : durationMs,
+      width: videoPreview?.width || 0,
+      height: videoPreview?.height || 0,
+      replyTo: replyToMessageId || null,
+      receiverId,
+      envelope,
+      thumbnail,
+      blob,
+      createdAt: Date.now()
+    };
+    await savePendingUpload(user.id, record);
+    return record;
+  }
+
+  // The thumbnail is optional: if it cannot be stored, the message is sent
+  // without one and recipients load the full image instead.
+  async function uploadThumbnail(thumbnail) {
+    if (!thumbnail?.blob) return undefined;
+    const { blob, ...fields } = thumbnail;
+    const form = new FormData();
+    form.append("file", blob, "thumbnail.bin");
+    form.append("uploadType", "file");
+    form.append("originalName", "thumbnail.bin");
+    form.append("originalMimeType", "application/octet-stream");
+    try {
+      const uploaded = await apiForm("/api/upload", form);
+      return { ...fields, fileKey: uploaded.fileKey };
+    } catch {
+      return undefined;
+    }
+  }
+
+  // Runs (or resumes) the current transfer and, once the file is stored,
+  // sends its message. Pauses and network errors leave the transfer in place
+  // so it can be resumed; a failed send ends it.
+  async function runUploadTransfer() {
+    const transfer = uploadTransferRef.current;
+    if (!transfer || transfer.controller) return;
+    const { record } = transfer;
+    const controller = new AbortController();
+    transfer.controller = controller;
+    setActiveUpload((prev) => prev && { ...prev, paused: false, preparing: false, error: "" });
+
+    let upload;
+    try {
+      upload = await runChunkedUpload({
+        uploadId: record.uploadId,
+        blob: record.blob,
+        signal: controller.signal,
+        onProgress: (progress) => setActiveUpload((prev) => prev && { ...prev, progress })
+      });
+    } catch (err) {
+      if (uploadTransferRef.current !== transfer) return;
+      transfer.controller = null;
+      setActiveUpload(
+        (prev) =>
+          prev && {
+            ...prev,
+            paused: true,
+            error: err?.name === "AbortError" ? "" : err?.message || "Upload interrupted"
+          }
+      );
+      return;
+    }
+
+    try {
+      const thumbnail = await uploadThumbnail(record.thumbnail);
+      socketRef.current?.emit("chat-message", {
+        roomId: record.chatId,
+        message: {
+          type: record.messageType,
+          fileUrl: upload.url,
+          fileName: record.fileName,
+          fileSize: record.size,
+          senderId: user.id,
+          receiverId: record.receiverId,
+          timestamp: Date.now()
+        }
+      });
+
+      // The AAD keeps the time the file was encrypted; clientTs is the send
+      // time, which can be much later after a pause or a reload.
+      const res = await api(`/api/messages/${record.chatId}`, {
+        method: "POST",
+        body: JSON.stringify({
+          type: record.messageType,
+          ...record.envelope,
+          clientTs: Date.now(),
+          fileKey: upload.fileKey,
+          fileUrl: upload.url,
+          content: upload.url,
+          fileName: record.fileName,
+          mimeType: record.mimeType,
+          fileSize: record.size,
+          size: record.size,
+          thumbnail,
+          durationMs: record.messageType === "video" ? record.durationMs : record.durationMs || undefined,
+          width: record.width || undefined,
+          height: record.height || undefined,
+          replyTo: record.replyTo || undefined
+        })
+      });
+      transfer.resolve(res);
+    } catch (err) {
+      transfer.reject(err);
+    } finally {
+      uploadTransferRef.current = null;
+      setActiveUpload(null);
+      deletePendingUpload(user.id, record.uploadId).catch(() => {});
+    }
+  }
+
+  function beginUploadTransfer(record) {
+    return new Promise((resolve, reject) => {
+      uploadTransferRef.current = { record, controller: null, resolve, reject };
+      setActiveUpload({
+        uploadId: record.uploadId,
+        chatId: record.chatId,
+        fileName: record.fileName,
+        size: record.size,
+        progress: 0,
+        paused: false,
+        preparing: false,
+        error: ""
+      });
+      runUploadTransfer();
+    });
+  }
+
+  function pauseUpload() {
+    uploadTransferRef.current?.controller?.abort();
+  }
+
+  function resumeUpload() {
+    runUploadTransfer();
+  }
+
+  // Drops the transfer and its server-side session; the optimistic message is
+  // removed without an error.
+  async function cancelUpload() {
+    const transfer = uploadTransferRef.current;
+    if (!transfer) return;
+    uploadTransferRef.current = null;
+    transfer.controller?.abort();
+    setActiveUpload(null);
+    await cancelChunkedUpload(transfer.record.uploadId);
+    await deletePendingUpload(user.id, transfer.record.uploadId).catch(() => {});
+    transfer.resolve(null);
+  }
+
+  async function sendFile(file, { uploadType = "file", durationMs = 0 } = {}) {
     const chat = chats.find((c) => String(c._id) === String(selectedChatId));
     if (!chat) return;
+    if (uploadTransferRef.current || activeUpload) {
+      setError("Finish or cancel the current upload first.");
+      return;
+    }
     const normalizedMime = String(file?.type || "").toLowerCase();
     const isImageUpload = uploadType === "image" || IMAGE_MIME_TYPES.has(normalizedMime);
-    const messageType = isImageUpload ? "image" : "file";
+    // Videos the browser cannot decode (no metadata or frame) go as files.
+    const videoPreview =
+      uploadType !== "audio" && !isImageUpload && normalizedMime.startsWith("video/")
+        ? await createVideoPreview(file).catch(() => null)
+        : null;
+    const messageType = uploadType === "audio" ? "audio" : isImageUpload ? "image" : videoPreview ? "video" : "file";
     const localPreviewUrl = isImageUpload ? URL.createObjectURL(file) : "";
 
     try {
@@ -1814,112 +2770,31 @@ export default function Chat() {
         fileName: file.name,
         mimeType: file.type,
         size: file.size,
+        durationMs: videoPreview ? videoPreview.durationMs : durationMs,
+        width: videoPreview?.width,
+        height: videoPreview?.height,
         replyTo: replyToMessageId
       });
 
       const commit = async () => {
-        setIsUploadingAttachment(true);
-        setUploadProgress(0);
+        setActiveUpload({
+          uploadId: "",
+          chatId: String(chat._id),
+          fileName: file.name,
+          size: file.size,
+          progress: 0,
+          paused: false,
+          preparing: true,
+          error: ""
+        });
 
         try {
-          if (chat.type === "direct") {
-            const direct = await getDirectChatPeer(chat);
-            const buffer = await file.arrayBuffer();
-            const encryptedPayload = await encryptForReceiver({
-              senderId: user.id,
-              receiverId: direct.receiverId,
-              chatId: chat._id,
-              senderPublicSpkiB64: direct.senderPublicKeySpkiB64,
-              receiverPublicSpkiB64: direct.receiverPublicKeySpkiB64,
-              binaryData: buffer
-            });
-            const blob = new Blob([base64ToArrayBuffer(encryptedPayload.ciphertextB64)]);
-            const form = new FormData();
-            form.append("file", blob, "encrypted.bin");
-            form.append("uploadType", messageType);
-            form.append("originalName", file.name || "file");
-            form.append("originalMimeType", file.type || "application/octet-stream");
-            const upload = await apiUpload("/api/upload", form, {
-              onProgress: setUploadProgress
-            });
-
-            socketRef.current?.emit("chat-message", {
-              roomId: String(chat._id),
-              message: {
-                type: messageType,
-                fileUrl: upload.url,
-                fileName: file.name,
-                fileSize: file.size,
-                senderId: user.id,
-                receiverId: direct.receiverId,
-                timestamp: Date.now()
-              }
-            });
-
-            return api(`/api/messages/${chat._id}`, {
-              method: "POST",
-              body: JSON.stringify({
-                type: messageType,
-                encrypted: true,
-                receiverId: direct.receiverId,
-                iv: encryptedPayload.ivB64,
-                wrappedKeyB64: encryptedPayload.wrappedKeyB64,
-                senderWrappedKeyB64: encryptedPayload.senderWrappedKeyB64,
-                aadB64: encryptedPayload.aadB64,
-                clientTs: encryptedPayload.clientTs,
-                clientMsgId: encryptedPayload.clientMsgId,
-                fileKey: upload.fileKey,
-                fileUrl: upload.url,
-                content: upload.url,
-                fileName: file.name,
-                mimeType: file.type,
-                fileSize: file.size,
-                size: file.size,
-                replyTo: replyToMessageId || undefined
-              })
-            });
-          }
-
-          const form = new FormData();
-          form.append("file", file, file.name);
-          form.append("uploadType", messageType);
-          form.append("originalName", file.name || "file");
-          form.append("originalMimeType", file.type || "application/octet-stream");
-          const upload = await apiUpload("/api/upload", form, {
-            onProgress: setUploadProgress
-          });
-
-          socketRef.current?.emit("chat-message", {
-            roomId: String(chat._id),
-            message: {
-              type: messageType,
-              fileUrl: upload.url,
-              fileName: upload.fileName,
-              fileSize: upload.size,
-              senderId: user.id,
-              receiverId: null,
-              timestamp: Date.now()
-            }
-          });
-
-          return api(`/api/messages/${chat._id}`, {
-            method: "POST",
-            body: JSON.stringify({
-              type: messageType,
-              encrypted: false,
-              fileKey: upload.fileKey,
-              fileUrl: upload.url,
-              content: upload.url,
-              fileName: upload.fileName,
-              mimeType: upload.mimeType,
-              fileSize: upload.size,
-              size: upload.size,
-              replyTo: replyToMessageId || undefined
-            })
-          });
+          const record = await prepareAttachmentUpload(chat, file, messageType, { durationMs, videoPreview });
+          return await beginUploadTransfer(record);
+        } catch (err) {
+          setActiveUpload(null);
+          throw err;
         } finally {
-          setIsUploadingAttachment(false);
-          setUploadProgress(0);
           if (localPreviewUrl) {
             URL.revokeObjectURL(localPreviewUrl);
           }
@@ -1938,12 +2813,49 @@ export default function Chat() {
     }
   }
 
-  async function fetchMessageFileBlob(message) {
-    const authHeaders = (() => {
-      const token = getToken();
-      return token ? { Authorization: `Bearer ${token}` } : {};
-    })();
+  function sendVoiceNote({ blob, durationMs, mimeType }) {
+    const extension = mimeType === "audio/mp4" ? "m4a" : mimeType === "audio/ogg" ? "ogg" : "webm";
+    const file = new File([blob], `voice-note-${Date.now()}.${extension}`, { type: mimeType });
+    return sendFile(file, { uploadType: "audio", durationMs });
+  }
+
+  async function resumeStoredUpload(uploadId) {
+    if (uploadTransferRef.current) {
+      setError("Finish or cancel the current upload first.");
+      return;
+    }
+    const record = await getPendingUpload(user.id, uploadId).catch(() => null);
+    const chat = chats.find((c) => String(c._id) === String(record?.chatId));
+    if (!record || !chat) {
+      setError("This upload can no longer be resumed.");
+      return;
+    }
+    setResumableUploads((prev) => prev.filter((entry) => entry.uploadId !== uploadId));
+    const pendingMessage = createPendingMessage({
+      chat,
+      type: record.messageType,
+      fileName: record.fileName,
+      mimeType: record.mimeType,
+      size: record.size,
+      durationMs: record.durationMs,
+      width: record.width,
+      height: record.height,
+      replyTo: record.replyTo
+    });
+    queueMessageSend({
+      chat,
+      pendingMessage,
+      commit: () => beginUploadTransfer(record)
+    });
+  }
+
+  async function discardStoredUpload(uploadId) {
+    setResumableUploads((prev) => prev.filter((entry) => entry.uploadId !== uploadId));
+    await cancelChunkedUpload(uploadId);
+    await deletePendingUpload(user.id, uploadId).catch(() => {});
+  }
 
+  async function fetchMessageFileBlob(message) {
     const extractFileKey = (msg) => {
       const explicit = String(msg?.fileKey || "").trim();
       if (explicit) return explicit;
@@ -1961,52 +2873,18 @@ export default function Chat() {
       return "";
     };
 
-    const resolvePublicUploadUrl = (msg, fallbackKey = "") => {
-      const value = String(msg?.fileUrl || msg?.content || "").trim();
-      if (value.startsWith("http://") || value.startsWith("https://")) return value;
-      if (value.startsWith("/uploads/")) return `${API_BASE}${value}`;
-      if (fallbackKey) return `${API_BASE}/uploads/${fallbackKey}`;
-      return "";
-    };
-
-    let res = null;
+    // Download URLs are only signed for members of the chat that references
+    // the file.
     const fileKey = extractFileKey(message);
-    if (fileKey) {
-      const secureRes = await fetch(`${API_BASE}/api/upload/${encodeURIComponent(fileKey)}`, {
-        headers: authHeaders
-      });
-      if (secureRes.ok) {
-        res = secureRes;
-      } else {
-        const publicUrl = resolvePublicUploadUrl(message, fileKey);
-        if (publicUrl) {
-          const fallbackRes = await fetch(publicUrl, { headers: authHeaders });
-          if (fallbackRes.ok) {
-            res = fallbackRes;
-          } else {
-            throw new Error(`Download failed (${secureRes.status}/${fallbackRes.status})`);
-          }
-        } else {
-          throw new Error(`Download failed (${secureRes.status})`);
-        }
-      }
-    } else {
-      const publicUrl = resolvePublicUploadUrl(message);
-      if (!publicUrl) {
-        throw new Error("Download failed (file reference missing)");
-      }
-      const publicRes = await fetch(publicUrl, { headers: authHeaders });
-      if (!publicRes.ok) {
-        throw new Error(`Download failed (${publicRes.status})`);
-      }
-      res = publicRes;
+    if (!fileKey) {
+      throw new Error("Download failed (file reference missing)");
     }
-
+    const res = await fetchUpload(fileKey);
     const buffer = await res.arrayBuffer();
 
     let fileBuffer = buffer;
     if (message.encrypted) {
-      if (!message.wrappedKeyB64 || !message.aadB64) {
+      if ((!message.wrappedKeyB64 && !message.memberKeys?.length) || !message.aadB64) {
         throw new Error("Legacy encrypted file format not supported");
       }
       fileBuffer = await decryptBinaryForCurrentUser({
@@ -2019,6 +2897,64 @@ export default function Chat() {
     return new Blob([fileBuffer], { type: message.mimeType || "application/octet-stream" });
   }
 
+  async function fetchThumbnailBlob(message) {
+    const res = await fetchUpload(message.thumbnail.fileKey);
+    const thumbnailBuffer = await decryptExtraForCurrentUser({
+      userId: user.id,
+      message,
+      ivB64: message.thumbnail.iv,
+      cipherBuffer: await res.arrayBuffer()
+    });
+    return new Blob([thumbnailBuffer], { type: "image/jpeg" });
+  }
+
+  // Returns { width, height, dataUrl } or null.
+  async function decryptImagePlaceholder(message) {
+    const { placeholderB64, placeholderIv } = message.thumbnail || {};
+    if (!placeholderB64 || !placeholderIv) return null;
+    const plainBuffer = await decryptExtraForCurrentUser({
+      userId: user.id,
+      message,
+      ivB64: placeholderIv,
+      cipherBuffer: base64ToArrayBuffer(placeholderB64)
+    });
+    const placeholder = JSON.parse(new TextDecoder().decode(plainBuffer));
+    const isDataUrl = String(placeholder?.dataUrl || "").startsWith("data:image/");
+    return isDataUrl && placeholder.width > 0 && placeholder.height > 0 ? placeholder : null;
+  }
+
+  // Decrypted voice notes are kept as object URLs until the page unloads so
+  // replaying one does not fetch it again.
+  async function loadVoiceNote(message) {
+    const messageId = String(message._id);
+    if (!voiceNoteUrlsRef.current[messageId]) {
+      const blob = await fetchMessageFileBlob(message);
+      voiceNoteUrlsRef.current[messageId] = URL.createObjectURL(blob);
+    }
+    return voiceNoteUrlsRef.current[messageId];
+  }
+
+  // The player owns the returned URL and revokes it when it unmounts, so a
+  // long video is not held in memory after scrolling past it.
+  async function loadVideo(message) {
+    return URL.createObjectURL(await fetchMessageFileBlob(message));
+  }
+
+  async function markVoiceNotePlayed(message) {
+    const messageId = String(message._id);
+    if (messageId.startsWith("temp-") || (message.playedBy || []).map(String).includes(String(user.id))) return;
+    setMessages((prev) =>
+      prev.map((msg) =>
+        String(msg._id) === messageId ? { ...msg, playedBy: [...(msg.playedBy || []), user.id] } : msg
+      )
+    );
+    try {
+      await api(`/api/messages/${messageId}/played`, { method: "POST" });
+    } catch (err) {
+      setError(err.message);
+    }
+  }
+
   async function downloadFile(message) {
     try {
       const blob = await fetchMessageFileBlob(message);
@@ -2035,6 +2971,9 @@ export default function Chat() {
 
   async function resolveMessageText(message) {
     if (!message.encrypted) return message.content;
+    if (message.memberKeys?.length && message.aadB64) {
+      return decryptTextForCurrentUser({ userId: user.id, message });
+    }
     if (!message.wrappedKeyB64 || !message.aadB64) return "[legacy encrypted message]";
     if (String(message.senderId) === String(user.id) && !message.senderWrappedKeyB64) {
       return "[legacy sent encrypted message]";
@@ -2050,8 +2989,11 @@ export default function Chat() {
   const isSelectedChatLocked = Boolean(selectedChat?.isLocked);
   const selectedPinnedMessage = selectedChat?.pinnedMessageId || null;
   const selectedGroupCreatorId = String(selectedChat?.createdBy?._id || selectedChat?.createdBy || "");
-  const isSelectedGroupAdmin =
-    selectedChat?.type === "group" && selectedGroupCreatorId === String(user.id);
+  const selectedGroupRole = selectedChat?.type === "group" ? getGroupRole(selectedChat, user.id) : null;
+  const isSelectedGroupOwner = selectedGroupRole === "owner";
+  const isSelectedGroupAdmin = isSelectedGroupOwner || selectedGroupRole === "admin";
+  // Vanish mode and pins change the chat for everyone, so groups keep them to admins.
+  const canManageSelectedChat = selectedChat?.type !== "group" || isSelectedGroupAdmin;
   const directChatUser = getDirectUser(selectedChat);
   const directChatUserAvatarSrc = getAvatarSrc(directChatUser?.avatarUrl || "");
   const groupAvatarDraftSrc = groupAvatarPreviewUrl || getAvatarSrc(groupAvatarUrlDraft || "");
@@ -2071,6 +3013,68 @@ export default function Chat() {
     if (user) map[user.id] = user;
     return map;
   }, [users, user]);
+  const directPeerId = directChatUser ? String(directChatUser._id) : "";
+  const directPeerSpkiB64 =
+    usersById[directPeerId]?.e2eePublicKeySpkiB64 || directChatUser?.e2eePublicKeySpkiB64 || "";
+  const localSpkiB64 = user?.e2eePublicKeySpkiB64 || "";
+  const currentPeerFingerprint = directPeerKey.peerId === directPeerId ? directPeerKey.fingerprint : "";
+  const verifiedPeerFingerprint = directPeerId ? verifiedContactKeys[directPeerId] || "" : "";
+  const isDirectPeerVerified = Boolean(verifiedPeerFingerprint) && verifiedPeerFingerprint === currentPeerFingerprint;
+  const directPeerKeyChanged =
+    Boolean(verifiedPeerFingerprint) && Boolean(currentPeerFingerprint) && verifiedPeerFingerprint !== currentPeerFingerprint;
+  const currentSafetyNumber = safetyNumber.peerId === directPeerId ? safetyNumber : null;
+
+  useEffect(() => {
+    let cancelled = false;
+    if (!directPeerId || !directPeerSpkiB64) {
+      setDirectPeerKey({ peerId: directPeerId, fingerprint: "" });
+      return undefined;
+    }
+    computeKeyFingerprint(directPeerSpkiB64)
+      .then((fingerprint) => {
+        if (!cancelled) setDirectPeerKey({ peerId: directPeerId, fingerprint });
+      })
+      .catch(() => {
+        if (!cancelled) setDirectPeerKey({ peerId: directPeerId, fingerprint: "" });
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [directPeerId, directPeerSpkiB64]);
+
+  // The safety number takes a few thousand hash rounds, so it is only derived
+  // while the info panel is open.
+  useEffect(() => {
+    let cancelled = false;
+    if (!showInfo || !directPeerId) return undefined;
+    setSafetyNumber({ peerId: directPeerId, value: "", loading: true });
+    computeSafetyNumber({
+      localUserId: user.id,
+      localSpkiB64,
+      remoteUserId: directPeerId,
+      remoteSpkiB64: directPeerSpkiB64
+    })
+      .then((value) => {
+        if (!cancelled) setSafetyNumber({ peerId: directPeerId, value, loading: false });
+      })
+      .catch(() => {
+        if (!cancelled) setSafetyNumber({ peerId: directPeerId, value: "", loading: false });
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [showInfo, directPeerId, directPeerSpkiB64, localSpkiB64, user?.id]);
+
+  function markDirectPeerVerified() {
+    if (!directPeerId || !currentPeerFingerprint) return;
+    setVerifiedContactKeys(setVerifiedContactKey(user.id, directPeerId, currentPeerFingerprint));
+  }
+
+  function clearDirectPeerVerification() {
+    if (!directPeerId) return;
+    setVerifiedContactKeys(clearVerifiedContactKey(user.id, directPeerId));
+  }
+
   const selectedGroupCreatorName =
     usersById[selectedGroupCreatorId]?.name || selectedChat?.createdBy?.name || "Unknown";
   const visibleChats = useMemo(
@@ -2128,7 +3132,10 @@ export default function Chat() {
 
   function getMessagePreview(msg) {
     if (!msg) return "";
+    if (msg.type === "system") return describeSystemEvent(msg, { usersById, currentUserId: user.id });
     if (msg.type === "image") return msg.fileName ? `Photo: ${msg.fileName}` : "Photo";
+    if (msg.type === "audio") return "Voice message";
+    if (msg.type === "video") return msg.fileName ? `Video: ${msg.fileName}` : "Video";
     if (msg.type === "file") return msg.fileName || "File";
     if (msg.encrypted) return rendered[msg._id] || "Encrypted message";
     return msg.content || "Message";
@@ -2150,6 +3157,28 @@ export default function Chat() {
     setMessages([]);
   }
 
+  async function loadCallHistory({ page = 1, filter = callHistoryFilter } = {}) {
+    const params = new URLSearchParams({ page: String(page), limit: String(CALL_HISTORY_PAGE_SIZE) });
+    if (filter !== "all") params.set("status", filter);
+    setCallHistoryLoading(true);
+    try {
+      const res = await api(`/api/calls?${params.toString()}`);
+      if (callHistoryFilterRef.current !== filter) return;
+      const nextCalls = Array.isArray(res?.calls) ? res.calls : [];
+      setCallHistory((prev) => {
+        if (page === 1) return nextCalls;
+        const seen = new Set(prev.map((entry) => String(entry._id)));
+        return [...prev, ...nextCalls.filter((entry) => !seen.has(String(entry._id)))];
+      });
+      setCallHistoryPage(page);
+      setCallHistoryHasMore(Boolean(res?.hasMore));
+    } catch (err) {
+      setError(err?.message || "Failed to load call history");
+    } finally {
+      setCallHistoryLoading(false);
+    }
+  }
+
   function requestSidebarCall(chatId, mode) {
     const normalizedChatId = String(chatId || "");
     if (!normalizedChatId) return;
@@ -2220,6 +3249,12 @@ export default function Chat() {
         onArchiveSelectedChat={archiveSelectedChat}
         onStartVoiceCall={(chatId) => requestSidebarCall(chatId, "voice")}
         onStartVideoCall={(chatId) => requestSidebarCall(chatId, "video")}
+        callHistory={callHistory}
+        callHistoryFilter={callHistoryFilter}
+        callHistoryHasMore={callHistoryHasMore}
+        callHistoryLoading={callHistoryLoading}
+        onChangeCallHistoryFilter={setCallHistoryFilter}
+        onLoadMoreCallHistory={() => loadCallHistory({ page: callHistoryPage + 1 })}
         notificationSettings={notificationSettings}
         onUpdateNotificationSetting={updateNotificationSetting}
         onRequestDesktopPermission={requestDesktopPermission}
@@ -2278,7 +3313,8 @@ export default function Chat() {
               currentUserId={user.id}
               online={online}
               onShowInfo={() => setShowInfo(true)}
-              onToggleVanish={toggleVanishMode}
+              onSearch={() => setShowSearch(true)}
+              onToggleVanish={canManageSelectedChat ? toggleVanishMode : undefined}
               onStartVoiceCall={startVoiceCall}
               onStartVideoCall={startVideoCall}
               callDisabled={isCallBusy || selectedChat?.type !== "direct"}
@@ -2286,6 +3322,18 @@ export default function Chat() {
               onBackToList={showSidebarPanel}
             />
 
+            {directPeerKeyChanged && (
+              <div className="key-change-banner" role="alert">
+                <div className="key-change-text">
+                  {directChatUser?.name || "This contact"}&apos;s encryption key changed since you verified it.
+                  Compare safety numbers again before sharing anything sensitive.
+                </div>
+                <button type="button" className="btn-secondary" onClick={() => setShowInfo(true)}>
+                  Review
+                </button>
+              </div>
+            )}
+
             {selectedPinnedMessage && (
               <div className="pinned-banner">
                 <div className="pinned-label">Pinned</div>
@@ -2304,7 +3352,7 @@ export default function Chat() {
                       Reply
                     </button>
                   )}
-                  {singleSelectedMessage && (
+                  {singleSelectedMessage && canManageSelectedChat && (
                     <button className="btn-secondary" onClick={() => togglePinSelectedMessage(singleSelectedMessage)}>
                       {String(selectedChat?.pinnedMessageId?._id || selectedChat?.pinnedMessageId) === String(singleSelectedMessage._id)
                         ? "Unpin"
@@ -2336,6 +3384,9 @@ export default function Chat() {
               rendered={rendered}
               firstUnreadMessageId={firstUnreadMessageId}
               isLoading={messagesLoading}
+              hasOlderMessages={hasOlderMessages}
+              isLoadingOlder={isLoadingOlderMessages}
+              onLoadOlderMessages={loadOlderMessages}
               onReplyMessage={startReplyFromSelected}
               onDeleteMessage={quickDeleteMessage}
               onEditMessage={startEditMessage}
@@ -2343,11 +3394,19 @@ export default function Chat() {
               editingMessageId={editingMessageId}
               customEmojis={customEmojis}
               imagePreviewUrls={decryptedImageUrls}
+              imagePlaceholders={imagePlaceholders}
+              onLoadVoiceNote={loadVoiceNote}
+              onVoiceNotePlayed={markVoiceNotePlayed}
+              onLoadVideo={loadVideo}
+              linkPreviews={linkPreviews}
+              onOpenThread={openThread}
+              jumpTarget={jumpTarget}
             />
 
             <MessageInput
               onSendText={sendText}
               onSendFile={sendFile}
+              onSendVoiceNote={sendVoiceNote}
               onSaveEdit={saveMessageEdit}
               onTyping={sendTyping}
               vanishMode={Boolean(selectedChat?.vanishMode)}
@@ -2372,10 +3431,51 @@ export default function Chat() {
                   : null
               }
               onCancelEdit={() => setEditingMessageId("")}
-              isUploading={isUploadingAttachment}
-              uploadProgress={uploadProgress}
+              activeUpload={String(activeUpload?.chatId) === String(selectedChatId) ? activeUpload : null}
+              onPauseUpload={pauseUpload}
+              onResumeUpload={resumeUpload}
+              onCancelUpload={cancelUpload}
+              resumableUploads={resumableUploads.filter((entry) => String(entry.chatId) === String(selectedChatId))}
+              onResumeStoredUpload={resumeStoredUpload}
+              onDiscardStoredUpload={discardStoredUpload}
             />
 
+            {showSearch && (
+              <MessageSearchPanel
+                currentChatId={String(selectedChatId)}
+                usersById={usersById}
+                chatsById={Object.fromEntries(chats.map((chat) => [String(chat._id), chat]))}
+                getChatTitle={getChatTitle}
+                onSearch={searchMessages}
+                onOpenResult={openSearchResult}
+                onClose={() => setShowSearch(false)}
+              />
+            )}
+
+            {threadRootId && (
+              <ThreadPanel
+                rootMessage={messages.find((m) => String(m._id) === threadRootId) || threadRoot}
+                replies={threadReplies}
+                isLoading={threadLoading}
+                usersById={usersById}
+                currentUserId={user.id}
+                participantCount={selectedChat?.members?.length || 2}
+                rendered={rendered}
+                linkPreviews={linkPreviews}
+                imagePreviewUrls={decryptedImageUrls}
+                imagePlaceholders={imagePlaceholders}
+                customEmojis={customEmojis}
+                vanishMode={Boolean(selectedChat?.vanishMode)}
+                onDownloadFile={downloadFile}
+                onLoadVoiceNote={loadVoiceNote}
+                onVoiceNotePlayed={markVoiceNotePlayed}
+                onLoadVideo={loadVideo}
+                onSendReply={sendThreadReply}
+                onTyping={sendTyping}
+                onClose={closeThread}
+              />
+            )}
+
             {showInfo && (
               <div className="modal-overlay" onClick={() => setShowInfo(false)}>
                 <div className="modal-content chat-info-modal" onClick={(e) => e.stopPropagation()}>
@@ -2466,7 +3566,7 @@ export default function Chat() {
                               </button>
                             </div>
                           ) : (
-                            <p className="muted-text">Only group admin can edit name, motive and photo.</p>
+                            <p className="muted-text">Only group admins can edit name, motive and photo.</p>
                           )}
                         </div>
 
@@ -2490,28 +3590,87 @@ export default function Chat() {
                         </div>
 
                         <div className="members-list compact">
-                          {selectedChat.members.map((m) => (
-                            <div key={m._id} className="member-pill with-actions">
-                              <span>{m.name}</span>
-                              <div className="member-pill-actions">
-                                <span className="muted">@{m.username}</span>
-                                {selectedGroupCreatorId === String(m._id) && (
-                                  <span className="member-badge">Admin</span>
-                                )}
-                                {isSelectedGroupAdmin && String(m._id) !== String(user.id) && (
-                                  <button
-                                    type="button"
-                                    className="member-remove-btn"
-                                    onClick={() => removeGroupMember(m)}
-                                    disabled={removingMemberId === String(m._id)}
-                                  >
-                                    {removingMemberId === String(m._id) ? "Removing..." : "Remove"}
-                                  </button>
-                                )}
+                          {selectedChat.members.map((m) => {
+                            const memberId = String(m._id);
+                            const memberRole = getGroupRole(selectedChat, memberId);
+                            const isSelf = memberId === String(user.id);
+                            const roleBusy = changingRoleMemberId === memberId;
+                            const canRemove =
+                              !isSelf &&
+                              memberRole !== "owner" &&
+                              (isSelectedGroupOwner || (isSelectedGroupAdmin && memberRole === "member"));
+                            return (
+                              <div key={m._id} className="member-pill with-actions">
+                                <span>{m.name}</span>
+                                <div className="member-pill-actions">
+                                  <span className="muted">@{m.username}</span>
+                                  {memberRole === "owner" && <span className="member-badge">Owner</span>}
+                                  {memberRole === "admin" && <span className="member-badge">Admin</span>}
+                                  {isSelectedGroupAdmin && !isSelf && memberRole === "member" && (
+                                    <button
+                                      type="button"
+                                      className="member-role-btn"
+                                      onClick={() => changeGroupMemberRole(m, "admin")}
+                                      disabled={roleBusy}
+                                    >
+                                      Make admin
+                                    </button>
+                                  )}
+                                  {isSelectedGroupOwner && !isSelf && memberRole === "admin" && (
+                                    <button
+                                      type="button"
+                                      className="member-role-btn"
+                                      onClick={() => changeGroupMemberRole(m, "member")}
+                                      disabled={roleBusy}
+                                    >
+                                      Dismiss admin
+                                    </button>
+                                  )}
+                                  {isSelectedGroupOwner && !isSelf && (
+                                    <button
+                                      type="button"
+                                      className="member-role-btn"
+                                      onClick={() => transferGroupOwnership(m)}
+                                      disabled={roleBusy}
+                                    >
+                                      Make owner
+                                    </button>
+                                  )}
+                                  {canRemove && (
+                                    <button
+                                      type="button"
+                                      className="member-remove-btn"
+                                      onClick={() => removeGroupMember(m)}
+                                      disabled={removingMemberId === memberId}
+                                    >
+                                      {removingMemberId === memberId ? "Removing..." : "Remove"}
+                                    </button>
+                                  )}
+                                </div>
                               </div>
-                            </div>
-                          ))}
+                            );
+                          })}
                         </div>
+
+                        <div className="group-member-actions">
+                          {isSelectedGroupAdmin && (
+                            <button type="button" className="btn-secondary" onClick={() => setShowAddMembers(true)}>
+                              Add Members
+                            </button>
+                          )}
+                          <button
+                            type="button"
+                            className="btn-primary confirm-danger"
+                            onClick={leaveGroup}
+                            title="Leave this group"
+                          >
+                            Leave Group
+                          </button>
+                        </div>
+
+                        {isSelectedGroupAdmin && (
+                          <GroupInvitesPanel chatId={String(selectedChat._id)} refreshKey={inviteRefreshKey} />
+                        )}
                       </div>
                     ) : (
                       <div className="chat-info-grid">
@@ -2544,6 +3703,53 @@ export default function Chat() {
                             {online.includes(directChatUser?._id) ? "Active now" : "Offline"}
                           </span>
                         </div>
+                        <div className="safety-number-panel">
+                          <div className="safety-number-header">
+                            <span className="info-label">Safety number</span>
+                            {isDirectPeerVerified ? (
+                              <span className="safety-number-status verified">Verified</span>
+                            ) : directPeerKeyChanged ? (
+                              <span className="safety-number-status changed">Key changed</span>
+                            ) : null}
+                          </div>
+                          {!directPeerSpkiB64 || !localSpkiB64 ? (
+                            <p className="muted-text">
+                              Available once both of you have opened SecureChat with encryption set up.
+                            </p>
+                          ) : !currentSafetyNumber || currentSafetyNumber.loading ? (
+                            <p className="muted-text">Calculating...</p>
+                          ) : currentSafetyNumber.value ? (
+                            <>
+                              <div className="safety-number-grid">
+                                {formatSafetyNumber(currentSafetyNumber.value).map((group, index) => (
+                                  <span key={index}>{group}</span>
+                                ))}
+                              </div>
+                              <p className="muted-text">
+                                Compare these numbers with {directChatUser?.name || "your contact"} in person or
+                                over a call. If they match, nobody is intercepting your messages.
+                              </p>
+                              <div className="safety-number-actions">
+                                {isDirectPeerVerified ? (
+                                  <button type="button" className="btn-secondary" onClick={clearDirectPeerVerification}>
+                                    Clear verification
+                                  </button>
+                                ) : (
+                                  <button
+                                    type="button"
+                                    className="btn-primary"
+                                    onClick={markDirectPeerVerified}
+                                    disabled={!currentPeerFingerprint}
+                                  >
+                                    Mark as verified
+                                  </button>
+                                )}
+                              </div>
+                            </>
+                          ) : (
+                            <p className="muted-text">Unable to calculate the safety number.</p>
+                          )}
+                        </div>
                       </div>
                     )}
                   </div>
@@ -2569,6 +3775,16 @@ export default function Chat() {
                 </div>
               </div>
             )}
+            {showAddMembers && selectedChat?.type === "group" && (
+              <AddGroupMembersModal
+                users={users.filter(
+                  (entry) => !selectedChat.members.some((member) => String(member?._id || member) === String(entry._id))
+                )}
+                isSaving={addingMembers}
+                onClose={() => setShowAddMembers(false)}
+                onAdd={addGroupMembers}
+              />
+            )}
             {popup && (
               <div className="modal-overlay" onClick={() => setPopup(null)}>
                 <div className="modal-content confirm-modal" onClick={(e) => e.stopPropagation()}>
@@ -2666,6 +3882,15 @@ export default function Chat() {
             </div>
           </div>
         )}
+        {keyRestorePrompt && (
+          <KeyRestoreModal
+            backup={keyRestorePrompt.backup}
+            restoring={keyRestorePrompt.restoring}
+            error={keyRestorePrompt.error}
+            onRestore={restoreKeyFromBackup}
+            onSkip={finishKeyRestore}
+          />
+        )}
       </main>
     </div>
   );
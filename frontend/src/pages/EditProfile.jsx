@@ -7,8 +7,67 @@
 import { useEffect, useRef, useState } from "react";
 import { useNavigate } from "react-router-dom";
 import { api, apiForm } from "../services/api.js";
-import { clearAuth, getToken, getUser, setUser } from "../services/storage.js";
+import {
+  clearAuth,
+  clearPendingRecoveryCodes,
+  getPendingRecoveryCodes,
+  getToken,
+  getUser,
+  setUser
+} from "../services/storage.js";
 import { getAvatarSrc } from "../utils/avatar.js";
+import { countArchivedKeys, createIdentityBackup, rotateUserKeyPair } from "../utils/crypto.js";
+import { createPreKeyBundle, describeLocalRatchet, disableRatchet } from "../utils/ratchet.js";
+
+const KEY_BACKUP_MIN_PASSPHRASE_LENGTH = 12;
+
+function describeSessionDevice(userAgent) {
+  const ua = String(userAgent || "");
+  if (!ua) return "Unknown device";
+  const browser =
+    (/Edg\//.test(ua) && "Edge") ||
+    (/Firefox\//.test(ua) && "Firefox") ||
+    (/Chrome\//.test(ua) && "Chrome") ||
+    (/Safari\//.test(ua) && "Safari") ||
+    "Browser";
+  const os =
+    (/Android/.test(ua) && "Android") ||
+    (/iPhone|iPad/.test(ua) && "iOS") ||
+    (/Windows/.test(ua) && "Windows") ||
+    (/Mac OS X/.test(ua) && "macOS") ||
+    (/Linux/.test(ua) && "Linux") ||
+    "";
+  return os ? `${browser} on ${os}` : browser;
+}
+
+function formatSessionTime(value) {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? "" : date.toLocaleString();
+}
+
+function OneTimeCodesPanel({ codes, description, onCopy, onDownload, onDone }) {
+  return (
+    <>
+      <p>{description}</p>
+      <ul className="recovery-code-list">
+        {codes.map((code) => (
+          <li key={code}>{code}</li>
+        ))}
+      </ul>
+      <div className="recovery-code-actions">
+        <button type="button" className="btn-secondary" onClick={onCopy}>
+          Copy
+        </button>
+        <button type="button" className="btn-secondary" onClick={onDownload}>
+          Download
+        </button>
+        <button type="button" className="btn-primary" onClick={onDone}>
+          I saved them
+        </button>
+      </div>
+    </>
+  );
+}
 
 function toStoredUser(rawUser, fallback = {}) {
   return {
@@ -35,6 +94,31 @@ export default function EditProfile() {
   const [showDeleteConfirm, setShowDeleteConfirm] = useState(false);
   const [error, setError] = useState("");
   const [notice, setNotice] = useState("");
+  const [sessions, setSessions] = useState([]);
+  const [sessionsLoading, setSessionsLoading] = useState(true);
+  const [revokingSessionId, setRevokingSessionId] = useState("");
+  const [passwordForm, setPasswordForm] = useState({ currentPassword: "", newPassword: "", confirmPassword: "" });
+  const [changingPassword, setChangingPassword] = useState(false);
+  const [recoveryCodes, setRecoveryCodes] = useState(() => getPendingRecoveryCodes());
+  const [recoveryCodesRemaining, setRecoveryCodesRemaining] = useState(null);
+  const [recoveryPassword, setRecoveryPassword] = useState("");
+  const [regeneratingCodes, setRegeneratingCodes] = useState(false);
+  const [twoFactorEnabled, setTwoFactorEnabled] = useState(false);
+  const [twoFactorBackupRemaining, setTwoFactorBackupRemaining] = useState(0);
+  const [twoFactorSetup, setTwoFactorSetup] = useState(null);
+  const [twoFactorBackupCodes, setTwoFactorBackupCodes] = useState([]);
+  const [twoFactorPassword, setTwoFactorPassword] = useState("");
+  const [twoFactorCode, setTwoFactorCode] = useState("");
+  const [twoFactorBusy, setTwoFactorBusy] = useState(false);
+  const [keyBackupUpdatedAt, setKeyBackupUpdatedAt] = useState(null);
+  const [keyBackupForm, setKeyBackupForm] = useState({ passphrase: "", confirmPassphrase: "" });
+  const [keyBackupBusy, setKeyBackupBusy] = useState(false);
+  const [archivedKeyCount, setArchivedKeyCount] = useState(0);
+  const [confirmKeyRotation, setConfirmKeyRotation] = useState(false);
+  const [rotatingKey, setRotatingKey] = useState(false);
+  const [preKeyStatus, setPreKeyStatus] = useState(null);
+  const [forwardSecrecyState, setForwardSecrecyState] = useState("off");
+  const [forwardSecrecyBusy, setForwardSecrecyBusy] = useState(false);
 
   useEffect(() => {
     let cancelled = false;
@@ -52,6 +136,12 @@ export default function EditProfile() {
         setUser(next);
         setProfileState(next);
         setAboutDraft(next.about || "");
+        setRecoveryCodesRemaining(
+          Number.isFinite(res.user.recoveryCodesRemaining) ? res.user.recoveryCodesRemaining : null
+        );
+        setTwoFactorEnabled(Boolean(res.user.twoFactorEnabled));
+        setKeyBackupUpdatedAt(res.user.keyBackupUpdatedAt || null);
+        setTwoFactorBackupRemaining(Number(res.user.twoFactorBackupCodesRemaining) || 0);
       } catch (err) {
         if (!cancelled) {
           setError(err.message || "Failed to load profile");
@@ -63,7 +153,43 @@ export default function EditProfile() {
       }
     }
 
+    async function loadSessions() {
+      try {
+        const res = await api("/api/users/me/sessions");
+        if (!cancelled) setSessions(res?.sessions || []);
+      } catch (err) {
+        if (!cancelled) setError(err.message || "Failed to load sessions");
+      } finally {
+        if (!cancelled) setSessionsLoading(false);
+      }
+    }
+
+    async function loadArchivedKeyCount() {
+      try {
+        const count = await countArchivedKeys(getUser()?.id);
+        if (!cancelled) setArchivedKeyCount(count);
+      } catch {
+        // IndexedDB unavailable; the count is informational only.
+      }
+    }
+
+    async function loadPreKeyStatus() {
+      try {
+        const status = await api("/api/users/me/prekeys");
+        const state = await describeLocalRatchet(getUser()?.id, status);
+        if (!cancelled) {
+          setPreKeyStatus(status);
+          setForwardSecrecyState(state);
+        }
+      } catch {
+        // Leave the section in its "off" state.
+      }
+    }
+
     loadProfile();
+    loadSessions();
+    loadArchivedKeyCount();
+    loadPreKeyStatus();
     return () => {
       cancelled = true;
     };
@@ -154,6 +280,286 @@ export default function EditProfile() {
     }
   }
 
+  function updatePasswordField(field, value) {
+    setPasswordForm((prev) => ({ ...prev, [field]: value }));
+  }
+
+  async function changePassword(event) {
+    event.preventDefault();
+    setError("");
+    setNotice("");
+    if (passwordForm.newPassword !== passwordForm.confirmPassword) {
+      setError("New passwords do not match.");
+      return;
+    }
+
+    setChangingPassword(true);
+    try {
+      const res = await api("/api/users/me/password", {
+        method: "PATCH",
+        body: JSON.stringify({
+          currentPassword: passwordForm.currentPassword,
+          newPassword: passwordForm.newPassword
+        })
+      });
+      setPasswordForm({ currentPassword: "", newPassword: "", confirmPassword: "" });
+      setSessions((prev) => prev.filter((entry) => entry.current));
+      setNotice(
+        res?.revokedSessions
+          ? `Password changed. Signed out ${res.revokedSessions} other session(s).`
+          : "Password changed."
+      );
+    } catch (err) {
+      setError(err.message || "Failed to change password");
+    } finally {
+      setChangingPassword(false);
+    }
+  }
+
+  function dismissRecoveryCodes() {
+    clearPendingRecoveryCodes();
+    setRecoveryCodes([]);
+  }
+
+  async function copyCodes(codes) {
+    try {
+      await navigator.clipboard.writeText(codes.join("\n"));
+      setNotice("Codes copied.");
+    } catch {
+      setError("Copy failed. Write the codes down instead.");
+    }
+  }
+
+  function downloadCodes(codes, { title, filename }) {
+    const text = [`${title} for @${profile?.username || ""}`, "Each code can be used once.", "", ...codes].join("\n");
+    const url = URL.createObjectURL(new Blob([text], { type: "text/plain" }));
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+  }
+
+  async function regenerateRecoveryCodes(event) {
+    event.preventDefault();
+    setRegeneratingCodes(true);
+    setError("");
+    setNotice("");
+    try {
+      const res = await api("/api/users/me/recovery-codes", {
+        method: "POST",
+        body: JSON.stringify({ currentPassword: recoveryPassword })
+      });
+      const codes = res?.recoveryCodes || [];
+      setRecoveryPassword("");
+      setRecoveryCodes(codes);
+      setRecoveryCodesRemaining(codes.length);
+      setNotice("New recovery codes generated. Your old codes no longer work.");
+    } catch (err) {
+      setError(err.message || "Failed to generate recovery codes");
+    } finally {
+      setRegeneratingCodes(false);
+    }
+  }
+
+  async function startTwoFactorSetup(event) {
+    event.preventDefault();
+    setTwoFactorBusy(true);
+    setError("");
+    setNotice("");
+    try {
+      const res = await api("/api/users/me/2fa/setup", {
+        method: "POST",
+        body: JSON.stringify({ currentPassword: twoFactorPassword })
+      });
+      setTwoFactorPassword("");
+      setTwoFactorCode("");
+      setTwoFactorSetup(res);
+    } catch (err) {
+      setError(err.message || "Failed to start two-factor setup");
+    } finally {
+      setTwoFactorBusy(false);
+    }
+  }
+
+  async function enableTwoFactor(event) {
+    event.preventDefault();
+    setTwoFactorBusy(true);
+    setError("");
+    setNotice("");
+    try {
+      const res = await api("/api/users/me/2fa/enable", {
+        method: "POST",
+        body: JSON.stringify({ code: twoFactorCode.trim() })
+      });
+      const codes = res?.backupCodes || [];
+      setTwoFactorSetup(null);
+      setTwoFactorCode("");
+      setTwoFactorEnabled(true);
+      setTwoFactorBackupCodes(codes);
+      setTwoFactorBackupRemaining(codes.length);
+      setNotice("Two-factor authentication is on.");
+    } catch (err) {
+      setError(err.message || "Failed to enable two-factor authentication");
+    } finally {
+      setTwoFactorBusy(false);
+    }
+  }
+
+  async function disableTwoFactor(event) {
+    event.preventDefault();
+    setTwoFactorBusy(true);
+    setError("");
+    setNotice("");
+    try {
+      await api("/api/users/me/2fa", {
+        method: "DELETE",
+        body: JSON.stringify({ currentPassword: twoFactorPassword, code: twoFactorCode.trim() })
+      });
+      setTwoFactorPassword("");
+      setTwoFactorCode("");
+      setTwoFactorEnabled(false);
+      setTwoFactorBackupRemaining(0);
+      setNotice("Two-factor authentication is off.");
+    } catch (err) {
+      setError(err.message || "Failed to disable two-factor authentication");
+    } finally {
+      setTwoFactorBusy(false);
+    }
+  }
+
+  async function saveKeyBackup(event) {
+    event.preventDefault();
+    setError("");
+    setNotice("");
+    if (keyBackupForm.passphrase.length < KEY_BACKUP_MIN_PASSPHRASE_LENGTH) {
+      setError(`Use a passphrase of at least ${KEY_BACKUP_MIN_PASSPHRASE_LENGTH} characters.`);
+      return;
+    }
+    if (keyBackupForm.passphrase !== keyBackupForm.confirmPassphrase) {
+      setError("Passphrases do not match.");
+      return;
+    }
+
+    setKeyBackupBusy(true);
+    try {
+      const backup = await createIdentityBackup(profile?.id, keyBackupForm.passphrase);
+      const res = await api("/api/users/me/key-backup", {
+        method: "PUT",
+        body: JSON.stringify(backup)
+      });
+      setKeyBackupForm({ passphrase: "", confirmPassphrase: "" });
+      setKeyBackupUpdatedAt(res?.updatedAt || new Date().toISOString());
+      setNotice("Encryption key backed up.");
+    } catch (err) {
+      setError(err.message || "Failed to back up encryption key");
+    } finally {
+      setKeyBackupBusy(false);
+    }
+  }
+
+  // Publishes a fresh bundle from this browser. Also used to take over from
+  // another browser, whose bundle is replaced.
+  async function enableForwardSecrecy() {
+    setForwardSecrecyBusy(true);
+    setError("");
+    setNotice("");
+    try {
+      const bundle = await createPreKeyBundle(profile?.id);
+      const status = await api("/api/users/me/prekeys", {
+        method: "PUT",
+        body: JSON.stringify(bundle)
+      });
+      setPreKeyStatus(status);
+      setForwardSecrecyState(await describeLocalRatchet(profile?.id, status));
+      setNotice("Forward secrecy turned on for this browser.");
+    } catch (err) {
+      setError(err.message || "Failed to turn on forward secrecy");
+    } finally {
+      setForwardSecrecyBusy(false);
+    }
+  }
+
+  async function disableForwardSecrecy() {
+    setForwardSecrecyBusy(true);
+    setError("");
+    setNotice("");
+    try {
+      await api("/api/users/me/prekeys", { method: "DELETE" });
+      await disableRatchet(profile?.id);
+      setPreKeyStatus(null);
+      setForwardSecrecyState("off");
+      setNotice("Forward secrecy turned off.");
+    } catch (err) {
+      setError(err.message || "Failed to turn off forward secrecy");
+    } finally {
+      setForwardSecrecyBusy(false);
+    }
+  }
+
+  async function rotateEncryptionKey() {
+    setRotatingKey(true);
+    setError("");
+    setNotice("");
+    try {
+      await rotateUserKeyPair(profile?.id, profile?.e2eeKeyVersion || 1, async (publicSpkiB64) => {
+        const res = await api("/api/users/me/e2ee-key", {
+          method: "PATCH",
+          body: JSON.stringify({ e2eePublicKeySpkiB64: publicSpkiB64 })
+        });
+        applyUpdatedUser(res.user);
+      });
+      setArchivedKeyCount(await countArchivedKeys(profile?.id));
+      setConfirmKeyRotation(false);
+      // The server drops a backup that holds the retired key.
+      setNotice(
+        keyBackupUpdatedAt
+          ? "Encryption key rotated. Your backup held the old key and was removed; save a new one below."
+          : "Encryption key rotated."
+      );
+      setKeyBackupUpdatedAt(null);
+    } catch (err) {
+      setError(err.message || "Failed to rotate encryption key");
+    } finally {
+      setRotatingKey(false);
+    }
+  }
+
+  async function deleteKeyBackup() {
+    setKeyBackupBusy(true);
+    setError("");
+    setNotice("");
+    try {
+      await api("/api/users/me/key-backup", { method: "DELETE" });
+      setKeyBackupUpdatedAt(null);
+      setNotice("Key backup deleted.");
+    } catch (err) {
+      setError(err.message || "Failed to delete key backup");
+    } finally {
+      setKeyBackupBusy(false);
+    }
+  }
+
+  async function revokeSessionById(session) {
+    setRevokingSessionId(session.id);
+    setError("");
+    setNotice("");
+    try {
+      await api(`/api/users/me/sessions/${session.id}`, { method: "DELETE" });
+      if (session.current) {
+        clearAuth();
+        navigate("/login", { replace: true });
+        return;
+      }
+      setSessions((prev) => prev.filter((entry) => entry.id !== session.id));
+      setNotice("Session signed out.");
+    } catch (err) {
+      setError(err.message || "Failed to sign out session");
+    } finally {
+      setRevokingSessionId("");
+    }
+  }
+
   async function deleteAccount() {
     setDeletingAccount(true);
     setError("");
@@ -179,7 +585,7 @@ export default function EditProfile() {
             {"\u2190"} Back to Chat
           </button>
           <h1>Edit Profile</h1>
-          <p>Update your photo and status.</p>
+          <p>Update your photo, status, and account security.</p>
         </div>
 
         {error ? <div className="error">{error}</div> : null}
@@ -254,6 +660,374 @@ export default function EditProfile() {
             </div>
           </form>
 
+          <form className="profile-section" onSubmit={changePassword}>
+            <h2>Change password</h2>
+            <p>Your other devices are signed out after the change.</p>
+            <input
+              type="password"
+              className="form-input"
+              value={passwordForm.currentPassword}
+              onChange={(event) => updatePasswordField("currentPassword", event.target.value)}
+              placeholder="Current password"
+              autoComplete="current-password"
+              aria-label="Current password"
+              disabled={changingPassword || loading}
+            />
+            <input
+              type="password"
+              className="form-input"
+              value={passwordForm.newPassword}
+              onChange={(event) => updatePasswordField("newPassword", event.target.value)}
+              placeholder="New password"
+              autoComplete="new-password"
+              aria-label="New password"
+              disabled={changingPassword || loading}
+            />
+            <input
+              type="password"
+              className="form-input"
+              value={passwordForm.confirmPassword}
+              onChange={(event) => updatePasswordField("confirmPassword", event.target.value)}
+              placeholder="Confirm new password"
+              autoComplete="new-password"
+              aria-label="Confirm new password"
+              disabled={changingPassword || loading}
+            />
+            <div className="profile-form-footer">
+              <span />
+              <button
+                type="submit"
+                className="btn-primary"
+                disabled={
+                  changingPassword || loading || !passwordForm.currentPassword || !passwordForm.newPassword
+                }
+              >
+                {changingPassword ? "Saving..." : "Change password"}
+              </button>
+            </div>
+          </form>
+
+          <div className="profile-section">
+            <h2>Recovery codes</h2>
+            {recoveryCodes.length > 0 ? (
+              <OneTimeCodesPanel
+                codes={recoveryCodes}
+                description="Save these codes somewhere safe. Each one can reset your password once, and they will not be shown again."
+                onCopy={() => copyCodes(recoveryCodes)}
+                onDownload={() =>
+                  downloadCodes(recoveryCodes, {
+                    title: "SecureChat recovery codes",
+                    filename: "securechat-recovery-codes.txt"
+                  })
+                }
+                onDone={dismissRecoveryCodes}
+              />
+            ) : (
+              <p>
+                {recoveryCodesRemaining === null
+                  ? "Recovery codes let you reset a forgotten password."
+                  : `${recoveryCodesRemaining} unused recovery code(s) left.`}{" "}
+                Generating new codes replaces the old ones.
+              </p>
+            )}
+            <form className="profile-form-footer" onSubmit={regenerateRecoveryCodes}>
+              <input
+                type="password"
+                className="form-input"
+                value={recoveryPassword}
+                onChange={(event) => setRecoveryPassword(event.target.value)}
+                placeholder="Current password"
+                autoComplete="current-password"
+                aria-label="Current password to generate new recovery codes"
+                disabled={regeneratingCodes || loading}
+              />
+              <button
+                type="submit"
+                className="btn-secondary"
+                disabled={regeneratingCodes || loading || !recoveryPassword}
+              >
+                {regeneratingCodes ? "Generating..." : "Generate new codes"}
+              </button>
+            </form>
+          </div>
+
+          <div className="profile-section">
+            <h2>Two-factor authentication</h2>
+            {twoFactorBackupCodes.length > 0 ? (
+              <OneTimeCodesPanel
+                codes={twoFactorBackupCodes}
+                description="Backup codes sign you in when your authenticator app is unavailable. Each one works once."
+                onCopy={() => copyCodes(twoFactorBackupCodes)}
+                onDownload={() =>
+                  downloadCodes(twoFactorBackupCodes, {
+                    title: "SecureChat two-factor backup codes",
+                    filename: "securechat-2fa-backup-codes.txt"
+                  })
+                }
+                onDone={() => setTwoFactorBackupCodes([])}
+              />
+            ) : twoFactorEnabled ? (
+              <>
+                <p>On. {twoFactorBackupRemaining} unused backup code(s) left.</p>
+                <form onSubmit={disableTwoFactor}>
+                  <input
+                    type="password"
+                    className="form-input"
+                    value={twoFactorPassword}
+                    onChange={(event) => setTwoFactorPassword(event.target.value)}
+                    placeholder="Current password"
+                    autoComplete="current-password"
+                    aria-label="Current password to turn off two-factor authentication"
+                    disabled={twoFactorBusy || loading}
+                  />
+                  <div className="profile-form-footer">
+                    <input
+                      type="text"
+                      className="form-input"
+                      value={twoFactorCode}
+                      onChange={(event) => setTwoFactorCode(event.target.value)}
+                      placeholder="Authentication or backup code"
+                      autoComplete="one-time-code"
+                      aria-label="Authentication code to turn off two-factor authentication"
+                      disabled={twoFactorBusy || loading}
+                    />
+                    <button
+                      type="submit"
+                      className="btn-secondary"
+                      disabled={twoFactorBusy || loading || !twoFactorPassword || !twoFactorCode.trim()}
+                    >
+                      {twoFactorBusy ? "Turning off..." : "Turn off"}
+                    </button>
+                  </div>
+                </form>
+              </>
+            ) : twoFactorSetup ? (
+              <>
+                <p>Scan this code with an authenticator app, then enter the 6-digit code it shows.</p>
+                <div className="two-factor-setup">
+                  <img src={twoFactorSetup.qrDataUrl} alt="Authenticator QR code" className="two-factor-qr" />
+                  <div className="two-factor-secret">
+                    <span>Or enter this key manually:</span>
+                    <code>{twoFactorSetup.secret}</code>
+                  </div>
+                </div>
+                <form className="profile-form-footer" onSubmit={enableTwoFactor}>
+                  <input
+                    type="text"
+                    className="form-input"
+                    value={twoFactorCode}
+                    onChange={(event) => setTwoFactorCode(event.target.value)}
+                    placeholder="123456"
+                    inputMode="numeric"
+                    autoComplete="one-time-code"
+                    aria-label="Authentication code"
+                    disabled={twoFactorBusy}
+                  />
+                  <button
+                    type="button"
+                    className="btn-secondary"
+                    onClick={() => setTwoFactorSetup(null)}
+                    disabled={twoFactorBusy}
+                  >
+                    Cancel
+                  </button>
+                  <button type="submit" className="btn-primary" disabled={twoFactorBusy || !twoFactorCode.trim()}>
+                    {twoFactorBusy ? "Verifying..." : "Verify and turn on"}
+                  </button>
+                </form>
+              </>
+            ) : (
+              <>
+                <p>Require a code from an authenticator app in addition to your password when signing in.</p>
+                <form className="profile-form-footer" onSubmit={startTwoFactorSetup}>
+                  <input
+                    type="password"
+                    className="form-input"
+                    value={twoFactorPassword}
+                    onChange={(event) => setTwoFactorPassword(event.target.value)}
+                    placeholder="Current password"
+                    autoComplete="current-password"
+                    aria-label="Current password to set up two-factor authentication"
+                    disabled={twoFactorBusy || loading}
+                  />
+                  <button
+                    type="submit"
+                    className="btn-primary"
+                    disabled={twoFactorBusy || loading || !twoFactorPassword}
+                  >
+                    {twoFactorBusy ? "Starting..." : "Set up"}
+                  </button>
+                </form>
+              </>
+            )}
+          </div>
+
+          <div className="profile-section">
+            <h2>Encryption key</h2>
+            <p>
+              Key version {profile?.e2eeKeyVersion || 1}.{" "}
+              {archivedKeyCount > 0
+                ? `${archivedKeyCount} older key${archivedKeyCount === 1 ? " is" : "s are"} kept on this browser so past messages stay readable.`
+                : "Rotate your key if you think this device or a backup was exposed."}
+            </p>
+            {confirmKeyRotation ? (
+              <div className="key-restore-warning">
+                New messages will be encrypted to a new key. Contacts who verified your safety number will see a
+                warning until they verify again, and your key backup must be saved again.
+              </div>
+            ) : null}
+            <div className="profile-form-footer">
+              {confirmKeyRotation ? (
+                <button
+                  type="button"
+                  className="btn-secondary"
+                  onClick={() => setConfirmKeyRotation(false)}
+                  disabled={rotatingKey}
+                >
+                  Cancel
+                </button>
+              ) : (
+                <span />
+              )}
+              <button
+                type="button"
+                className={confirmKeyRotation ? "btn-primary confirm-danger" : "btn-primary"}
+                onClick={confirmKeyRotation ? rotateEncryptionKey : () => setConfirmKeyRotation(true)}
+                disabled={rotatingKey || loading || !profile?.e2eePublicKeySpkiB64}
+              >
+                {rotatingKey ? "Rotating..." : confirmKeyRotation ? "Rotate now" : "Rotate my key"}
+              </button>
+            </div>
+          </div>
+
+          <div className="profile-section">
+            <h2>Forward secrecy</h2>
+            <p>
+              {forwardSecrecyState === "active"
+                ? `On for this browser. ${preKeyStatus?.oneTimePreKeyCount || 0} one-time prekeys published.`
+                : forwardSecrecyState === "elsewhere"
+                  ? "On for another browser. Turning it on here replaces that browser's keys."
+                  : "Off. Direct messages use your long-term encryption key."}
+            </p>
+            <p className="muted-text">
+              When both people in a direct chat turn this on, every message gets its own key and a stolen key cannot
+              read earlier messages. Those messages can only be read in the browser that sent or received them, and
+              they are not included in your key backup.
+            </p>
+            <div className="profile-form-footer">
+              {forwardSecrecyState === "active" ? (
+                <button
+                  type="button"
+                  className="btn-secondary"
+                  onClick={disableForwardSecrecy}
+                  disabled={forwardSecrecyBusy || loading}
+                >
+                  {forwardSecrecyBusy ? "Turning off..." : "Turn off"}
+                </button>
+              ) : (
+                <span />
+              )}
+              {forwardSecrecyState !== "active" ? (
+                <button
+                  type="button"
+                  className="btn-primary"
+                  onClick={enableForwardSecrecy}
+                  disabled={forwardSecrecyBusy || loading}
+                >
+                  {forwardSecrecyBusy
+                    ? "Turning on..."
+                    : forwardSecrecyState === "elsewhere"
+                      ? "Use this browser"
+                      : "Turn on"}
+                </button>
+              ) : null}
+            </div>
+          </div>
+
+          <form className="profile-section" onSubmit={saveKeyBackup}>
+            <h2>Encryption key backup</h2>
+            <p>
+              {keyBackupUpdatedAt
+                ? `Backed up ${formatSessionTime(keyBackupUpdatedAt)}. Saving again replaces it.`
+                : "Not backed up. Without a backup, signing in on a new browser cannot read your old messages."}{" "}
+              The passphrase never leaves this device and cannot be recovered.
+            </p>
+            <input
+              type="password"
+              className="form-input"
+              value={keyBackupForm.passphrase}
+              onChange={(event) => setKeyBackupForm((prev) => ({ ...prev, passphrase: event.target.value }))}
+              placeholder="Backup passphrase"
+              autoComplete="new-password"
+              aria-label="Backup passphrase"
+              disabled={keyBackupBusy || loading}
+            />
+            <input
+              type="password"
+              className="form-input"
+              value={keyBackupForm.confirmPassphrase}
+              onChange={(event) =>
+                setKeyBackupForm((prev) => ({ ...prev, confirmPassphrase: event.target.value }))
+              }
+              placeholder="Confirm passphrase"
+              autoComplete="new-password"
+              aria-label="Confirm backup passphrase"
+              disabled={keyBackupBusy || loading}
+            />
+            <div className="profile-form-footer">
+              {keyBackupUpdatedAt ? (
+                <button type="button" className="btn-secondary" onClick={deleteKeyBackup} disabled={keyBackupBusy}>
+                  Delete backup
+                </button>
+              ) : (
+                <span />
+              )}
+              <button
+                type="submit"
+                className="btn-primary"
+                disabled={keyBackupBusy || loading || !keyBackupForm.passphrase}
+              >
+                {keyBackupBusy ? "Encrypting..." : "Back up key"}
+              </button>
+            </div>
+          </form>
+
+          <div className="profile-section">
+            <h2>Active sessions</h2>
+            <p>Devices signed in to your account. Sign out any you do not recognise.</p>
+            {sessionsLoading ? (
+              <div className="profile-sessions-empty">Loading sessions...</div>
+            ) : sessions.length === 0 ? (
+              <div className="profile-sessions-empty">No active sessions.</div>
+            ) : (
+              <ul className="profile-session-list">
+                {sessions.map((session) => (
+                  <li key={session.id} className="profile-session-item">
+                    <div className="profile-session-info">
+                      <span className="profile-session-device">
+                        {describeSessionDevice(session.userAgent)}
+                        {session.current ? <span className="profile-session-current">This device</span> : null}
+                      </span>
+                      <span className="profile-session-meta">
+                        {[session.ip, `Last active ${formatSessionTime(session.lastUsedAt)}`]
+                          .filter(Boolean)
+                          .join(" \u00b7 ")}
+                      </span>
+                    </div>
+                    <button
+                      type="button"
+                      className="btn-secondary"
+                      onClick={() => revokeSessionById(session)}
+                      disabled={Boolean(revokingSessionId)}
+                    >
+                      {revokingSessionId === session.id ? "Signing out..." : "Sign out"}
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+
           <div className="profile-danger-zone">
             <h2>Danger Zone</h2>
             <p>Deleting your account permanently removes your chats and data.</p>
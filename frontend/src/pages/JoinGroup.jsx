@@ -0,0 +1,111 @@
+// Section Map
+// - Imports and dependencies
+// - Constants/configuration
+// - Helper functions/state handling
+// - Main module logic and exports
+
+import { useEffect, useState } from "react";
+import { Link, useNavigate, useParams } from "react-router-dom";
+import { fetchInvitePreview, joinWithInvite } from "../services/invites.js";
+import { getAvatarSrc } from "../utils/avatar.js";
+
+// Landing page for a group invite link: shows the group before joining, or
+// files a join request when the invite needs admin approval.
+export default function JoinGroup() {
+  const { token } = useParams();
+  const navigate = useNavigate();
+  const [preview, setPreview] = useState(null);
+  const [status, setStatus] = useState("");
+  const [error, setError] = useState("");
+  const [loading, setLoading] = useState(true);
+  const [joining, setJoining] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    fetchInvitePreview(token)
+      .then((res) => {
+        if (cancelled) return;
+        setPreview(res);
+        setStatus(res.status);
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err?.message || "This invite link cannot be used");
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [token]);
+
+  async function join() {
+    setJoining(true);
+    setError("");
+    try {
+      const res = await joinWithInvite(token);
+      if (res.status === "pending") {
+        setStatus("pending");
+        return;
+      }
+      navigate("/chat");
+    } catch (err) {
+      setError(err?.message || "Failed to join group");
+    } finally {
+      setJoining(false);
+    }
+  }
+
+  const chat = preview?.chat;
+  const avatarSrc = getAvatarSrc(chat?.avatarUrl || "");
+
+  return (
+    <div className="auth">
+      <div className="auth-background"></div>
+      <div className="auth-card join-group-card">
+        <div className="auth-header">
+          <div className="auth-icon join-group-avatar">
+            {avatarSrc ? <img src={avatarSrc} alt={chat?.name || "Group"} className="avatar-image" /> : "\uD83D\uDC65"}
+          </div>
+          <h1>{loading ? "Loading invite..." : chat?.name || "Group invite"}</h1>
+          {chat && (
+            <p className="auth-subtitle">
+              {chat.motive ? `${chat.motive} \u2022 ` : ""}
+              {chat.memberCount === 1 ? "1 member" : `${chat.memberCount} members`}
+            </p>
+          )}
+        </div>
+
+        {error ? <div className="error">{error}</div> : null}
+
+        {chat && status === "member" && (
+          <button type="button" className="auth-button" onClick={() => navigate("/chat")}>
+            <span>You are already in this group. Open chats</span>
+            <span className="button-arrow">{"\u2192"}</span>
+          </button>
+        )}
+        {chat && status === "pending" && (
+          <p className="auth-subtitle">Your request to join is waiting for a group admin.</p>
+        )}
+        {chat && status === "open" && (
+          <button type="button" className="auth-button" onClick={join} disabled={joining}>
+            {joining ? (
+              <span className="loading">Joining...</span>
+            ) : (
+              <>
+                <span>{preview.invite?.requiresApproval ? "Request to join" : "Join group"}</span>
+                <span className="button-arrow">{"\u2192"}</span>
+              </>
+            )}
+          </button>
+        )}
+
+        <div className="auth-footer">
+          <p>
+            <Link to="/chat">Back to chats</Link>
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+}
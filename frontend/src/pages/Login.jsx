@@ -5,18 +5,24 @@
 // - Main module logic and exports
 
 import { useState } from "react";
-import { useNavigate, Link } from "react-router-dom";
+import { useLocation, useNavigate, Link } from "react-router-dom";
 import { api } from "../services/api.js";
-import { getTheme, setTheme, setToken, setUser } from "../services/storage.js";
+import { getTheme, setRefreshToken, setTheme, setToken, setUser } from "../services/storage.js";
+import { getSignInTarget } from "../utils/signInTarget.js";
 
 export default function Login() {
   const navigate = useNavigate();
+  const location = useLocation();
   const [username, setUsername] = useState("");
   const [password, setPassword] = useState("");
   const [showPassword, setShowPassword] = useState(false);
   const [error, setError] = useState("");
   const [loading, setLoading] = useState(false);
   const [theme, setThemeLocal] = useState(getTheme());
+  // Set when the password was accepted but the account has 2FA enabled; the
+  // recovery page also hands one over after a password reset.
+  const [challengeToken, setChallengeToken] = useState(() => location.state?.challengeToken || "");
+  const [twoFactorCode, setTwoFactorCode] = useState("");
 
   function toggleTheme() {
     const nextTheme = theme === "dark" ? "light" : "dark";
@@ -39,16 +45,55 @@ export default function Login() {
         method: "POST",
         body: JSON.stringify({ username: cleanUsername, password })
       });
-      setToken(res.token);
-      setUser(res.user);
+      if (res.twoFactorRequired) {
+        setChallengeToken(res.challengeToken);
+        setPassword("");
+        setLoading(false);
+        return;
+      }
+      completeSignIn(res);
+    } catch (err) {
+      setError(err.message);
       setLoading(false);
-      navigate("/chat");
+    }
+  }
+
+  function completeSignIn(res) {
+    setRefreshToken(res.refreshToken);
+    setToken(res.token);
+    setUser(res.user);
+    setLoading(false);
+    navigate(getSignInTarget(location));
+  }
+
+  async function onSubmitTwoFactor(e) {
+    e.preventDefault();
+    setError("");
+    const cleanCode = twoFactorCode.trim();
+    if (!cleanCode) {
+      setError("Enter the code from your authenticator app or a backup code.");
+      return;
+    }
+    setLoading(true);
+    try {
+      const res = await api("/api/auth/login/2fa", {
+        method: "POST",
+        body: JSON.stringify({ challengeToken, code: cleanCode })
+      });
+      completeSignIn(res);
     } catch (err) {
       setError(err.message);
+      setTwoFactorCode("");
       setLoading(false);
     }
   }
 
+  function cancelTwoFactor() {
+    setChallengeToken("");
+    setTwoFactorCode("");
+    setError("");
+  }
+
   return (
     <div className="auth">
       <div className="auth-background"></div>
@@ -71,84 +116,123 @@ export default function Login() {
 
         {error ? <div className="error">{error}</div> : null}
 
-        <form onSubmit={onSubmit} className="auth-form">
-          <div className="form-group">
-            <label htmlFor="username">Username</label>
-            <div className="input-wrapper">
-              <span className="input-icon">{"\uD83D\uDC64"}</span>
-              <input
-                id="username"
-                type="text"
-                value={username}
-                onChange={(e) => setUsername(e.target.value)}
-                placeholder="Enter your username"
-                disabled={loading}
-              />
+        {challengeToken ? (
+          <form onSubmit={onSubmitTwoFactor} className="auth-form">
+            <div className="form-group">
+              <label htmlFor="two-factor-code">Authentication code</label>
+              <div className="input-wrapper">
+                <span className="input-icon">{"\uD83D\uDD11"}</span>
+                <input
+                  id="two-factor-code"
+                  type="text"
+                  inputMode="text"
+                  autoComplete="one-time-code"
+                  value={twoFactorCode}
+                  onChange={(e) => setTwoFactorCode(e.target.value)}
+                  placeholder="6-digit code or backup code"
+                  disabled={loading}
+                  autoFocus
+                />
+              </div>
             </div>
-          </div>
 
-          <div className="form-group">
-            <label htmlFor="password">Password</label>
-            <div className="input-wrapper">
-              <span className="input-icon">{"\uD83D\uDD12"}</span>
-              <input
-                id="password"
-                type={showPassword ? "text" : "password"}
-                value={password}
-                onChange={(e) => setPassword(e.target.value)}
-                placeholder="Enter your password"
-                disabled={loading}
-              />
-              <button
-                type="button"
-                className="password-toggle"
-                onClick={() => setShowPassword((current) => !current)}
-                aria-label={showPassword ? "Hide password" : "Show password"}
-                title={showPassword ? "Hide password" : "Show password"}
-                disabled={loading}
-              >
-                {showPassword ? (
-                  <svg
-                    className="password-toggle-icon"
-                    viewBox="0 0 16 12"
-                    aria-hidden="true"
-                    focusable="false"
-                  >
-                    <path d="M1 6s2.5-4 7-4 7 4 7 4-2.5 4-7 4-7-4-7-4Z" />
-                    <circle cx="8" cy="6" r="2.1" />
-                    <path d="M2 11L14 1" />
-                  </svg>
-                ) : (
-                  <svg
-                    className="password-toggle-icon"
-                    viewBox="0 0 16 12"
-                    aria-hidden="true"
-                    focusable="false"
-                  >
-                    <path d="M1 6s2.5-4 7-4 7 4 7 4-2.5 4-7 4-7-4-7-4Z" />
-                    <circle cx="8" cy="6" r="2.1" />
-                  </svg>
-                )}
-              </button>
+            <button type="submit" className="auth-button" disabled={loading}>
+              {loading ? (
+                <span className="loading">Verifying...</span>
+              ) : (
+                <>
+                  <span>Verify</span>
+                  <span className="button-arrow">{"\u2192"}</span>
+                </>
+              )}
+            </button>
+            <button type="button" className="auth-link-button" onClick={cancelTwoFactor} disabled={loading}>
+              Use a different account
+            </button>
+          </form>
+        ) : (
+          <form onSubmit={onSubmit} className="auth-form">
+            <div className="form-group">
+              <label htmlFor="username">Username</label>
+              <div className="input-wrapper">
+                <span className="input-icon">{"\uD83D\uDC64"}</span>
+                <input
+                  id="username"
+                  type="text"
+                  value={username}
+                  onChange={(e) => setUsername(e.target.value)}
+                  placeholder="Enter your username"
+                  disabled={loading}
+                />
+              </div>
             </div>
-          </div>
 
-          <button type="submit" className="auth-button" disabled={loading}>
-            {loading ? (
-              <span className="loading">Signing in...</span>
-            ) : (
-              <>
-                <span>Login</span>
-                <span className="button-arrow">{"\u2192"}</span>
-              </>
-            )}
-          </button>
-        </form>
+            <div className="form-group">
+              <label htmlFor="password">Password</label>
+              <div className="input-wrapper">
+                <span className="input-icon">{"\uD83D\uDD12"}</span>
+                <input
+                  id="password"
+                  type={showPassword ? "text" : "password"}
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  placeholder="Enter your password"
+                  disabled={loading}
+                />
+                <button
+                  type="button"
+                  className="password-toggle"
+                  onClick={() => setShowPassword((current) => !current)}
+                  aria-label={showPassword ? "Hide password" : "Show password"}
+                  title={showPassword ? "Hide password" : "Show password"}
+                  disabled={loading}
+                >
+                  {showPassword ? (
+                    <svg
+                      className="password-toggle-icon"
+                      viewBox="0 0 16 12"
+                      aria-hidden="true"
+                      focusable="false"
+                    >
+                      <path d="M1 6s2.5-4 7-4 7 4 7 4-2.5 4-7 4-7-4-7-4Z" />
+                      <circle cx="8" cy="6" r="2.1" />
+                      <path d="M2 11L14 1" />
+                    </svg>
+                  ) : (
+                    <svg
+                      className="password-toggle-icon"
+                      viewBox="0 0 16 12"
+                      aria-hidden="true"
+                      focusable="false"
+                    >
+                      <path d="M1 6s2.5-4 7-4 7 4 7 4-2.5 4-7 4-7-4-7-4Z" />
+                      <circle cx="8" cy="6" r="2.1" />
+                    </svg>
+                  )}
+                </button>
+              </div>
+            </div>
+
+            <button type="submit" className="auth-button" disabled={loading}>
+              {loading ? (
+                <span className="loading">Signing in...</span>
+              ) : (
+                <>
+                  <span>Login</span>
+                  <span className="button-arrow">{"\u2192"}</span>
+                </>
+              )}
+            </button>
+          </form>
+        )}
 
         <div className="auth-footer">
           <p>
             Don't have an account? <Link to="/register">Create one</Link>
           </p>
+          <p>
+            Forgot your password? <Link to="/recover">Use a recovery code</Link>
+          </p>
         </div>
       </div>
     </div>
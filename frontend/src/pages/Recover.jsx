@@ -0,0 +1,169 @@
+// Section Map
+// - Imports and dependencies
+// - Constants/configuration
+// - Helper functions/state handling
+// - Main module logic and exports
+
+import { useState } from "react";
+import { Link, useNavigate } from "react-router-dom";
+import { api } from "../services/api.js";
+import { getTheme, setRefreshToken, setTheme, setToken, setUser } from "../services/storage.js";
+
+export default function Recover() {
+  const navigate = useNavigate();
+  const [username, setUsername] = useState("");
+  const [recoveryCode, setRecoveryCode] = useState("");
+  const [newPassword, setNewPassword] = useState("");
+  const [confirmPassword, setConfirmPassword] = useState("");
+  const [error, setError] = useState("");
+  const [loading, setLoading] = useState(false);
+  const [theme, setThemeLocal] = useState(getTheme());
+
+  function toggleTheme() {
+    const nextTheme = theme === "dark" ? "light" : "dark";
+    setTheme(nextTheme);
+    setThemeLocal(nextTheme);
+  }
+
+  async function onSubmit(e) {
+    e.preventDefault();
+    setError("");
+    const cleanUsername = username.trim();
+    const cleanCode = recoveryCode.trim();
+    if (!cleanUsername || !cleanCode || !newPassword) {
+      setError("Username, recovery code, and new password are required.");
+      return;
+    }
+    if (newPassword !== confirmPassword) {
+      setError("Passwords do not match.");
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const res = await api("/api/auth/recover", {
+        method: "POST",
+        body: JSON.stringify({ username: cleanUsername, recoveryCode: cleanCode, newPassword })
+      });
+      if (res.twoFactorRequired) {
+        navigate("/login", { state: { challengeToken: res.challengeToken } });
+        return;
+      }
+      setRefreshToken(res.refreshToken);
+      setToken(res.token);
+      setUser(res.user);
+      navigate("/profile/edit");
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  return (
+    <div className="auth">
+      <div className="auth-background"></div>
+      <div className="auth-card">
+        <div className="auth-theme-row">
+          <button
+            type="button"
+            className="auth-theme-toggle"
+            onClick={toggleTheme}
+            title={`Switch to ${theme === "dark" ? "light" : "dark"} theme`}
+          >
+            {theme === "dark" ? "Light mode" : "Dark mode"}
+          </button>
+        </div>
+        <div className="auth-header">
+          <div className="auth-icon">{"\uD83D\uDD11"}</div>
+          <h1>Reset password</h1>
+          <p className="auth-subtitle">Use one of the recovery codes you saved when you signed up</p>
+        </div>
+
+        {error ? <div className="error">{error}</div> : null}
+
+        <form onSubmit={onSubmit} className="auth-form">
+          <div className="form-group">
+            <label htmlFor="recover-username">Username</label>
+            <div className="input-wrapper">
+              <span className="input-icon">{"\uD83D\uDC64"}</span>
+              <input
+                id="recover-username"
+                type="text"
+                value={username}
+                onChange={(e) => setUsername(e.target.value)}
+                placeholder="Enter your username"
+                disabled={loading}
+              />
+            </div>
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="recover-code">Recovery code</label>
+            <div className="input-wrapper">
+              <span className="input-icon">{"\uD83D\uDD11"}</span>
+              <input
+                id="recover-code"
+                type="text"
+                value={recoveryCode}
+                onChange={(e) => setRecoveryCode(e.target.value)}
+                placeholder="XXXXX-XXXXX"
+                autoComplete="off"
+                disabled={loading}
+              />
+            </div>
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="recover-password">New password</label>
+            <div className="input-wrapper">
+              <span className="input-icon">{"\uD83D\uDD12"}</span>
+              <input
+                id="recover-password"
+                type="password"
+                value={newPassword}
+                onChange={(e) => setNewPassword(e.target.value)}
+                placeholder="At least 8 characters"
+                autoComplete="new-password"
+                disabled={loading}
+              />
+            </div>
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="recover-confirm">Confirm new password</label>
+            <div className="input-wrapper">
+              <span className="input-icon">{"\uD83D\uDD12"}</span>
+              <input
+                id="recover-confirm"
+                type="password"
+                value={confirmPassword}
+                onChange={(e) => setConfirmPassword(e.target.value)}
+                placeholder="Repeat the new password"
+                autoComplete="new-password"
+                disabled={loading}
+              />
+            </div>
+          </div>
+
+          <button type="submit" className="auth-button" disabled={loading}>
+            {loading ? (
+              <span className="loading">Resetting...</span>
+            ) : (
+              <>
+                <span>Reset password</span>
+                <span className="button-arrow">{"\u2192"}</span>
+              </>
+            )}
+          </button>
+        </form>
+
+        <div className="auth-footer">
+          <p>
+            Remembered it? <Link to="/login">Back to login</Link>
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+}
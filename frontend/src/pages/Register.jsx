@@ -9,6 +9,8 @@ import { useNavigate, Link } from "react-router-dom";
 import { api } from "../services/api.js";
 import {
   getTheme,
+  setPendingRecoveryCodes,
+  setRefreshToken,
   setTheme,
   setToken,
   setUser
@@ -48,9 +50,15 @@ export default function Register() {
           password
         })
       });
+      setRefreshToken(res.refreshToken);
       setToken(res.token);
       setUser(res.user);
-      navigate("/chat");
+      if (Array.isArray(res.recoveryCodes) && res.recoveryCodes.length > 0) {
+        setPendingRecoveryCodes(res.recoveryCodes);
+        navigate("/profile/edit");
+      } else {
+        navigate("/chat");
+      }
     } catch (err) {
       setError(err.message);
     } finally {
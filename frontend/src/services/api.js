@@ -4,23 +4,96 @@
 // - Helper functions/state handling
 // - Main module logic and exports
 
-import { getToken } from "./storage.js";
+import { clearAuth, getRefreshToken, getToken, setRefreshToken, setToken } from "./storage.js";
 import { API_BASE } from "./runtimeConfig.js";
 
-export async function api(path, options = {}) {
+// How long to wait for another tab to finish storing a rotated refresh token.
+const REFRESH_RACE_WAIT_MS = 1000;
+
+let refreshPromise = null;
+
+function wait(ms) {
+  return new Promise((resolve) => window.setTimeout(resolve, ms));
+}
+
+async function requestTokenRefresh() {
+  const refreshToken = getRefreshToken();
+  if (!refreshToken) {
+    throw new Error("Session expired");
+  }
+
+  const res = await fetch(`${API_BASE}/api/auth/refresh`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ refreshToken })
+  });
+
+  if (res.ok) {
+    const data = await res.json();
+    setRefreshToken(data.refreshToken);
+    setToken(data.token);
+    return data.token;
+  }
+
+  // 409 means another tab rotated the shared token a moment ago.
+  if (res.status === 409) {
+    await wait(REFRESH_RACE_WAIT_MS);
+    if (getRefreshToken() !== refreshToken) {
+      return getToken();
+    }
+    throw new Error("Session refresh conflict");
+  }
+
+  const err = await res.json().catch(() => ({}));
+  clearAuth();
+  throw new Error(err.message || "Session expired");
+}
+
+export function refreshAccessToken() {
+  if (!refreshPromise) {
+    refreshPromise = requestTokenRefresh().finally(() => {
+      refreshPromise = null;
+    });
+  }
+  return refreshPromise;
+}
+
+// Runs send(token) and, when an access token is rejected, refreshes the
+// session once and retries with the new token.
+async function sendWithAuth(send) {
   const token = getToken();
-  const headers = {
-    "Content-Type": "application/json",
-    ...(options.headers || {})
-  };
+  const res = await send(token);
+  if (!token || res.status !== 401 || !getRefreshToken()) {
+    return res;
+  }
 
-  if (token) {
-    headers.Authorization = `Bearer ${token}`;
+  try {
+    await refreshAccessToken();
+  } catch {
+    return res;
   }
+  return send(getToken());
+}
 
-  const res = await fetch(`${API_BASE}${path}`, {
+export function authFetch(url, options = {}) {
+  return sendWithAuth((token) =>
+    fetch(url, {
+      ...options,
+      headers: {
+        ...(options.headers || {}),
+        ...(token ? { Authorization: `Bearer ${token}` } : {})
+      }
+    })
+  );
+}
+
+export async function api(path, options = {}) {
+  const res = await authFetch(`${API_BASE}${path}`, {
     ...options,
-    headers
+    headers: {
+      "Content-Type": "application/json",
+      ...(options.headers || {})
+    }
   });
 
   if (!res.ok) {
@@ -32,15 +105,8 @@ export async function api(path, options = {}) {
 }
 
 export async function apiForm(path, formData) {
-  const token = getToken();
-  const headers = {};
-  if (token) {
-    headers.Authorization = `Bearer ${token}`;
-  }
-
-  const res = await fetch(`${API_BASE}${path}`, {
+  const res = await authFetch(`${API_BASE}${path}`, {
     method: "POST",
-    headers,
     body: formData
   });
 
@@ -52,25 +118,50 @@ export async function apiForm(path, formData) {
   return res.json();
 }
 
-export function apiUpload(path, formData, { onProgress } = {}) {
-  const token = getToken();
+// Downloads an attachment through the short-lived URL the server signs for
+// it, which may point at this API or straight at the storage bucket.
+export async function fetchUpload(fileKey) {
+  const { url } = await api(`/api/upload/${encodeURIComponent(fileKey)}/url`);
+  const res = await fetch(url.startsWith("/") ? `${API_BASE}${url}` : url);
+  if (!res.ok) {
+    throw new Error(`Download failed (${res.status})`);
+  }
+  return res;
+}
 
+// XHR rather than fetch because fetch cannot report upload progress.
+// onProgress receives the bytes sent so far; aborting signal rejects with an
+// AbortError.
+function sendUpload(path, body, { method = "POST", headers = {}, onProgress, signal, token }) {
   return new Promise((resolve, reject) => {
+    const abortError = () => {
+      const err = new Error("Upload paused");
+      err.name = "AbortError";
+      return err;
+    };
+    if (signal?.aborted) {
+      reject(abortError());
+      return;
+    }
+
     const xhr = new XMLHttpRequest();
-    xhr.open("POST", `${API_BASE}${path}`, true);
+    xhr.open(method, `${API_BASE}${path}`, true);
     if (token) {
       xhr.setRequestHeader("Authorization", `Bearer ${token}`);
     }
+    Object.entries(headers).forEach(([name, value]) => xhr.setRequestHeader(name, value));
 
     xhr.upload.onprogress = (event) => {
-      if (!event.lengthComputable || typeof onProgress !== "function") return;
-      const progress = Math.max(0, Math.min(100, Math.round((event.loaded / event.total) * 100)));
-      onProgress(progress);
+      if (typeof onProgress === "function") onProgress(event.loaded);
     };
 
+    const onAbortSignal = () => xhr.abort();
+    signal?.addEventListener("abort", onAbortSignal, { once: true });
+
     xhr.onerror = () => reject(new Error("Upload failed"));
-    xhr.onabort = () => reject(new Error("Upload canceled"));
+    xhr.onabort = () => reject(abortError());
     xhr.onload = () => {
+      signal?.removeEventListener("abort", onAbortSignal);
       const raw = xhr.responseText || "{}";
       const parsed = (() => {
         try {
@@ -79,17 +170,25 @@ export function apiUpload(path, formData, { onProgress } = {}) {
           return {};
         }
       })();
-
-      if (xhr.status >= 200 && xhr.status < 300) {
-        resolve(parsed);
-      } else {
-        reject(new Error(parsed.message || "Upload failed"));
-      }
+      resolve({ status: xhr.status, body: parsed });
     };
 
-    xhr.send(formData);
+    xhr.send(body);
   });
 }
 
-export { API_BASE };
+// Sends one chunk of a chunked upload. Resolves with { status, body } so the
+// caller can resync on a 409 offset mismatch.
+export function apiUploadChunk(path, chunk, { offset, onProgress, signal } = {}) {
+  return sendWithAuth((token) =>
+    sendUpload(path, chunk, {
+      method: "PUT",
+      headers: { "Content-Type": "application/octet-stream", "Upload-Offset": String(offset) },
+      onProgress,
+      signal,
+      token
+    })
+  );
+}
 
+export { API_BASE };
@@ -0,0 +1,109 @@
+// Section Map
+// - Imports and dependencies
+// - Constants/configuration
+// - Helper functions/state handling
+// - Main module logic and exports
+
+import { api, apiUploadChunk } from "./api.js";
+import { idbDelete, idbGet, idbSet } from "../utils/keyStore.js";
+
+function indexName(userId) {
+  return `pending-uploads-${userId}`;
+}
+
+function recordName(userId, uploadId) {
+  return `pending-upload-${userId}-${uploadId}`;
+}
+
+async function sha256Hex(blob) {
+  const digest = await crypto.subtle.digest("SHA-256", await blob.arrayBuffer());
+  return Array.from(new Uint8Array(digest))
+    .map((byte) => byte.toString(16).padStart(2, "0"))
+    .join("");
+}
+
+// Declares the upload to the server. Returns { uploadId, offset, size, chunkSize }.
+export async function startChunkedUpload(blob, { originalName, originalMimeType, uploadType }) {
+  return api("/api/upload/sessions", {
+    method: "POST",
+    body: JSON.stringify({
+      originalName,
+      originalMimeType,
+      uploadType,
+      size: blob.size,
+      sha256: await sha256Hex(blob)
+    })
+  });
+}
+
+export async function getChunkedUploadStatus(uploadId) {
+  return api(`/api/upload/sessions/${uploadId}`);
+}
+
+// Sends blob from the offset the server already has, then completes the
+// upload. Safe to call again after a pause, a network error or a reload.
+// onProgress receives a 0-100 percentage. Resolves with the same body as
+// POST /api/upload.
+export async function runChunkedUpload({ uploadId, blob, onProgress, signal }) {
+  const path = `/api/upload/sessions/${uploadId}`;
+  const status = await getChunkedUploadStatus(uploadId);
+  const chunkSize = status.chunkSize;
+  let offset = status.offset;
+  const report = (sent) => {
+    if (typeof onProgress !== "function" || !blob.size) return;
+    onProgress(Math.min(100, Math.round((sent / blob.size) * 100)));
+  };
+  report(offset);
+
+  while (offset < blob.size) {
+    const chunk = blob.slice(offset, offset + chunkSize);
+    const chunkStart = offset;
+    const res = await apiUploadChunk(path, chunk, {
+      offset,
+      signal,
+      onProgress: (loaded) => report(chunkStart + loaded)
+    });
+    if (res.status === 409 && Number.isInteger(res.body?.offset)) {
+      // A response was lost; continue from what the server has.
+      offset = res.body.offset;
+      continue;
+    }
+    if (res.status < 200 || res.status >= 300) {
+      throw new Error(res.body?.message || "Upload failed");
+    }
+    offset = res.body.offset;
+    report(offset);
+  }
+
+  return api(`${path}/complete`, { method: "POST" });
+}
+
+export async function cancelChunkedUpload(uploadId) {
+  await api(`/api/upload/sessions/${uploadId}`, { method: "DELETE" }).catch(() => null);
+}
+
+// Unfinished uploads are kept in IndexedDB (ciphertext blob plus the message
+// envelope) so they can be resumed after a reload.
+export async function savePendingUpload(userId, record) {
+  await idbSet(recordName(userId, record.uploadId), record);
+  const ids = (await idbGet(indexName(userId))) || [];
+  if (!ids.includes(record.uploadId)) {
+    await idbSet(indexName(userId), [...ids, record.uploadId]);
+  }
+}
+
+export async function getPendingUpload(userId, uploadId) {
+  return idbGet(recordName(userId, uploadId));
+}
+
+export async function listPendingUploads(userId) {
+  const ids = (await idbGet(indexName(userId))) || [];
+  const records = await Promise.all(ids.map((uploadId) => getPendingUpload(userId, uploadId)));
+  return records.filter(Boolean);
+}
+
+export async function deletePendingUpload(userId, uploadId) {
+  await idbDelete(recordName(userId, uploadId));
+  const ids = (await idbGet(indexName(userId))) || [];
+  await idbSet(indexName(userId), ids.filter((id) => id !== uploadId));
+}
@@ -0,0 +1,41 @@
+// Section Map
+// - Imports and dependencies
+// - Constants/configuration
+// - Helper functions/state handling
+// - Main module logic and exports
+
+import { api } from "./api.js";
+
+export function buildInviteUrl(token) {
+  return `${window.location.origin}/join/${token}`;
+}
+
+export async function fetchGroupInvites(chatId) {
+  return api(`/api/chats/${chatId}/invites`);
+}
+
+export async function createGroupInvite(chatId, { expiresInHours = null, maxUses = null, requiresApproval = false }) {
+  return api(`/api/chats/${chatId}/invites`, {
+    method: "POST",
+    body: JSON.stringify({ expiresInHours, maxUses, requiresApproval })
+  });
+}
+
+export async function revokeGroupInvite(chatId, inviteId) {
+  return api(`/api/chats/${chatId}/invites/${inviteId}`, { method: "DELETE" });
+}
+
+export async function answerJoinRequest(chatId, inviteId, userId, approve) {
+  return api(`/api/chats/${chatId}/invites/${inviteId}/requests/${userId}`, {
+    method: "POST",
+    body: JSON.stringify({ approve })
+  });
+}
+
+export async function fetchInvitePreview(token) {
+  return api(`/api/chats/invites/${encodeURIComponent(token)}`);
+}
+
+export async function joinWithInvite(token) {
+  return api(`/api/chats/invites/${encodeURIComponent(token)}/join`, { method: "POST" });
+}
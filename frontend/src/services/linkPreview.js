@@ -0,0 +1,118 @@
+// Section Map
+// - Imports and dependencies
+// - Constants/configuration
+// - Helper functions/state handling
+// - Main module logic and exports
+
+import { api } from "./api.js";
+
+const URL_PATTERN = /\bhttps?:\/\/[^\s<>"']+/i;
+const TRAILING_PUNCTUATION = /[.,;:!?)\]}]+$/;
+const BROWSER_FETCH_TIMEOUT_MS = 4000;
+const SERVER_FETCH_TIMEOUT_MS = 6000;
+const MAX_IMAGE_BYTES = 150 * 1024;
+
+export function extractFirstUrl(text) {
+  const match = URL_PATTERN.exec(String(text || ""));
+  if (!match) return "";
+  const candidate = match[0].replace(TRAILING_PUNCTUATION, "");
+  try {
+    return new URL(candidate).href;
+  } catch {
+    return "";
+  }
+}
+
+function withTimeout(promise, ms) {
+  return Promise.race([
+    promise,
+    new Promise((resolve, reject) => setTimeout(() => reject(new Error("Link preview timed out")), ms))
+  ]);
+}
+
+function readMeta(doc, names) {
+  for (const name of names) {
+    const node = doc.querySelector(`meta[property="${name}"], meta[name="${name}"]`);
+    const value = node?.getAttribute("content")?.trim();
+    if (value) return value;
+  }
+  return "";
+}
+
+function blobToDataUrl(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(String(reader.result || ""));
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+// Direct chats never hand the URL to our server, so the page is read from
+// the browser. That only works for sites that allow cross-origin reads;
+// anything else simply gets no preview.
+async function fetchPreviewInBrowser(url) {
+  const res = await fetch(url, { mode: "cors", credentials: "omit", referrerPolicy: "no-referrer" });
+  if (!res.ok || !String(res.headers.get("content-type") || "").includes("html")) return null;
+  const doc = new DOMParser().parseFromString(await res.text(), "text/html");
+  const title = readMeta(doc, ["og:title", "twitter:title"]) || doc.title.trim();
+  const description = readMeta(doc, ["og:description", "twitter:description", "description"]);
+  if (!title && !description) return null;
+
+  let imageDataUrl = "";
+  const imageUrl = readMeta(doc, ["og:image", "og:image:url", "twitter:image"]);
+  if (imageUrl) {
+    try {
+      const imageRes = await fetch(new URL(imageUrl, url), { mode: "cors", credentials: "omit" });
+      const blob = await imageRes.blob();
+      if (imageRes.ok && blob.type.startsWith("image/") && blob.size <= MAX_IMAGE_BYTES) {
+        imageDataUrl = await blobToDataUrl(blob);
+      }
+    } catch {}
+  }
+  return {
+    url,
+    title: title.slice(0, 200),
+    description: description.slice(0, 300),
+    siteName: (readMeta(doc, ["og:site_name"]) || new URL(url).hostname).slice(0, 100),
+    imageDataUrl
+  };
+}
+
+// Builds the preview for the first link in an outgoing message, or null.
+// Group chats ask /api/link-preview; direct chats only try the browser. The
+// result is sealed with the message key, so recipients get the card without
+// contacting the site.
+export async function buildLinkPreview(chat, text) {
+  const url = extractFirstUrl(text);
+  if (!url) return null;
+  try {
+    if (chat?.type === "group") {
+      return await withTimeout(api(`/api/link-preview?url=${encodeURIComponent(url)}`), SERVER_FETCH_TIMEOUT_MS);
+    }
+    return await withTimeout(fetchPreviewInBrowser(url), BROWSER_FETCH_TIMEOUT_MS);
+  } catch {
+    return null;
+  }
+}
+
+// Decrypted previews come from another user, so only known fields with safe
+// values are kept before rendering.
+export function sanitizeLinkPreview(value) {
+  if (!value || typeof value !== "object") return null;
+  let url;
+  try {
+    url = new URL(String(value.url || ""));
+  } catch {
+    return null;
+  }
+  if (!["http:", "https:"].includes(url.protocol)) return null;
+  const imageDataUrl = String(value.imageDataUrl || "");
+  return {
+    url: url.href,
+    title: String(value.title || "").slice(0, 200),
+    description: String(value.description || "").slice(0, 300),
+    siteName: String(value.siteName || url.hostname).slice(0, 100),
+    imageDataUrl: /^data:image\/(jpeg|png|webp|gif);base64,/.test(imageDataUrl) ? imageDataUrl : ""
+  };
+}
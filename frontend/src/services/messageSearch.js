@@ -0,0 +1,175 @@
+// Section Map
+// - Imports and dependencies
+// - Constants/configuration
+// - Helper functions/state handling
+// - Main module logic and exports
+
+import { idbGet, idbSet } from "../utils/keyStore.js";
+
+// Writes are batched so decrypting a page of history does not re-encrypt the
+// chat's index once per message.
+const SAVE_DELAY_MS = 1000;
+const MAX_ENTRIES_PER_CHAT = 5000;
+const MAX_TEXT_LENGTH = 2000;
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+// `${userId}:${chatId}` -> Map(messageId -> entry), decrypted on first use.
+const loadedIndexes = new Map();
+const saveTimers = new Map();
+
+function chatListName(userId) {
+  return `search-chats-${userId}`;
+}
+
+function chatIndexName(userId, chatId) {
+  return `search-index-${userId}-${chatId}`;
+}
+
+// The index is sealed with a non-extractable key that never leaves this
+// browser, so the decrypted text is not left readable in IndexedDB.
+async function getIndexKey(userId) {
+  const name = `search-key-${userId}`;
+  const existing = await idbGet(name);
+  if (existing) return existing;
+  const key = await crypto.subtle.generateKey({ name: "AES-GCM", length: 256 }, false, ["encrypt", "decrypt"]);
+  await idbSet(name, key);
+  return key;
+}
+
+function normalizeText(value) {
+  return String(value || "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase();
+}
+
+async function loadChatIndex(userId, chatId) {
+  const cacheKey = `${userId}:${chatId}`;
+  if (loadedIndexes.has(cacheKey)) return loadedIndexes.get(cacheKey);
+
+  const entries = new Map();
+  const stored = await idbGet(chatIndexName(userId, chatId));
+  if (stored?.iv && stored?.ciphertext) {
+    try {
+      const plain = await crypto.subtle.decrypt(
+        { name: "AES-GCM", iv: stored.iv },
+        await getIndexKey(userId),
+        stored.ciphertext
+      );
+      for (const entry of JSON.parse(decoder.decode(plain))) {
+        entries.set(entry.id, entry);
+      }
+    } catch {
+      // A key from another browser profile cannot open it; start over.
+    }
+  }
+  loadedIndexes.set(cacheKey, entries);
+  return entries;
+}
+
+async function saveChatIndex(userId, chatId) {
+  const entries = await loadChatIndex(userId, chatId);
+  const kept = Array.from(entries.values())
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .slice(0, MAX_ENTRIES_PER_CHAT);
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const ciphertext = await crypto.subtle.encrypt(
+    { name: "AES-GCM", iv },
+    await getIndexKey(userId),
+    encoder.encode(JSON.stringify(kept))
+  );
+  await idbSet(chatIndexName(userId, chatId), { iv, ciphertext });
+
+  const chatIds = (await idbGet(chatListName(userId))) || [];
+  if (!chatIds.includes(chatId)) {
+    await idbSet(chatListName(userId), [...chatIds, chatId]);
+  }
+}
+
+function scheduleSave(userId, chatId) {
+  const cacheKey = `${userId}:${chatId}`;
+  clearTimeout(saveTimers.get(cacheKey));
+  saveTimers.set(
+    cacheKey,
+    setTimeout(() => {
+      saveTimers.delete(cacheKey);
+      saveChatIndex(userId, chatId).catch(() => {});
+    }, SAVE_DELAY_MS)
+  );
+}
+
+// Builds the index entry for a message whose text has been decrypted (or a
+// named attachment). Returns null when there is nothing to search; system
+// messages are left out.
+export function toSearchEntry(message, text = "") {
+  const searchable = [text, message?.fileName].filter(Boolean).join(" ").trim();
+  if (!message?._id || String(message._id).startsWith("temp-") || message.type === "system" || !searchable) {
+    return null;
+  }
+  return {
+    id: String(message._id),
+    chatId: String(message.chatId),
+    senderId: String(message.senderId),
+    type: message.type,
+    createdAt: new Date(message.createdAt).toISOString(),
+    threadRootId: message.threadRootId ? String(message.threadRootId) : "",
+    fileName: message.fileName || "",
+    text: String(text || "").slice(0, MAX_TEXT_LENGTH)
+  };
+}
+
+export async function indexMessages(userId, chatId, entries) {
+  if (!userId || !chatId || entries.length === 0) return;
+  const index = await loadChatIndex(userId, String(chatId));
+  let changed = false;
+  for (const entry of entries) {
+    const existing = index.get(entry.id);
+    if (existing && existing.text === entry.text && existing.fileName === entry.fileName) continue;
+    index.set(entry.id, entry);
+    changed = true;
+  }
+  if (changed) scheduleSave(userId, String(chatId));
+}
+
+export async function removeFromSearchIndex(userId, chatId, messageIds) {
+  if (!userId || !chatId) return;
+  const index = await loadChatIndex(userId, String(chatId));
+  let changed = false;
+  for (const messageId of messageIds) {
+    changed = index.delete(String(messageId)) || changed;
+  }
+  if (changed) scheduleSave(userId, String(chatId));
+}
+
+// Searches the local index. Every word of the query must appear in the text
+// or file name. Filters: chatId, senderId, type, from and to (Date). Newest
+// first.
+export async function searchLocalMessages(
+  userId,
+  query,
+  { chatId = "", senderId = "", type = "", from, to, limit = 50 } = {}
+) {
+  const words = normalizeText(query).split(/\s+/).filter(Boolean);
+  const storedChatIds = (await idbGet(chatListName(userId))) || [];
+  const loadedChatIds = Array.from(loadedIndexes.keys())
+    .filter((key) => key.startsWith(`${userId}:`))
+    .map((key) => key.slice(String(userId).length + 1));
+  const chatIds = chatId ? [String(chatId)] : Array.from(new Set([...storedChatIds, ...loadedChatIds]));
+
+  const results = [];
+  for (const id of chatIds) {
+    const index = await loadChatIndex(userId, id);
+    for (const entry of index.values()) {
+      if (senderId && entry.senderId !== String(senderId)) continue;
+      if (type && entry.type !== type) continue;
+      const createdAt = new Date(entry.createdAt);
+      if ((from && createdAt < from) || (to && createdAt > to)) continue;
+      const haystack = normalizeText(`${entry.text} ${entry.fileName}`);
+      if (words.every((word) => haystack.includes(word))) {
+        results.push(entry);
+      }
+    }
+  }
+  return results.sort((a, b) => b.createdAt.localeCompare(a.createdAt)).slice(0, limit);
+}
@@ -5,16 +5,43 @@
 // - Main module logic and exports
 
 import { io } from "socket.io-client";
+import { refreshAccessToken } from "./api.js";
 import { getToken } from "./storage.js";
 import { SOCKET_URL } from "./runtimeConfig.js";
 
 let socket = null;
 
+// The handshake rejects expired access tokens and the server drops sockets of
+// revoked sessions; both stop auto-reconnect, so refresh and reconnect by hand
+// (once per successful connection, to avoid a refresh loop). A failed refresh
+// clears auth, which sends the app back to the login screen.
 export function connectSocket() {
   if (socket) return socket;
-  socket = io(SOCKET_URL, {
-    auth: { token: getToken() }
+  const nextSocket = io(SOCKET_URL, {
+    auth: (callback) => callback({ token: getToken() })
   });
+  let retriedAuth = false;
+
+  const reconnectWithFreshToken = () => {
+    if (retriedAuth) return;
+    retriedAuth = true;
+    refreshAccessToken()
+      .then(() => {
+        if (socket === nextSocket) nextSocket.connect();
+      })
+      .catch(() => {});
+  };
+
+  nextSocket.on("connect", () => {
+    retriedAuth = false;
+  });
+  nextSocket.on("connect_error", (err) => {
+    if (err?.message === "Unauthorized") reconnectWithFreshToken();
+  });
+  nextSocket.on("disconnect", (reason) => {
+    if (reason === "io server disconnect") reconnectWithFreshToken();
+  });
+  socket = nextSocket;
   return socket;
 }
 
@@ -24,4 +51,3 @@ export function disconnectSocket() {
     socket = null;
   }
 }
-
@@ -5,9 +5,12 @@
 // - Main module logic and exports
 
 const TOKEN_KEY = "sc_token";
+const REFRESH_TOKEN_KEY = "sc_refresh_token";
 const USER_KEY = "sc_user";
 const PRIVATE_KEY = "sc_private_jwk";
 const THEME_KEY = "sc_theme";
+const PENDING_RECOVERY_CODES_KEY = "sc_pending_recovery_codes";
+const VERIFIED_KEYS_PREFIX = "sc_verified_keys_";
 
 // Custom event emitter for token changes
 const tokenChangeEvent = new Event("tokenchange");
@@ -27,6 +30,18 @@ export function clearToken() {
   window.dispatchEvent(tokenChangeEvent);
 }
 
+export function setRefreshToken(refreshToken) {
+  localStorage.setItem(REFRESH_TOKEN_KEY, refreshToken);
+}
+
+export function getRefreshToken() {
+  return localStorage.getItem(REFRESH_TOKEN_KEY);
+}
+
+export function clearRefreshToken() {
+  localStorage.removeItem(REFRESH_TOKEN_KEY);
+}
+
 export function setTheme(theme) {
   localStorage.setItem(THEME_KEY, theme);
   window.dispatchEvent(themeChangeEvent);
@@ -67,7 +82,52 @@ export function clearPrivateKeyJwk() {
   localStorage.removeItem(PRIVATE_KEY);
 }
 
+// Recovery codes returned at registration are kept only for this tab until the
+// user confirms they saved them on the profile page.
+export function setPendingRecoveryCodes(codes) {
+  sessionStorage.setItem(PENDING_RECOVERY_CODES_KEY, JSON.stringify(codes || []));
+}
+
+export function getPendingRecoveryCodes() {
+  try {
+    const parsed = JSON.parse(sessionStorage.getItem(PENDING_RECOVERY_CODES_KEY) || "[]");
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+}
+
+export function clearPendingRecoveryCodes() {
+  sessionStorage.removeItem(PENDING_RECOVERY_CODES_KEY);
+}
+
+// Contacts whose safety number was compared, keyed by contact id, with the
+// fingerprint of the key that was verified. Kept per account on this device.
+export function getVerifiedContactKeys(userId) {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(`${VERIFIED_KEYS_PREFIX}${userId}`) || "{}");
+    return parsed && typeof parsed === "object" && !Array.isArray(parsed) ? parsed : {};
+  } catch {
+    return {};
+  }
+}
+
+export function setVerifiedContactKey(userId, contactId, fingerprint) {
+  const next = { ...getVerifiedContactKeys(userId), [contactId]: fingerprint };
+  localStorage.setItem(`${VERIFIED_KEYS_PREFIX}${userId}`, JSON.stringify(next));
+  return next;
+}
+
+export function clearVerifiedContactKey(userId, contactId) {
+  const next = { ...getVerifiedContactKeys(userId) };
+  delete next[contactId];
+  localStorage.setItem(`${VERIFIED_KEYS_PREFIX}${userId}`, JSON.stringify(next));
+  return next;
+}
+
 export function clearAuth() {
+  clearPendingRecoveryCodes();
+  clearRefreshToken();
   clearToken();
   clearUser();
 }
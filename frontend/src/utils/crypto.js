@@ -4,10 +4,24 @@
 // - Helper functions/state handling
 // - Main module logic and exports
 
-import { idbGet, idbSet } from "./keyStore.js";
+import { idbDelete, idbGet, idbSet } from "./keyStore.js";
+import {
+  decryptWithRatchet,
+  encryptWithRatchet,
+  hasRatchetIdentity,
+  isRatchetEnvelope,
+  isSelfEnvelope,
+  openForSelf,
+  sealForSelf
+} from "./ratchet.js";
 
 const encoder = new TextEncoder();
 const decoder = new TextDecoder();
+const KEY_BACKUP_VERSION = 1;
+// OWASP 2023 guidance for PBKDF2-HMAC-SHA256.
+const KEY_BACKUP_ITERATIONS = 600000;
+// Matches the server's e2eeKeyHistory cap.
+const MAX_ARCHIVED_KEYS = 50;
 
 function bufferToBase64(buffer) {
   const bytes = new Uint8Array(buffer);
@@ -34,7 +48,8 @@ export function base64ToArrayBuffer(base64) {
 function keyNames(userId) {
   return {
     privateName: `rsa-private-${userId}`,
-    publicName: `rsa-public-${userId}`
+    publicName: `rsa-public-${userId}`,
+    archiveName: `rsa-archive-${userId}`
   };
 }
 
@@ -96,6 +111,14 @@ async function getOrCreateIdentity(userId) {
     };
   }
 
+  const { privateJwk, publicSpkiB64 } = await generateIdentity();
+  await idbSet(privateName, privateJwk);
+  await idbSet(publicName, publicSpkiB64);
+
+  return { privateJwk, publicSpkiB64 };
+}
+
+async function generateIdentity() {
   const keyPair = await crypto.subtle.generateKey(
     {
       name: "RSA-OAEP",
@@ -109,15 +132,154 @@ async function getOrCreateIdentity(userId) {
 
   const privateJwk = await crypto.subtle.exportKey("jwk", keyPair.privateKey);
   const publicSpki = await crypto.subtle.exportKey("spki", keyPair.publicKey);
-  const publicSpkiB64 = bufferToBase64(publicSpki);
+  return { privateJwk, publicSpkiB64: bufferToBase64(publicSpki) };
+}
+
+// Private keys retired by rotation, kept so older messages stay readable:
+// [{ version, privateJwk, publicSpkiB64, retiredAt }].
+async function getArchivedKeys(userId) {
+  const { archiveName } = keyNames(userId);
+  const archived = await idbGet(archiveName);
+  return Array.isArray(archived) ? archived : [];
+}
+
+async function addArchivedKeys(userId, entries) {
+  const { archiveName } = keyNames(userId);
+  const archived = await getArchivedKeys(userId);
+  for (const entry of entries) {
+    if (!entry?.privateJwk || !entry?.publicSpkiB64) continue;
+    if (archived.some((existing) => existing.publicSpkiB64 === entry.publicSpkiB64)) continue;
+    archived.push({
+      version: Number(entry.version) || 0,
+      privateJwk: entry.privateJwk,
+      publicSpkiB64: entry.publicSpkiB64,
+      retiredAt: entry.retiredAt || new Date().toISOString()
+    });
+  }
+  await idbSet(archiveName, archived.slice(-MAX_ARCHIVED_KEYS));
+}
+
+// Moves the current identity into the archive under the version it had on
+// the server.
+async function archiveCurrentIdentity(userId, version) {
+  const { privateName, publicName } = keyNames(userId);
+  const privateJwk = await idbGet(privateName);
+  const publicSpkiB64 = await idbGet(publicName);
+  if (!privateJwk || !publicSpkiB64) return;
+  await addArchivedKeys(userId, [{ version, privateJwk, publicSpkiB64 }]);
+}
+
+async function hasLocalIdentity(userId) {
+  const { privateName } = keyNames(userId);
+  return Boolean(await idbGet(privateName));
+}
+
+async function deriveBackupKey(passphrase, saltBuffer, iterations) {
+  const baseKey = await crypto.subtle.importKey("raw", encoder.encode(passphrase), "PBKDF2", false, [
+    "deriveKey"
+  ]);
+  return crypto.subtle.deriveKey(
+    { name: "PBKDF2", salt: saltBuffer, iterations, hash: "SHA-256" },
+    baseKey,
+    { name: "AES-GCM", length: 256 },
+    false,
+    ["encrypt", "decrypt"]
+  );
+}
+
+// Binds a backup to its owner so it cannot be replayed onto another account.
+function buildBackupAad(userId) {
+  return encoder.encode(`securechat-key-backup|v${KEY_BACKUP_VERSION}|${userId}`);
+}
+
+// Encrypts this device's identity with a passphrase-derived key. The result is
+// an opaque blob for PUT /api/users/me/key-backup.
+export async function createIdentityBackup(userId, passphrase) {
+  const { privateName, publicName } = keyNames(userId);
+  const privateJwk = await idbGet(privateName);
+  const publicSpkiB64 = await idbGet(publicName);
+  if (!privateJwk || !publicSpkiB64) {
+    throw new Error("No encryption key on this device to back up");
+  }
+
+  const previousKeys = await getArchivedKeys(userId);
+
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const key = await deriveBackupKey(passphrase, salt, KEY_BACKUP_ITERATIONS);
+  const ciphertext = await crypto.subtle.encrypt(
+    { name: "AES-GCM", iv, additionalData: buildBackupAad(userId) },
+    key,
+    encoder.encode(JSON.stringify({ privateJwk, publicSpkiB64, previousKeys }))
+  );
+
+  return {
+    version: KEY_BACKUP_VERSION,
+    kdf: "PBKDF2",
+    kdfHash: "SHA-256",
+    iterations: KEY_BACKUP_ITERATIONS,
+    saltB64: bufferToBase64(salt),
+    ivB64: bufferToBase64(iv),
+    ciphertextB64: bufferToBase64(ciphertext),
+    publicSpkiB64
+  };
+}
 
+// Decrypts a backup and installs it as this device's identity.
+export async function restoreIdentityBackup(userId, backup, passphrase) {
+  if (Number(backup?.version) !== KEY_BACKUP_VERSION || backup?.kdf !== "PBKDF2") {
+    throw new Error("Unsupported key backup format");
+  }
+
+  const key = await deriveBackupKey(passphrase, base64ToBuffer(backup.saltB64), Number(backup.iterations));
+  let plain;
+  try {
+    plain = await crypto.subtle.decrypt(
+      { name: "AES-GCM", iv: base64ToBuffer(backup.ivB64), additionalData: buildBackupAad(userId) },
+      key,
+      base64ToBuffer(backup.ciphertextB64)
+    );
+  } catch {
+    throw new Error("Incorrect passphrase");
+  }
+
+  const { privateJwk, publicSpkiB64, previousKeys } = JSON.parse(decoder.decode(plain));
+  if (!privateJwk?.n || publicSpkiB64 !== backup.publicSpkiB64) {
+    throw new Error("Key backup is corrupted");
+  }
+
+  const { privateName, publicName } = keyNames(userId);
   await idbSet(privateName, privateJwk);
   await idbSet(publicName, publicSpkiB64);
-
-  return { privateJwk, publicSpkiB64 };
+  if (Array.isArray(previousKeys) && previousKeys.length > 0) {
+    await addArchivedKeys(userId, previousKeys);
+  }
+  return publicSpkiB64;
 }
 
-export async function ensureUserKeyPair(userId, backendPublicSpkiB64, uploadPublicKey) {
+// restoreIdentity runs when this browser has no key but the account already
+// has one. It resolves once a backup was restored or the user chose to start
+// fresh; only then is a new key pair generated if still needed. retiredKeys is
+// the server's key history: a local key found there was rotated away on
+// another device, so it is archived and the current key restored instead.
+export async function ensureUserKeyPair(
+  userId,
+  backendPublicSpkiB64,
+  uploadPublicKey,
+  { restoreIdentity, retiredKeys = [] } = {}
+) {
+  const { privateName, publicName } = keyNames(userId);
+  const localPublicSpkiB64 = await idbGet(publicName);
+  const retired = retiredKeys.find((entry) => entry?.publicSpkiB64 === localPublicSpkiB64);
+  if (localPublicSpkiB64 && retired) {
+    await archiveCurrentIdentity(userId, retired.version);
+    await idbDelete(privateName);
+    await idbDelete(publicName);
+  }
+
+  if (backendPublicSpkiB64 && typeof restoreIdentity === "function" && !(await hasLocalIdentity(userId))) {
+    await restoreIdentity();
+  }
   const identity = await getOrCreateIdentity(userId);
   if (!backendPublicSpkiB64 || backendPublicSpkiB64 !== identity.publicSpkiB64) {
     await uploadPublicKey(identity.publicSpkiB64);
@@ -125,6 +287,27 @@ export async function ensureUserKeyPair(userId, backendPublicSpkiB64, uploadPubl
   return identity.publicSpkiB64;
 }
 
+// Replaces this device's identity with a fresh key pair. The old private key
+// is archived first so messages wrapped for it remain readable, and the new
+// pair only becomes current once the server accepted its public key.
+export async function rotateUserKeyPair(userId, currentVersion, uploadPublicKey) {
+  if (!(await hasLocalIdentity(userId))) {
+    throw new Error("No encryption key on this device to rotate");
+  }
+  const next = await generateIdentity();
+  await archiveCurrentIdentity(userId, currentVersion);
+  await uploadPublicKey(next.publicSpkiB64);
+
+  const { privateName, publicName } = keyNames(userId);
+  await idbSet(privateName, next.privateJwk);
+  await idbSet(publicName, next.publicSpkiB64);
+  return next.publicSpkiB64;
+}
+
+export async function countArchivedKeys(userId) {
+  return (await getArchivedKeys(userId)).length;
+}
+
 export async function getPrivateKey(userId) {
   const { privateName } = keyNames(userId);
   const privateJwk = await idbGet(privateName);
@@ -142,8 +325,16 @@ function buildAad({ senderId, receiverId, chatId, clientTs, clientMsgId }) {
   });
 }
 
+// Canonical form shared with the server integrity hash (sorted by user id).
+function serializeMemberKeys(memberKeys) {
+  return [...(memberKeys || [])]
+    .map((entry) => `${String(entry.userId)}:${entry.wrappedKeyB64}`)
+    .sort()
+    .join(",");
+}
+
 async function computeIntegrityHash(parts) {
-  const raw = [
+  const fields = [
     parts.ciphertextB64 || "",
     parts.ivB64 || "",
     parts.wrappedKeyB64 || "",
@@ -153,28 +344,17 @@ async function computeIntegrityHash(parts) {
     parts.clientMsgId || "",
     String(parts.senderId || ""),
     String(parts.receiverId || "")
-  ].join("|");
-  const digest = await crypto.subtle.digest("SHA-256", encoder.encode(raw));
+  ];
+  if (Array.isArray(parts.memberKeys) && parts.memberKeys.length > 0) {
+    fields.push(serializeMemberKeys(parts.memberKeys));
+  }
+  const digest = await crypto.subtle.digest("SHA-256", encoder.encode(fields.join("|")));
   return bufferToBase64(digest);
 }
 
-export async function encryptForReceiver({
-  senderId,
-  receiverId,
-  chatId,
-  senderPublicSpkiB64,
-  receiverPublicSpkiB64,
-  plainText = "",
-  binaryData = null
-}) {
-  if (!receiverPublicSpkiB64) {
-    throw new Error("Receiver public key missing");
-  }
-
-  const receiverPublicKey = await importPublicKeyFromSpkiB64(receiverPublicSpkiB64);
-  const senderPublicKey = senderPublicSpkiB64
-    ? await importPublicKeyFromSpkiB64(senderPublicSpkiB64)
-    : null;
+// extraPayloads (e.g. an image thumbnail) are sealed with the same key and
+// AAD, each under its own IV, so they are readable by exactly the same people.
+async function encryptWithFreshKey({ senderId, receiverId, chatId, plainText, binaryData, extraPayloads = [] }) {
   const aesKey = await crypto.subtle.generateKey(
     { name: "AES-GCM", length: 256 },
     true,
@@ -194,26 +374,80 @@ export async function encryptForReceiver({
     payloadBytes
   );
 
-  const wrappedKey = await crypto.subtle.wrapKey(
-    "raw",
-    aesKey,
-    receiverPublicKey,
-    { name: "RSA-OAEP" }
-  );
-  const senderWrappedKey = senderPublicKey
-    ? await crypto.subtle.wrapKey(
-      "raw",
+  const extraCiphertexts = [];
+  for (const payload of extraPayloads) {
+    const extraIv = crypto.getRandomValues(new Uint8Array(12));
+    const extraBuffer = await crypto.subtle.encrypt(
+      { name: "AES-GCM", iv: extraIv, additionalData: aadBytes },
       aesKey,
-      senderPublicKey,
-      { name: "RSA-OAEP" }
-    )
-    : null;
-
-  const ciphertextB64 = bufferToBase64(cipherBuffer);
-  const ivB64 = bufferToBase64(iv.buffer);
-  const wrappedKeyB64 = bufferToBase64(wrappedKey);
-  const senderWrappedKeyB64 = senderWrappedKey ? bufferToBase64(senderWrappedKey) : "";
-  const aadB64 = bufferToBase64(aadBytes.buffer);
+      payload
+    );
+    extraCiphertexts.push({ ivB64: bufferToBase64(extraIv.buffer), ciphertextB64: bufferToBase64(extraBuffer) });
+  }
+
+  return {
+    aesKey,
+    ciphertextB64: bufferToBase64(cipherBuffer),
+    ivB64: bufferToBase64(iv.buffer),
+    extraCiphertexts,
+    aadB64: bufferToBase64(aadBytes.buffer),
+    clientTs,
+    clientMsgId
+  };
+}
+
+async function wrapKeyForSpki(aesKey, spkiB64) {
+  const publicKey = await importPublicKeyFromSpkiB64(spkiB64);
+  const wrappedKey = await crypto.subtle.wrapKey("raw", aesKey, publicKey, { name: "RSA-OAEP" });
+  return bufferToBase64(wrappedKey);
+}
+
+export async function encryptForReceiver({
+  senderId,
+  receiverId,
+  chatId,
+  senderPublicSpkiB64,
+  receiverPublicSpkiB64,
+  senderKeyVersion = 1,
+  receiverKeyVersion = 1,
+  ratchet = null,
+  plainText = "",
+  binaryData = null,
+  extraPayloads = []
+}) {
+  if (!receiverPublicSpkiB64) {
+    throw new Error("Receiver public key missing");
+  }
+
+  const encrypted = await encryptWithFreshKey({
+    senderId,
+    receiverId,
+    chatId,
+    plainText,
+    binaryData,
+    extraPayloads
+  });
+  const { aesKey, ciphertextB64, ivB64, extraCiphertexts, aadB64, clientTs, clientMsgId } = encrypted;
+
+  // With forward secrecy on for both sides the AES key travels through the
+  // ratchet, and the sender's copy is sealed to this browser instead of the
+  // long-term RSA key. Otherwise it falls back to RSA wrapping.
+  let wrappedKeyB64 = "";
+  let senderWrappedKeyB64 = "";
+  if (ratchet && (await hasRatchetIdentity(senderId))) {
+    const rawKey = new Uint8Array(await crypto.subtle.exportKey("raw", aesKey));
+    wrappedKeyB64 = await encryptWithRatchet(senderId, receiverId, rawKey, {
+      fetchBundle: ratchet.fetchBundle,
+      associatedData: new Uint8Array(base64ToBuffer(aadB64))
+    });
+    if (wrappedKeyB64) {
+      senderWrappedKeyB64 = await sealForSelf(senderId, rawKey);
+    }
+  }
+  if (!wrappedKeyB64) {
+    wrappedKeyB64 = await wrapKeyForSpki(aesKey, receiverPublicSpkiB64);
+    senderWrappedKeyB64 = senderPublicSpkiB64 ? await wrapKeyForSpki(aesKey, senderPublicSpkiB64) : "";
+  }
   const integrityHash = await computeIntegrityHash({
     ciphertextB64,
     ivB64,
@@ -231,6 +465,9 @@ export async function encryptForReceiver({
     ivB64,
     wrappedKeyB64,
     senderWrappedKeyB64,
+    senderKeyVersion,
+    receiverKeyVersion,
+    extraCiphertexts,
     aadB64,
     clientTs,
     clientMsgId,
@@ -238,28 +475,156 @@ export async function encryptForReceiver({
   };
 }
 
+// Same envelope as encryptForReceiver, but the AES key is wrapped once for
+// every group member (sender included) instead of a receiver/sender pair.
+export async function encryptForGroup({
+  senderId,
+  chatId,
+  members,
+  plainText = "",
+  binaryData = null,
+  extraPayloads = []
+}) {
+  if (!Array.isArray(members) || members.length === 0) {
+    throw new Error("Group members missing");
+  }
+  const missingKey = members.find((member) => !member?.publicSpkiB64);
+  if (missingKey) {
+    throw new Error("Some group members have not set up encryption keys yet.");
+  }
+
+  const encrypted = await encryptWithFreshKey({
+    senderId,
+    receiverId: "",
+    chatId,
+    plainText,
+    binaryData,
+    extraPayloads
+  });
+  const { aesKey, ciphertextB64, ivB64, extraCiphertexts, aadB64, clientTs, clientMsgId } = encrypted;
+
+  const memberKeys = [];
+  for (const member of members) {
+    memberKeys.push({
+      userId: String(member.userId),
+      wrappedKeyB64: await wrapKeyForSpki(aesKey, member.publicSpkiB64),
+      keyVersion: Number(member.keyVersion) || 1
+    });
+  }
+
+  const integrityHash = await computeIntegrityHash({
+    ciphertextB64,
+    ivB64,
+    aadB64,
+    clientTs,
+    clientMsgId,
+    senderId,
+    receiverId: "",
+    memberKeys
+  });
+
+  return {
+    ciphertextB64,
+    ivB64,
+    memberKeys,
+    extraCiphertexts,
+    aadB64,
+    clientTs,
+    clientMsgId,
+    integrityHash
+  };
+}
+
+// Returns { wrappedKeyB64, keyVersion }; keyVersion is null for messages sent
+// before key versions were recorded.
 function resolveWrappedKeyForCurrentUser(userId, message) {
   const me = String(userId || "");
   const senderId = String(message?.senderId || "");
   const receiverId = String(message?.receiverId || "");
 
+  if (Array.isArray(message?.memberKeys) && message.memberKeys.length > 0) {
+    const entry = message.memberKeys.find((item) => String(item?.userId) === me);
+    if (entry?.wrappedKeyB64) {
+      return { wrappedKeyB64: entry.wrappedKeyB64, keyVersion: entry.keyVersion ?? null };
+    }
+    throw new Error("No encrypted key envelope found for current user");
+  }
+
   if (senderId === me && message?.senderWrappedKeyB64) {
-    return message.senderWrappedKeyB64;
+    return { wrappedKeyB64: message.senderWrappedKeyB64, keyVersion: message.senderKeyVersion ?? null };
   }
   if (receiverId === me && message?.wrappedKeyB64) {
-    return message.wrappedKeyB64;
+    return { wrappedKeyB64: message.wrappedKeyB64, keyVersion: message.receiverKeyVersion ?? null };
   }
   if (message?.wrappedKeyB64) {
-    return message.wrappedKeyB64;
+    return { wrappedKeyB64: message.wrappedKeyB64, keyVersion: null };
   }
   if (message?.senderWrappedKeyB64) {
-    return message.senderWrappedKeyB64;
+    return { wrappedKeyB64: message.senderWrappedKeyB64, keyVersion: null };
   }
   throw new Error("No encrypted key envelope found for current user");
 }
 
-export async function decryptForCurrentUser({ userId, message, cipherBufferOverride = null }) {
-  if ((!message?.wrappedKeyB64 && !message?.senderWrappedKeyB64) || !message?.iv || !message?.aadB64) {
+// Tries the archived key recorded for keyVersion first, then the current key,
+// then every other archived key (for messages without a recorded version).
+async function unwrapMessageKey(userId, { wrappedKeyB64, keyVersion }) {
+  const archived = await getArchivedKeys(userId);
+  const matching = archived.filter((entry) => keyVersion !== null && Number(entry.version) === Number(keyVersion));
+  const others = archived.filter((entry) => !matching.includes(entry));
+  const { privateName } = keyNames(userId);
+  const currentJwk = await idbGet(privateName);
+  const candidates = [
+    ...matching.map((entry) => entry.privateJwk),
+    ...(currentJwk ? [currentJwk] : []),
+    ...others.map((entry) => entry.privateJwk)
+  ];
+  if (candidates.length === 0) throw new Error("Private key missing in IndexedDB");
+
+  let lastError = null;
+  for (const privateJwk of candidates) {
+    try {
+      const privateKey = await importPrivateKeyFromJwk(privateJwk);
+      return await crypto.subtle.unwrapKey(
+        "raw",
+        base64ToBuffer(wrappedKeyB64),
+        privateKey,
+        { name: "RSA-OAEP" },
+        { name: "AES-GCM", length: 256 },
+        false,
+        ["decrypt"]
+      );
+    } catch (err) {
+      lastError = err;
+    }
+  }
+  throw lastError;
+}
+
+async function importMessageKey(rawKey) {
+  return crypto.subtle.importKey("raw", rawKey, { name: "AES-GCM", length: 256 }, false, ["decrypt"]);
+}
+
+async function unwrapForCurrentUser(userId, message, wrapped) {
+  if (isSelfEnvelope(wrapped.wrappedKeyB64)) {
+    return importMessageKey(await openForSelf(userId, wrapped.wrappedKeyB64));
+  }
+  if (isRatchetEnvelope(wrapped.wrappedKeyB64)) {
+    const rawKey = await decryptWithRatchet(userId, String(message.senderId), wrapped.wrappedKeyB64, {
+      associatedData: new Uint8Array(base64ToBuffer(message.aadB64)),
+      cacheId: `${message.senderId}-${message.clientMsgId}`
+    });
+    return importMessageKey(rawKey);
+  }
+  return unwrapMessageKey(userId, wrapped);
+}
+
+export async function decryptForCurrentUser({ userId, message, cipherBufferOverride = null, ivOverride = "" }) {
+  const hasMemberKeys = Array.isArray(message?.memberKeys) && message.memberKeys.length > 0;
+  if (
+    (!message?.wrappedKeyB64 && !message?.senderWrappedKeyB64 && !hasMemberKeys) ||
+    !message?.iv ||
+    !message?.aadB64
+  ) {
     throw new Error("Encrypted message metadata missing");
   }
 
@@ -273,24 +638,15 @@ export async function decryptForCurrentUser({ userId, message, cipherBufferOverr
       clientTs: message.clientTs,
       clientMsgId: message.clientMsgId || "",
       senderId: message.senderId,
-      receiverId: message.receiverId
+      receiverId: message.receiverId,
+      memberKeys: message.memberKeys
     });
     if (expectedHash !== message.integrityHash) {
       throw new Error("Integrity check failed");
     }
   }
 
-  const privateKey = await getPrivateKey(userId);
-  const wrappedKeyForMe = resolveWrappedKeyForCurrentUser(userId, message);
-  const aesKey = await crypto.subtle.unwrapKey(
-    "raw",
-    base64ToBuffer(wrappedKeyForMe),
-    privateKey,
-    { name: "RSA-OAEP" },
-    { name: "AES-GCM", length: 256 },
-    false,
-    ["decrypt"]
-  );
+  const aesKey = await unwrapForCurrentUser(userId, message, resolveWrappedKeyForCurrentUser(userId, message));
 
   const cipherBuffer =
     cipherBufferOverride ||
@@ -299,7 +655,7 @@ export async function decryptForCurrentUser({ userId, message, cipherBufferOverr
   const plainBuffer = await crypto.subtle.decrypt(
     {
       name: "AES-GCM",
-      iv: new Uint8Array(base64ToBuffer(message.iv)),
+      iv: new Uint8Array(base64ToBuffer(ivOverride || message.iv)),
       additionalData: new Uint8Array(base64ToBuffer(message.aadB64))
     },
     aesKey,
@@ -318,3 +674,8 @@ export async function decryptBinaryForCurrentUser({ userId, message, cipherBuffe
   return decryptForCurrentUser({ userId, message, cipherBufferOverride: cipherBuffer });
 }
 
+// Opens one of the extraPayloads sealed with a message (see encryptWithFreshKey).
+export async function decryptExtraForCurrentUser({ userId, message, ivB64, cipherBuffer }) {
+  return decryptForCurrentUser({ userId, message, cipherBufferOverride: cipherBuffer, ivOverride: ivB64 });
+}
+
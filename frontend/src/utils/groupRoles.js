@@ -0,0 +1,28 @@
+// Section Map
+// - Imports and dependencies
+// - Constants/configuration
+// - Helper functions/state handling
+// - Main module logic and exports
+
+function idOf(value) {
+  return String(value?._id || value || "");
+}
+
+// Mirrors the server: owner and admins are listed in memberRoles, anyone else
+// in the group is a member, and older groups without an owner entry are owned
+// by their creator. Returns null for non-members.
+export function getGroupRole(chat, userId) {
+  const id = String(userId || "");
+  if (!id || !(chat?.members || []).some((member) => idOf(member) === id)) return null;
+
+  const roles = chat?.memberRoles || [];
+  const entry = roles.find((item) => idOf(item.userId) === id);
+  if (entry) return entry.role;
+  if (!roles.some((item) => item.role === "owner") && idOf(chat?.createdBy) === id) return "owner";
+  return "member";
+}
+
+export function isGroupAdmin(chat, userId) {
+  const role = getGroupRole(chat, userId);
+  return role === "owner" || role === "admin";
+}
@@ -0,0 +1,129 @@
+// Section Map
+// - Imports and dependencies
+// - Constants/configuration
+// - Helper functions/state handling
+// - Main module logic and exports
+
+// Attachments are encrypted before upload, so the server cannot strip photo
+// metadata the way it does for avatars; the sending browser does it instead,
+// with the same rules as backend/src/services/uploadInspection.js.
+const JPEG_METADATA_MARKERS = new Set([0xe1, 0xed, 0xfe]);
+const PNG_METADATA_CHUNKS = new Set(["eXIf", "tEXt", "iTXt", "zTXt", "tIME"]);
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+const EXIF_ORIENTATION_TAG = 0x0112;
+
+function startsWith(bytes, prefix) {
+  return prefix.every((byte, index) => bytes[index] === byte);
+}
+
+function ascii(bytes, start, end) {
+  return String.fromCharCode(...bytes.subarray(start, end));
+}
+
+function concatBytes(parts) {
+  const result = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    result.set(part, offset);
+    offset += part.length;
+  }
+  return result;
+}
+
+function readExifOrientation(app1) {
+  if (ascii(app1, 0, 6) !== "Exif\0\0" || app1.length < 14) return 0;
+  const tiff = new DataView(app1.buffer, app1.byteOffset + 6, app1.length - 6);
+  const littleEndian = ascii(app1, 6, 8) === "II";
+  const ifdOffset = tiff.getUint32(4, littleEndian);
+  if (ifdOffset + 2 > tiff.byteLength) return 0;
+  const entries = tiff.getUint16(ifdOffset, littleEndian);
+  for (let index = 0; index < entries; index += 1) {
+    const entry = ifdOffset + 2 + index * 12;
+    if (entry + 12 > tiff.byteLength) return 0;
+    if (tiff.getUint16(entry, littleEndian) === EXIF_ORIENTATION_TAG) {
+      const orientation = tiff.getUint16(entry + 8, littleEndian);
+      return orientation >= 1 && orientation <= 8 ? orientation : 0;
+    }
+  }
+  return 0;
+}
+
+// A minimal big-endian EXIF block holding only the orientation, so phone
+// photos are not shown sideways once their metadata is gone.
+function buildOrientationSegment(orientation) {
+  const segment = new Uint8Array(36);
+  const view = new DataView(segment.buffer);
+  view.setUint16(0, 0xffe1);
+  view.setUint16(2, 34);
+  segment.set(Array.from("Exif\0\0MM", (char) => char.charCodeAt(0)), 4);
+  view.setUint16(12, 42);
+  view.setUint32(14, 8);
+  view.setUint16(18, 1);
+  view.setUint16(20, EXIF_ORIENTATION_TAG);
+  view.setUint16(22, 3);
+  view.setUint32(24, 1);
+  view.setUint16(28, orientation);
+  return segment;
+}
+
+// Returns the image without metadata segments, or null when it is malformed.
+function stripJpegMetadata(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.length);
+  const parts = [bytes.subarray(0, 2)];
+  let offset = 2;
+  let orientation = 0;
+  while (true) {
+    if (offset + 4 > bytes.length || bytes[offset] !== 0xff) return null;
+    const marker = bytes[offset + 1];
+    if (marker === 0xda) break;
+    const end = offset + 2 + view.getUint16(offset + 2);
+    if (end > bytes.length || end < offset + 4) return null;
+    if (marker === 0xe1) {
+      orientation = orientation || readExifOrientation(bytes.subarray(offset + 4, end));
+    }
+    if (!JPEG_METADATA_MARKERS.has(marker)) {
+      parts.push(bytes.subarray(offset, end));
+    }
+    offset = end;
+  }
+  if (orientation > 1) {
+    parts.splice(1, 0, buildOrientationSegment(orientation));
+  }
+  parts.push(bytes.subarray(offset));
+  return concatBytes(parts);
+}
+
+// Returns the image without metadata chunks or anything after IEND, or null
+// when it is malformed.
+function stripPngMetadata(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.length);
+  const parts = [bytes.subarray(0, 8)];
+  let offset = 8;
+  while (offset + 12 <= bytes.length) {
+    const type = ascii(bytes, offset + 4, offset + 8);
+    const end = offset + 12 + view.getUint32(offset);
+    if (end > bytes.length) return null;
+    if (!PNG_METADATA_CHUNKS.has(type)) {
+      parts.push(bytes.subarray(offset, end));
+    }
+    offset = end;
+    if (type === "IEND") return concatBytes(parts);
+  }
+  return null;
+}
+
+// Returns the bytes to encrypt for an attachment. JPEG and PNG images lose
+// their EXIF/GPS, XMP, IPTC and text metadata (the EXIF orientation is kept);
+// anything else, or an image that cannot be parsed, is sent unchanged.
+export async function readAttachmentBytes(file, messageType) {
+  const buffer = await file.arrayBuffer();
+  if (messageType !== "image") return buffer;
+  const bytes = new Uint8Array(buffer);
+  let stripped = null;
+  if (startsWith(bytes, [0xff, 0xd8, 0xff])) {
+    stripped = stripJpegMetadata(bytes);
+  } else if (startsWith(bytes, PNG_SIGNATURE)) {
+    stripped = stripPngMetadata(bytes);
+  }
+  return stripped ? stripped.buffer : buffer;
+}
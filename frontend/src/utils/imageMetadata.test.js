@@ -0,0 +1,63 @@
+import { readAttachmentBytes } from "./imageMetadata";
+
+function segment(marker, data) {
+  const bytes = new Uint8Array(4 + data.length);
+  bytes.set([0xff, marker, (data.length + 2) >> 8, (data.length + 2) & 0xff]);
+  bytes.set(data, 4);
+  return bytes;
+}
+
+function latin1(text) {
+  return Uint8Array.from(text, (char) => char.charCodeAt(0));
+}
+
+function jpegWithGps() {
+  // Big-endian EXIF: orientation 6 and a GPS note in the same APP1 segment.
+  const tiff = [0x4d, 0x4d, 0, 42, 0, 0, 0, 8, 0, 1, 0x01, 0x12, 0, 3, 0, 0, 0, 1, 0, 6, 0, 0, 0, 0, 0, 0, 0, 0];
+  const exif = new Uint8Array([...latin1("Exif\0\0"), ...tiff, ...latin1("GPS 52.37N 4.89E")]);
+  const parts = [
+    [0xff, 0xd8],
+    segment(0xe0, latin1("JFIF\0\x01\x01\0\0\x01\0\x01\0\0")),
+    segment(0xe1, exif),
+    segment(0xda, [0, 1, 2, 3]),
+    [0x11, 0x22, 0xff, 0xd9]
+  ];
+  return Uint8Array.from(parts.flatMap((part) => Array.from(part)));
+}
+
+function asFile(bytes) {
+  return { arrayBuffer: async () => bytes.buffer.slice(0) };
+}
+
+function jpegSegments(bytes) {
+  const segments = [];
+  let offset = 2;
+  while (bytes[offset + 1] !== 0xda) {
+    const end = offset + 2 + ((bytes[offset + 2] << 8) | bytes[offset + 3]);
+    segments.push({ marker: bytes[offset + 1], data: bytes.subarray(offset + 4, end) });
+    offset = end;
+  }
+  return segments;
+}
+
+describe("readAttachmentBytes", () => {
+  test("sends a JPEG photo without its GPS metadata", async () => {
+    const sent = new Uint8Array(await readAttachmentBytes(asFile(jpegWithGps()), "image"));
+    const text = String.fromCharCode(...sent);
+
+    expect(text).not.toContain("GPS");
+    expect(text).toContain("JFIF");
+    // Only the rebuilt orientation block is left in APP1.
+    const app1 = jpegSegments(sent).filter((entry) => entry.marker === 0xe1);
+    expect(app1).toHaveLength(1);
+    expect(app1[0].data.length).toBe(32);
+    expect(Array.from(app1[0].data.subarray(24, 26))).toEqual([0, 6]);
+  });
+
+  test("leaves files and unparseable images unchanged", async () => {
+    const bytes = jpegWithGps();
+    expect(new Uint8Array(await readAttachmentBytes(asFile(bytes), "file"))).toEqual(bytes);
+    const broken = bytes.slice(0, 12);
+    expect(new Uint8Array(await readAttachmentBytes(asFile(broken), "image"))).toEqual(broken);
+  });
+});
@@ -0,0 +1,118 @@
+// Section Map
+// - Imports and dependencies
+// - Constants/configuration
+// - Helper functions/state handling
+// - Main module logic and exports
+
+const THUMBNAIL_MAX_EDGE = 320;
+const THUMBNAIL_QUALITY = 0.72;
+// The placeholder is a few pixels wide and shown blurred, like a blurhash,
+// so it stays well under a kilobyte once encrypted.
+const PLACEHOLDER_MAX_EDGE = 16;
+const PLACEHOLDER_QUALITY = 0.5;
+// Poster frames are taken a little way in, since many clips open on black.
+const POSTER_FRAME_SECONDS = 1;
+const VIDEO_METADATA_TIMEOUT_MS = 10000;
+
+function fitWithin(width, height, maxEdge) {
+  const scale = Math.min(1, maxEdge / Math.max(width, height));
+  return {
+    width: Math.max(1, Math.round(width * scale)),
+    height: Math.max(1, Math.round(height * scale))
+  };
+}
+
+function drawScaled(source, maxEdge, width = source.width, height = source.height) {
+  const size = fitWithin(width, height, maxEdge);
+  const canvas = document.createElement("canvas");
+  canvas.width = size.width;
+  canvas.height = size.height;
+  canvas.getContext("2d").drawImage(source, 0, 0, size.width, size.height);
+  return canvas;
+}
+
+function waitForVideoEvent(video, eventName) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => finish(new Error("Video preview timed out")), VIDEO_METADATA_TIMEOUT_MS);
+    function finish(err) {
+      clearTimeout(timer);
+      video.removeEventListener(eventName, onEvent);
+      video.removeEventListener("error", onError);
+      if (err) reject(err);
+      else resolve();
+    }
+    function onEvent() {
+      finish(null);
+    }
+    function onError() {
+      finish(new Error("This video cannot be read"));
+    }
+    video.addEventListener(eventName, onEvent);
+    video.addEventListener("error", onError);
+  });
+}
+
+function canvasToBlob(canvas, quality) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(
+      (blob) => (blob ? resolve(blob) : reject(new Error("Thumbnail encoding failed"))),
+      "image/jpeg",
+      quality
+    );
+  });
+}
+
+// Builds the preview sent alongside an image: a JPEG thumbnail and a tiny
+// placeholder ({ width, height, dataUrl }) carrying the original aspect ratio.
+// Both are encrypted with the message key before they leave the browser.
+export async function createImagePreview(file) {
+  const bitmap = await createImageBitmap(file);
+  try {
+    const thumbnail = await canvasToBlob(drawScaled(bitmap, THUMBNAIL_MAX_EDGE), THUMBNAIL_QUALITY);
+    const placeholder = {
+      width: bitmap.width,
+      height: bitmap.height,
+      dataUrl: drawScaled(bitmap, PLACEHOLDER_MAX_EDGE).toDataURL("image/jpeg", PLACEHOLDER_QUALITY)
+    };
+    return { thumbnail, placeholder };
+  } finally {
+    bitmap.close?.();
+  }
+}
+
+// Same preview for a video, built from a poster frame, plus the duration and
+// frame size the message carries. Throws when the browser cannot decode the
+// file, in which case it is sent as a plain file.
+export async function createVideoPreview(file) {
+  const url = URL.createObjectURL(file);
+  const video = document.createElement("video");
+  video.muted = true;
+  video.playsInline = true;
+  video.preload = "auto";
+  try {
+    const metadataLoaded = waitForVideoEvent(video, "loadedmetadata");
+    video.src = url;
+    await metadataLoaded;
+    const { videoWidth: width, videoHeight: height } = video;
+    if (!width || !height) {
+      throw new Error("This video has no picture");
+    }
+    const durationMs = Number.isFinite(video.duration) ? Math.round(video.duration * 1000) : 0;
+
+    const frameReady = waitForVideoEvent(video, "seeked");
+    video.currentTime = Math.min(POSTER_FRAME_SECONDS, (durationMs / 1000) * 0.25);
+    await frameReady;
+
+    const thumbnail = await canvasToBlob(drawScaled(video, THUMBNAIL_MAX_EDGE, width, height), THUMBNAIL_QUALITY);
+    const placeholder = {
+      width,
+      height,
+      dataUrl: drawScaled(video, PLACEHOLDER_MAX_EDGE, width, height).toDataURL("image/jpeg", PLACEHOLDER_QUALITY)
+    };
+    return { thumbnail, placeholder, durationMs, width, height };
+  } finally {
+    video.removeAttribute("src");
+    video.load();
+    URL.revokeObjectURL(url);
+  }
+}
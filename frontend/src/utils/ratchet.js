@@ -0,0 +1,552 @@
+// Section Map
+// - Imports and dependencies
+// - Constants/configuration
+// - Helper functions/state handling
+// - Main module logic and exports
+
+import { idbDelete, idbGet, idbSet } from "./keyStore.js";
+
+// X3DH key agreement plus a Double Ratchet, following the Signal
+// specifications but on P-256 (ECDH/ECDSA) because WebCrypto supports it
+// everywhere. The ratchet only protects the per-message AES key; the message
+// body is still sealed by crypto.js, so the server keeps seeing the same
+// opaque fields.
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+const RATCHET_ENVELOPE_PREFIX = "dr1.";
+const SELF_ENVELOPE_PREFIX = "self1.";
+const DH_PARAMS = { name: "ECDH", namedCurve: "P-256" };
+const SIGNING_PARAMS = { name: "ECDSA", namedCurve: "P-256" };
+const SIGNATURE_PARAMS = { name: "ECDSA", hash: "SHA-256" };
+const ONE_TIME_PREKEY_BATCH = 50;
+const ONE_TIME_PREKEY_LOW_WATERMARK = 20;
+const SIGNED_PREKEY_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+// Old signed prekeys stay usable for sessions started just before a rotation.
+const MAX_PREVIOUS_SIGNED_PREKEYS = 3;
+// Largest gap within one chain that is skipped over in a single step.
+const MAX_SKIP = 1000;
+const MAX_STORED_SKIPPED_KEYS = 2000;
+const MAX_SESSIONS_PER_PEER = 5;
+const X3DH_INFO = encoder.encode("SecureChat X3DH v1");
+const ROOT_INFO = encoder.encode("SecureChat Ratchet v1");
+const MESSAGE_INFO = encoder.encode("SecureChat Message Keys v1");
+const SIGNED_PREKEY_CONTEXT = encoder.encode("SecureChat Signed PreKey v1");
+
+// Ratchet steps for one peer must not interleave.
+const peerLocks = new Map();
+
+function bufferToBase64(buffer) {
+  const bytes = new Uint8Array(buffer);
+  let binary = "";
+  for (let i = 0; i < bytes.length; i += 1) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+  return btoa(binary);
+}
+
+function base64ToBytes(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i += 1) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+function concatBytes(...parts) {
+  const out = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let offset = 0;
+  parts.forEach((part) => {
+    out.set(part, offset);
+    offset += part.length;
+  });
+  return out;
+}
+
+function identityName(userId) {
+  return `dr-identity-${userId}`;
+}
+
+function sessionsName(userId, peerId) {
+  return `dr-sessions-${userId}-${peerId}`;
+}
+
+function receivedKeyName(userId, cacheId) {
+  return `dr-received-${userId}-${cacheId}`;
+}
+
+function withPeerLock(lockKey, task) {
+  const previous = peerLocks.get(lockKey) || Promise.resolve();
+  const next = previous.catch(() => {}).then(task);
+  peerLocks.set(lockKey, next);
+  return next.finally(() => {
+    if (peerLocks.get(lockKey) === next) peerLocks.delete(lockKey);
+  });
+}
+
+async function generateDhKeyPair() {
+  return crypto.subtle.generateKey(DH_PARAMS, false, ["deriveBits"]);
+}
+
+async function exportPublicKey(publicKey) {
+  return bufferToBase64(await crypto.subtle.exportKey("raw", publicKey));
+}
+
+async function dh(privateKey, publicKeyB64) {
+  const publicKey = await crypto.subtle.importKey("raw", base64ToBytes(publicKeyB64), DH_PARAMS, false, []);
+  return new Uint8Array(await crypto.subtle.deriveBits({ name: "ECDH", public: publicKey }, privateKey, 256));
+}
+
+async function hkdf(inputKeyMaterial, salt, info, length) {
+  const key = await crypto.subtle.importKey("raw", inputKeyMaterial, "HKDF", false, ["deriveBits"]);
+  return new Uint8Array(
+    await crypto.subtle.deriveBits({ name: "HKDF", hash: "SHA-256", salt, info }, key, length * 8)
+  );
+}
+
+async function hmac(keyBytes, data) {
+  const key = await crypto.subtle.importKey("raw", keyBytes, { name: "HMAC", hash: "SHA-256" }, false, ["sign"]);
+  return new Uint8Array(await crypto.subtle.sign("HMAC", key, data));
+}
+
+async function kdfRootKey(rootKey, dhOutput) {
+  const out = await hkdf(dhOutput, rootKey, ROOT_INFO, 64);
+  return { rootKey: out.slice(0, 32), chainKey: out.slice(32) };
+}
+
+async function kdfChainKey(chainKey) {
+  return {
+    messageKey: await hmac(chainKey, new Uint8Array([1])),
+    chainKey: await hmac(chainKey, new Uint8Array([2]))
+  };
+}
+
+async function messageCipher(messageKey, usage) {
+  const material = await hkdf(messageKey, new Uint8Array(32), MESSAGE_INFO, 44);
+  const key = await crypto.subtle.importKey("raw", material.slice(0, 32), "AES-GCM", false, [usage]);
+  return { key, iv: material.slice(32) };
+}
+
+async function sealWithMessageKey(messageKey, plaintext, associatedData) {
+  const { key, iv } = await messageCipher(messageKey, "encrypt");
+  return new Uint8Array(await crypto.subtle.encrypt({ name: "AES-GCM", iv, additionalData: associatedData }, key, plaintext));
+}
+
+async function openWithMessageKey(messageKey, ciphertext, associatedData) {
+  const { key, iv } = await messageCipher(messageKey, "decrypt");
+  return new Uint8Array(await crypto.subtle.decrypt({ name: "AES-GCM", iv, additionalData: associatedData }, key, ciphertext));
+}
+
+function signedPreKeyPayload(identityKeyB64, preKeyB64) {
+  return concatBytes(SIGNED_PREKEY_CONTEXT, base64ToBytes(identityKeyB64), base64ToBytes(preKeyB64));
+}
+
+async function generateSignedPreKey(identity) {
+  const keyPair = await generateDhKeyPair();
+  const publicKeyB64 = await exportPublicKey(keyPair.publicKey);
+  const signature = await crypto.subtle.sign(
+    SIGNATURE_PARAMS,
+    identity.signingKeyPair.privateKey,
+    signedPreKeyPayload(identity.identityPublicB64, publicKeyB64)
+  );
+  const keyId = identity.nextPreKeyId;
+  identity.nextPreKeyId += 1;
+  return { keyId, keyPair, publicKeyB64, signatureB64: bufferToBase64(signature), createdAt: Date.now() };
+}
+
+function publicSignedPreKey(signedPreKey) {
+  return {
+    keyId: signedPreKey.keyId,
+    publicKeyB64: signedPreKey.publicKeyB64,
+    signatureB64: signedPreKey.signatureB64
+  };
+}
+
+// Adds count one-time prekeys to identity and returns their public halves.
+async function addOneTimePreKeys(identity, count) {
+  const published = [];
+  for (let i = 0; i < count; i += 1) {
+    const keyPair = await generateDhKeyPair();
+    const keyId = identity.nextPreKeyId;
+    identity.nextPreKeyId += 1;
+    identity.oneTimePreKeys[keyId] = keyPair;
+    published.push({ keyId, publicKeyB64: await exportPublicKey(keyPair.publicKey) });
+  }
+  return published;
+}
+
+async function verifyBundle(bundle) {
+  const signingKey = await crypto.subtle.importKey(
+    "raw",
+    base64ToBytes(bundle.signingKeyB64),
+    SIGNING_PARAMS,
+    false,
+    ["verify"]
+  );
+  const valid = await crypto.subtle.verify(
+    SIGNATURE_PARAMS,
+    signingKey,
+    base64ToBytes(bundle.signedPreKey.signatureB64),
+    signedPreKeyPayload(bundle.identityKeyB64, bundle.signedPreKey.publicKeyB64)
+  );
+  if (!valid) throw new Error("Prekey bundle signature is invalid");
+}
+
+async function deriveSharedSecret(dhOutputs) {
+  // X3DH prefixes 32 0xFF bytes to separate this KDF input from signatures
+  // made over the same curve.
+  const inputKeyMaterial = concatBytes(new Uint8Array(32).fill(0xff), ...dhOutputs);
+  return hkdf(inputKeyMaterial, new Uint8Array(32), X3DH_INFO, 32);
+}
+
+async function loadPeerSessions(userId, peerId) {
+  const stored = await idbGet(sessionsName(userId, peerId));
+  return stored && typeof stored === "object" ? stored : { activeSessionId: "", sessions: {} };
+}
+
+async function savePeerSessions(userId, peerId, record) {
+  const ids = Object.keys(record.sessions).sort(
+    (a, b) => (record.sessions[b].createdAt || 0) - (record.sessions[a].createdAt || 0)
+  );
+  ids.slice(MAX_SESSIONS_PER_PEER).forEach((id) => {
+    if (id !== record.activeSessionId) delete record.sessions[id];
+  });
+  await idbSet(sessionsName(userId, peerId), record);
+}
+
+// Initiator side of X3DH against a freshly claimed bundle.
+async function startSession(identity, bundle) {
+  await verifyBundle(bundle);
+  const ephemeral = await generateDhKeyPair();
+  const ephemeralB64 = await exportPublicKey(ephemeral.publicKey);
+  const dhOutputs = [
+    await dh(identity.identityKeyPair.privateKey, bundle.signedPreKey.publicKeyB64),
+    await dh(ephemeral.privateKey, bundle.identityKeyB64),
+    await dh(ephemeral.privateKey, bundle.signedPreKey.publicKeyB64)
+  ];
+  if (bundle.oneTimePreKey?.publicKeyB64) {
+    dhOutputs.push(await dh(ephemeral.privateKey, bundle.oneTimePreKey.publicKeyB64));
+  }
+  const sharedSecret = await deriveSharedSecret(dhOutputs);
+
+  const ratchetKeyPair = await generateDhKeyPair();
+  const { rootKey, chainKey } = await kdfRootKey(
+    sharedSecret,
+    await dh(ratchetKeyPair.privateKey, bundle.signedPreKey.publicKeyB64)
+  );
+
+  return {
+    sessionId: ephemeralB64,
+    associatedData: bufferToBase64(
+      concatBytes(base64ToBytes(identity.identityPublicB64), base64ToBytes(bundle.identityKeyB64))
+    ),
+    rootKey,
+    sendChain: { chainKey, n: 0 },
+    recvChain: null,
+    previousCount: 0,
+    ratchetKeyPair,
+    ratchetPublicB64: await exportPublicKey(ratchetKeyPair.publicKey),
+    remoteRatchetB64: bundle.signedPreKey.publicKeyB64,
+    skipped: {},
+    skippedOrder: [],
+    // Repeated on every message until the peer answers, so the session can
+    // be set up from whichever message arrives first.
+    pendingPreKey: {
+      identityKeyB64: identity.identityPublicB64,
+      ephemeralKeyB64: ephemeralB64,
+      signedPreKeyId: bundle.signedPreKey.keyId,
+      oneTimePreKeyId: bundle.oneTimePreKey?.keyId || null
+    },
+    createdAt: Date.now()
+  };
+}
+
+// Responder side of X3DH. The caller removes the one-time prekey once the
+// first message authenticated.
+async function acceptSession(identity, preKey) {
+  const signedPreKey = [identity.signedPreKey, ...(identity.previousSignedPreKeys || [])].find(
+    (entry) => entry.keyId === preKey.signedPreKeyId
+  );
+  if (!signedPreKey) throw new Error("Unknown signed prekey");
+  const oneTimeKeyPair = preKey.oneTimePreKeyId ? identity.oneTimePreKeys[preKey.oneTimePreKeyId] : null;
+  if (preKey.oneTimePreKeyId && !oneTimeKeyPair) throw new Error("One-time prekey was already used");
+
+  const dhOutputs = [
+    await dh(signedPreKey.keyPair.privateKey, preKey.identityKeyB64),
+    await dh(identity.identityKeyPair.privateKey, preKey.ephemeralKeyB64),
+    await dh(signedPreKey.keyPair.privateKey, preKey.ephemeralKeyB64)
+  ];
+  if (oneTimeKeyPair) {
+    dhOutputs.push(await dh(oneTimeKeyPair.privateKey, preKey.ephemeralKeyB64));
+  }
+  const sharedSecret = await deriveSharedSecret(dhOutputs);
+
+  return {
+    sessionId: preKey.ephemeralKeyB64,
+    associatedData: bufferToBase64(
+      concatBytes(base64ToBytes(preKey.identityKeyB64), base64ToBytes(identity.identityPublicB64))
+    ),
+    rootKey: sharedSecret,
+    sendChain: null,
+    recvChain: null,
+    previousCount: 0,
+    ratchetKeyPair: signedPreKey.keyPair,
+    ratchetPublicB64: signedPreKey.publicKeyB64,
+    remoteRatchetB64: "",
+    skipped: {},
+    skippedOrder: [],
+    pendingPreKey: null,
+    createdAt: Date.now()
+  };
+}
+
+function rememberSkippedKey(state, id, messageKey) {
+  state.skipped[id] = messageKey;
+  state.skippedOrder.push(id);
+  while (state.skippedOrder.length > MAX_STORED_SKIPPED_KEYS) {
+    delete state.skipped[state.skippedOrder.shift()];
+  }
+}
+
+async function skipMessageKeys(state, until) {
+  if (!state.recvChain) return;
+  if (until - state.recvChain.n > MAX_SKIP) throw new Error("Too many skipped messages");
+  let { chainKey, n } = state.recvChain;
+  while (n < until) {
+    const step = await kdfChainKey(chainKey);
+    rememberSkippedKey(state, `${state.remoteRatchetB64}:${n}`, step.messageKey);
+    chainKey = step.chainKey;
+    n += 1;
+  }
+  state.recvChain = { chainKey, n };
+}
+
+async function dhRatchetStep(state, remoteRatchetB64) {
+  state.previousCount = state.sendChain?.n || 0;
+  state.remoteRatchetB64 = remoteRatchetB64;
+  const receiving = await kdfRootKey(state.rootKey, await dh(state.ratchetKeyPair.privateKey, remoteRatchetB64));
+  state.recvChain = { chainKey: receiving.chainKey, n: 0 };
+  state.ratchetKeyPair = await generateDhKeyPair();
+  state.ratchetPublicB64 = await exportPublicKey(state.ratchetKeyPair.publicKey);
+  const sending = await kdfRootKey(receiving.rootKey, await dh(state.ratchetKeyPair.privateKey, remoteRatchetB64));
+  state.rootKey = sending.rootKey;
+  state.sendChain = { chainKey: sending.chainKey, n: 0 };
+}
+
+// Works on a copy so a message that fails to authenticate leaves the stored
+// session untouched.
+async function ratchetDecrypt(session, headerText, ciphertext, extraAssociatedData) {
+  const header = JSON.parse(headerText);
+  const state = { ...session, skipped: { ...session.skipped }, skippedOrder: [...session.skippedOrder] };
+  const associatedData = concatBytes(base64ToBytes(state.associatedData), encoder.encode(headerText), extraAssociatedData);
+
+  const skippedId = `${header.dh}:${header.n}`;
+  let messageKey = state.skipped[skippedId];
+  if (messageKey) {
+    delete state.skipped[skippedId];
+    state.skippedOrder = state.skippedOrder.filter((id) => id !== skippedId);
+  } else {
+    if (header.dh !== state.remoteRatchetB64) {
+      await skipMessageKeys(state, header.pn);
+      await dhRatchetStep(state, header.dh);
+    }
+    await skipMessageKeys(state, header.n);
+    const step = await kdfChainKey(state.recvChain.chainKey);
+    messageKey = step.messageKey;
+    state.recvChain = { chainKey: step.chainKey, n: state.recvChain.n + 1 };
+  }
+
+  const plaintext = await openWithMessageKey(messageKey, ciphertext, associatedData);
+  state.pendingPreKey = null;
+  return { state, plaintext };
+}
+
+async function getSelfKey(userId) {
+  const name = `dr-self-${userId}`;
+  const existing = await idbGet(name);
+  if (existing) return existing;
+  const key = await crypto.subtle.generateKey({ name: "AES-GCM", length: 256 }, false, ["encrypt", "decrypt"]);
+  await idbSet(name, key);
+  return key;
+}
+
+export function isRatchetEnvelope(value) {
+  return typeof value === "string" && value.startsWith(RATCHET_ENVELOPE_PREFIX);
+}
+
+export function isSelfEnvelope(value) {
+  return typeof value === "string" && value.startsWith(SELF_ENVELOPE_PREFIX);
+}
+
+// Seals bytes with a key that never leaves this browser. Used for the
+// sender's own copy of a ratchet message key, which must not be readable with
+// the long-term RSA key.
+export async function sealForSelf(userId, bytes) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const ciphertext = await crypto.subtle.encrypt({ name: "AES-GCM", iv }, await getSelfKey(userId), bytes);
+  return `${SELF_ENVELOPE_PREFIX}${bufferToBase64(iv)}.${bufferToBase64(ciphertext)}`;
+}
+
+export async function openForSelf(userId, envelope) {
+  const [ivB64, ciphertextB64] = envelope.slice(SELF_ENVELOPE_PREFIX.length).split(".");
+  try {
+    return new Uint8Array(
+      await crypto.subtle.decrypt(
+        { name: "AES-GCM", iv: base64ToBytes(ivB64) },
+        await getSelfKey(userId),
+        base64ToBytes(ciphertextB64)
+      )
+    );
+  } catch {
+    throw new Error("This message was sent with forward secrecy from another browser");
+  }
+}
+
+export async function hasRatchetIdentity(userId) {
+  return Boolean(await idbGet(identityName(userId)));
+}
+
+// "off", "active" (this browser owns the published bundle) or "elsewhere"
+// (another browser published it). status is GET /api/users/me/prekeys.
+export async function describeLocalRatchet(userId, status) {
+  if (!status?.enabled) return "off";
+  const identity = await idbGet(identityName(userId));
+  return identity && identity.identityPublicB64 === status.identityKeyB64 ? "active" : "elsewhere";
+}
+
+// Creates a new identity and returns the bundle for PUT /api/users/me/prekeys.
+export async function createPreKeyBundle(userId) {
+  const identityKeyPair = await generateDhKeyPair();
+  const signingKeyPair = await crypto.subtle.generateKey(SIGNING_PARAMS, false, ["sign", "verify"]);
+  const identity = {
+    identityKeyPair,
+    identityPublicB64: await exportPublicKey(identityKeyPair.publicKey),
+    signingKeyPair,
+    signingPublicB64: await exportPublicKey(signingKeyPair.publicKey),
+    previousSignedPreKeys: [],
+    oneTimePreKeys: {},
+    nextPreKeyId: 1
+  };
+  identity.signedPreKey = await generateSignedPreKey(identity);
+  const oneTimePreKeys = await addOneTimePreKeys(identity, ONE_TIME_PREKEY_BATCH);
+  await idbSet(identityName(userId), identity);
+
+  return {
+    identityKeyB64: identity.identityPublicB64,
+    signingKeyB64: identity.signingPublicB64,
+    signedPreKey: publicSignedPreKey(identity.signedPreKey),
+    oneTimePreKeys
+  };
+}
+
+// Tops up one-time prekeys and rotates the signed prekey weekly. Does nothing
+// unless this browser owns the published bundle.
+export async function maintainPreKeys(userId, status, { uploadOneTimePreKeys, uploadSignedPreKey }) {
+  if ((await describeLocalRatchet(userId, status)) !== "active") return;
+  const identity = await idbGet(identityName(userId));
+
+  if (status.oneTimePreKeyCount < ONE_TIME_PREKEY_LOW_WATERMARK) {
+    const published = await addOneTimePreKeys(identity, ONE_TIME_PREKEY_BATCH);
+    await idbSet(identityName(userId), identity);
+    await uploadOneTimePreKeys(published);
+  }
+
+  if (Date.now() - identity.signedPreKey.createdAt > SIGNED_PREKEY_MAX_AGE_MS) {
+    identity.previousSignedPreKeys = [identity.signedPreKey, ...(identity.previousSignedPreKeys || [])].slice(
+      0,
+      MAX_PREVIOUS_SIGNED_PREKEYS
+    );
+    identity.signedPreKey = await generateSignedPreKey(identity);
+    await idbSet(identityName(userId), identity);
+    await uploadSignedPreKey(publicSignedPreKey(identity.signedPreKey));
+  }
+}
+
+// Drops the identity so no new sessions can be accepted. Existing sessions
+// are kept so messages already in flight can still be read.
+export async function disableRatchet(userId) {
+  await idbDelete(identityName(userId));
+}
+
+// Encrypts bytes for peerId on the active session, starting one from a
+// claimed prekey bundle when needed. Returns "" when either side has not
+// turned forward secrecy on, so callers can fall back to RSA wrapping.
+export async function encryptWithRatchet(userId, peerId, plaintext, { fetchBundle, associatedData }) {
+  return withPeerLock(`${userId}:${peerId}`, async () => {
+    const identity = await idbGet(identityName(userId));
+    if (!identity) return "";
+
+    const record = await loadPeerSessions(userId, peerId);
+    let session = record.sessions[record.activeSessionId];
+    if (!session?.sendChain) {
+      const bundle = await fetchBundle(peerId);
+      if (!bundle) return "";
+      session = await startSession(identity, bundle);
+      record.sessions[session.sessionId] = session;
+      record.activeSessionId = session.sessionId;
+    }
+
+    const step = await kdfChainKey(session.sendChain.chainKey);
+    const header = {
+      sid: session.sessionId,
+      dh: session.ratchetPublicB64,
+      pn: session.previousCount,
+      n: session.sendChain.n
+    };
+    if (session.pendingPreKey) header.x3dh = session.pendingPreKey;
+    const headerText = JSON.stringify(header);
+    const ciphertext = await sealWithMessageKey(
+      step.messageKey,
+      plaintext,
+      concatBytes(base64ToBytes(session.associatedData), encoder.encode(headerText), associatedData)
+    );
+
+    record.sessions[session.sessionId] = {
+      ...session,
+      sendChain: { chainKey: step.chainKey, n: session.sendChain.n + 1 }
+    };
+    await savePeerSessions(userId, peerId, record);
+
+    const envelope = JSON.stringify({ h: headerText, c: bufferToBase64(ciphertext) });
+    return `${RATCHET_ENVELOPE_PREFIX}${bufferToBase64(encoder.encode(envelope))}`;
+  });
+}
+
+// Opens a ratchet envelope from peerId. Message keys can only be derived once,
+// so the result is cached under cacheId (sealed with the browser-local key)
+// for later re-renders of the same message.
+export async function decryptWithRatchet(userId, peerId, envelope, { associatedData, cacheId }) {
+  return withPeerLock(`${userId}:${peerId}`, async () => {
+    const cached = await idbGet(receivedKeyName(userId, cacheId));
+    if (cached) return openForSelf(userId, cached);
+
+    const { h: headerText, c: ciphertextB64 } = JSON.parse(
+      decoder.decode(base64ToBytes(envelope.slice(RATCHET_ENVELOPE_PREFIX.length)))
+    );
+    const header = JSON.parse(headerText);
+    const record = await loadPeerSessions(userId, peerId);
+    let session = record.sessions[header.sid];
+    let acceptedIdentity = null;
+    if (!session) {
+      acceptedIdentity = await idbGet(identityName(userId));
+      if (!acceptedIdentity || !header.x3dh || header.x3dh.ephemeralKeyB64 !== header.sid) {
+        throw new Error("No forward secrecy session for this message");
+      }
+      session = await acceptSession(acceptedIdentity, header.x3dh);
+    }
+
+    const { state, plaintext } = await ratchetDecrypt(session, headerText, base64ToBytes(ciphertextB64), associatedData);
+    if (acceptedIdentity) {
+      record.activeSessionId = state.sessionId;
+      if (header.x3dh.oneTimePreKeyId) {
+        delete acceptedIdentity.oneTimePreKeys[header.x3dh.oneTimePreKeyId];
+        await idbSet(identityName(userId), acceptedIdentity);
+      }
+    }
+    record.sessions[state.sessionId] = state;
+    await savePeerSessions(userId, peerId, record);
+    await idbSet(receivedKeyName(userId, cacheId), await sealForSelf(userId, plaintext));
+    return plaintext;
+  });
+}
@@ -0,0 +1,78 @@
+// Section Map
+// - Imports and dependencies
+// - Constants/configuration
+// - Helper functions/state handling
+// - Main module logic and exports
+
+import { base64ToArrayBuffer } from "./crypto.js";
+
+const encoder = new TextEncoder();
+const SAFETY_NUMBER_VERSION = 0;
+// Same stretching as Signal's numeric fingerprints: makes brute-forcing a
+// colliding key for one half of the number expensive.
+const SAFETY_NUMBER_ITERATIONS = 5200;
+const DIGITS_PER_PARTY = 30;
+const DIGITS_PER_CHUNK = 5;
+const BYTES_PER_CHUNK = 5;
+
+function concatBytes(...parts) {
+  const total = parts.reduce((sum, part) => sum + part.length, 0);
+  const out = new Uint8Array(total);
+  let offset = 0;
+  parts.forEach((part) => {
+    out.set(part, offset);
+    offset += part.length;
+  });
+  return out;
+}
+
+function toHex(buffer) {
+  return Array.from(new Uint8Array(buffer))
+    .map((byte) => byte.toString(16).padStart(2, "0"))
+    .join("");
+}
+
+// 30 decimal digits identifying one party's (userId, key) pair.
+async function computePartyDigits(userId, spkiB64) {
+  const publicKey = new Uint8Array(base64ToArrayBuffer(spkiB64));
+  const version = new Uint8Array([0, SAFETY_NUMBER_VERSION]);
+  let hash = new Uint8Array(
+    await crypto.subtle.digest("SHA-512", concatBytes(version, publicKey, encoder.encode(String(userId))))
+  );
+  for (let i = 1; i < SAFETY_NUMBER_ITERATIONS; i += 1) {
+    hash = new Uint8Array(await crypto.subtle.digest("SHA-512", concatBytes(hash, publicKey)));
+  }
+
+  let digits = "";
+  for (let offset = 0; digits.length < DIGITS_PER_PARTY; offset += BYTES_PER_CHUNK) {
+    let chunk = 0;
+    for (let i = 0; i < BYTES_PER_CHUNK; i += 1) {
+      chunk = chunk * 256 + hash[offset + i];
+    }
+    digits += String(chunk % 10 ** DIGITS_PER_CHUNK).padStart(DIGITS_PER_CHUNK, "0");
+  }
+  return digits;
+}
+
+// Both parties get the same 60-digit number because the halves are ordered by
+// user id rather than by who is looking.
+export async function computeSafetyNumber({ localUserId, localSpkiB64, remoteUserId, remoteSpkiB64 }) {
+  if (!localSpkiB64 || !remoteSpkiB64) return "";
+  const parties = [
+    { userId: String(localUserId), spkiB64: localSpkiB64 },
+    { userId: String(remoteUserId), spkiB64: remoteSpkiB64 }
+  ].sort((a, b) => (a.userId < b.userId ? -1 : a.userId > b.userId ? 1 : 0));
+  const halves = await Promise.all(parties.map((party) => computePartyDigits(party.userId, party.spkiB64)));
+  return halves.join("");
+}
+
+export function formatSafetyNumber(safetyNumber) {
+  return String(safetyNumber || "").match(new RegExp(`\\d{1,${DIGITS_PER_CHUNK}}`, "g")) || [];
+}
+
+// Short, stable identifier of a public key, used to notice when a verified
+// contact's key is replaced.
+export async function computeKeyFingerprint(spkiB64) {
+  if (!spkiB64) return "";
+  return toHex(await crypto.subtle.digest("SHA-256", base64ToArrayBuffer(spkiB64)));
+}
@@ -0,0 +1,12 @@
+// Section Map
+// - Imports and dependencies
+// - Constants/configuration
+// - Helper functions/state handling
+// - Main module logic and exports
+
+// Where to go after signing in: back to the invite link that sent the user to
+// the login page, otherwise the chat list.
+export function getSignInTarget(location) {
+  const from = String(location?.state?.from || "");
+  return from.startsWith("/join/") ? from : "/chat";
+}
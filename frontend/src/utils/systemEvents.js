@@ -0,0 +1,61 @@
+// Section Map
+// - Imports and dependencies
+// - Constants/configuration
+// - Helper functions/state handling
+// - Main module logic and exports
+
+const PROFILE_FIELD_PHRASES = {
+  motive: "changed the group description",
+  avatar: "changed the group photo"
+};
+
+function joinList(items) {
+  if (items.length <= 1) return items[0] || "";
+  return `${items.slice(0, -1).join(", ")} and ${items[items.length - 1]}`;
+}
+
+// Text for a system message, written from the reader's point of view with
+// current names. Falls back to the server's text when someone involved is no
+// longer known here (for example a member who has since left).
+export function describeSystemEvent(message, { usersById = {}, currentUserId = "" } = {}) {
+  const event = message?.systemEvent;
+  if (!event?.kind) return message?.content || "";
+
+  const nameOf = (userId) =>
+    String(userId) === String(currentUserId) ? "You" : usersById[String(userId)]?.name || null;
+  const actor = nameOf(message.senderId);
+  const targetNames = (event.targetIds || []).map((id) =>
+    String(id) === String(currentUserId) ? "you" : nameOf(id)
+  );
+  if (!actor || targetNames.some((name) => !name)) return message.content || "";
+  const targets = joinList(targetNames);
+
+  switch (event.kind) {
+    case "members-added":
+      return `${actor} added ${targets}`;
+    case "member-left":
+      return `${actor} left`;
+    case "member-joined":
+      return `${actor} joined using an invite link`;
+    case "member-removed":
+      return `${actor} removed ${targets}`;
+    case "role-changed":
+      return event.role === "admin" ? `${actor} made ${targets} an admin` : `${actor} dismissed ${targets} as admin`;
+    case "ownership-transferred":
+      return `${actor} made ${targets} the group owner`;
+    case "profile-updated": {
+      const phrases = (event.fields || []).map((field) =>
+        field === "name" ? `renamed the group to "${event.name}"` : PROFILE_FIELD_PHRASES[field]
+      );
+      return `${actor} ${joinList(phrases.filter(Boolean))}`;
+    }
+    case "vanish-changed":
+      return `${actor} turned vanish mode ${event.enabled ? "on" : "off"}`;
+    case "message-pinned":
+      return `${actor} pinned a message`;
+    case "message-unpinned":
+      return `${actor} unpinned a message`;
+    default:
+      return message.content || "";
+  }
+}